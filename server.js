@@ -1,4 +1,5 @@
 const server = require("./src/app");
+const shutdownService = require("./src/services/shutdownService");
 
 const PORT = process.env.PORT || 3000;
 
@@ -6,3 +7,16 @@ server.listen(PORT, () => {
   console.log(`MetaHead Arena server running on port ${PORT}`);
   console.log(`Open http://localhost:${PORT} to test`);
 });
+
+// Drain live matches before exiting. A second signal exits straight away.
+["SIGTERM", "SIGINT"].forEach((signal) => {
+  process.once(signal, () => {
+    shutdownService
+      .start(server, signal)
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error("Error during shutdown:", error);
+        process.exit(1);
+      });
+  });
+});
@@ -12,6 +12,12 @@ require("dotenv").config();
 const { connectDatabase } = require("./config/database");
 const { initializeSocket } = require("./config/socket");
 const { specs, swaggerUi } = require("./config/swagger");
+const { errorBody, sendError } = require("./config/errorCodes");
+const seasonService = require("./services/seasonService");
+const tournamentService = require("./services/tournamentService");
+const reconciliationService = require("./services/reconciliationService");
+const roomSnapshotService = require("./services/roomSnapshotService");
+const gameService = require("./services/gameService");
 
 // Import routes
 const routes = require("./routes");
@@ -22,8 +28,17 @@ const server = http.createServer(app);
 // Trust proxy for rate limiting and IP detection (important for Docker/proxy environments)
 app.set("trust proxy", 1);
 
-// Connect to database first
-connectDatabase();
+// Connect to database first, then bring back rooms snapshotted by the
+// previous run, close out the matches it left open and start the season
+// and tournament jobs
+connectDatabase().then(async (connected) => {
+  if (!connected) return;
+  await gameService.restoreRooms();
+  roomSnapshotService.start();
+  reconciliationService.start();
+  seasonService.start();
+  tournamentService.start();
+});
 
 // Initialize Socket.IO for real-time game functionality
 const io = initializeSocket(server);
@@ -40,7 +55,11 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: process.env.NODE_ENV === "production" ? 100 : 1000, // Much higher limit for development
   message: {
-    error: "Too many requests from this IP, please try again later.",
+    success: false,
+    ...errorBody(
+      "RATE_LIMITED",
+      "Too many requests from this IP, please try again later."
+    ),
   },
   standardHeaders: true,
   legacyHeaders: false,
@@ -167,20 +186,14 @@ app.get("/", (req, res) => {
 
 // 404 handler
 app.use("*", (req, res) => {
-  res.status(404).json({
-    error: "Endpoint not found",
-    message: `Cannot ${req.method} ${req.originalUrl}`,
-  });
+  sendError(res, "NOT_FOUND", `Cannot ${req.method} ${req.originalUrl}`);
 });
 
 // Global error handling middleware
 app.use((err, req, res, next) => {
   // Don't log expected CORS errors as unhandled errors
   if (err.message === "Not allowed by CORS") {
-    return res.status(403).json({
-      error: "CORS policy violation",
-      message: "Origin not allowed",
-    });
+    return sendError(res, "CORS_REJECTED");
   }
 
   // Log genuine unhandled errors
@@ -188,8 +201,15 @@ app.use((err, req, res, next) => {
 
   const isDevelopment = process.env.NODE_ENV === "development";
 
+  // Body parser and similar errors carry their own 4xx status
+  const isClientError = err.status >= 400 && err.status < 500;
+
   res.status(err.status || 500).json({
-    error: err.message || "Internal server error",
+    success: false,
+    ...errorBody(
+      isClientError ? "VALIDATION_ERROR" : "INTERNAL_ERROR",
+      err.message
+    ),
     ...(isDevelopment && { stack: err.stack }),
   });
 });
@@ -21,6 +21,8 @@ const connectDatabase = async () => {
     mongoose.connection.on("reconnected", () => {
       console.log("MongoDB reconnected");
     });
+
+    return true;
   } catch (error) {
     console.error("Database connection failed:", error.message);
     console.log(
@@ -29,6 +31,7 @@ const connectDatabase = async () => {
     console.log(
       "To enable full functionality, start MongoDB and restart the server"
     );
+    return false;
   }
 };
 
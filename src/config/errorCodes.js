@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Error Codes
+ * @description Catalogue of machine-readable error codes shared by REST responses and socket errors
+ * @module config/errorCodes
+ */
+
+// Every error a client can get. `status` is the HTTP status REST responses
+// use; `message` is the English default when the caller has nothing more
+// specific. Clients branch on the code and translate with `messageKey`.
+const ERROR_CODES = {
+  // General
+  INTERNAL_ERROR: { status: 500, message: "Internal server error" },
+  VALIDATION_ERROR: { status: 400, message: "Invalid request" },
+  NOT_FOUND: { status: 404, message: "Endpoint not found" },
+  RATE_LIMITED: { status: 429, message: "Too many requests, slow down" },
+  CORS_REJECTED: { status: 403, message: "Origin not allowed" },
+  SERVER_SHUTTING_DOWN: {
+    status: 503,
+    message: "Server is shutting down. Try again in a moment.",
+  },
+
+  // Socket events (see middlewares/socket_guard)
+  UNKNOWN_EVENT: { status: 400, message: "Unknown event" },
+  INVALID_PAYLOAD: { status: 400, message: "Invalid event payload" },
+  TOO_MANY_REJECTED_EVENTS: {
+    status: 429,
+    message: "Disconnected for sending too many rejected events",
+  },
+
+  // Authentication
+  AUTH_REQUIRED: { status: 401, message: "Authentication required" },
+  AUTH_INVALID: { status: 401, message: "Invalid token" },
+  ADMIN_REQUIRED: { status: 403, message: "Admin access required" },
+  USER_BANNED: { status: 403, message: "This wallet is banned" },
+  AUTH_EXPIRED: { status: 401, message: "Token expired, please sign in again" },
+  NONCE_INVALID: {
+    status: 401,
+    message: "Invalid or expired nonce. Please request a new nonce.",
+  },
+  SIGNATURE_INVALID: { status: 401, message: "Signature verification failed" },
+  SIWE_MESSAGE_INVALID: { status: 400, message: "Invalid SIWE message format" },
+
+  // Users and sessions
+  USER_NOT_FOUND: { status: 404, message: "User not found" },
+  PLAYER_NOT_FOUND: {
+    status: 404,
+    message: "Player not found. Please join the game first.",
+  },
+  PLAYER_EXISTS: { status: 409, message: "Player already exists" },
+  PLAYER_BUSY: {
+    status: 409,
+    message: "Leave your room or the queue first",
+  },
+
+  // Rooms and games
+  ROOM_NOT_FOUND: { status: 404, message: "Room not found" },
+  ROOM_CODE_INVALID: { status: 404, message: "Invalid room code" },
+  ROOM_CODE_UNAVAILABLE: { status: 500, message: "Room code not available" },
+  ROOM_FULL: { status: 409, message: "Room is full" },
+  ROOM_NOT_EMPTY: { status: 409, message: "Room already has players" },
+  TEAM_FULL: { status: 409, message: "Team is full" },
+  ROOM_RESERVED: { status: 403, message: "This room is reserved" },
+  ROOM_NOT_RESETTABLE: {
+    status: 409,
+    message: "Room is not in a resettable state",
+  },
+  ROOM_ON_ANOTHER_NODE: {
+    status: 421,
+    message: "This room is hosted on another server",
+  },
+  ROOM_UNAVAILABLE: {
+    status: 503,
+    message: "Room is no longer available on this server",
+  },
+  ROOM_CLOSED: { status: 410, message: "Room was closed by an admin" },
+  ALREADY_IN_ROOM: { status: 409, message: "You are already in a room" },
+  NOT_IN_ROOM: { status: 409, message: "Player not in a room" },
+  GAME_IN_PROGRESS: { status: 409, message: "Game already in progress" },
+  GAME_NOT_ACTIVE: { status: 409, message: "Game not active" },
+  GAME_NOT_FINISHED: { status: 409, message: "Game is not finished" },
+  NOT_ENOUGH_PLAYERS: { status: 409, message: "Not enough players to start" },
+  INVALID_ACTION: { status: 400, message: "Unknown action" },
+  INPUT_RATE_LIMITED: { status: 429, message: "Too many inputs" },
+  BOTS_NOT_ALLOWED: { status: 409, message: "Bots can't play this match" },
+  REMATCH_NOT_ALLOWED: {
+    status: 409,
+    message: "Tournament matches can't be rematched",
+  },
+  REMATCH_NOT_READY: {
+    status: 409,
+    message: "Both players must request rematch",
+  },
+
+  // Matches and replays
+  MATCH_NOT_FOUND: { status: 404, message: "Match not found" },
+  MATCH_CLOSED: { status: 409, message: "Match already closed" },
+  REPLAY_NOT_FOUND: { status: 404, message: "Replay not found" },
+
+  // Matchmaking
+  ALREADY_SEARCHING: { status: 409, message: "Already searching for a match" },
+  NOT_SEARCHING: { status: 409, message: "Not searching for a match" },
+  PARTY_MODE_MISMATCH: {
+    status: 409,
+    message: "Leave your party to search for this mode",
+  },
+
+  // Spectating
+  NOT_SPECTATING: { status: 409, message: "Not spectating" },
+  SPECTATORS_NOT_ALLOWED: {
+    status: 403,
+    message: "Spectators are not allowed in this room",
+  },
+  SPECTATOR_LIMIT: { status: 409, message: "Spectator limit reached" },
+  SPECTATOR_READ_ONLY: {
+    status: 403,
+    message: "Spectators can't send game events. Stop spectating first.",
+  },
+
+  // Friends and challenges
+  FRIEND_NOT_FOUND: { status: 404, message: "Friend not found" },
+  FRIEND_SELF: { status: 400, message: "You can't add yourself as a friend" },
+  ALREADY_FRIENDS: { status: 409, message: "Already friends" },
+  FRIEND_REQUEST_EXISTS: {
+    status: 409,
+    message: "Friend request already sent",
+  },
+  FRIEND_REQUEST_NOT_FOUND: {
+    status: 404,
+    message: "Friend request not found",
+  },
+  FRIENDS_LIST_FULL: { status: 409, message: "Friends list is full" },
+  NOT_FRIENDS: { status: 403, message: "You can only do this with friends" },
+  FRIEND_OFFLINE: { status: 409, message: "Your friend is offline" },
+  CHALLENGE_PENDING: {
+    status: 409,
+    message: "You already have a challenge waiting for an answer",
+  },
+  CHALLENGE_RECEIVED: {
+    status: 409,
+    message: "This player has already challenged you",
+  },
+  CHALLENGE_NOT_FOUND: {
+    status: 404,
+    message: "Challenge not found or expired",
+  },
+
+  // Parties
+  ALREADY_IN_PARTY: { status: 409, message: "You are already in a party" },
+  NOT_IN_PARTY: { status: 409, message: "You are not in a party" },
+  NOT_PARTY_LEADER: {
+    status: 403,
+    message: "Only the party leader can do this",
+  },
+  PARTY_FULL: { status: 409, message: "Party is full" },
+  PARTY_MEMBER_EXISTS: {
+    status: 409,
+    message: "Player is already in your party",
+  },
+  PARTY_INVITE_EXISTS: {
+    status: 409,
+    message: "Player has already been invited",
+  },
+  PARTY_INVITE_NOT_FOUND: {
+    status: 404,
+    message: "Party invite not found or expired",
+  },
+
+  // Tournaments and seasons
+  TOURNAMENT_NOT_FOUND: { status: 404, message: "Tournament not found" },
+  TOURNAMENT_REGISTRATION_CLOSED: {
+    status: 409,
+    message: "Registration is closed",
+  },
+  TOURNAMENT_ALREADY_REGISTERED: { status: 409, message: "Already registered" },
+  TOURNAMENT_NOT_REGISTERED: { status: 404, message: "Not registered" },
+  TOURNAMENT_FULL: { status: 409, message: "Tournament is full" },
+  TOURNAMENT_NOT_CREATOR: {
+    status: 403,
+    message: "Only the creator can start the tournament",
+  },
+  TOURNAMENT_STARTED: { status: 409, message: "Tournament already started" },
+  TOURNAMENT_NOT_IN_PROGRESS: {
+    status: 409,
+    message: "Tournament not in progress",
+  },
+  TOURNAMENT_MATCH_CLOSED: {
+    status: 409,
+    message: "Bracket match not open",
+  },
+  SEASON_NOT_FOUND: { status: 404, message: "Season not found" },
+};
+
+/**
+ * Translation key for a code, e.g. ROOM_FULL -> "errors.room_full"
+ */
+const getMessageKey = (code) => `errors.${code.toLowerCase()}`;
+
+/**
+ * The error model every client sees
+ * @param {string} code - Key of ERROR_CODES; unknown codes become INTERNAL_ERROR
+ * @param {string} [message] - More specific English message than the default
+ * @param {Object} [details] - Structured data about the error (field, limit, ...)
+ * @returns {Object} { code, message, messageKey, details? }
+ */
+const errorBody = (code, message, details) => {
+  const known = ERROR_CODES[code] ? code : "INTERNAL_ERROR";
+
+  return {
+    code: known,
+    message: message || ERROR_CODES[known].message,
+    messageKey: getMessageKey(known),
+    ...(details && { details }),
+  };
+};
+
+/**
+ * Send an error as a REST response with the code's HTTP status
+ */
+const sendError = (res, code, message, details) => {
+  const body = errorBody(code, message, details);
+
+  return res
+    .status(ERROR_CODES[body.code].status)
+    .json({ success: false, ...body });
+};
+
+/**
+ * Send a failed service result ({ success: false, code, error|reason })
+ */
+const sendFailure = (res, result) =>
+  sendError(res, result.code, result.error || result.reason);
+
+/**
+ * Emit an error to a socket. `type` repeats the code for clients written
+ * before codes existed.
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} [message] - More specific English message than the default
+ * @param {Object} [extra] - Extra fields sent alongside (event, roomCode, ...)
+ */
+const emitError = (socket, code, message, extra = {}) => {
+  const body = errorBody(code, message);
+  socket.emit("error", { ...body, type: body.code, ...extra });
+};
+
+module.exports = {
+  ERROR_CODES,
+  errorBody,
+  sendError,
+  sendFailure,
+  emitError,
+};
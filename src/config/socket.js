@@ -1,9 +1,21 @@
 const socketIo = require("socket.io");
 const jwt = require("jsonwebtoken");
 const gameService = require("../services/gameService");
-const matchService = require("../services/matchService");
 const gameBroadcaster = require("../services/gameBroadcaster");
 const userService = require("../services/userService");
+const ratingService = require("../services/ratingService");
+const replayService = require("../services/replayService");
+const tournamentService = require("../services/tournamentService");
+const friendService = require("../services/friendService");
+const challengeService = require("../services/challengeService");
+const partyService = require("../services/partyService");
+const botService = require("../services/botService");
+const antiCheatService = require("../services/antiCheatService");
+const GameRoom = require("../models/gameRoom");
+const { socketGuard } = require("../middlewares/socket_guard.middleware");
+const { emitError } = require("./errorCodes");
+const { stateStore } = require("./stateStore");
+const { createStoreAdapter } = require("../stores/storeAdapter");
 
 /**
  * @fileoverview WebSocket Configuration and Event Handlers
@@ -16,11 +28,11 @@ const userService = require("../services/userService");
 // Removed parseCookies function as we're now using localStorage tokens
 
 /**
- * Verify JWT token from socket connection
+ * Read and verify the JWT a socket connected with
  * @param {Socket} socket - Socket.IO socket instance
- * @returns {Object|null} - Decoded JWT payload or null if invalid
+ * @returns {Object} { payload } when valid, otherwise { code } saying why not
  */
-const verifySocketAuth = (socket) => {
+const readSocketAuth = (socket) => {
   try {
     // Try to get token from query parameters first (recommended for WebSocket)
     let token = socket.handshake.query.token;
@@ -39,17 +51,47 @@ const verifySocketAuth = (socket) => {
     }
 
     if (!token) {
-      return null;
+      return { payload: null, code: "AUTH_REQUIRED" };
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    return decoded;
+    return { payload: jwt.verify(token, process.env.JWT_SECRET) };
   } catch (error) {
     console.error("Socket auth verification failed:", error.message);
-    return null;
+    return {
+      payload: null,
+      code:
+        error.name === "TokenExpiredError" ? "AUTH_EXPIRED" : "AUTH_INVALID",
+    };
   }
 };
 
+/**
+ * Verify JWT token from socket connection
+ * @param {Socket} socket - Socket.IO socket instance
+ * @returns {Object|null} - Decoded JWT payload or null if invalid
+ */
+const verifySocketAuth = (socket) => readSocketAuth(socket).payload;
+
+// Events a socket may still send while spectating
+const SPECTATOR_EVENTS = [
+  "join-game",
+  "spectate-room",
+  "stop-spectating",
+  "follow-tournament",
+  "unfollow-tournament",
+];
+
+// Events that open a room or start a game, refused while shutting down
+const NEW_GAME_EVENTS = [
+  "find-match",
+  "create-room",
+  "join-room-by-code",
+  "play-bot",
+  "request-rematch",
+  "challenge",
+  "accept-challenge",
+];
+
 // === Socket Event Handlers ===
 
 /**
@@ -61,30 +103,59 @@ const verifySocketAuth = (socket) => {
 const handlePlayerJoin = async (socket, io, data) => {
   try {
     // Verify authentication from JWT token
-    const authPayload = verifySocketAuth(socket);
+    const { payload: authPayload, code } = readSocketAuth(socket);
     if (!authPayload) {
-      socket.emit("error", {
-        message: "Authentication required. Please login first.",
-        type: "AUTH_REQUIRED",
-      });
+      emitError(socket, code);
       return;
     }
 
     // Get user from database using authenticated userId
     const userResult = await userService.findUserById(authPayload.userId);
     if (!userResult.success || !userResult.user) {
-      socket.emit("error", {
-        message: "User not found in database",
-        type: "USER_ERROR",
-      });
+      emitError(socket, "USER_NOT_FOUND", "User not found in database");
       return;
     }
 
     const user = userResult.user;
+    if (userService.isBanned(user)) {
+      emitError(socket, "USER_BANNED");
+      socket.disconnect(true);
+      return;
+    }
 
     // Store authenticated user info in socket for future use
     socket.userId = user._id;
     socket.walletAddress = user.walletAddress;
+    socket.join(gameBroadcaster.userChannel(user._id));
+
+    // Returning to a seat held during the reconnect grace period
+    const resumed = gameService.resumePlayer(socket.id, user._id);
+    if (resumed) {
+      const { player, room } = resumed;
+      socket.join(room.id);
+
+      socket.emit("player-created", {
+        player: player.toJSON(),
+        user: { walletAddress: user.walletAddress },
+      });
+
+      socket.emit("match-resumed", {
+        roomId: room.id,
+        roomCode: room.code,
+        room: room.toJSON(),
+        playerPosition: player.position,
+        gameResumed: resumed.resumed,
+        timestamp: Date.now(),
+      });
+
+      gameBroadcaster.broadcastPlayerReconnected(room.id, {
+        playerId: player.id,
+        username: player.username,
+        playerPosition: player.position,
+        gameResumed: resumed.resumed,
+      });
+      return;
+    }
 
     // Create player or get existing
     let result = gameService.createPlayer(
@@ -107,14 +178,11 @@ const handlePlayerJoin = async (socket, io, data) => {
 
       socket.emit("game-status", gameService.getGameStats());
     } else {
-      gameBroadcaster.broadcastError(socket.id, { message: result.reason });
+      gameBroadcaster.broadcastError(socket.id, result.code, result.reason);
     }
   } catch (error) {
     console.error("Error in handlePlayerJoin:", error);
-    socket.emit("error", {
-      message: "Failed to join game",
-      type: "SERVER_ERROR",
-    });
+    emitError(socket, "INTERNAL_ERROR", "Failed to join game");
   }
 };
 
@@ -124,104 +192,229 @@ const handlePlayerJoin = async (socket, io, data) => {
  * @returns {boolean} - True if authenticated, false otherwise
  */
 const requireAuth = (socket) => {
-  const authPayload = verifySocketAuth(socket);
-  if (!authPayload) {
-    socket.emit("error", {
-      message: "Authentication required for this action",
-      type: "AUTH_REQUIRED",
-    });
+  const { payload, code } = readSocketAuth(socket);
+  if (!payload) {
+    emitError(socket, code);
     return false;
   }
   return true;
 };
 
 /**
- * Handle finding a match through matchmaking
+ * Rating used for matchmaking; falls back to the default if the DB is unavailable
+ * @param {string} userId - User ID
+ */
+const getMatchmakingRating = async (userId) => {
+  const userResult = await userService.findUserById(userId);
+  return userResult.user?.gameStats?.rating ?? ratingService.defaultRating;
+};
+
+/**
+ * Check a requested game mode, telling the socket when it's unknown
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {string} mode - Key of GameRoom.GAME_MODES
+ * @returns {boolean} True if the mode exists
+ */
+const isValidGameMode = (socket, mode) => {
+  if (GameRoom.GAME_MODES[mode]) return true;
+
+  emitError(
+    socket,
+    "VALIDATION_ERROR",
+    `Mode must be one of: ${Object.keys(GameRoom.GAME_MODES).join(", ")}`
+  );
+  return false;
+};
+
+/**
+ * Handle joining the matchmaking queue
  * @param {Socket} socket - Socket.IO socket instance
  * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - Optional { mode: "1v1" | "2v2" | "ffa", botFallback }
  */
-const handleFindMatch = (socket, io) => {
+const handleFindMatch = async (socket, io, data) => {
   try {
     // Check authentication
     if (!requireAuth(socket)) return;
 
-    const result = gameService.findMatch(socket.id);
+    const player = gameService.getPlayer(socket.id);
+    if (!player) {
+      emitError(socket, "PLAYER_NOT_FOUND");
+      return;
+    }
 
-    if (result.success) {
-      const room = result.room;
-      socket.join(room.id);
+    const mode = data?.mode || "1v1";
+    if (!isValidGameMode(socket, mode)) return;
 
-      // Notify player
-      gameBroadcaster.broadcastRoomJoined(socket.id, {
-        roomId: room.id,
-        roomCode: room.code,
-        players: room.players.map((p) => p.toJSON()),
-        waitingForPlayers: room.maxPlayers - room.players.length,
-        gameMode: "1v1",
-        roomType: "matchmaking",
-      });
+    const party = partyService.getPartyOf(socket.id);
+    if (party) {
+      await queueParty(socket, party, mode);
+      return;
+    }
 
-      // Notify other players in room
-      socket.to(room.id).emit("player-joined-room", {
-        player: gameService.getPlayer(socket.id).toJSON(),
-        waitingForPlayers: room.maxPlayers - room.players.length,
-      });
+    // Pair by rating
+    const rating = await getMatchmakingRating(socket.userId);
+    const result =
+      mode === "2v2"
+        ? gameService.findTeamMatch([player], rating)
+        : gameService.findMatch(socket.id, rating, mode, {
+            botFallback: data?.botFallback === true,
+          });
 
-      // Check if room is full
-      if (room.isFull()) {
-        io.to(room.id).emit("room-full", {
-          message: "Found opponent! Ready up for 1v1 match.",
-          roomId: room.id,
-          timestamp: Date.now(),
-        });
-      }
+    if (result.success) {
+      socket.emit("queue-joined", {
+        type: "queue-joined",
+        message: "Searching for an opponent...",
+        ...result.status,
+        timestamp: Date.now(),
+      });
     } else {
-      gameBroadcaster.broadcastError(socket.id, { message: result.reason });
+      gameBroadcaster.broadcastError(socket.id, result.code, result.reason);
     }
   } catch (error) {
     console.error("Error in handleFindMatch:", error);
-    socket.emit("error", {
-      message: "Failed to find match",
-      type: "SERVER_ERROR",
-    });
+    emitError(socket, "INTERNAL_ERROR", "Failed to find match");
+  }
+};
+
+/**
+ * Queue a whole party for a team mode, rated on its average
+ * @param {Socket} socket - Socket.IO socket of the party leader
+ * @param {Object} party - Party to queue
+ * @param {string} mode - Requested game mode
+ */
+const queueParty = async (socket, party, mode) => {
+  if (mode !== "2v2") {
+    emitError(
+      socket,
+      "PARTY_MODE_MISMATCH",
+      `Leave your party to search for a ${mode} match`
+    );
+    return;
+  }
+
+  if (party.leaderId !== socket.id) {
+    emitError(
+      socket,
+      "NOT_PARTY_LEADER",
+      "Only the party leader can start a search"
+    );
+    return;
+  }
+
+  const ratings = await Promise.all(
+    party.members.map((member) => getMatchmakingRating(member.userId))
+  );
+  const rating = Math.round(
+    ratings.reduce((sum, memberRating) => sum + memberRating, 0) /
+      ratings.length
+  );
+
+  const result = gameService.findTeamMatch(party.members, rating, party.id);
+  if (!result.success) {
+    gameBroadcaster.broadcastError(socket.id, result.code, result.reason);
+    return;
+  }
+
+  gameBroadcaster.emitToSockets(
+    party.members.map((member) => member.id),
+    "queue-joined",
+    {
+      type: "queue-joined",
+      message: "Searching for opponents...",
+      partyId: party.id,
+      ...result.status,
+      timestamp: Date.now(),
+    }
+  );
+};
+
+/**
+ * Handle leaving the matchmaking queue
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ */
+const handleCancelFindMatch = (socket, io) => {
+  try {
+    const result = gameService.cancelFindMatch(socket.id);
+
+    if (result.success) {
+      socket.emit("queue-left", {
+        type: "queue-left",
+        waitedMs: result.waitedMs,
+        timestamp: Date.now(),
+      });
+    } else {
+      gameBroadcaster.broadcastError(socket.id, result.code, result.reason);
+    }
+  } catch (error) {
+    console.error("Error in handleCancelFindMatch:", error);
+    emitError(socket, "INTERNAL_ERROR", "Failed to cancel matchmaking");
   }
 };
 
+/**
+ * Handle matchmaking queue status request
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ */
+const handleQueueStatus = (socket, io) => {
+  const status = gameService.getQueueStatus(socket.id);
+
+  socket.emit("queue-status", {
+    type: "queue-status",
+    inQueue: !!status,
+    ...status,
+    timestamp: Date.now(),
+  });
+};
+
 /**
  * Handle creating a new game room
  * @param {Socket} socket - Socket.IO socket instance
  * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - Optional gameMode ("1v1", "2v2" or "ffa") and match rules: matchDuration, maxGoals, allowTies, powerups
  */
-const handleCreateRoom = async (socket, io) => {
+const handleCreateRoom = async (socket, io, data = {}) => {
   try {
     // Check authentication
     if (!requireAuth(socket)) return;
 
+    const gameMode = data?.gameMode || "1v1";
+    if (!isValidGameMode(socket, gameMode)) return;
+
+    const rulesResult = gameService.validateRoomRules(data || {});
+    if (!rulesResult.success) {
+      emitError(socket, rulesResult.code, rulesResult.reason);
+      return;
+    }
+
     const player = gameService.getPlayer(socket.id);
     if (!player) {
-      socket.emit("error", {
-        message: "Player not found. Please join the game first.",
-        type: "PLAYER_NOT_FOUND",
-      });
+      emitError(socket, "PLAYER_NOT_FOUND");
       return;
     }
 
     if (player.currentRoom) {
-      socket.emit("error", {
-        message: "You are already in a room",
-        type: "ALREADY_IN_ROOM",
-      });
+      emitError(socket, "ALREADY_IN_ROOM");
       return;
     }
 
-    const room = gameService.createRoom();
+    // Creating a private room takes the player out of matchmaking
+    gameService.cancelFindMatch(socket.id);
+
+    const room = gameService.createRoom({
+      gameMode,
+      rules: rulesResult.rules,
+    });
     const joinResult = room.addPlayer(player);
 
     if (!joinResult.success) {
-      socket.emit("error", {
-        message: joinResult.reason || "Failed to join created room",
-        type: "ROOM_JOIN_ERROR",
-      });
+      emitError(
+        socket,
+        joinResult.code,
+        joinResult.reason || "Failed to join created room"
+      );
       return;
     }
 
@@ -233,14 +426,12 @@ const handleCreateRoom = async (socket, io) => {
       players: room.players.map((p) => p.toJSON()),
       waitingForPlayers: room.maxPlayers - room.players.length,
       gameMode: room.gameMode || "1v1",
+      rules: room.settings.rules,
       roomType: "created",
     });
   } catch (error) {
     console.error("Error in handleCreateRoom:", error);
-    socket.emit("error", {
-      message: "Failed to create room",
-      type: "ROOM_CREATE_ERROR",
-    });
+    emitError(socket, "INTERNAL_ERROR", "Failed to create room");
   }
 };
 
@@ -257,10 +448,7 @@ const handleJoinRoomByCode = async (socket, io, data) => {
 
     const { roomCode } = data;
     if (!roomCode) {
-      socket.emit("error", {
-        message: "Room code is required",
-        type: "VALIDATION_ERROR",
-      });
+      emitError(socket, "VALIDATION_ERROR", "Room code is required");
       return;
     }
 
@@ -277,6 +465,7 @@ const handleJoinRoomByCode = async (socket, io, data) => {
         players: roomData.players,
         waitingForPlayers: roomData.maxPlayers - roomData.players.length,
         gameMode: roomData.gameMode || "1v1",
+        rules: roomData.settings.rules,
         roomType: "code",
       });
 
@@ -294,18 +483,14 @@ const handleJoinRoomByCode = async (socket, io, data) => {
         });
       }
     } else {
-      socket.emit("error", {
-        message: result.reason || "Failed to join room",
-        type: "ROOM_JOIN_ERROR",
+      emitError(socket, result.code, result.reason || "Failed to join room", {
         roomCode: roomCode,
+        ...(result.node && { roomId: result.roomId, node: result.node }),
       });
     }
   } catch (error) {
     console.error("Error in handleJoinRoomByCode:", error);
-    socket.emit("error", {
-      message: "Failed to join room",
-      type: "SERVER_ERROR",
-    });
+    emitError(socket, "INTERNAL_ERROR", "Failed to join room");
   }
 };
 
@@ -335,122 +520,86 @@ const handlePlayerReady = async (socket, io) => {
       });
 
       if (canStart) {
-        const startResult = gameService.startGame(room.id);
-        if (startResult.success) {
-          // Create match in database with wallet addresses
-          try {
-            const [player1, player2] = room.players;
-            const matchResult = await matchService.createMatch(
-              {
-                userId: player1.userId,
-                walletAddress: player1.walletAddress,
-              },
-              {
-                userId: player2.userId,
-                walletAddress: player2.walletAddress,
-              }
-            );
-
-            if (matchResult.success) {
-              await matchService.startMatch(matchResult.match._id);
-              room.matchId = matchResult.match._id;
-            }
-          } catch (error) {
-            console.error("Error creating database match:", error);
-          }
-
-          gameBroadcaster.broadcastGameStarted(room.id, {
-            message: "1v1 Match Starting!",
-            room: startResult.room.toJSON(),
-            matchDuration: startResult.room.settings.matchDuration,
-          });
-        } else {
-          gameBroadcaster.broadcastError(room.id, {
-            message: `Failed to start game: ${startResult.reason}`,
-            type: "GAME_START_ERROR",
-          });
-        }
+        await startRoomGame(room);
       }
     } else {
-      gameBroadcaster.broadcastError(socket.id, {
-        message: result.reason,
-        type: "READY_ERROR",
-      });
+      gameBroadcaster.broadcastError(socket.id, result.code, result.reason);
     }
   } catch (error) {
     console.error("Error in handlePlayerReady:", error);
-    socket.emit("error", {
-      message: "Failed to update ready status",
-      type: "SERVER_ERROR",
-    });
+    emitError(socket, "INTERNAL_ERROR", "Failed to update ready status");
   }
 };
 
 /**
- * Handle game end event
+ * Start a room whose players are all ready and record its match
+ * @param {GameRoom} room - Room that can start
+ */
+const startRoomGame = async (room) => {
+  const startResult = gameService.startGame(room.id);
+  if (!startResult.success) {
+    gameBroadcaster.broadcastError(
+      room.id,
+      startResult.code,
+      `Failed to start game: ${startResult.reason}`
+    );
+    return;
+  }
+
+  await gameService.recordMatch(room);
+
+  gameBroadcaster.broadcastGameStarted(room.id, {
+    message: room.isPractice()
+      ? "Practice Match Starting!"
+      : `${room.gameMode} Match Starting!`,
+    room: startResult.room.toJSON(),
+    matchDuration: startResult.room.settings.rules.matchDuration,
+  });
+};
+
+/**
+ * Handle adding a practice bot: it takes a free seat in the player's waiting
+ * room, or joins them in a new practice room
  * @param {Socket} socket - Socket.IO socket instance
  * @param {Server} io - Socket.IO server instance
- * @param {Object} data - Game end data with final score and duration
+ * @param {Object} data - Optional { difficulty: "easy" | "medium" | "hard" }
  */
-const handleGameEnd = async (socket, io, data) => {
+const handlePlayBot = async (socket, io, data) => {
   try {
-    const player = gameService.getPlayer(socket.id);
-    if (!player?.currentRoom) {
-      socket.emit("error", { message: "Player not in a room" });
+    if (!requireAuth(socket)) return;
+
+    const difficulty = data?.difficulty || "medium";
+    if (!botService.isValidDifficulty(difficulty)) {
+      emitError(
+        socket,
+        "VALIDATION_ERROR",
+        `Difficulty must be one of: ${botService.getDifficulties().join(", ")}`
+      );
       return;
     }
 
-    const room = gameService.getRoom(player.currentRoom);
-    if (!room?.matchId) {
-      socket.emit("error", { message: "No active match found" });
+    const result = gameService.addBot(socket.id, difficulty);
+    if (!result.success) {
+      emitError(socket, result.code, result.reason);
       return;
     }
 
-    const matchResult = await matchService.endMatch(
-      room.matchId,
-      data.finalScore,
-      data.duration,
-      {
-        player1WalletAddress: room.players[0]?.walletAddress,
-        player2WalletAddress: room.players[1]?.walletAddress,
-      }
-    );
-    if (matchResult.success) {
-      // Update user stats
-      const [player1, player2] = room.players;
-      const winner = matchResult.match.result.winner;
-      const winnerWalletAddress = matchResult.match.result.winnerWalletAddress;
-
-      const updateStats = async (player, isWinner) => {
-        if (player.userId) {
-          const outcome = isWinner
-            ? "win"
-            : winner === "draw"
-            ? "draw"
-            : "loss";
-          await userService.updateUserMatchStats(player.userId, { outcome });
-        }
-      };
-
-      await Promise.all([
-        updateStats(player1, winner === player1.userId),
-        updateStats(player2, winner === player2.userId),
-      ]);
-
-      io.to(room.id).emit("match-ended", {
-        message: "Match completed!",
-        finalScore: data.finalScore,
-        duration: data.duration,
-        matchId: room.matchId,
-        winner: winner,
-        winnerWalletAddress: winnerWalletAddress,
-        player1WalletAddress: room.players[0]?.walletAddress,
-        player2WalletAddress: room.players[1]?.walletAddress,
-      });
+    const { room, bot } = result;
+    socket.join(room.id);
+
+    gameBroadcaster.broadcastBotJoined(room.id, {
+      bot: bot.toJSON(),
+      room: room.toJSON(),
+      waitingForPlayers: room.maxPlayers - room.players.length,
+    });
+
+    // The bot is always ready; a player who already was starts straight away
+    if (room.canStart()) {
+      await startRoomGame(room);
     }
   } catch (error) {
-    console.error("Error in handleGameEnd:", error);
-    socket.emit("error", { message: "Failed to end match" });
+    console.error("Error in handlePlayBot:", error);
+    emitError(socket, "INTERNAL_ERROR", "Failed to add a bot");
   }
 };
 
@@ -464,17 +613,11 @@ const handleGoalScored = (socket, io, data) => {
   try {
     const result = gameService.handleGameAction(socket.id, "goal", data);
     if (!result.success) {
-      socket.emit("error", {
-        message: result.reason || "Failed to process goal",
-        type: "GOAL_ERROR",
-      });
+      emitError(socket, result.code, result.reason || "Failed to process goal");
     }
   } catch (error) {
     console.error("Error in handleGoalScored:", error);
-    socket.emit("error", {
-      message: "Failed to process goal",
-      type: "SERVER_ERROR",
-    });
+    emitError(socket, "INTERNAL_ERROR", "Failed to process goal");
   }
 };
 
@@ -492,17 +635,15 @@ const handleGameStateUpdate = (socket, io, data) => {
       data
     );
     if (!result.success) {
-      socket.emit("error", {
-        message: result.reason || "Failed to update game state",
-        type: "GAME_STATE_ERROR",
-      });
+      emitError(
+        socket,
+        result.code,
+        result.reason || "Failed to update game state"
+      );
     }
   } catch (error) {
     console.error("Error in handleGameStateUpdate:", error);
-    socket.emit("error", {
-      message: "Failed to update game state",
-      type: "SERVER_ERROR",
-    });
+    emitError(socket, "INTERNAL_ERROR", "Failed to update game state");
   }
 };
 
@@ -514,63 +655,31 @@ const handleGameStateUpdate = (socket, io, data) => {
  */
 const handlePlayerInput = (socket, io, data) => {
   try {
-    const player = gameService.getPlayer(socket.id);
-    if (!player || !player.currentRoom) {
+    // Feed the input into the server-side simulation
+    const result = gameService.handlePlayerInput(socket.id, data);
+    if (!result.success) {
+      if (result.kick) kickForCheating(socket, io);
       return;
     }
 
-    const room = gameService.getRoom(player.currentRoom);
-    if (!room || !room.gameState.isActive) {
-      return;
-    }
+    const { player, room } = result;
 
-    // Relay input to other players in the room for frontend physics
-    socket.to(room.id).emit("player-input", {
+    // Relay input to other players so they can animate the opponent
+    const inputEvent = {
       playerId: player.id,
       username: player.username,
       position: player.position,
       action: data.action,
       input: data,
       timestamp: Date.now(),
-    });
+    };
+    socket.to(room.id).emit("player-input", inputEvent);
+    replayService.record(room.id, "player-input", inputEvent);
   } catch (error) {
     console.error("Error in handlePlayerInput:", error);
   }
 };
 
-/**
- * Handle ball state synchronization from the ball authority
- * @param {Socket} socket - Socket.IO socket instance
- * @param {Server} io - Socket.IO server instance
- * @param {Object} data - Ball state data
- */
-const handleBallState = (socket, io, data) => {
-  try {
-    const player = gameService.getPlayer(socket.id);
-    if (!player || !player.currentRoom) {
-      return;
-    }
-
-    const room = gameService.getRoom(player.currentRoom);
-    if (!room || !room.gameState.isActive) {
-      return;
-    }
-
-    // Only player1 should be sending ball state (ball authority)
-    if (player.position !== "player1") {
-      return;
-    }
-
-    // Relay ball state to other players in the room
-    socket.to(room.id).emit("ball-state", {
-      ball: data.ball,
-      timestamp: data.timestamp,
-    });
-  } catch (error) {
-    console.error("Error in handleBallState:", error);
-  }
-};
-
 /**
  * Handle player position synchronization
  * @param {Socket} socket - Socket.IO socket instance
@@ -614,37 +723,72 @@ const handlePlayerPosition = (socket, io, data) => {
         reason: "Frontend-backend position assignment mismatch",
         action: "Position update REJECTED",
       });
+
+      const { kick } = antiCheatService.flag(
+        player,
+        room,
+        "position-mismatch",
+        { reported: data.position, seated: player.position }
+      );
+      if (kick) kickForCheating(socket, io);
       return;
     }
 
-    console.log(
-      `[POSITION] ✅ Position update accepted for ${player.position}:`,
-      {
-        socketId: socket.id,
-        x: data.player?.x,
-        y: data.player?.y,
-        velocityX: data.player?.velocityX,
-        velocityY: data.player?.velocityY,
-      }
-    );
-
-    // Relay player position to other players in the room
-    socket.to(room.id).emit("player-position", {
-      position: data.position,
-      player: data.player,
-      timestamp: data.timestamp,
-    });
+    // Movement the player couldn't have made is dropped and adds suspicion
+    const verdict = antiCheatService.checkPosition(player, room, data.player);
+    if (verdict.kick) {
+      kickForCheating(socket, io);
+      return;
+    }
+    if (!verdict.allowed) {
+      return;
+    }
 
-    console.log(
-      `[POSITION] Position broadcasted to room ${room.id} (${
-        room.players.length - 1
-      } other players)`
-    );
+    // Positions are simulated on the server and broadcast as snapshots;
+    // keep the client's view only for drift diagnostics
+    player.gameState.lastReported = {
+      x: data.player?.x,
+      y: data.player?.y,
+      velocityX: data.player?.velocityX,
+      velocityY: data.player?.velocityY,
+      timestamp: Date.now(),
+    };
   } catch (error) {
     console.error("Error in handlePlayerPosition:", error);
   }
 };
 
+/**
+ * Remove a player whose suspicion score passed the anti-cheat threshold.
+ * A live match is forfeited, and the seat isn't held for a reconnect.
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ */
+const kickForCheating = (socket, io) => {
+  const result = gameService.leaveRoom(socket.id);
+  if (result.success) {
+    const { room, player } = result;
+    socket.leave(room.id);
+
+    gameBroadcaster.broadcastPlayerLeft(room.id, {
+      playerId: player.id,
+      username: player.username,
+      remainingPlayers: room.players.length,
+      message: `${player.username} was removed from the match`,
+      reason: "kicked",
+    });
+  }
+
+  socket.emit("kicked", {
+    type: "kicked",
+    reason: "anti-cheat",
+    message:
+      "You were disconnected for movement or inputs the game can't produce",
+    timestamp: Date.now(),
+  });
+  socket.disconnect(true);
+};
+
 /**
  * Handle player leaving room
  * @param {Socket} socket - Socket.IO socket instance
@@ -665,81 +809,479 @@ const handleLeaveRoom = (socket, io) => {
         message: `${player.username} left the match`,
       });
     } else {
-      socket.emit("error", {
-        message: result.reason || "Failed to leave room",
-        type: "ROOM_ERROR",
-      });
+      emitError(socket, result.code, result.reason || "Failed to leave room");
     }
   } catch (error) {
     console.error("Error in handleLeaveRoom:", error);
-    socket.emit("error", {
-      message: "Failed to leave room",
-      type: "SERVER_ERROR",
+    emitError(socket, "INTERNAL_ERROR", "Failed to leave room");
+  }
+};
+
+/**
+ * Handle following a tournament's bracket live
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - Data containing tournamentId
+ */
+const handleFollowTournament = async (socket, io, data) => {
+  try {
+    const { tournamentId } = data || {};
+    if (!tournamentId) {
+      emitError(socket, "VALIDATION_ERROR", "Tournament ID is required");
+      return;
+    }
+
+    const result = await tournamentService.getTournament(tournamentId);
+    if (!result.success) {
+      emitError(socket, result.code, result.error);
+      return;
+    }
+
+    socket.join(tournamentService.channel(tournamentId));
+    socket.emit("tournament-state", {
+      tournament: result.tournament,
+      timestamp: Date.now(),
     });
+  } catch (error) {
+    console.error("Error in handleFollowTournament:", error);
+    emitError(socket, "INTERNAL_ERROR", "Failed to follow tournament");
   }
 };
 
 /**
- * Handle powerup spawned by any player
+ * Handle unfollowing a tournament
  * @param {Socket} socket - Socket.IO socket instance
  * @param {Server} io - Socket.IO server instance
- * @param {Object} data - Powerup spawn data
+ * @param {Object} data - Data containing tournamentId
  */
-const handlePowerupSpawned = (socket, io, data) => {
+const handleUnfollowTournament = (socket, io, data) => {
+  const { tournamentId } = data || {};
+  if (!tournamentId) return;
+
+  socket.leave(tournamentService.channel(tournamentId));
+  socket.emit("tournament-unfollowed", { tournamentId });
+};
+
+/**
+ * Handle challenging a friend to a private match
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - walletAddress of the friend, plus optional match rules
+ */
+const handleChallenge = async (socket, io, data) => {
   try {
+    if (!requireAuth(socket)) return;
+
+    const { walletAddress, ...ruleOptions } = data || {};
+    if (!walletAddress || typeof walletAddress !== "string") {
+      emitError(socket, "VALIDATION_ERROR", "Wallet address is required");
+      return;
+    }
+
+    const rulesResult = gameService.validateRoomRules(ruleOptions);
+    if (!rulesResult.success) {
+      emitError(socket, rulesResult.code, rulesResult.reason);
+      return;
+    }
+
     const player = gameService.getPlayer(socket.id);
-    if (!player || !player.currentRoom) {
+    if (!player) {
+      emitError(socket, "PLAYER_NOT_FOUND");
       return;
     }
 
-    const room = gameService.getRoom(player.currentRoom);
-    if (!room || !room.gameState.isActive) {
+    const presence = gameService.getPresence(socket.userId);
+    if (["playing", "in-room"].includes(presence.status)) {
+      emitError(
+        socket,
+        "PLAYER_BUSY",
+        "Leave your room before challenging someone"
+      );
+      return;
+    }
+
+    const userResult = await userService.findUserByWallet(
+      walletAddress.toLowerCase()
+    );
+    const opponent = userResult.user;
+    if (!opponent || opponent._id.toString() === socket.userId.toString()) {
+      emitError(socket, "USER_NOT_FOUND", "Player not found");
       return;
     }
 
-    console.log(`[POWERUP] ${player.position} spawned powerup:`, data);
+    if (!(await friendService.areFriends(socket.userId, opponent._id))) {
+      emitError(socket, "NOT_FRIENDS", "You can only challenge friends");
+      return;
+    }
+
+    if (!gameService.getPresence(opponent._id).online) {
+      emitError(socket, "FRIEND_OFFLINE");
+      return;
+    }
+
+    const result = challengeService.create(
+      player,
+      { userId: opponent._id, walletAddress: opponent.walletAddress },
+      rulesResult.rules
+    );
+    if (!result.success) {
+      emitError(socket, result.code, result.reason);
+      return;
+    }
 
-    // Relay powerup spawn to other players in the room
-    socket.to(room.id).emit("powerup-spawned", {
-      id: data.id,
-      x: data.x,
-      y: data.y,
-      type: data.type,
-      timestamp: data.timestamp,
+    const challenge = challengeService.toJSON(result.challenge);
+    gameBroadcaster.emitToUser(opponent._id, "challenge-received", {
+      ...challenge,
+      timestamp: Date.now(),
     });
+    socket.emit("challenge-sent", { ...challenge, timestamp: Date.now() });
   } catch (error) {
-    console.error("Error in handlePowerupSpawned:", error);
+    console.error("Error in handleChallenge:", error);
+    emitError(socket, "INTERNAL_ERROR", "Failed to send challenge");
   }
 };
 
 /**
- * Handle powerup collected by any player
+ * Handle accepting a challenge - both players are seated in a new room
  * @param {Socket} socket - Socket.IO socket instance
  * @param {Server} io - Socket.IO server instance
- * @param {Object} data - Powerup collection data
+ * @param {Object} data - Data containing challengeId
  */
-const handlePowerupCollected = (socket, io, data) => {
+const handleAcceptChallenge = (socket, io, data) => {
   try {
+    if (!requireAuth(socket)) return;
+
     const player = gameService.getPlayer(socket.id);
-    if (!player || !player.currentRoom) {
+    if (!player) {
+      emitError(socket, "PLAYER_NOT_FOUND");
       return;
     }
 
-    const room = gameService.getRoom(player.currentRoom);
-    if (!room || !room.gameState.isActive) {
+    const result = challengeService.take(data?.challengeId, socket.userId);
+    if (!result.success) {
+      emitError(socket, result.code, result.reason);
+      return;
+    }
+
+    const { challenge } = result;
+    const challenger = gameService.getPlayer(challenge.from.playerId);
+    const seated = challenger
+      ? gameService.seatChallenge(challenger, player, challenge.rules)
+      : { success: false, reason: "Player is no longer connected" };
+
+    if (!seated.success) {
+      challengeService.notify(challenge, "challenge-cancelled", {
+        reason: seated.reason,
+      });
+      return;
+    }
+
+    challengeService.notify(challenge, "challenge-accepted", {
+      roomId: seated.room.id,
+      roomCode: seated.room.code,
+    });
+  } catch (error) {
+    console.error("Error in handleAcceptChallenge:", error);
+    emitError(socket, "INTERNAL_ERROR", "Failed to accept challenge");
+  }
+};
+
+/**
+ * Handle declining a challenge
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - Data containing challengeId
+ */
+const handleDeclineChallenge = (socket, io, data) => {
+  if (!requireAuth(socket)) return;
+
+  const result = challengeService.take(data?.challengeId, socket.userId);
+  if (!result.success) {
+    emitError(socket, result.code, result.reason);
+    return;
+  }
+
+  challengeService.notify(result.challenge, "challenge-declined", {});
+};
+
+/**
+ * Handle withdrawing a challenge before it's answered
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - Data containing challengeId
+ */
+const handleCancelChallenge = (socket, io, data) => {
+  const result = challengeService.cancel(data?.challengeId, socket.id);
+  if (!result.success) {
+    emitError(socket, result.code, result.reason);
+  }
+};
+
+/**
+ * Handle creating a party to queue for team modes with friends
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ */
+const handleCreateParty = (socket, io) => {
+  try {
+    if (!requireAuth(socket)) return;
+
+    const player = gameService.getPlayer(socket.id);
+    if (!player) {
+      emitError(socket, "PLAYER_NOT_FOUND");
+      return;
+    }
+
+    if (gameService.getQueueStatus(socket.id)) {
+      emitError(
+        socket,
+        "PLAYER_BUSY",
+        "Cancel your search before creating a party"
+      );
+      return;
+    }
+
+    const result = partyService.createParty(player);
+    if (!result.success) {
+      emitError(socket, result.code, result.reason);
+      return;
+    }
+
+    socket.emit("party-created", {
+      party: partyService.toJSON(result.party),
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    console.error("Error in handleCreateParty:", error);
+    emitError(socket, "INTERNAL_ERROR", "Failed to create party");
+  }
+};
+
+/**
+ * Handle inviting a friend to the party
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - Data containing the friend's walletAddress
+ */
+const handleInviteToParty = async (socket, io, data) => {
+  try {
+    if (!requireAuth(socket)) return;
+
+    const { walletAddress } = data || {};
+    if (!walletAddress || typeof walletAddress !== "string") {
+      emitError(socket, "VALIDATION_ERROR", "Wallet address is required");
+      return;
+    }
+
+    const player = gameService.getPlayer(socket.id);
+    if (!player) {
+      emitError(socket, "PLAYER_NOT_FOUND");
+      return;
+    }
+
+    const userResult = await userService.findUserByWallet(
+      walletAddress.toLowerCase()
+    );
+    const friend = userResult.user;
+    if (!friend || friend._id.toString() === socket.userId.toString()) {
+      emitError(socket, "USER_NOT_FOUND", "Player not found");
+      return;
+    }
+
+    if (!(await friendService.areFriends(socket.userId, friend._id))) {
+      emitError(socket, "NOT_FRIENDS", "You can only invite friends");
+      return;
+    }
+
+    if (!gameService.getPresence(friend._id).online) {
+      emitError(socket, "FRIEND_OFFLINE");
+      return;
+    }
+
+    const result = partyService.invite(player, {
+      userId: friend._id,
+      walletAddress: friend.walletAddress,
+    });
+    if (!result.success) {
+      emitError(socket, result.code, result.reason);
+      return;
+    }
+
+    socket.emit("party-invite-sent", {
+      party: partyService.toJSON(result.party),
+      to: { userId: friend._id, walletAddress: friend.walletAddress },
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    console.error("Error in handleInviteToParty:", error);
+    emitError(socket, "INTERNAL_ERROR", "Failed to send party invite");
+  }
+};
+
+/**
+ * Handle accepting a party invite
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - Data containing partyId
+ */
+const handleJoinParty = (socket, io, data) => {
+  try {
+    if (!requireAuth(socket)) return;
+
+    const player = gameService.getPlayer(socket.id);
+    if (!player) {
+      emitError(socket, "PLAYER_NOT_FOUND");
+      return;
+    }
+
+    if (gameService.getQueueStatus(socket.id)) {
+      emitError(
+        socket,
+        "PLAYER_BUSY",
+        "Cancel your search before joining a party"
+      );
+      return;
+    }
+
+    // Members are told through party-updated
+    const result = partyService.join(player, data?.partyId);
+    if (!result.success) {
+      emitError(socket, result.code, result.reason);
+    }
+  } catch (error) {
+    console.error("Error in handleJoinParty:", error);
+    emitError(socket, "INTERNAL_ERROR", "Failed to join party");
+  }
+};
+
+/**
+ * Handle declining a party invite
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - Data containing partyId
+ */
+const handleDeclinePartyInvite = (socket, io, data) => {
+  const player = gameService.getPlayer(socket.id);
+  if (!player) return;
+
+  const result = partyService.declineInvite(player, data?.partyId);
+  if (!result.success) {
+    emitError(socket, result.code, result.reason);
+  }
+};
+
+/**
+ * Handle leaving the party
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ */
+const handleLeaveParty = (socket, io) => {
+  const result = partyService.leave(socket.id);
+  if (!result.success) {
+    emitError(socket, result.code, result.reason);
+    return;
+  }
+
+  socket.emit("party-left", {
+    partyId: result.party.id,
+    disbanded: result.disbanded,
+    timestamp: Date.now(),
+  });
+};
+
+/**
+ * Handle a request to watch a room by code or ID
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ * @param {Object} data - { roomCode } or { roomId }
+ */
+const handleSpectateRoom = async (socket, io, data) => {
+  try {
+    // Check authentication
+    if (!requireAuth(socket)) return;
+
+    const { roomId, roomCode } = data || {};
+    if (!roomId && !roomCode) {
+      emitError(socket, "VALIDATION_ERROR", "Room code or room ID is required");
+      return;
+    }
+
+    const previousRoomId = gameService.spectators.get(socket.id);
+    const authPayload = verifySocketAuth(socket);
+    const result = await gameService.spectateRoom(
+      socket.id,
+      { roomId, roomCode },
+      { userId: authPayload.userId, walletAddress: authPayload.address }
+    );
+
+    if (!result.success) {
+      emitError(
+        socket,
+        result.code,
+        result.reason,
+        result.node && { roomId: result.roomId, node: result.node }
+      );
       return;
     }
 
-    console.log(`[POWERUP] ${player.position} collected powerup:`, data);
+    const { room } = result;
 
-    // Relay powerup collection to other players in the room
-    socket.to(room.id).emit("powerup-collected", {
-      id: data.id,
-      collectorPosition: data.collectorPosition,
-      timestamp: data.timestamp,
+    if (previousRoomId && previousRoomId !== room.id) {
+      socket.leave(gameBroadcaster.spectatorChannel(previousRoomId));
+      const previousRoom = gameService.getRoom(previousRoomId);
+      if (previousRoom) {
+        gameBroadcaster.broadcastSpectatorCount(
+          previousRoomId,
+          previousRoom.spectators.size
+        );
+      }
+    }
+
+    socket.join(gameBroadcaster.spectatorChannel(room.id));
+
+    socket.emit("spectating", {
+      roomId: room.id,
+      roomCode: room.code,
+      room: room.toJSON(),
+      delayMs: gameBroadcaster.spectatorDelayMs,
+      timestamp: Date.now(),
+    });
+
+    gameBroadcaster.broadcastSpectatorCount(room.id, result.spectatorCount);
+  } catch (error) {
+    console.error("Error in handleSpectateRoom:", error);
+    emitError(socket, "INTERNAL_ERROR", "Failed to spectate room");
+  }
+};
+
+/**
+ * Handle a spectator leaving the room they watch
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ */
+const handleStopSpectating = (socket, io) => {
+  try {
+    const result = gameService.stopSpectating(socket.id);
+    if (!result.success) {
+      emitError(socket, result.code, result.reason);
+      return;
+    }
+
+    socket.leave(gameBroadcaster.spectatorChannel(result.roomId));
+    socket.emit("spectate-ended", {
+      roomId: result.roomId,
+      reason: "left",
+      timestamp: Date.now(),
     });
+
+    if (result.room) {
+      gameBroadcaster.broadcastSpectatorCount(
+        result.roomId,
+        result.spectatorCount
+      );
+    }
   } catch (error) {
-    console.error("Error in handlePowerupCollected:", error);
+    console.error("Error in handleStopSpectating:", error);
   }
 };
 
@@ -749,6 +1291,33 @@ const handlePowerupCollected = (socket, io, data) => {
  * @param {Server} io - Socket.IO server instance
  */
 const handleDisconnect = (socket, io) => {
+  // Challenges sent from this socket can no longer be accepted
+  challengeService.cancelForPlayer(socket.id);
+  partyService.leave(socket.id, "disconnected");
+
+  // Spectators only need to be dropped from the room they watch
+  const spectator = gameService.stopSpectating(socket.id);
+  if (spectator.success && spectator.room) {
+    gameBroadcaster.broadcastSpectatorCount(
+      spectator.roomId,
+      spectator.spectatorCount
+    );
+  }
+
+  // Live match - hold the seat instead of removing the player
+  const suspended = gameService.suspendPlayer(socket.id);
+  if (suspended) {
+    const { player, room } = suspended;
+    gameBroadcaster.broadcastPlayerReconnecting(room.id, {
+      playerId: player.id,
+      username: player.username,
+      playerPosition: player.position,
+      graceMs: suspended.graceMs,
+      expiresAt: suspended.expiresAt,
+    });
+    return;
+  }
+
   const player = gameService.removePlayer(socket.id);
   if (player?.currentRoom) {
     gameBroadcaster.broadcastPlayerLeft(player.currentRoom, {
@@ -771,30 +1340,25 @@ const handleRequestRematch = async (socket, io) => {
 
     if (!socket.userId) {
       console.warn(`Player ${socket.id} not authenticated for rematch`);
-      socket.emit("error", {
-        message: "Authentication required for rematch",
-        type: "AUTH_REQUIRED",
-      });
+      emitError(socket, "AUTH_REQUIRED", "Authentication required for rematch");
       return;
     }
 
     const player = gameService.getPlayer(socket.id);
     if (!player || !player.currentRoom) {
       console.warn(`Player ${socket.id} not in a room for rematch`);
-      socket.emit("error", {
-        message: "You must be in a room to request rematch",
-        type: "NOT_IN_ROOM",
-      });
+      emitError(
+        socket,
+        "NOT_IN_ROOM",
+        "You must be in a room to request rematch"
+      );
       return;
     }
 
     const room = gameService.getRoom(player.currentRoom);
     if (!room) {
       console.warn(`Room ${player.currentRoom} not found for rematch`);
-      socket.emit("error", {
-        message: "Room not found",
-        type: "ROOM_NOT_FOUND",
-      });
+      emitError(socket, "ROOM_NOT_FOUND");
       return;
     }
 
@@ -802,10 +1366,11 @@ const handleRequestRematch = async (socket, io) => {
       console.warn(
         `Room ${room.id} not finished, cannot rematch (status: ${room.status})`
       );
-      socket.emit("error", {
-        message: "Game must be finished to request rematch",
-        type: "GAME_NOT_FINISHED",
-      });
+      emitError(
+        socket,
+        "GAME_NOT_FINISHED",
+        "Game must be finished to request rematch"
+      );
       return;
     }
 
@@ -849,17 +1414,15 @@ const handleRequestRematch = async (socket, io) => {
       console.error(
         `[REMATCH] ❌ Failed to process rematch request: ${rematchResult.reason}`
       );
-      socket.emit("error", {
-        message: rematchResult.reason || "Failed to request rematch",
-        type: "REMATCH_ERROR",
-      });
+      emitError(
+        socket,
+        rematchResult.code,
+        rematchResult.reason || "Failed to request rematch"
+      );
     }
   } catch (error) {
     console.error("Error in handleRequestRematch:", error);
-    socket.emit("error", {
-      message: "Failed to request rematch",
-      type: "SERVER_ERROR",
-    });
+    emitError(socket, "INTERNAL_ERROR", "Failed to request rematch");
   }
 };
 
@@ -914,10 +1477,7 @@ const handleDeclineRematch = async (socket, io) => {
     }
   } catch (error) {
     console.error("Error in handleDeclineRematch:", error);
-    socket.emit("error", {
-      message: "Failed to decline rematch",
-      type: "SERVER_ERROR",
-    });
+    emitError(socket, "INTERNAL_ERROR", "Failed to decline rematch");
   }
 };
 
@@ -965,6 +1525,9 @@ function initializeSocket(server) {
     allowUpgrades: true,
     perMessageDeflate: false,
     httpCompression: false,
+    // Relay broadcasts to sockets on other nodes when the store is shared;
+    // a single node keeps the default in-memory adapter
+    ...(stateStore.shared && { adapter: createStoreAdapter(stateStore) }),
   });
 
   // Initialize services with Socket.IO instance
@@ -996,16 +1559,47 @@ function initializeSocket(server) {
       });
     }
 
+    // Rate limits and payload schemas (config/socketEvents) come first, so
+    // nothing malformed or flooding reaches a handler
+    socket.use(socketGuard(socket));
+
+    // Spectators are read-only: drop everything except spectator events
+    socket.use(([eventName], next) => {
+      if (
+        gameService.isSpectating(socket.id) &&
+        !SPECTATOR_EVENTS.includes(eventName)
+      ) {
+        emitError(socket, "SPECTATOR_READ_ONLY", undefined, {
+          event: eventName,
+        });
+        return;
+      }
+      next();
+    });
+
+    // Draining for shutdown: games in progress finish, nothing new starts
+    socket.use(([eventName], next) => {
+      if (gameService.draining && NEW_GAME_EVENTS.includes(eventName)) {
+        emitError(socket, "SERVER_SHUTTING_DOWN", undefined, {
+          event: eventName,
+        });
+        return;
+      }
+      next();
+    });
+
     // === Core Game Event Handlers ===
     socket.on("join-game", (data) => handlePlayerJoin(socket, io, data));
-    socket.on("find-match", () => handleFindMatch(socket, io));
-    socket.on("create-room", () => handleCreateRoom(socket, io));
+    socket.on("find-match", (data) => handleFindMatch(socket, io, data));
+    socket.on("cancel-find-match", () => handleCancelFindMatch(socket, io));
+    socket.on("queue-status", () => handleQueueStatus(socket, io));
+    socket.on("create-room", (data) => handleCreateRoom(socket, io, data));
     socket.on("join-room-by-code", (data) =>
       handleJoinRoomByCode(socket, io, data)
     );
     socket.on("player-ready", () => handlePlayerReady(socket, io));
-    socket.on("game-end", (data) => handleGameEnd(socket, io, data));
     socket.on("leave-room", () => handleLeaveRoom(socket, io));
+    socket.on("play-bot", (data) => handlePlayBot(socket, io, data));
     socket.on("request-rematch", () => handleRequestRematch(socket, io));
     socket.on("decline-rematch", () => handleDeclineRematch(socket, io));
 
@@ -1015,7 +1609,7 @@ function initializeSocket(server) {
       handleGameStateUpdate(socket, io, data)
     );
 
-    // === Input relay for frontend physics ===
+    // === Inputs for the server-side simulation ===
     const inputEvents = [
       "move-left",
       "move-right",
@@ -1038,24 +1632,51 @@ function initializeSocket(server) {
       handlePlayerInput(socket, io, data);
     });
 
-    // === Ball State Synchronization ===
-    socket.on("ball-state", (data) => {
-      handleBallState(socket, io, data);
-    });
+    // Note: "ball-state" is no longer accepted from clients - the ball is
+    // simulated in GameService and broadcast as authoritative snapshots
 
     // === Player Position Synchronization ===
     socket.on("player-position", (data) => {
       handlePlayerPosition(socket, io, data);
     });
 
-    // === Powerup Synchronization ===
-    socket.on("powerup-spawned", (data) => {
-      handlePowerupSpawned(socket, io, data);
-    });
+    // Note: "powerup-spawned" / "powerup-collected" are no longer accepted
+    // from clients - powerups are spawned and collected in PowerupService
 
-    socket.on("powerup-collected", (data) => {
-      handlePowerupCollected(socket, io, data);
-    });
+    // === Spectators ===
+    socket.on("spectate-room", (data) => handleSpectateRoom(socket, io, data));
+    socket.on("stop-spectating", () => handleStopSpectating(socket, io));
+
+    // === Friend Challenges ===
+    socket.on("challenge", (data) => handleChallenge(socket, io, data));
+    socket.on("accept-challenge", (data) =>
+      handleAcceptChallenge(socket, io, data)
+    );
+    socket.on("decline-challenge", (data) =>
+      handleDeclineChallenge(socket, io, data)
+    );
+    socket.on("cancel-challenge", (data) =>
+      handleCancelChallenge(socket, io, data)
+    );
+
+    // === Parties ===
+    socket.on("create-party", () => handleCreateParty(socket, io));
+    socket.on("invite-to-party", (data) =>
+      handleInviteToParty(socket, io, data)
+    );
+    socket.on("join-party", (data) => handleJoinParty(socket, io, data));
+    socket.on("decline-party-invite", (data) =>
+      handleDeclinePartyInvite(socket, io, data)
+    );
+    socket.on("leave-party", () => handleLeaveParty(socket, io));
+
+    // === Tournaments ===
+    socket.on("follow-tournament", (data) =>
+      handleFollowTournament(socket, io, data)
+    );
+    socket.on("unfollow-tournament", (data) =>
+      handleUnfollowTournament(socket, io, data)
+    );
 
     // === Connection Management ===
     socket.on("disconnect", (reason) => {
@@ -0,0 +1,231 @@
+const GameRoom = require("../models/gameRoom");
+const physicsService = require("../services/physicsService");
+const botService = require("../services/botService");
+
+/**
+ * @fileoverview Socket Event Rules
+ * @description Payload schema and rate limit for every event a client may send
+ * @module config/socketEvents
+ */
+
+// Schema builders. Objects ignore keys they don't list; every listed key is
+// required unless wrapped in optional().
+const optional = (schema) => ({ ...schema, optional: true });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const string = (rules = {}) => ({ type: "string", maxLength: 100, ...rules });
+const number = (rules = {}) => ({ type: "number", ...rules });
+const integer = (rules = {}) => ({ type: "number", integer: true, ...rules });
+const boolean = () => ({ type: "boolean" });
+const object = (properties = {}) => ({ type: "object", properties });
+
+// Events that carry no data; anything sent along is ignored
+const NO_PAYLOAD = optional(object());
+
+const WALLET_ADDRESS = string({ pattern: /^0x[a-fA-F0-9]{40}$/ });
+const ID = string({ maxLength: 64 });
+const POSITION = string({ enum: GameRoom.FFA_POSITIONS });
+const COORDINATE = number({ min: -10000, max: 10000 });
+
+// Rules a private room or a challenge may set; GameService.validateRoomRules
+// checks their ranges
+const ROOM_RULES = {
+  matchDuration: optional(integer()),
+  maxGoals: optional(nullable(integer())),
+  allowTies: optional(boolean()),
+  powerups: optional(boolean()),
+};
+
+// Token bucket per socket and event: `capacity` events at once, refilled at
+// `refillPerSecond`. Events without their own limit use DEFAULT_RATE.
+const DEFAULT_RATE = { capacity: 5, refillPerSecond: 1 };
+const INPUT_RATE = { capacity: 60, refillPerSecond: 40 };
+
+// Events older clients still send for things the server now owns (the ball,
+// powerups, results). They pass the guard and are dropped, as no handler
+// listens for them.
+const RETIRED = { payload: optional(object()) };
+
+const pressedOnly = {
+  payload: optional(object({ pressed: optional(boolean()) })),
+  rate: INPUT_RATE,
+};
+
+const SOCKET_EVENTS = {
+  // Session and matchmaking
+  "join-game": {
+    payload: NO_PAYLOAD,
+    rate: { capacity: 3, refillPerSecond: 0.2 },
+  },
+  "find-match": {
+    payload: optional(
+      object({
+        mode: optional(string({ enum: Object.keys(GameRoom.GAME_MODES) })),
+        botFallback: optional(boolean()),
+      })
+    ),
+  },
+  "cancel-find-match": { payload: NO_PAYLOAD },
+  "queue-status": { payload: NO_PAYLOAD },
+
+  // Rooms
+  "create-room": {
+    payload: optional(
+      object({
+        gameMode: optional(string({ enum: Object.keys(GameRoom.GAME_MODES) })),
+        ...ROOM_RULES,
+      })
+    ),
+  },
+  "join-room-by-code": {
+    payload: object({ roomCode: string({ pattern: /^[A-Za-z0-9]{6}$/ }) }),
+  },
+  "player-ready": { payload: NO_PAYLOAD },
+  "leave-room": { payload: NO_PAYLOAD },
+  "play-bot": {
+    payload: optional(
+      object({
+        difficulty: optional(string({ enum: botService.getDifficulties() })),
+      })
+    ),
+  },
+  "request-rematch": { payload: NO_PAYLOAD },
+  "decline-rematch": { payload: NO_PAYLOAD },
+
+  // Gameplay
+  "goal-scored": {
+    payload: object({ scorer: POSITION }),
+    rate: { capacity: 5, refillPerSecond: 2 },
+  },
+  "game-state-update": {
+    payload: NO_PAYLOAD,
+    rate: { capacity: 10, refillPerSecond: 5 },
+  },
+  "move-left": pressedOnly,
+  "move-right": pressedOnly,
+  jump: pressedOnly,
+  kick: pressedOnly,
+  "stop-move": pressedOnly,
+  "player-input": {
+    payload: object({
+      action: string({ enum: physicsService.inputActions }),
+      pressed: optional(boolean()),
+    }),
+    rate: INPUT_RATE,
+  },
+  "player-position": {
+    payload: object({
+      position: POSITION,
+      player: object({
+        x: COORDINATE,
+        y: COORDINATE,
+        velocityX: optional(COORDINATE),
+        velocityY: optional(COORDINATE),
+      }),
+    }),
+    rate: { capacity: 90, refillPerSecond: 70 },
+  },
+
+  // Retired
+  "ball-state": { ...RETIRED, rate: { capacity: 90, refillPerSecond: 70 } },
+  "powerup-spawned": { ...RETIRED, rate: { capacity: 10, refillPerSecond: 2 } },
+  "powerup-collected": {
+    ...RETIRED,
+    rate: { capacity: 10, refillPerSecond: 2 },
+  },
+  "game-end": RETIRED,
+
+  // Spectators
+  "spectate-room": {
+    payload: object({ roomId: optional(ID), roomCode: optional(ID) }),
+  },
+  "stop-spectating": { payload: NO_PAYLOAD },
+
+  // Friend challenges
+  challenge: {
+    payload: object({ walletAddress: WALLET_ADDRESS, ...ROOM_RULES }),
+  },
+  "accept-challenge": { payload: object({ challengeId: ID }) },
+  "decline-challenge": { payload: object({ challengeId: ID }) },
+  "cancel-challenge": { payload: object({ challengeId: ID }) },
+
+  // Parties
+  "create-party": { payload: NO_PAYLOAD },
+  "invite-to-party": { payload: object({ walletAddress: WALLET_ADDRESS }) },
+  "join-party": { payload: object({ partyId: ID }) },
+  "decline-party-invite": { payload: object({ partyId: ID }) },
+  "leave-party": { payload: NO_PAYLOAD },
+
+  // Tournaments
+  "follow-tournament": {
+    payload: object({ tournamentId: ID }),
+    rate: { capacity: 10, refillPerSecond: 2 },
+  },
+  "unfollow-tournament": {
+    payload: object({ tournamentId: ID }),
+    rate: { capacity: 10, refillPerSecond: 2 },
+  },
+};
+
+/**
+ * Check a value against a schema
+ * @returns {string|null} What is wrong, naming the field, or null if valid
+ */
+const validatePayload = (schema, value, path = "payload") => {
+  if (value === undefined) {
+    return schema.optional ? null : `${path} is required`;
+  }
+  if (value === null) {
+    return schema.nullable ? null : `${path} must not be null`;
+  }
+
+  switch (schema.type) {
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return `${path} must be an object`;
+      }
+      for (const [key, property] of Object.entries(schema.properties)) {
+        const error = validatePayload(property, value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+      return null;
+    }
+    case "string":
+      if (typeof value !== "string") return `${path} must be a string`;
+      if (value.length > schema.maxLength) {
+        return `${path} must be at most ${schema.maxLength} characters`;
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of: ${schema.enum.join(", ")}`;
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return `${path} is not in the expected format`;
+      }
+      return null;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return `${path} must be a number`;
+      }
+      if (schema.integer && !Number.isInteger(value)) {
+        return `${path} must be a whole number`;
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return `${path} must be at least ${schema.min}`;
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        return `${path} must be at most ${schema.max}`;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean"
+        ? null
+        : `${path} must be true or false`;
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  SOCKET_EVENTS,
+  DEFAULT_RATE,
+  validatePayload,
+};
@@ -0,0 +1,57 @@
+const os = require("os");
+const crypto = require("crypto");
+const MemoryStore = require("../stores/memoryStore");
+const RedisStore = require("../stores/redisStore");
+
+/**
+ * @fileoverview State Store
+ * @description Picks the state store shared between nodes and names this node
+ * @module config/stateStore
+ */
+
+/**
+ * Every store has the same async interface; values are anything JSON can hold:
+ *   get(key) -> value or null
+ *   set(key, value, { ttlMs, onlyIfAbsent }) -> false if onlyIfAbsent and the key exists
+ *   del(key)
+ *   expire(key, ttlMs) -> false if the key doesn't exist
+ *   publish(channel, message)
+ *   subscribe(channel, handler) -> async unsubscribe()
+ *   close()
+ * `shared` tells whether other nodes see the same data.
+ *
+ * STATE_STORE=memory (default) keeps everything in this process, which is
+ * all a single node needs. STATE_STORE=redis uses REDIS_URL, and is what
+ * lets several nodes run behind one load balancer.
+ */
+const createStateStore = () => {
+  const type = (process.env.STATE_STORE || "memory").toLowerCase();
+
+  if (type === "redis") {
+    const url = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+    console.log(`State store: Redis at ${new URL(url).host}`);
+    return new RedisStore(url, { prefix: process.env.REDIS_PREFIX });
+  }
+
+  if (type !== "memory") {
+    throw new Error(`Unknown STATE_STORE "${type}" (use memory or redis)`);
+  }
+  return new MemoryStore();
+};
+
+const stateStore = createStateStore();
+
+// Unique per process, so a restarted node never inherits the old one's rooms
+const nodeId =
+  process.env.NODE_ID ||
+  `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+
+// Where clients reach this node directly, sent when a room lives here and
+// the client is connected elsewhere
+const nodeUrl = process.env.NODE_URL || null;
+
+module.exports = {
+  stateStore,
+  nodeId,
+  nodeUrl,
+};
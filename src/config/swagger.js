@@ -58,12 +58,26 @@ const options = {
                 losses: { type: "number" },
                 draws: { type: "number" },
                 totalMatches: { type: "number" },
+                forfeits: { type: "number" },
+                rating: { type: "number", description: "Elo rating" },
                 matchHistory: {
                   type: "array",
                   items: { type: "string" },
                 },
               },
             },
+            seasonStats: {
+              type: "object",
+              description: "Counters for the active season",
+              properties: {
+                season: { type: "string", description: "Season ID" },
+                wins: { type: "number" },
+                losses: { type: "number" },
+                draws: { type: "number" },
+                totalMatches: { type: "number" },
+                forfeits: { type: "number" },
+              },
+            },
 
             joinedAt: {
               type: "string",
@@ -108,15 +122,155 @@ const options = {
         },
         Error: {
           type: "object",
+          description:
+            "Error model shared with socket `error` events; see src/config/errorCodes.js for every code",
           properties: {
-            error: {
+            success: { type: "boolean", example: false },
+            code: {
               type: "string",
-              description: "Error message",
+              description: "Stable machine-readable error code",
+              example: "ROOM_NOT_FOUND",
             },
             message: {
               type: "string",
-              description: "Detailed error description",
+              description: "English description of the error",
+              example: "Room not found",
+            },
+            messageKey: {
+              type: "string",
+              description: "Translation key for the message",
+              example: "errors.room_not_found",
+            },
+            details: {
+              type: "object",
+              description: "Structured data about the error, when there is any",
+            },
+          },
+        },
+        Season: {
+          type: "object",
+          properties: {
+            _id: { type: "string", description: "Season ID" },
+            number: { type: "number", example: 3 },
+            name: { type: "string", example: "Season 3" },
+            startsAt: { type: "string", format: "date-time" },
+            endsAt: { type: "string", format: "date-time" },
+            status: { type: "string", enum: ["active", "archived"] },
+            archivedAt: { type: "string", format: "date-time" },
+          },
+        },
+        LeaderboardEntry: {
+          type: "object",
+          properties: {
+            rank: { type: "number", description: "1-based position" },
+            userId: { type: "string" },
+            walletAddress: { type: "string" },
+            rating: { type: "number", description: "Current Elo rating" },
+            matchesPlayed: { type: "number" },
+            wins: { type: "number" },
+            losses: { type: "number" },
+            draws: { type: "number" },
+            goalsFor: { type: "number" },
+            goalsAgainst: { type: "number" },
+            goalDifference: { type: "number" },
+            winRate: {
+              type: "number",
+              description: "Wins divided by matches played (0..1)",
+            },
+          },
+        },
+        Tournament: {
+          type: "object",
+          properties: {
+            _id: { type: "string", description: "Tournament ID" },
+            name: { type: "string", example: "Friday Cup" },
+            format: {
+              type: "string",
+              enum: ["single-elimination", "double-elimination"],
+            },
+            size: { type: "number", enum: [8, 16, 32] },
+            status: {
+              type: "string",
+              enum: ["registration", "in-progress", "completed", "cancelled"],
+            },
+            createdBy: { type: "string" },
+            participants: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  user: { type: "string" },
+                  walletAddress: { type: "string" },
+                  seed: { type: "number", description: "1 is the top seed" },
+                  winRate: { type: "number" },
+                  losses: { type: "number" },
+                  eliminated: { type: "boolean" },
+                },
+              },
             },
+            bracket: {
+              type: "array",
+              description: "Left out of list responses",
+              items: {
+                type: "object",
+                properties: {
+                  key: { type: "string", example: "W1-1" },
+                  bracket: {
+                    type: "string",
+                    enum: ["winners", "losers", "grand-final"],
+                  },
+                  round: { type: "number" },
+                  index: { type: "number" },
+                  player1: { type: "string" },
+                  player2: { type: "string" },
+                  status: {
+                    type: "string",
+                    enum: ["pending", "ready", "playing", "finished"],
+                  },
+                  winner: { type: "string" },
+                  decidedBy: {
+                    type: "string",
+                    enum: ["played", "forfeit", "no-show", "bye", "tiebreak"],
+                  },
+                  score: { type: "object" },
+                  match: { type: "string", description: "Match ID" },
+                  roomCode: { type: "string" },
+                  deadline: { type: "string", format: "date-time" },
+                },
+              },
+            },
+            champion: { type: "string" },
+            startedAt: { type: "string", format: "date-time" },
+            endedAt: { type: "string", format: "date-time" },
+          },
+        },
+        Friend: {
+          type: "object",
+          properties: {
+            userId: { type: "string" },
+            walletAddress: { type: "string" },
+            since: { type: "string", format: "date-time" },
+            online: { type: "boolean" },
+            status: {
+              type: "string",
+              enum: [
+                "offline",
+                "idle",
+                "searching",
+                "spectating",
+                "in-room",
+                "playing",
+              ],
+            },
+          },
+        },
+        FriendRequest: {
+          type: "object",
+          properties: {
+            requestId: { type: "string" },
+            userId: { type: "string", description: "The other user" },
+            walletAddress: { type: "string" },
+            createdAt: { type: "string", format: "date-time" },
           },
         },
         AuthResponse: {
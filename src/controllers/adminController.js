@@ -0,0 +1,266 @@
+const reconciliationService = require("../services/reconciliationService");
+const adminService = require("../services/adminService");
+const { sendError, sendFailure } = require("../config/errorCodes");
+
+const WALLET_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+
+// Longest kick or ban reason, in characters
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Why a kick or ban reason is rejected, or null
+ */
+const checkReason = (reason) => {
+  if (reason === undefined || reason === null) return null;
+  if (typeof reason !== "string" || reason.length > MAX_REASON_LENGTH) {
+    return `reason must be a string of at most ${MAX_REASON_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Report of the last orphaned-match reconciliation
+ * @route GET /api/admin/reconciliation
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const report = reconciliationService.getLastReport();
+
+    res.json({
+      success: true,
+      message: report
+        ? "Reconciliation report retrieved successfully"
+        : "Reconciliation has not run yet",
+      data: report,
+    });
+  } catch (error) {
+    console.error("Error getting reconciliation report:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Every room on this node with its full state
+ * @route GET /api/admin/rooms
+ */
+const listRooms = async (req, res) => {
+  try {
+    const result = await adminService.listRooms();
+
+    res.json({
+      success: true,
+      message: "Rooms retrieved successfully",
+      data: { nodeId: result.nodeId, rooms: result.rooms },
+    });
+  } catch (error) {
+    console.error("Error listing rooms:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * End a live match with a chosen outcome
+ * @route POST /api/admin/rooms/:roomId/end
+ */
+const endMatch = async (req, res) => {
+  try {
+    const result = await adminService.forceEndMatch(
+      req.params.roomId,
+      req.body?.outcome
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Match ended",
+      data: { room: result.room, matchId: result.matchId },
+    });
+  } catch (error) {
+    console.error("Error ending match:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Close a room
+ * @route POST /api/admin/rooms/:roomId/close
+ */
+const closeRoom = async (req, res) => {
+  try {
+    const result = await adminService.closeRoom(req.params.roomId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Room closed",
+      data: { roomId: result.roomId },
+    });
+  } catch (error) {
+    console.error("Error closing room:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * A user's account and live sessions
+ * @route GET /api/admin/players/:walletAddress
+ */
+const getPlayer = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    if (!WALLET_ADDRESS.test(walletAddress)) {
+      return sendError(res, "VALIDATION_ERROR", "Invalid wallet address");
+    }
+
+    const result = await adminService.inspectPlayer(walletAddress);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Player retrieved successfully",
+      data: result.player,
+    });
+  } catch (error) {
+    console.error("Error inspecting player:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Disconnect a player
+ * @route POST /api/admin/players/:walletAddress/kick
+ */
+const kickPlayer = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    const { reason } = req.body || {};
+    if (!WALLET_ADDRESS.test(walletAddress)) {
+      return sendError(res, "VALIDATION_ERROR", "Invalid wallet address");
+    }
+    const reasonError = checkReason(reason);
+    if (reasonError) {
+      return sendError(res, "VALIDATION_ERROR", reasonError);
+    }
+
+    const result = await adminService.kickPlayer(walletAddress, reason);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Player kicked",
+      data: { walletAddress: result.walletAddress },
+    });
+  } catch (error) {
+    console.error("Error kicking player:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Ban a wallet
+ * @route PUT /api/admin/players/:walletAddress/ban
+ */
+const banPlayer = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    const { reason, durationMinutes } = req.body || {};
+    if (!WALLET_ADDRESS.test(walletAddress)) {
+      return sendError(res, "VALIDATION_ERROR", "Invalid wallet address");
+    }
+    const reasonError = checkReason(reason);
+    if (reasonError) {
+      return sendError(res, "VALIDATION_ERROR", reasonError);
+    }
+
+    const result = await adminService.banPlayer(
+      walletAddress,
+      { reason, durationMinutes },
+      req.user.address
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Player banned",
+      data: { walletAddress: result.walletAddress, ban: result.ban },
+    });
+  } catch (error) {
+    console.error("Error banning player:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Lift a wallet's ban
+ * @route DELETE /api/admin/players/:walletAddress/ban
+ */
+const unbanPlayer = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    if (!WALLET_ADDRESS.test(walletAddress)) {
+      return sendError(res, "VALIDATION_ERROR", "Invalid wallet address");
+    }
+
+    const result = await adminService.unbanPlayer(walletAddress);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Ban lifted",
+      data: { walletAddress: result.walletAddress },
+    });
+  } catch (error) {
+    console.error("Error lifting ban:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Send a message to every connected client
+ * @route POST /api/admin/broadcast
+ */
+const broadcastMessage = async (req, res) => {
+  try {
+    const { message, level } = req.body || {};
+    const result = adminService.broadcastMessage(message, level);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({ success: true, message: "Message sent" });
+  } catch (error) {
+    console.error("Error broadcasting message:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+module.exports = {
+  getReconciliationReport,
+  listRooms,
+  endMatch,
+  closeRoom,
+  getPlayer,
+  kickPlayer,
+  banPlayer,
+  unbanPlayer,
+  broadcastMessage,
+};
@@ -1,5 +1,6 @@
 const authService = require("../services/authService");
 const { SiweMessage } = require("siwe");
+const { sendError, sendFailure } = require("../config/errorCodes");
 
 /**
  * @fileoverview Authentication Controller
@@ -24,10 +25,11 @@ const generateNonce = async (req, res) => {
     // Validate required SIWE fields
     if (!siweMessageData.domain || !siweMessageData.address) {
       console.error("Missing required fields:", siweMessageData);
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields: domain and address",
-      });
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        "Missing required fields: domain and address"
+      );
     }
 
     // Use IP + address as unique identifier
@@ -41,10 +43,7 @@ const generateNonce = async (req, res) => {
 
     if (!result.success) {
       console.error("Nonce generation failed:", result.error);
-      return res.status(400).json({
-        success: false,
-        message: result.error,
-      });
+      return sendFailure(res, result);
     }
 
     console.log("Nonce generated successfully:", result.nonce);
@@ -52,10 +51,7 @@ const generateNonce = async (req, res) => {
     res.status(200).send(result.nonce);
   } catch (error) {
     console.error("Error generating nonce:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-    });
+    sendError(res, "INTERNAL_ERROR");
   }
 };
 
@@ -73,10 +69,7 @@ const verifySignature = async (req, res) => {
     console.log("Signature:", signature);
 
     if (!message || !signature) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing message or signature",
-      });
+      return sendError(res, "VALIDATION_ERROR", "Missing message or signature");
     }
 
     // Extract address from SIWE message for consistent identification
@@ -90,10 +83,11 @@ const verifySignature = async (req, res) => {
       console.log("User identifier:", userIdentifier);
     } catch (error) {
       console.error("SIWE message parsing error:", error);
-      return res.status(400).json({
-        success: false,
-        message: "Invalid SIWE message format: " + error.message,
-      });
+      return sendError(
+        res,
+        "SIWE_MESSAGE_INVALID",
+        "Invalid SIWE message format: " + error.message
+      );
     }
 
     // Verify signature and generate token
@@ -105,10 +99,7 @@ const verifySignature = async (req, res) => {
 
     if (!result.success) {
       console.error("Authentication failed:", result.error);
-      return res.status(401).json({
-        success: false,
-        message: result.error,
-      });
+      return sendFailure(res, result);
     }
 
     console.log("Authentication successful for:", result.address);
@@ -129,10 +120,7 @@ const verifySignature = async (req, res) => {
     });
   } catch (error) {
     console.error("Auth verification error:", error);
-    res.status(401).json({
-      success: false,
-      message: error.message || "Authentication failed",
-    });
+    sendError(res, "INTERNAL_ERROR", error.message || "Authentication failed");
   }
 };
 
@@ -186,10 +174,7 @@ const testCookie = async (req, res) => {
     });
   } catch (error) {
     console.error("Test cookie error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to set test cookie",
-    });
+    sendError(res, "INTERNAL_ERROR", "Failed to set test cookie");
   }
 };
 
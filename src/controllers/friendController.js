@@ -0,0 +1,181 @@
+const friendService = require("../services/friendService");
+const { sendError, sendFailure } = require("../config/errorCodes");
+
+/**
+ * List the authenticated user's friends with online presence
+ * @route GET /api/friends
+ */
+const listFriends = async (req, res) => {
+  try {
+    const result = await friendService.listFriends(req.user.userId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Friends retrieved successfully",
+      data: {
+        friends: result.friends,
+        online: result.online,
+      },
+    });
+  } catch (error) {
+    console.error("Error listing friends:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * List pending friend requests sent to and by the authenticated user
+ * @route GET /api/friends/requests
+ */
+const listRequests = async (req, res) => {
+  try {
+    const result = await friendService.listRequests(req.user.userId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Friend requests retrieved successfully",
+      data: {
+        incoming: result.incoming,
+        outgoing: result.outgoing,
+      },
+    });
+  } catch (error) {
+    console.error("Error listing friend requests:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Send a friend request
+ * @route POST /api/friends/requests
+ * @body {string} walletAddress - Wallet address of the user to add
+ */
+const sendRequest = async (req, res) => {
+  try {
+    const { walletAddress } = req.body || {};
+
+    if (!walletAddress || !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        "A valid wallet address is required"
+      );
+    }
+
+    const result = await friendService.sendRequest(
+      req.user.userId,
+      walletAddress
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.status(result.accepted ? 200 : 201).json({
+      success: true,
+      message: result.accepted
+        ? "They had already sent you a request - you are now friends"
+        : "Friend request sent",
+      data: result.friendship,
+    });
+  } catch (error) {
+    console.error("Error sending friend request:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Accept a friend request
+ * @route POST /api/friends/requests/:requestId/accept
+ * @param {string} requestId - Friend request ID
+ */
+const acceptRequest = async (req, res) => {
+  try {
+    const result = await friendService.acceptRequest(
+      req.user.userId,
+      req.params.requestId
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Friend request accepted",
+      data: result.friendship,
+    });
+  } catch (error) {
+    console.error("Error accepting friend request:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Decline a friend request
+ * @route POST /api/friends/requests/:requestId/decline
+ * @param {string} requestId - Friend request ID
+ */
+const declineRequest = async (req, res) => {
+  try {
+    const result = await friendService.declineRequest(
+      req.user.userId,
+      req.params.requestId
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Friend request declined",
+    });
+  } catch (error) {
+    console.error("Error declining friend request:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Remove a friend or withdraw a sent request
+ * @route DELETE /api/friends/:userId
+ * @param {string} userId - User ID of the friend
+ */
+const removeFriend = async (req, res) => {
+  try {
+    const result = await friendService.removeFriend(
+      req.user.userId,
+      req.params.userId
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Friend removed",
+    });
+  } catch (error) {
+    console.error("Error removing friend:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+module.exports = {
+  listFriends,
+  listRequests,
+  sendRequest,
+  acceptRequest,
+  declineRequest,
+  removeFriend,
+};
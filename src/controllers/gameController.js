@@ -1,4 +1,7 @@
 const gameService = require("../services/gameService");
+const { getEventCounters } = require("../middlewares/socket_guard.middleware");
+const clusterService = require("../services/clusterService");
+const { sendError } = require("../config/errorCodes");
 
 /**
  * Get live game statistics
@@ -11,14 +14,11 @@ const getStats = async (req, res) => {
     res.json({
       success: true,
       message: "Live game statistics retrieved successfully",
-      data: stats,
+      data: { ...stats, socketEvents: getEventCounters() },
     });
   } catch (error) {
     console.error("Error getting live game stats:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
+    sendError(res, "INTERNAL_ERROR", error.message);
   }
 };
 
@@ -35,19 +35,22 @@ const getRoomCode = async (req, res) => {
     const room = roomManager.getRoom(roomId);
 
     if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: "Room not found",
+      // Hosted by another node: only its directory entry is known here
+      const remote = await clusterService.findRemoteRoom({ roomId });
+      if (!remote) return sendError(res, "ROOM_NOT_FOUND");
+
+      return res.json({
+        success: true,
+        roomCode: remote.code,
+        roomId,
+        node: { nodeId: remote.nodeId, nodeUrl: remote.nodeUrl },
       });
     }
 
     const roomCode = roomManager.getCodeForRoom(roomId);
 
     if (!roomCode) {
-      return res.status(500).json({
-        success: false,
-        message: "Room code not available",
-      });
+      return sendError(res, "ROOM_CODE_UNAVAILABLE");
     }
 
     res.json({
@@ -58,17 +61,36 @@ const getRoomCode = async (req, res) => {
       maxPlayers: room.maxPlayers,
       status: room.status,
       gameMode: room.gameMode,
+      node: { nodeId: clusterService.nodeId, nodeUrl: clusterService.nodeUrl },
     });
   } catch (error) {
     console.error("Error getting room code:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * List live matches that can be spectated
+ * @route GET /api/game/live
+ */
+const getLiveMatches = async (req, res) => {
+  try {
+    const matches = gameService.getLiveMatches();
+
+    res.json({
+      success: true,
+      message: "Live matches retrieved successfully",
+      data: matches,
+      total: matches.length,
     });
+  } catch (error) {
+    console.error("Error getting live matches:", error);
+    sendError(res, "INTERNAL_ERROR");
   }
 };
 
 module.exports = {
   getStats,
   getRoomCode,
+  getLiveMatches,
 };
@@ -0,0 +1,170 @@
+const leaderboardService = require("../services/leaderboardService");
+const seasonService = require("../services/seasonService");
+const { sendError, sendFailure } = require("../config/errorCodes");
+
+/**
+ * Validate shared leaderboard query parameters
+ * @returns {Object} { options } or { error } message
+ */
+const parseLeaderboardQuery = (query) => {
+  const { window = "all", sortBy = "wins", minMatches = 1 } = query;
+
+  if (!leaderboardService.timeWindows.includes(window)) {
+    return {
+      error: `Window must be one of: ${leaderboardService.timeWindows.join(
+        ", "
+      )}`,
+    };
+  }
+
+  if (!leaderboardService.sortFields.includes(sortBy)) {
+    return {
+      error: `sortBy must be one of: ${leaderboardService.sortFields.join(
+        ", "
+      )}`,
+    };
+  }
+
+  const minMatchesNum = parseInt(minMatches);
+  if (isNaN(minMatchesNum) || minMatchesNum <= 0) {
+    return { error: "minMatches must be a positive number" };
+  }
+
+  return { options: { window, sortBy, minMatches: minMatchesNum } };
+};
+
+/**
+ * Point the "season" window at the active season
+ * @returns {Object|null} Failed service result if the active season can't be loaded
+ */
+const resolveSeason = async (options) => {
+  if (options.window !== "season") return null;
+
+  const result = await seasonService.getActiveSeason();
+  if (!result.success) return result;
+
+  options.seasonId = result.season._id;
+  return null;
+};
+
+/**
+ * Get leaderboard
+ * @route GET /api/leaderboard
+ * @query {string} window - all, season (active season) or week (default: all)
+ * @query {string} sortBy - wins, winRate, goalDifference or matchesPlayed (default: wins)
+ * @query {number} minMatches - Minimum matches in the window to be ranked (default: 1)
+ * @query {number} limit - Number of players per page (default: 20, max: 100)
+ * @query {number} page - Page number (default: 1)
+ */
+const getLeaderboard = async (req, res) => {
+  try {
+    const { limit = 20, page = 1 } = req.query;
+
+    const { options, error } = parseLeaderboardQuery(req.query);
+    if (error) {
+      return sendError(res, "VALIDATION_ERROR", error);
+    }
+
+    const limitNum = parseInt(limit);
+    const pageNum = parseInt(page);
+
+    if (isNaN(limitNum) || limitNum <= 0 || limitNum > 100) {
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        "Limit must be a number between 1 and 100"
+      );
+    }
+
+    if (isNaN(pageNum) || pageNum <= 0) {
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        "Page must be a positive number"
+      );
+    }
+
+    const seasonFailure = await resolveSeason(options);
+    if (seasonFailure) {
+      return sendFailure(res, seasonFailure);
+    }
+
+    const result = await leaderboardService.getLeaderboard({
+      ...options,
+      limit: limitNum,
+      page: pageNum,
+    });
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Leaderboard retrieved successfully",
+      data: {
+        window: result.window,
+        seasonId: options.seasonId || null,
+        sortBy: result.sortBy,
+        entries: result.entries,
+      },
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Error getting leaderboard:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Get the authenticated user's rank
+ * @route GET /api/leaderboard/me
+ * @query {string} window - all, season (active season) or week (default: all)
+ * @query {string} sortBy - wins, winRate, goalDifference or matchesPlayed (default: wins)
+ * @query {number} minMatches - Minimum matches in the window to be ranked (default: 1)
+ */
+const getMyRank = async (req, res) => {
+  try {
+    const { options, error } = parseLeaderboardQuery(req.query);
+    if (error) {
+      return sendError(res, "VALIDATION_ERROR", error);
+    }
+
+    const seasonFailure = await resolveSeason(options);
+    if (seasonFailure) {
+      return sendFailure(res, seasonFailure);
+    }
+
+    const result = await leaderboardService.getUserRank(
+      req.user.userId,
+      options
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: result.ranked
+        ? "Rank retrieved successfully"
+        : "No ranked matches in this window",
+      data: {
+        window: result.window,
+        seasonId: options.seasonId || null,
+        sortBy: result.sortBy,
+        ranked: result.ranked,
+        entry: result.entry || null,
+        totalRanked: result.total,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting user rank:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+module.exports = {
+  getLeaderboard,
+  getMyRank,
+};
@@ -1,4 +1,8 @@
+const zlib = require("zlib");
+const { Readable, pipeline } = require("stream");
 const matchService = require("../services/matchService");
+const replayService = require("../services/replayService");
+const { sendError, sendFailure } = require("../config/errorCodes");
 
 /**
  * Get match by ID
@@ -10,19 +14,13 @@ const getMatchById = async (req, res) => {
     const { matchId } = req.params;
 
     if (!matchId) {
-      return res.status(400).json({
-        success: false,
-        message: "Match ID is required",
-      });
+      return sendError(res, "VALIDATION_ERROR", "Match ID is required");
     }
 
     const result = await matchService.getMatchById(matchId);
 
     if (!result.success) {
-      return res.status(404).json({
-        success: false,
-        message: result.error,
-      });
+      return sendFailure(res, result);
     }
 
     res.json({
@@ -32,10 +30,7 @@ const getMatchById = async (req, res) => {
     });
   } catch (error) {
     console.error("Error getting match by ID:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-    });
+    sendError(res, "INTERNAL_ERROR");
   }
 };
 
@@ -52,27 +47,26 @@ const getUserMatchHistory = async (req, res) => {
     const { limit = 10, page = 1 } = req.query;
 
     if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
+      return sendError(res, "VALIDATION_ERROR", "User ID is required");
     }
 
     const limitNum = parseInt(limit);
     const pageNum = parseInt(page);
 
     if (isNaN(limitNum) || limitNum <= 0 || limitNum > 100) {
-      return res.status(400).json({
-        success: false,
-        message: "Limit must be a number between 1 and 100",
-      });
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        "Limit must be a number between 1 and 100"
+      );
     }
 
     if (isNaN(pageNum) || pageNum <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Page must be a positive number",
-      });
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        "Page must be a positive number"
+      );
     }
 
     const result = await matchService.getUserMatchHistory(
@@ -82,10 +76,7 @@ const getUserMatchHistory = async (req, res) => {
     );
 
     if (!result.success) {
-      return res.status(400).json({
-        success: false,
-        message: result.error,
-      });
+      return sendFailure(res, result);
     }
 
     res.json({
@@ -96,10 +87,7 @@ const getUserMatchHistory = async (req, res) => {
     });
   } catch (error) {
     console.error("Error getting user match history:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-    });
+    sendError(res, "INTERNAL_ERROR");
   }
 };
 
@@ -114,26 +102,17 @@ const getUserSpecificMatch = async (req, res) => {
     const { userId, matchId } = req.params;
 
     if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
+      return sendError(res, "VALIDATION_ERROR", "User ID is required");
     }
 
     if (!matchId) {
-      return res.status(400).json({
-        success: false,
-        message: "Match ID is required",
-      });
+      return sendError(res, "VALIDATION_ERROR", "Match ID is required");
     }
 
     const result = await matchService.getUserSpecificMatch(userId, matchId);
 
     if (!result.success) {
-      return res.status(404).json({
-        success: false,
-        message: result.error,
-      });
+      return sendFailure(res, result);
     }
 
     res.json({
@@ -143,10 +122,52 @@ const getUserSpecificMatch = async (req, res) => {
     });
   } catch (error) {
     console.error("Error getting user specific match:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Stream a match replay as NDJSON (gzip-encoded when the client accepts it)
+ * @route GET /api/matches/:matchId/replay
+ * @param {string} matchId - Match ID
+ */
+const getMatchReplay = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const result = await replayService.getReplayByMatchId(matchId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    const { replay } = result;
+
+    res.set({
+      "Content-Type": "application/x-ndjson",
+      Vary: "Accept-Encoding",
+      "X-Replay-Version": replay.version,
+      "X-Replay-Event-Count": replay.eventCount,
+      "X-Replay-Duration-Ms": replay.durationMs,
     });
+
+    // Stored data is already gzipped; only decompress for clients that can't
+    const streams = [Readable.from([replay.data])];
+    if (req.acceptsEncodings("gzip")) {
+      res.set("Content-Encoding", "gzip");
+      res.set("Content-Length", replay.data.length);
+    } else {
+      streams.push(zlib.createGunzip());
+    }
+
+    pipeline(...streams, res, (error) => {
+      if (error) {
+        console.error("Error streaming match replay:", error);
+      }
+    });
+  } catch (error) {
+    console.error("Error getting match replay:", error);
+    sendError(res, "INTERNAL_ERROR");
   }
 };
 
@@ -154,4 +175,5 @@ module.exports = {
   getMatchById,
   getUserMatchHistory,
   getUserSpecificMatch,
+  getMatchReplay,
 };
@@ -0,0 +1,154 @@
+const seasonService = require("../services/seasonService");
+const { sendError, sendFailure } = require("../config/errorCodes");
+
+/**
+ * Validate limit/page query parameters
+ * @returns {Object} { limitNum, pageNum } or { error } message
+ */
+const parsePaging = (query, defaultLimit) => {
+  const { limit = defaultLimit, page = 1 } = query;
+
+  const limitNum = parseInt(limit);
+  const pageNum = parseInt(page);
+
+  if (isNaN(limitNum) || limitNum <= 0 || limitNum > 100) {
+    return { error: "Limit must be a number between 1 and 100" };
+  }
+
+  if (isNaN(pageNum) || pageNum <= 0) {
+    return { error: "Page must be a positive number" };
+  }
+
+  return { limitNum, pageNum };
+};
+
+/**
+ * List seasons, newest first
+ * @route GET /api/seasons
+ * @query {number} limit - Number of seasons per page (default: 10, max: 100)
+ * @query {number} page - Page number (default: 1)
+ */
+const listSeasons = async (req, res) => {
+  try {
+    const { limitNum, pageNum, error } = parsePaging(req.query, 10);
+    if (error) {
+      return sendError(res, "VALIDATION_ERROR", error);
+    }
+
+    const result = await seasonService.listSeasons(limitNum, pageNum);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Seasons retrieved successfully",
+      data: result.seasons,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Error listing seasons:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Get the active season
+ * @route GET /api/seasons/current
+ */
+const getCurrentSeason = async (req, res) => {
+  try {
+    const result = await seasonService.getActiveSeason();
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    const { standings, ...season } = result.season.toObject();
+
+    res.json({
+      success: true,
+      message: "Current season retrieved successfully",
+      data: season,
+    });
+  } catch (error) {
+    console.error("Error getting current season:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Get season by ID
+ * @route GET /api/seasons/:seasonId
+ * @param {string} seasonId - Season ID
+ */
+const getSeasonById = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+
+    const result = await seasonService.getSeasonById(seasonId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Season retrieved successfully",
+      data: result.season,
+    });
+  } catch (error) {
+    console.error("Error getting season by ID:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Get a season's leaderboard (final standings once archived)
+ * @route GET /api/seasons/:seasonId/leaderboard
+ * @param {string} seasonId - Season ID
+ * @query {number} limit - Number of players per page (default: 20, max: 100)
+ * @query {number} page - Page number (default: 1)
+ */
+const getSeasonLeaderboard = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+
+    const { limitNum, pageNum, error } = parsePaging(req.query, 20);
+    if (error) {
+      return sendError(res, "VALIDATION_ERROR", error);
+    }
+
+    const result = await seasonService.getSeasonLeaderboard(
+      seasonId,
+      limitNum,
+      pageNum
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Season leaderboard retrieved successfully",
+      data: {
+        season: result.season,
+        final: result.final,
+        entries: result.entries,
+      },
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Error getting season leaderboard:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+module.exports = {
+  listSeasons,
+  getCurrentSeason,
+  getSeasonById,
+  getSeasonLeaderboard,
+};
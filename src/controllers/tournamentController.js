@@ -0,0 +1,243 @@
+const tournamentService = require("../services/tournamentService");
+const { sendError, sendFailure } = require("../config/errorCodes");
+
+const TOURNAMENT_STATUSES = [
+  "registration",
+  "in-progress",
+  "completed",
+  "cancelled",
+];
+
+/**
+ * List tournaments, newest first
+ * @route GET /api/tournaments
+ * @query {string} status - Filter by status
+ * @query {number} limit - Number of tournaments per page (default: 10, max: 100)
+ * @query {number} page - Page number (default: 1)
+ */
+const listTournaments = async (req, res) => {
+  try {
+    const { status, limit = 10, page = 1 } = req.query;
+
+    const limitNum = parseInt(limit);
+    const pageNum = parseInt(page);
+
+    if (isNaN(limitNum) || limitNum <= 0 || limitNum > 100) {
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        "Limit must be a number between 1 and 100"
+      );
+    }
+
+    if (isNaN(pageNum) || pageNum <= 0) {
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        "Page must be a positive number"
+      );
+    }
+
+    if (status && !TOURNAMENT_STATUSES.includes(status)) {
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        `Status must be one of: ${TOURNAMENT_STATUSES.join(", ")}`
+      );
+    }
+
+    const result = await tournamentService.listTournaments({
+      status,
+      limit: limitNum,
+      page: pageNum,
+    });
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Tournaments retrieved successfully",
+      data: result.tournaments,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Error listing tournaments:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Create a tournament open for registration
+ * @route POST /api/tournaments
+ * @body {string} name - Tournament name (3-60 characters)
+ * @body {string} format - "single-elimination" or "double-elimination"
+ * @body {number} size - Bracket size: 8, 16 or 32
+ */
+const createTournament = async (req, res) => {
+  try {
+    const { name, format = "single-elimination", size } = req.body || {};
+    const trimmedName = typeof name === "string" ? name.trim() : "";
+
+    if (trimmedName.length < 3 || trimmedName.length > 60) {
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        "Name must be between 3 and 60 characters"
+      );
+    }
+
+    if (!tournamentService.formats.includes(format)) {
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        `Format must be one of: ${tournamentService.formats.join(", ")}`
+      );
+    }
+
+    const sizeNum = Number(size);
+    if (!tournamentService.sizes.includes(sizeNum)) {
+      return sendError(
+        res,
+        "VALIDATION_ERROR",
+        `Size must be one of: ${tournamentService.sizes.join(", ")}`
+      );
+    }
+
+    const result = await tournamentService.createTournament(req.user.userId, {
+      name: trimmedName,
+      format,
+      size: sizeNum,
+    });
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Tournament created successfully",
+      data: result.tournament,
+    });
+  } catch (error) {
+    console.error("Error creating tournament:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Get a tournament with its bracket
+ * @route GET /api/tournaments/:tournamentId
+ * @param {string} tournamentId - Tournament ID
+ */
+const getTournament = async (req, res) => {
+  try {
+    const result = await tournamentService.getTournament(
+      req.params.tournamentId
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Tournament retrieved successfully",
+      data: result.tournament,
+    });
+  } catch (error) {
+    console.error("Error getting tournament:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Register the authenticated user
+ * @route POST /api/tournaments/:tournamentId/register
+ * @param {string} tournamentId - Tournament ID
+ */
+const register = async (req, res) => {
+  try {
+    const result = await tournamentService.register(
+      req.params.tournamentId,
+      req.user.userId
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Registered successfully",
+      data: result.tournament,
+    });
+  } catch (error) {
+    console.error("Error registering for tournament:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Withdraw the authenticated user before the tournament starts
+ * @route DELETE /api/tournaments/:tournamentId/register
+ * @param {string} tournamentId - Tournament ID
+ */
+const withdraw = async (req, res) => {
+  try {
+    const result = await tournamentService.withdraw(
+      req.params.tournamentId,
+      req.user.userId
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Withdrawn successfully",
+      data: result.tournament,
+    });
+  } catch (error) {
+    console.error("Error withdrawing from tournament:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+/**
+ * Close registration, seed the bracket and open the first matches
+ * @route POST /api/tournaments/:tournamentId/start
+ * @param {string} tournamentId - Tournament ID
+ */
+const startTournament = async (req, res) => {
+  try {
+    const result = await tournamentService.startTournament(
+      req.params.tournamentId,
+      req.user.userId
+    );
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: "Tournament started successfully",
+      data: result.tournament,
+    });
+  } catch (error) {
+    console.error("Error starting tournament:", error);
+    sendError(res, "INTERNAL_ERROR");
+  }
+};
+
+module.exports = {
+  listTournaments,
+  createTournament,
+  getTournament,
+  register,
+  withdraw,
+  startTournament,
+};
@@ -1,4 +1,5 @@
 const userService = require("../services/userService");
+const { sendError } = require("../config/errorCodes");
 
 /**
  * Get user by wallet address
@@ -10,19 +11,13 @@ const getUserByWallet = async (req, res) => {
     const { walletAddress } = req.params;
 
     if (!walletAddress) {
-      return res.status(400).json({
-        success: false,
-        message: "Wallet address is required",
-      });
+      return sendError(res, "VALIDATION_ERROR", "Wallet address is required");
     }
 
     const result = await userService.findUserByWallet(walletAddress);
 
     if (!result.success || !result.user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
+      return sendError(res, "USER_NOT_FOUND");
     }
 
     res.json({
@@ -32,10 +27,7 @@ const getUserByWallet = async (req, res) => {
     });
   } catch (error) {
     console.error("Error getting user by wallet:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-    });
+    sendError(res, "INTERNAL_ERROR");
   }
 };
 
@@ -49,19 +41,13 @@ const getUserProfile = async (req, res) => {
     const { userId } = req.params;
 
     if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
+      return sendError(res, "VALIDATION_ERROR", "User ID is required");
     }
 
     const result = await userService.findUserById(userId);
 
     if (!result.success || !result.user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
+      return sendError(res, "USER_NOT_FOUND");
     }
 
     // Format user profile data
@@ -74,6 +60,16 @@ const getUserProfile = async (req, res) => {
         losses: result.user.gameStats.losses,
         draws: result.user.gameStats.draws,
         totalMatches: result.user.gameStats.totalMatches,
+        forfeits: result.user.gameStats.forfeits,
+        rating: result.user.gameStats.rating,
+      },
+      seasonStats: {
+        season: result.user.seasonStats?.season || null,
+        wins: result.user.seasonStats?.wins || 0,
+        losses: result.user.seasonStats?.losses || 0,
+        draws: result.user.seasonStats?.draws || 0,
+        totalMatches: result.user.seasonStats?.totalMatches || 0,
+        forfeits: result.user.seasonStats?.forfeits || 0,
       },
     };
 
@@ -84,10 +80,7 @@ const getUserProfile = async (req, res) => {
     });
   } catch (error) {
     console.error("Error getting user profile:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-    });
+    sendError(res, "INTERNAL_ERROR");
   }
 };
 
@@ -0,0 +1,12 @@
+const { sendError } = require("../config/errorCodes");
+
+/**
+ * Allow only admins through. Runs after verifyLogin, which sets the role
+ * from the user's account.
+ */
+exports.requireAdmin = (req, res, next) => {
+  if (req.user?.role !== "admin") {
+    return sendError(res, "ADMIN_REQUIRED");
+  }
+  next();
+};
@@ -0,0 +1,157 @@
+const {
+  SOCKET_EVENTS,
+  DEFAULT_RATE,
+  validatePayload,
+} = require("../config/socketEvents");
+const { emitError } = require("../config/errorCodes");
+
+/**
+ * @fileoverview Socket Guard Middleware
+ * @description Rate-limits and validates every event a client sends before its handler runs
+ * @module middlewares/socket_guard
+ */
+
+// Largest payload accepted, measured as JSON
+const MAX_PAYLOAD_BYTES = 4 * 1024;
+
+// Every rejected event costs a strike; a socket out of strikes is disconnected.
+// Strikes come back slowly so an occasional burst isn't punished.
+const STRIKE_RATE = { capacity: 5, refillPerSecond: 0.1 };
+
+// Process-wide counts per event type, for the game stats endpoint
+const counters = {
+  events: {}, // eventName -> { received, accepted, rateLimited, invalid }
+  disconnects: 0,
+};
+
+const countEvent = (eventName, outcome) => {
+  // Unknown names are attacker-controlled; don't give each its own entry
+  const key = SOCKET_EVENTS[eventName] ? eventName : "unknown";
+  const count = (counters.events[key] ??= {
+    received: 0,
+    accepted: 0,
+    rateLimited: 0,
+    invalid: 0,
+  });
+
+  count.received++;
+  count[outcome]++;
+};
+
+/**
+ * Token bucket that starts full
+ */
+const createBucket = ({ capacity }) => ({
+  tokens: capacity,
+  updatedAt: Date.now(),
+});
+
+/**
+ * Take a token if one is left after refilling for the time passed
+ * @returns {boolean} True if a token was taken
+ */
+const takeToken = (bucket, { capacity, refillPerSecond }) => {
+  const now = Date.now();
+  const refill = ((now - bucket.updatedAt) / 1000) * refillPerSecond;
+
+  bucket.tokens = Math.min(bucket.tokens + refill, capacity);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens < 1) return false;
+  bucket.tokens--;
+  return true;
+};
+
+/**
+ * Why an event is turned away, or null to let it through
+ */
+const checkEvent = (buckets, eventName, data) => {
+  const rules = SOCKET_EVENTS[eventName];
+  if (!rules) {
+    return {
+      code: "UNKNOWN_EVENT",
+      outcome: "invalid",
+      message: `Unknown event: ${String(eventName).slice(0, 50)}`,
+    };
+  }
+
+  const rate = rules.rate || DEFAULT_RATE;
+  if (!buckets.has(eventName)) buckets.set(eventName, createBucket(rate));
+  if (!takeToken(buckets.get(eventName), rate)) {
+    return {
+      code: "RATE_LIMITED",
+      outcome: "rateLimited",
+      message: `Too many ${eventName} events. Slow down.`,
+    };
+  }
+
+  let size = 0;
+  try {
+    size = JSON.stringify(data ?? null).length;
+  } catch (error) {
+    size = Infinity; // Circular or otherwise not JSON
+  }
+  if (size > MAX_PAYLOAD_BYTES) {
+    return {
+      code: "INVALID_PAYLOAD",
+      outcome: "invalid",
+      message: `Payload too large (max ${MAX_PAYLOAD_BYTES} bytes)`,
+    };
+  }
+
+  const error = validatePayload(rules.payload, data);
+  if (error) {
+    return { code: "INVALID_PAYLOAD", outcome: "invalid", message: error };
+  }
+
+  return null;
+};
+
+/**
+ * Build the guard for one socket. Register it with socket.use() before
+ * other middleware so rejected events never reach a handler.
+ * @param {Socket} socket - Socket.IO socket instance
+ * @returns {Function} Socket.IO event middleware
+ */
+exports.socketGuard = (socket) => {
+  const buckets = new Map(); // eventName -> token bucket
+  const strikes = createBucket(STRIKE_RATE);
+  let disconnected = false;
+
+  return ([eventName, data], next) => {
+    // Packets already in flight when the socket was dropped
+    if (disconnected) return;
+
+    const rejection = checkEvent(buckets, eventName, data);
+    if (!rejection) {
+      countEvent(eventName, "accepted");
+      next();
+      return;
+    }
+
+    countEvent(eventName, rejection.outcome);
+    emitError(socket, rejection.code, rejection.message, {
+      event: eventName,
+    });
+
+    if (!takeToken(strikes, STRIKE_RATE)) {
+      disconnected = true;
+      counters.disconnects++;
+      console.warn(
+        `Socket ${socket.id} disconnected after repeated rejected events (last: ${rejection.code} on ${eventName})`
+      );
+      emitError(socket, "TOO_MANY_REJECTED_EVENTS");
+      socket.disconnect(true);
+    }
+  };
+};
+
+/**
+ * Snapshot of the per-event counters
+ */
+exports.getEventCounters = () => ({
+  events: Object.fromEntries(
+    Object.entries(counters.events).map(([name, count]) => [name, { ...count }])
+  ),
+  disconnects: counters.disconnects,
+});
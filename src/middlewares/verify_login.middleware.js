@@ -1,6 +1,8 @@
 const jwt = require("jsonwebtoken");
+const userService = require("../services/userService");
+const { sendError } = require("../config/errorCodes");
 
-exports.verifyLogin = (req, res, next) => {
+exports.verifyLogin = async (req, res, next) => {
   // Get token from Authorization header (Bearer token)
   const authHeader = req.headers.authorization;
   const token =
@@ -9,20 +11,36 @@ exports.verifyLogin = (req, res, next) => {
       : null;
 
   if (!token) {
-    return res.status(401).json({
-      message: "Authentication required",
-      hint: "Please provide a valid token in the Authorization header",
-    });
+    return sendError(
+      res,
+      "AUTH_REQUIRED",
+      "Please provide a valid token in the Authorization header"
+    );
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    return res.status(403).json({
-      message: "Invalid or expired token",
-      error: error.message,
-    });
+    return sendError(
+      res,
+      error.name === "TokenExpiredError" ? "AUTH_EXPIRED" : "AUTH_INVALID"
+    );
   }
+
+  // Role and ban come from the account, not the token, so changes apply to
+  // tokens already issued
+  const access = await userService.getAccess(decoded.userId);
+  if (!access.success) {
+    return sendError(res, "INTERNAL_ERROR");
+  }
+  if (!access.user) {
+    return sendError(res, "AUTH_INVALID", "Account no longer exists");
+  }
+  if (userService.isBanned(access.user)) {
+    return sendError(res, "USER_BANNED");
+  }
+
+  req.user = { ...decoded, role: userService.getRole(access.user) };
+  next();
 };
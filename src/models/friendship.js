@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+/**
+ * Friendship Model - Friend Requests and Friends
+ *
+ * Purpose: One document per pair of users, from request to friendship
+ * Scope: MongoDB database, permanent storage
+ * Lifespan: Until the request is declined or the friendship is removed
+ *
+ * Features: Pending requests (requester -> recipient),
+ *          accepted friendships in either direction
+ */
+const friendshipSchema = new mongoose.Schema(
+  {
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted"],
+      default: "pending",
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// One document per direction; FriendService also checks the reverse pair
+friendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+friendshipSchema.index({ recipient: 1, status: 1 });
+
+module.exports = mongoose.model("Friendship", friendshipSchema);
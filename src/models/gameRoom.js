@@ -5,16 +5,32 @@
  * Scope: In-memory only, not persisted to database
  * Lifespan: While game room is active
  *
- * Features: Player management, game state tracking, rematch system
+ * Features: Player management, spectators, game state tracking, rematch system
  *
  * Note: For persistent match data, use Match model
  */
+// Supported modes. Team modes have two sides ("player1" is the left team,
+// "player2" the right one); in free-for-all every player is their own side.
+const GAME_MODES = {
+  "1v1": { teamSize: 1, minPlayers: 2, maxPlayers: 2 },
+  "2v2": { teamSize: 2, minPlayers: 4, maxPlayers: 4 },
+  ffa: { teamSize: 1, minPlayers: 3, maxPlayers: 4, freeForAll: true },
+};
+
+const SIDES = ["player1", "player2"];
+const FFA_POSITIONS = ["player1", "player2", "player3", "player4"];
+
 class GameRoom {
   constructor(roomId, code = null) {
     this.id = roomId;
     this.code = code || null; // Room join code
     this.players = [];
+    this.gameMode = "1v1";
+    this.teamSize = 1;
+    this.minPlayers = 2;
     this.maxPlayers = 2;
+    this.spectators = new Map(); // socketId -> { id, userId, walletAddress, joinedAt }
+    this.maxSpectators = 50;
     this.status = "waiting"; // waiting, playing, finished, paused
 
     // Game State Management
@@ -22,28 +38,48 @@ class GameRoom {
       // Score tracking
       score: { player1: 0, player2: 0 },
 
-      // Time management (60-second matches)
+      // Time management (countdown from settings.rules.matchDuration)
       gameTime: 60, // seconds remaining (countdown)
+      elapsedTime: 0, // seconds actually played (excludes pauses)
+      phase: "regulation", // regulation, overtime, penalties
+      penalties: null, // Shootout state once the penalties phase starts
       isActive: false,
       isPaused: false,
 
+      // Authoritative physics state (simulated by PhysicsService)
+      tick: 0,
+      ball: { x: 0, y: 0, velocityX: 0, velocityY: 0 },
+
+      // Powerups waiting on the pitch (effects live on each Player)
+      powerups: [],
+      nextPowerupTick: null, // Tick of the next scheduled spawn
+
+      // Free-for-all: who holds the hill, since which tick, and the tick each
+      // player last scored (breaks ties at the top)
+      king: null,
+      kingSince: null,
+      scoredAt: {},
+
       // Game events
       lastGoal: null, // { player: "player1", time: timestamp }
-      gameEvents: [], // Array of game events for replay/analysis
+      gameEvents: [], // Goals of the current game (full replays: ReplayService)
+      goalHints: [], // Unconfirmed client goal reports awaiting the server
     };
 
     // Game Configuration
     this.settings = {
       // Game rules
       rules: {
-        matchDuration: 60, // 60 seconds
-        allowTies: true, // Matches can end in draws
-        maxGoals: null, // No goal limit (time-based only)
+        matchDuration: 60, // Seconds
+        allowTies: true, // Matches can end in draws (false: overtime, then penalties)
+        overtimeDuration: 30, // Seconds of golden-goal overtime
+        maxGoals: null, // First to this many goals wins (null: time-based only)
+        powerups: false, // Server spawns powerups (PowerupService); private rooms only
       },
 
       // Feature flags
       features: {
-        powerupsEnabled: false,
+        allowSpectators: true,
         specialAbilities: false,
         audioCues: true,
       },
@@ -54,6 +90,11 @@ class GameRoom {
     this.endedAt = null;
     this.lastUpdate = Date.now();
 
+    // Tournament bracket match played here ({ tournamentId, matchKey }), and
+    // the user IDs allowed to take its seats
+    this.tournament = null;
+    this.reservedFor = null;
+
     // Rematch system
     this.rematchState = {
       player1Requested: false,
@@ -62,31 +103,123 @@ class GameRoom {
     };
   }
 
+  /**
+   * Switch the room to a game mode (only while nobody is seated)
+   * @param {string} gameMode - Key of GAME_MODES
+   */
+  setGameMode(gameMode) {
+    const mode = GAME_MODES[gameMode];
+    if (!mode) {
+      return {
+        success: false,
+        code: "VALIDATION_ERROR",
+        reason: `Unknown game mode: ${gameMode}`,
+      };
+    }
+    if (this.players.length > 0) {
+      return {
+        success: false,
+        code: "ROOM_NOT_EMPTY",
+        reason: "Room already has players",
+      };
+    }
+
+    this.gameMode = gameMode;
+    this.teamSize = mode.teamSize;
+    this.minPlayers = mode.minPlayers;
+    this.maxPlayers = mode.maxPlayers;
+    this.gameState.score = this.createScore();
+
+    return { success: true };
+  }
+
+  isFreeForAll() {
+    return !!GAME_MODES[this.gameMode].freeForAll;
+  }
+
+  /**
+   * Positions that can score in this mode
+   */
+  getPositions() {
+    return this.isFreeForAll() ? FFA_POSITIONS : SIDES;
+  }
+
+  /**
+   * Zeroed score for every position of the mode
+   */
+  createScore() {
+    return Object.fromEntries(
+      this.getPositions().map((position) => [position, 0])
+    );
+  }
+
+  /**
+   * Players on one side, in slot order
+   * @param {string} side - "player1" or "player2"
+   */
+  getTeam(side) {
+    return this.players
+      .filter((p) => p.position === side)
+      .sort((a, b) => a.slot - b.slot);
+  }
+
   /**
    * Add player to room
    * @param {Player} player - Player object to add
+   * @param {string} [side] - Team to join; defaults to the emptier side
    * @returns {Object} Success result with player and room data
    */
-  addPlayer(player) {
+  addPlayer(player, side = null) {
     if (this.players.length >= this.maxPlayers) {
-      return { success: false, reason: "Room is full" };
+      return { success: false, code: "ROOM_FULL", reason: "Room is full" };
     }
 
     // Check if player already in room
     if (this.players.find((p) => p.id === player.id)) {
-      return { success: false, reason: "Player already in room" };
+      return {
+        success: false,
+        code: "ALREADY_IN_ROOM",
+        reason: "Player already in room",
+      };
     }
 
-    this.players.push(player);
-    player.currentRoom = this.id;
+    // Free-for-all: the first free position, one player each
+    if (this.isFreeForAll()) {
+      const position = FFA_POSITIONS.find(
+        (candidate) => !this.players.some((p) => p.position === candidate)
+      );
 
-    // Assign player position (player1 = left, player2 = right)
-    if (this.players.length === 1) {
-      player.position = "player1";
-    } else if (this.players.length === 2) {
-      player.position = "player2";
+      this.players.push(player);
+      player.currentRoom = this.id;
+      player.position = position;
+      player.slot = 0;
+
+      return { success: true, player, room: this };
+    }
+
+    // Position is the side (player1 = left, player2 = right); teammates
+    // share it and are told apart by slot
+    const position =
+      side ||
+      SIDES.reduce((emptier, candidate) =>
+        this.getTeam(candidate).length < this.getTeam(emptier).length
+          ? candidate
+          : emptier
+      );
+    const team = this.getTeam(position);
+    if (team.length >= this.teamSize) {
+      return { success: false, code: "TEAM_FULL", reason: "Team is full" };
     }
 
+    const takenSlots = team.map((p) => p.slot);
+    let slot = 0;
+    while (takenSlots.includes(slot)) slot++;
+
+    this.players.push(player);
+    player.currentRoom = this.id;
+    player.position = position;
+    player.slot = slot;
+
     return { success: true, player, room: this };
   }
 
@@ -98,13 +231,18 @@ class GameRoom {
   removePlayer(socketId) {
     const playerIndex = this.players.findIndex((p) => p.id === socketId);
     if (playerIndex === -1) {
-      return { success: false, reason: "Player not in room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in room",
+      };
     }
 
     const player = this.players[playerIndex];
     this.players.splice(playerIndex, 1);
     player.currentRoom = null;
     player.position = null;
+    player.slot = null;
 
     return {
       success: true,
@@ -113,6 +251,53 @@ class GameRoom {
     };
   }
 
+  /**
+   * Add a read-only spectator
+   * @param {Object} spectator - { id: socketId, userId, walletAddress }
+   * @returns {Object} Success result with spectator count
+   */
+  addSpectator(spectator) {
+    if (!this.settings.features.allowSpectators) {
+      return {
+        success: false,
+        code: "SPECTATORS_NOT_ALLOWED",
+        reason: "Spectators are not allowed in this room",
+      };
+    }
+
+    if (this.spectators.size >= this.maxSpectators) {
+      return {
+        success: false,
+        code: "SPECTATOR_LIMIT",
+        reason: "Spectator limit reached",
+      };
+    }
+
+    this.spectators.set(spectator.id, {
+      ...spectator,
+      joinedAt: Date.now(),
+    });
+
+    return { success: true, spectatorCount: this.spectators.size };
+  }
+
+  /**
+   * Remove a spectator
+   * @param {string} socketId - Socket ID of spectator to remove
+   * @returns {Object} Success result with spectator count
+   */
+  removeSpectator(socketId) {
+    if (!this.spectators.delete(socketId)) {
+      return {
+        success: false,
+        code: "NOT_SPECTATING",
+        reason: "Not spectating this room",
+      };
+    }
+
+    return { success: true, spectatorCount: this.spectators.size };
+  }
+
   /**
    * Check if room is full
    * @returns {boolean} True if room has maximum players
@@ -123,10 +308,10 @@ class GameRoom {
 
   /**
    * Check if room can start a game
-   * @returns {boolean} True if game can start (2 players, all ready, waiting status)
+   * @returns {boolean} True if game can start (enough players for the mode, all ready, waiting status)
    */
   canStart() {
-    const hasEnoughPlayers = this.players.length === 2;
+    const hasEnoughPlayers = this.players.length >= this.minPlayers;
     const allReady = this.players.every((p) => p.isReady);
     const isWaiting = this.status === "waiting";
 
@@ -139,12 +324,21 @@ class GameRoom {
   resetForRematch() {
     // Reset game state for rematch
     this.status = "waiting";
-    this.gameState.score = { player1: 0, player2: 0 };
-    this.gameState.gameTime = 60;
+    this.gameState.score = this.createScore();
+    this.gameState.gameTime = this.settings.rules.matchDuration;
+    this.gameState.elapsedTime = 0;
+    this.gameState.phase = "regulation";
+    this.gameState.penalties = null;
     this.gameState.isActive = false;
     this.gameState.isPaused = false;
     this.gameState.lastGoal = null;
     this.gameState.gameEvents = [];
+    this.gameState.goalHints = [];
+    this.gameState.powerups = [];
+    this.gameState.nextPowerupTick = null;
+    this.gameState.king = null;
+    this.gameState.kingSince = null;
+    this.gameState.scoredAt = {};
 
     // Reset rematch state
     this.rematchState.player1Requested = false;
@@ -154,13 +348,23 @@ class GameRoom {
     // Reset player ready states
     this.players.forEach((player) => {
       player.isReady = false;
+      player.requestedRematch = false;
     });
 
+    // The next game gets its own match record
+    this.matchId = null;
     this.startedAt = null;
     this.endedAt = null;
     this.lastUpdate = Date.now();
   }
 
+  /**
+   * Practice rooms have a bot seated; their games are unranked and never saved
+   */
+  isPractice() {
+    return this.players.some((player) => player.isBot);
+  }
+
   /**
    * Convert room to JSON for API responses
    * @returns {Object} Serialized room data
@@ -170,8 +374,11 @@ class GameRoom {
     if (!this.gameState) {
       console.warn(`GameRoom ${this.id}: gameState was null, reinitializing`);
       this.gameState = {
-        score: { player1: 0, player2: 0 },
-        gameTime: 60,
+        score: this.createScore(),
+        gameTime: this.settings.rules.matchDuration,
+        elapsedTime: 0,
+        phase: "regulation",
+        penalties: null,
         isActive: false,
         isPaused: false,
         lastGoal: null,
@@ -183,15 +390,26 @@ class GameRoom {
       id: this.id,
       code: this.code, // Include room code for sharing
       players: this.players.map((p) => p.toJSON()),
+      gameMode: this.gameMode,
+      teamSize: this.teamSize,
+      minPlayers: this.minPlayers,
       maxPlayers: this.maxPlayers,
+      spectatorCount: this.spectators?.size || 0,
+      tournament: this.tournament,
+      practice: this.isPractice(),
       status: this.status,
 
       // Game state data with null safety
       gameState: {
-        score: this.gameState?.score || { player1: 0, player2: 0 },
-        gameTime: this.gameState?.gameTime || 60,
+        score: this.gameState?.score || this.createScore(),
+        gameTime: this.gameState?.gameTime ?? this.settings.rules.matchDuration,
+        elapsedTime: this.gameState?.elapsedTime || 0,
+        phase: this.gameState?.phase || "regulation",
+        penalties: this.gameState?.penalties || null,
         isActive: this.gameState?.isActive || false,
         isPaused: this.gameState?.isPaused || false,
+        powerups: this.gameState?.powerups || [],
+        king: this.gameState?.king || null,
         lastGoal: this.gameState?.lastGoal || null,
         gameEvents: this.gameState?.gameEvents || [],
       },
@@ -212,4 +430,8 @@ class GameRoom {
   }
 }
 
+GameRoom.GAME_MODES = GAME_MODES;
+GameRoom.SIDES = SIDES;
+GameRoom.FFA_POSITIONS = FFA_POSITIONS;
+
 module.exports = GameRoom;
@@ -35,23 +35,43 @@ const matchSchema = new mongoose.Schema(
         },
         position: {
           type: String,
-          enum: ["player1", "player2"],
+          enum: ["player1", "player2", "player3", "player4"],
           required: true,
         },
+        // Seat within the side; teammates share a position
+        slot: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
         goals: {
           type: Number,
           default: 0,
           min: 0,
         },
+        ratingBefore: {
+          type: Number,
+          default: null, // Set when match ends
+        },
+        ratingChange: {
+          type: Number,
+          default: null, // Set when match ends
+        },
       },
     ],
 
+    gameMode: {
+      type: String,
+      enum: ["1v1", "2v2", "ffa"],
+      default: "1v1",
+    },
+
     // Match Result
     result: {
       winner: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
-        default: null, // Null for draw
+        default: null, // Null for draw and for team matches
       },
       winnerWalletAddress: {
         type: String,
@@ -76,10 +96,27 @@ const matchSchema = new mongoose.Schema(
           default: 0,
           min: 0,
         },
+        player3: {
+          type: Number,
+          default: null, // Free-for-all only
+          min: 0,
+        },
+        player4: {
+          type: Number,
+          default: null, // Free-for-all with four players only
+          min: 0,
+        },
       },
       outcome: {
         type: String,
-        enum: ["player1_wins", "player2_wins", "draw", "abandoned"],
+        enum: [
+          "player1_wins",
+          "player2_wins",
+          "player3_wins",
+          "player4_wins",
+          "draw",
+          "abandoned",
+        ],
         default: null, // Set when match ends
       },
       duration: {
@@ -87,6 +124,66 @@ const matchSchema = new mongoose.Schema(
         default: null, // Set when match ends
         min: 0,
       },
+      endReason: {
+        type: String,
+        enum: ["completed", "forfeit", "abandoned"],
+        default: null, // Set when match ends
+      },
+      forfeitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null, // Player who left a forfeited match
+      },
+      decidedBy: {
+        type: String,
+        enum: [
+          "time-up",
+          "goal-limit",
+          "golden-goal",
+          "penalties",
+          "tiebreak", // Free-for-all: level after overtime, first to the score wins
+          "admin", // Ended by an admin with a chosen outcome
+          null,
+        ],
+        default: null, // How a completed match was settled
+      },
+      penaltyScore: {
+        player1: {
+          type: Number,
+          default: null, // Only set when a shootout was played
+          min: 0,
+        },
+        player2: {
+          type: Number,
+          default: null,
+          min: 0,
+        },
+      },
+    },
+
+    // Tournament bracket match this game decides
+    tournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tournament",
+      default: null,
+    },
+    tournamentMatchKey: {
+      type: String,
+      default: null, // e.g. "W2-1"
+    },
+
+    // Game room that ran the match, to tell live matches from orphans after
+    // a restart (see ReconciliationService)
+    roomId: {
+      type: String,
+      default: null,
+    },
+
+    // Ranked season the match counted towards (set when the match ends)
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Season",
+      default: null,
     },
 
     // Match Status
@@ -117,6 +214,8 @@ matchSchema.index({ "players.user": 1 });
 matchSchema.index({ status: 1 });
 matchSchema.index({ startedAt: -1 });
 
+matchSchema.index({ season: 1, status: 1 });
+
 // Compound index for user match history queries
 matchSchema.index({ "players.user": 1, startedAt: -1 });
 
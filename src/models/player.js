@@ -5,7 +5,8 @@
  * Scope: In-memory only, not persisted to database
  * Lifespan: While user is connected to Socket.IO
  *
- * Features: Session management, room assignment, ready state tracking
+ * Features: Session management, room assignment, ready state tracking,
+ *          server-side practice bots (no socket; see BotService)
  *
  * Note: For persistent user data (stats, matches), use User model
  */
@@ -15,21 +16,30 @@ class Player {
    * @param {string} socketId - Socket.IO connection ID
    * @param {string} walletAddress - User's wallet address
    * @param {string|null} userId - Link to User model ID (optional)
+   * @param {Object|null} bot - Practice bot settings ({ difficulty }); null for people
    */
-  constructor(socketId, walletAddress, userId = null) {
+  constructor(socketId, walletAddress, userId = null, bot = null) {
     this.id = socketId;
     this.walletAddress = walletAddress || null;
     this.userId = userId; // Link to User model for persistent data
     this.isReady = false;
     this.currentRoom = null;
-    this.position = null; // Track player position in room: "player1" or "player2"
+    this.position = null; // Side in the room: "player1" (left) or "player2" (right); "player1"-"player4" in free-for-all
+    this.slot = null; // Index within the side; teammates share a position
+    this.isConnected = true; // False while holding a seat during the reconnect grace period
+    this.disconnectedAt = null;
     this.joinedAt = new Date();
+    this.bot = bot; // Bots have no socket or user; their inputs come from BotService
 
     // Session-only game state (temporary, not persistent)
     this.gameState = {
       position: { x: 0, y: 0 },
+      velocity: { x: 0, y: 0 },
+      onGround: true,
+      kickCooldown: 0,
+      input: { left: false, right: false, jump: false, kick: false }, // Latest held inputs
       score: 0,
-      powerups: [],
+      powerups: [], // Active powerup effects (managed by PowerupService)
     };
   }
 
@@ -38,6 +48,9 @@ class Player {
    * @returns {string} Formatted username for display
    */
   get username() {
+    if (this.bot) {
+      return `Bot (${this.bot.difficulty})`;
+    }
     if (this.walletAddress) {
       return `${this.walletAddress.slice(0, 6)}...${this.walletAddress.slice(
         -4
@@ -46,6 +59,13 @@ class Player {
     return `Guest-${this.id.slice(0, 5)}`;
   }
 
+  /**
+   * Whether this is a server-side practice bot
+   */
+  get isBot() {
+    return this.bot !== null;
+  }
+
   /**
    * Convert player to JSON for API responses
    * @returns {Object} Serialized player data
@@ -59,6 +79,10 @@ class Player {
       isReady: this.isReady,
       currentRoom: this.currentRoom,
       position: this.position, // Include position in JSON output
+      slot: this.slot,
+      isConnected: this.isConnected,
+      isBot: this.isBot,
+      botDifficulty: this.bot?.difficulty || null,
       joinedAt: this.joinedAt.toISOString(),
     };
   }
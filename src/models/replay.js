@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+/**
+ * Replay Model - Recorded Match Event Streams
+ *
+ * Purpose: Stores the full event stream of a match for playback
+ * Scope: MongoDB database, permanent storage
+ * Lifespan: Permanent, one replay per match
+ *
+ * Features: Gzipped NDJSON (header line + one event per line),
+ *          event counts and duration for clients
+ */
+const replaySchema = new mongoose.Schema(
+  {
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      required: true,
+      unique: true, // This automatically creates a unique index
+    },
+    roomId: {
+      type: String,
+      default: null,
+    },
+
+    // Encoding of data; bump version when the line format changes
+    format: {
+      type: String,
+      enum: ["ndjson+gzip"],
+      default: "ndjson+gzip",
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+
+    eventCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    durationMs: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    truncated: {
+      type: Boolean,
+      default: false, // True if the event cap was hit
+    },
+    sizeBytes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    data: {
+      type: Buffer,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("Replay", replaySchema);
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+/**
+ * RoomSnapshot Model - Live Room State for Hot Restarts
+ *
+ * Purpose: Keeps enough of a live game room to rebuild it after a restart
+ * Scope: MongoDB database, one document per room with a match in progress
+ * Lifespan: Rewritten every few seconds; removed with the room, expires
+ *          after an hour if nothing removes it
+ *
+ * Features: Score and clock, players by user, match link, rematch state
+ *          (see RoomSnapshotService)
+ */
+const roomSnapshotSchema = new mongoose.Schema(
+  {
+    roomId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    code: {
+      type: String,
+      default: null,
+    },
+    nodeId: {
+      type: String,
+      default: null, // Node that ran the room when the snapshot was taken
+    },
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      required: true,
+    },
+    gameMode: {
+      type: String,
+      enum: ["1v1", "2v2", "ffa"],
+      default: "1v1",
+    },
+    rules: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null, // settings.rules of the room
+    },
+    tournament: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null, // { tournamentId, matchKey }
+    },
+    reservedFor: {
+      type: [String],
+      default: null,
+    },
+
+    players: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        walletAddress: {
+          type: String,
+          default: null,
+        },
+        position: {
+          type: String,
+          enum: ["player1", "player2", "player3", "player4"],
+          required: true,
+        },
+        slot: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+
+    // Game state worth keeping; positions, ball and powerups restart from
+    // a kickoff
+    gameState: {
+      score: { type: mongoose.Schema.Types.Mixed, default: null },
+      gameTime: { type: Number, default: 0 }, // Seconds remaining
+      elapsedTime: { type: Number, default: 0 },
+      phase: { type: String, default: "regulation" },
+      penalties: { type: mongoose.Schema.Types.Mixed, default: null },
+      scoredAt: { type: mongoose.Schema.Types.Mixed, default: null },
+      tick: { type: Number, default: 0 }, // Simulation tick scoredAt counts in
+    },
+    rematchState: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    snapshotAt: {
+      type: Date,
+      default: Date.now,
+      expires: 60 * 60, // Seconds
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("RoomSnapshot", roomSnapshotSchema);
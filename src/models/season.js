@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+/**
+ * Season Model - Competitive Ranked Seasons
+ *
+ * Purpose: Splits ranked play into fixed periods with archived standings
+ * Scope: MongoDB database, permanent storage
+ * Lifespan: Permanent season records
+ *
+ * Features: Season dates, active/archived status,
+ *          final leaderboard snapshot
+ */
+const seasonSchema = new mongoose.Schema(
+  {
+    // Sequential season number (1, 2, 3...)
+    number: {
+      type: Number,
+      required: true,
+      unique: true, // This automatically creates a unique index
+      min: 1,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Season window
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "archived"],
+      default: "active",
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Final standings, written when the season is archived
+    standings: [
+      {
+        rank: { type: Number, required: true },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        walletAddress: { type: String, default: null },
+        rating: { type: Number, default: null },
+        matchesPlayed: { type: Number, default: 0 },
+        wins: { type: Number, default: 0 },
+        losses: { type: Number, default: 0 },
+        draws: { type: Number, default: 0 },
+        goalsFor: { type: Number, default: 0 },
+        goalsAgainst: { type: Number, default: 0 },
+        goalDifference: { type: Number, default: 0 },
+        winRate: { type: Number, default: 0 },
+        _id: false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Performance indexes (number already has unique: true)
+seasonSchema.index({ status: 1 });
+seasonSchema.index({ startsAt: -1 });
+
+module.exports = mongoose.model("Season", seasonSchema);
@@ -0,0 +1,200 @@
+const mongoose = require("mongoose");
+
+/**
+ * Tournament Model - Community Elimination Brackets
+ *
+ * Purpose: Registration, seeding and bracket progress of a tournament
+ * Scope: MongoDB database, permanent storage
+ * Lifespan: Permanent, kept after completion for history
+ *
+ * Features: Single and double elimination for 8/16/32 players,
+ *          byes for unfilled seeds, no-show deadlines
+ */
+
+// A registered player; seed and winRate are fixed when the tournament starts
+const participantSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    walletAddress: {
+      type: String,
+      required: true,
+    },
+    seed: {
+      type: Number,
+      default: null, // 1 is the top seed
+    },
+    winRate: {
+      type: Number,
+      default: 0, // Lifetime win rate used for seeding
+    },
+    losses: {
+      type: Number,
+      default: 0, // Bracket losses (1 eliminates in single, 2 in double)
+    },
+    eliminated: {
+      type: Boolean,
+      default: false,
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One bracket match. Players arrive from seeds or from the winner/loser of
+// earlier matches; pendingSources counts the feeders still undecided.
+const bracketMatchSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true, // "W1-1" winners, "L2-3" losers, "GF1"/"GF2" grand final
+    },
+    bracket: {
+      type: String,
+      enum: ["winners", "losers", "grand-final"],
+      required: true,
+    },
+    round: {
+      type: Number,
+      required: true,
+    },
+    index: {
+      type: Number,
+      required: true, // Position within the round, from 0
+    },
+    player1: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    player2: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    pendingSources: {
+      type: Number,
+      default: 0,
+    },
+    winnerTo: {
+      key: { type: String, default: null },
+      slot: { type: String, enum: ["player1", "player2", null], default: null },
+    },
+    loserTo: {
+      key: { type: String, default: null },
+      slot: { type: String, enum: ["player1", "player2", null], default: null },
+    },
+    status: {
+      type: String,
+      enum: ["pending", "ready", "playing", "finished"],
+      default: "pending",
+    },
+    winner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    loser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    decidedBy: {
+      type: String,
+      enum: ["played", "forfeit", "no-show", "bye", "tiebreak", null],
+      default: null,
+    },
+    score: {
+      player1: { type: Number, default: null },
+      player2: { type: Number, default: null },
+    },
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      default: null, // Set once the game starts
+    },
+    roomId: {
+      type: String,
+      default: null,
+    },
+    roomCode: {
+      type: String,
+      default: null,
+    },
+    deadline: {
+      type: Date,
+      default: null, // Players must start before this or it's a no-show
+    },
+    openedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const tournamentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60,
+    },
+    format: {
+      type: String,
+      enum: ["single-elimination", "double-elimination"],
+      default: "single-elimination",
+    },
+    size: {
+      type: Number,
+      enum: [8, 16, 32],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["registration", "in-progress", "completed", "cancelled"],
+      default: "registration",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    participants: [participantSchema],
+    bracket: [bracketMatchSchema],
+
+    champion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+tournamentSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Tournament", tournamentSchema);
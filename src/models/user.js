@@ -8,7 +8,7 @@ const mongoose = require("mongoose");
  * Lifespan: Permanent user accounts
  *
  * Features: Web3 wallet integration, match history,
- *          game statistics
+ *          all-time and per-season game statistics, roles and bans
  *
  * Note: For temporary session data (Socket.IO), use Player model
  */
@@ -55,6 +55,74 @@ const userSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
+      // Elo rating used for matchmaking
+      rating: {
+        type: Number,
+        default: 1200,
+        min: 0,
+      },
+
+      // Losses where the player left or never reconnected (subset of losses)
+      forfeits: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+
+    // Counters for the active season only (gameStats is the all-time record)
+    seasonStats: {
+      season: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Season",
+        default: null,
+      },
+      wins: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      losses: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      draws: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      totalMatches: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      forfeits: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+
+    // Access level; admins may use /api/admin (see verifyLogin)
+    role: {
+      type: String,
+      enum: ["player", "admin"],
+      default: "player",
+    },
+
+    // Set while the wallet is banned from signing in, playing and the API
+    ban: {
+      type: new mongoose.Schema(
+        {
+          reason: { type: String, default: null },
+          bannedAt: { type: Date, default: Date.now },
+          expiresAt: { type: Date, default: null }, // null: permanent
+          bannedBy: { type: String, default: null }, // Admin's wallet address
+        },
+        { _id: false }
+      ),
+      default: null,
     },
 
     // Account creation timestamp
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+/**
+ * Violation Model - Anti-Cheat Findings
+ *
+ * Purpose: Keeps movement and input checks a player failed, for later review
+ * Scope: MongoDB database, permanent storage
+ * Lifespan: Permanent audit records
+ *
+ * Features: One document per violation type and burst (see AntiCheatService),
+ *          suspicion score at the time and whether the player was kicked
+ */
+const violationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    walletAddress: {
+      type: String,
+      default: null,
+    },
+
+    // Where it happened; practice and unsaved games have no match
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Match",
+      default: null,
+    },
+    roomId: {
+      type: String,
+      default: null,
+    },
+
+    type: {
+      type: String,
+      enum: [
+        "speed", // Reported velocity or movement faster than the player can run
+        "jump-height", // Higher or faster upwards than a jump allows
+        "teleport", // Too far from the server's position for the player
+        "input-rate", // More inputs per second than allowed
+        "report-rate", // More position reports per second than allowed
+        "position-mismatch", // Reported moving a seat that isn't theirs
+      ],
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 1, // Occurrences folded into this record
+      min: 1,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null, // Measured value and the limit it broke
+    },
+    suspicion: {
+      type: Number,
+      default: 0, // Player's suspicion score after this violation
+      min: 0,
+    },
+    action: {
+      type: String,
+      enum: ["flagged", "kicked"],
+      default: "flagged",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+violationSchema.index({ user: 1, createdAt: -1 });
+violationSchema.index({ match: 1 });
+
+module.exports = mongoose.model("Violation", violationSchema);
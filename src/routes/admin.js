@@ -0,0 +1,699 @@
+const express = require("express");
+const adminController = require("../controllers/adminController");
+const { verifyLogin } = require("../middlewares/verify_login.middleware");
+const { requireAdmin } = require("../middlewares/require_admin.middleware");
+
+const router = express.Router();
+
+/**
+ * @fileoverview Admin Routes
+ * @description Operational endpoints restricted to admins
+ * @module routes/admin
+ */
+
+router.use(verifyLogin, requireAdmin);
+
+/**
+ * @swagger
+ * /api/admin/reconciliation:
+ *   get:
+ *     summary: Last orphaned-match reconciliation report
+ *     description: |
+ *       On startup, matches left `waiting` or `playing` by a restart or crash
+ *       are saved as `abandoned` with a duration estimated from `startedAt`.
+ *       User stats are not changed. Returns the last run's report, or null
+ *       before the first run finishes.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     startedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     finishedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     nodeId:
+ *                       type: string
+ *                     checked:
+ *                       type: number
+ *                       description: Open matches created before startup
+ *                       example: 3
+ *                     abandoned:
+ *                       type: number
+ *                       example: 2
+ *                     skipped:
+ *                       type: number
+ *                       description: Matches whose room was restored here or is live on another node
+ *                       example: 1
+ *                     failed:
+ *                       type: number
+ *                       example: 0
+ *                     matches:
+ *                       type: array
+ *                       description: First 100 matches checked
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           matchId:
+ *                             type: string
+ *                           id:
+ *                             type: string
+ *                           previousStatus:
+ *                             type: string
+ *                             enum: [waiting, playing]
+ *                           roomId:
+ *                             type: string
+ *                             nullable: true
+ *                           tournament:
+ *                             type: string
+ *                             nullable: true
+ *                           duration:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Estimated duration in seconds
+ *                           result:
+ *                             type: string
+ *                             enum: [abandoned, skipped, failed]
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Signed-in user is not an admin (ADMIN_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/admin/reconciliation
+ * Retrieve the last orphaned-match reconciliation report
+ */
+router.get("/reconciliation", adminController.getReconciliationReport);
+
+/**
+ * @swagger
+ * /api/admin/rooms:
+ *   get:
+ *     summary: List every room on this node
+ *     description: |
+ *       Full state of each room this node runs (players, spectators, game
+ *       state, settings). Rooms on other nodes are listed by their own node.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rooms retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     nodeId:
+ *                       type: string
+ *                     rooms:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Signed-in user is not an admin (ADMIN_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/admin/rooms
+ * List every room on this node
+ */
+router.get("/rooms", adminController.listRooms);
+
+/**
+ * @swagger
+ * /api/admin/rooms/{roomId}/end:
+ *   post:
+ *     summary: End a live match with a chosen outcome
+ *     description: |
+ *       A winning position or `draw` saves the match as finished with
+ *       `decidedBy: "admin"` and updates stats and ratings as usual.
+ *       `abandoned` saves it as abandoned and changes no stats. Players get
+ *       `game-ended` / `match-ended` as for any other ending.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [outcome]
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [player1, player2, player3, player4, draw, abandoned]
+ *                 description: player3 and player4 only in free-for-all
+ *     responses:
+ *       200:
+ *         description: Match ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     room:
+ *                       type: object
+ *                     matchId:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Outcome not valid for the room's mode (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Signed-in user is not an admin (ADMIN_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Room not found (ROOM_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: No game is playing in the room (GAME_NOT_ACTIVE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       421:
+ *         description: The room is hosted on another node (ROOM_ON_ANOTHER_NODE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/admin/rooms/:roomId/end
+ * End a live match with a chosen outcome
+ */
+router.post("/rooms/:roomId/end", adminController.endMatch);
+
+/**
+ * @swagger
+ * /api/admin/rooms/{roomId}/close:
+ *   post:
+ *     summary: Close a room
+ *     description: |
+ *       A game still playing is saved as abandoned. Players get an
+ *       `error` with code `ROOM_CLOSED`, seats held for reconnecting players
+ *       are dropped, spectators get `spectate-ended` and the room is removed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Room closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Signed-in user is not an admin (ADMIN_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Room not found (ROOM_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       421:
+ *         description: The room is hosted on another node (ROOM_ON_ANOTHER_NODE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/admin/rooms/:roomId/close
+ * Close a room
+ */
+router.post("/rooms/:roomId/close", adminController.closeRoom);
+
+/**
+ * @swagger
+ * /api/admin/players/{walletAddress}:
+ *   get:
+ *     summary: Inspect a player
+ *     description: |
+ *       The user's account (role, ban, stats) and their sessions on this
+ *       node: room, queue, spectating, held seat and anti-cheat suspicion.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6"
+ *     responses:
+ *       200:
+ *         description: Player retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: object
+ *                     presence:
+ *                       type: object
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     heldSeat:
+ *                       type: object
+ *                       nullable: true
+ *                     suspicion:
+ *                       type: number
+ *                       nullable: true
+ *                     room:
+ *                       type: object
+ *                       nullable: true
+ *       400:
+ *         description: Invalid wallet address (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Signed-in user is not an admin (ADMIN_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found (USER_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/admin/players/:walletAddress
+ * Inspect a player
+ */
+router.get("/players/:walletAddress", adminController.getPlayer);
+
+/**
+ * @swagger
+ * /api/admin/players/{walletAddress}/kick:
+ *   post:
+ *     summary: Kick a player
+ *     description: |
+ *       Forfeits the player's live match, sends `kicked` (`reason: "admin"`)
+ *       to each of their sockets and disconnects them on every node. They
+ *       can sign back in straight away.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: Shown to the player
+ *     responses:
+ *       200:
+ *         description: Player kicked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid wallet address or reason (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Signed-in user is not an admin (ADMIN_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found (USER_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/admin/players/:walletAddress/kick
+ * Kick a player
+ */
+router.post("/players/:walletAddress/kick", adminController.kickPlayer);
+
+/**
+ * @swagger
+ * /api/admin/players/{walletAddress}/ban:
+ *   put:
+ *     summary: Ban a wallet
+ *     description: |
+ *       Kicks the player (`reason: "banned"`) and stops the wallet signing
+ *       in, connecting or using the API (`USER_BANNED`) until the ban expires
+ *       or is lifted. Banning again replaces the ban.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *               durationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Leave out for a permanent ban
+ *     responses:
+ *       200:
+ *         description: Player banned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     walletAddress:
+ *                       type: string
+ *                     ban:
+ *                       type: object
+ *                       properties:
+ *                         reason:
+ *                           type: string
+ *                           nullable: true
+ *                         bannedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         expiresAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         bannedBy:
+ *                           type: string
+ *       400:
+ *         description: Invalid wallet address, reason or duration, or your own wallet (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Signed-in user is not an admin (ADMIN_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found (USER_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * PUT /api/admin/players/:walletAddress/ban
+ * Ban a wallet
+ */
+router.put("/players/:walletAddress/ban", adminController.banPlayer);
+
+/**
+ * @swagger
+ * /api/admin/players/{walletAddress}/ban:
+ *   delete:
+ *     summary: Lift a wallet's ban
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: walletAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6"
+ *     responses:
+ *       200:
+ *         description: Ban lifted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid wallet address (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Signed-in user is not an admin (ADMIN_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found (USER_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * DELETE /api/admin/players/:walletAddress/ban
+ * Lift a wallet's ban
+ */
+router.delete("/players/:walletAddress/ban", adminController.unbanPlayer);
+
+/**
+ * @swagger
+ * /api/admin/broadcast:
+ *   post:
+ *     summary: Send a message to every connected client
+ *     description: Every socket on every node receives `server-message`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message]
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Maintenance in 10 minutes"
+ *               level:
+ *                 type: string
+ *                 enum: [info, warning]
+ *                 default: info
+ *     responses:
+ *       200:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Missing or too long message, or unknown level (VALIDATION_ERROR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Signed-in user is not an admin (ADMIN_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/admin/broadcast
+ * Send a message to every connected client
+ */
+router.post("/broadcast", adminController.broadcastMessage);
+
+module.exports = router;
@@ -169,6 +169,12 @@ router.post("/nonce", authLimiter, authController.generateNonce);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The wallet is banned (USER_BANNED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -0,0 +1,323 @@
+const express = require("express");
+const friendController = require("../controllers/friendController");
+const { verifyLogin } = require("../middlewares/verify_login.middleware");
+
+const router = express.Router();
+
+/**
+ * @fileoverview Friend Routes
+ * @description RESTful API routes for friend requests and friends lists
+ * @module routes/friend
+ */
+
+/**
+ * @swagger
+ * /api/friends:
+ *   get:
+ *     summary: List your friends
+ *     description: Each friend carries online and status (offline, idle, searching, spectating, in-room or playing)
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Friends retrieved, online friends first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     friends:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Friend'
+ *                     online:
+ *                       type: number
+ *                       description: Number of friends online
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/friends
+ * Retrieve the authenticated user's friends with online presence
+ */
+router.get("/", verifyLogin, friendController.listFriends);
+
+/**
+ * @swagger
+ * /api/friends/requests:
+ *   get:
+ *     summary: List pending friend requests
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Friend requests retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     incoming:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FriendRequest'
+ *                     outgoing:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FriendRequest'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/friends/requests
+ * Retrieve requests sent to and by the authenticated user
+ */
+router.get("/requests", verifyLogin, friendController.listRequests);
+
+/**
+ * @swagger
+ * /api/friends/requests:
+ *   post:
+ *     summary: Send a friend request
+ *     description: The recipient gets a friend-request socket event if online
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - walletAddress
+ *             properties:
+ *               walletAddress:
+ *                 type: string
+ *                 example: "0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6"
+ *     responses:
+ *       200:
+ *         description: The other user had already sent a request, which is now accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       201:
+ *         description: Friend request sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid wallet address, or your own
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Already friends, request already sent or friends list full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/friends/requests
+ * Send a friend request by wallet address
+ */
+router.post("/requests", verifyLogin, friendController.sendRequest);
+
+/**
+ * @swagger
+ * /api/friends/requests/{requestId}/accept:
+ *   post:
+ *     summary: Accept a friend request
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Friend request ID
+ *     responses:
+ *       200:
+ *         description: Friend request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Friend request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/friends/requests/:requestId/accept
+ * Accept a request sent to the authenticated user
+ */
+router.post(
+  "/requests/:requestId/accept",
+  verifyLogin,
+  friendController.acceptRequest
+);
+
+/**
+ * @swagger
+ * /api/friends/requests/{requestId}/decline:
+ *   post:
+ *     summary: Decline a friend request
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Friend request ID
+ *     responses:
+ *       200:
+ *         description: Friend request declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Friend request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/friends/requests/:requestId/decline
+ * Decline a request sent to the authenticated user
+ */
+router.post(
+  "/requests/:requestId/decline",
+  verifyLogin,
+  friendController.declineRequest
+);
+
+/**
+ * @swagger
+ * /api/friends/{userId}:
+ *   delete:
+ *     summary: Remove a friend
+ *     description: Also withdraws a pending request you sent to this user
+ *     tags: [Friends]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the friend
+ *     responses:
+ *       200:
+ *         description: Friend removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Friend not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * DELETE /api/friends/:userId
+ * Remove a friend or withdraw a sent request
+ */
+router.delete("/:userId", verifyLogin, friendController.removeFriend);
+
+module.exports = router;
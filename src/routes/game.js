@@ -15,7 +15,10 @@ const gameController = require("../controllers/gameController");
  * /api/game/rooms/{id}/code:
  *   get:
  *     summary: Get room code for sharing
- *     description: Returns the shareable room code that players can use to join this room
+ *     description: |
+ *       Returns the shareable room code that players can use to join this room.
+ *       Rooms hosted by another node (see Scaling in the README) only return
+ *       roomCode, roomId and node.
  *     tags: [Game]
  *     parameters:
  *       - in: path
@@ -57,6 +60,18 @@ const gameController = require("../controllers/gameController");
  *                 gameMode:
  *                   type: string
  *                   example: "1v1"
+ *                   enum: [1v1, 2v2, ffa]
+ *                 node:
+ *                   type: object
+ *                   description: Node hosting the room; join and spectate there
+ *                   properties:
+ *                     nodeId:
+ *                       type: string
+ *                       example: "api-1"
+ *                     nodeUrl:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "https://api-1.example.com"
  *       404:
  *         description: Room not found
  *         content:
@@ -120,6 +135,29 @@ router.get("/rooms/:id/code", gameController.getRoomCode);
  *                       type: number
  *                       description: Current timestamp
  *                       example: 1640995200000
+ *                     socketEvents:
+ *                       type: object
+ *                       description: Client socket events since startup, by event type
+ *                       properties:
+ *                         events:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: object
+ *                             properties:
+ *                               received:
+ *                                 type: number
+ *                               accepted:
+ *                                 type: number
+ *                               rateLimited:
+ *                                 type: number
+ *                               invalid:
+ *                                 type: number
+ *                           example:
+ *                             player-input: { received: 5120, accepted: 5104, rateLimited: 12, invalid: 4 }
+ *                         disconnects:
+ *                           type: number
+ *                           description: Sockets disconnected for repeated rejected events
+ *                           example: 1
  *       500:
  *         description: Internal server error
  *         content:
@@ -133,4 +171,77 @@ router.get("/rooms/:id/code", gameController.getRoomCode);
  */
 router.get("/stats", gameController.getStats);
 
+/**
+ * @swagger
+ * /api/game/live:
+ *   get:
+ *     summary: List live matches open to spectators
+ *     description: Join one with the `spectate-room` socket event using its roomId or roomCode
+ *     tags: [Game]
+ *     responses:
+ *       200:
+ *         description: Live matches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       roomId:
+ *                         type: string
+ *                       roomCode:
+ *                         type: string
+ *                         example: "ABC123"
+ *                       gameMode:
+ *                         type: string
+ *                         enum: [1v1, 2v2, ffa]
+ *                       players:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             username:
+ *                               type: string
+ *                             walletAddress:
+ *                               type: string
+ *                             position:
+ *                               type: string
+ *                               enum: [player1, player2, player3, player4]
+ *                             isConnected:
+ *                               type: boolean
+ *                       score:
+ *                         type: object
+ *                         properties:
+ *                           player1:
+ *                             type: number
+ *                           player2:
+ *                             type: number
+ *                       gameTime:
+ *                         type: number
+ *                         description: Seconds remaining
+ *                       isPaused:
+ *                         type: boolean
+ *                       spectatorCount:
+ *                         type: number
+ *                       maxSpectators:
+ *                         type: number
+ *                       startedAt:
+ *                         type: string
+ *                         format: date-time
+ *                 total:
+ *                   type: number
+ */
+/**
+ * GET /api/game/live
+ * List matches in progress that accept spectators
+ */
+router.get("/live", gameController.getLiveMatches);
+
 module.exports = router;
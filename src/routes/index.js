@@ -2,6 +2,11 @@ const express = require("express");
 const gameRoutes = require("./game");
 const userRoutes = require("./user");
 const matchRoutes = require("./match");
+const leaderboardRoutes = require("./leaderboard");
+const seasonRoutes = require("./season");
+const tournamentRoutes = require("./tournament");
+const friendRoutes = require("./friend");
+const adminRoutes = require("./admin");
 
 const authRoutes = require("./auth");
 
@@ -17,6 +22,11 @@ const router = express.Router();
 router.use("/game", gameRoutes);
 router.use("/users", userRoutes);
 router.use("/matches", matchRoutes);
+router.use("/leaderboard", leaderboardRoutes);
+router.use("/seasons", seasonRoutes);
+router.use("/tournaments", tournamentRoutes);
+router.use("/friends", friendRoutes);
+router.use("/admin", adminRoutes);
 
 router.use("/auth", authRoutes);
 
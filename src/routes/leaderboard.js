@@ -0,0 +1,170 @@
+const express = require("express");
+const leaderboardController = require("../controllers/leaderboardController");
+const { verifyLogin } = require("../middlewares/verify_login.middleware");
+
+const router = express.Router();
+
+/**
+ * @fileoverview Leaderboard Routes
+ * @description RESTful API routes for player rankings
+ * @module routes/leaderboard
+ */
+
+/**
+ * @swagger
+ * /api/leaderboard:
+ *   get:
+ *     summary: Get player rankings
+ *     tags: [Leaderboard]
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [all, season, week]
+ *           default: all
+ *         description: Only count matches finished in this window (season is the active season, week is the last 7 days)
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [wins, winRate, goalDifference, matchesPlayed]
+ *           default: wins
+ *         description: Ranking field (ties broken by wins, then goal difference)
+ *       - in: query
+ *         name: minMatches
+ *         schema:
+ *           type: number
+ *           default: 1
+ *         description: Minimum matches in the window to appear in the rankings
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *         description: Number of players per page (max 100)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       200:
+ *         description: Leaderboard retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     window:
+ *                       type: string
+ *                     seasonId:
+ *                       type: string
+ *                       description: Active season ID when window is season
+ *                     sortBy:
+ *                       type: string
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LeaderboardEntry'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: number
+ *                     limit:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                     totalPages:
+ *                       type: number
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/leaderboard
+ * Retrieve a page of ranked players
+ */
+router.get("/", leaderboardController.getLeaderboard);
+
+/**
+ * @swagger
+ * /api/leaderboard/me:
+ *   get:
+ *     summary: Get the authenticated user's rank
+ *     tags: [Leaderboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [all, season, week]
+ *           default: all
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [wins, winRate, goalDifference, matchesPlayed]
+ *           default: wins
+ *       - in: query
+ *         name: minMatches
+ *         schema:
+ *           type: number
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Rank retrieved (ranked is false when the user has no matches in the window)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     window:
+ *                       type: string
+ *                     seasonId:
+ *                       type: string
+ *                       description: Active season ID when window is season
+ *                     sortBy:
+ *                       type: string
+ *                     ranked:
+ *                       type: boolean
+ *                     entry:
+ *                       $ref: '#/components/schemas/LeaderboardEntry'
+ *                     totalRanked:
+ *                       type: number
+ *                       description: Number of ranked players in the window
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/leaderboard/me
+ * Retrieve the authenticated user's position on the leaderboard
+ */
+router.get("/me", verifyLogin, leaderboardController.getMyRank);
+
+module.exports = router;
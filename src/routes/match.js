@@ -185,4 +185,50 @@ router.get(
  */
 router.get("/:matchId", matchController.getMatchById);
 
+/**
+ * @swagger
+ * /api/matches/{matchId}/replay:
+ *   get:
+ *     summary: Stream a match replay
+ *     description: |
+ *       Newline-delimited JSON. The first line is a header (players, tick and snapshot rates, field size);
+ *       every following line is one recorded event `{ t, ts, type, data }`, where `t` is milliseconds
+ *       since kickoff and `type` is the socket event name: the server's ball-state and player-position
+ *       snapshots, player-input echoes, goal-scored, the powerup, king, overtime and penalty events,
+ *       and game-ended. Sent gzip-encoded when the client accepts it.
+ *     tags: [Matches]
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Match ID
+ *     responses:
+ *       200:
+ *         description: Replay stream
+ *         headers:
+ *           X-Replay-Event-Count:
+ *             schema:
+ *               type: number
+ *           X-Replay-Duration-Ms:
+ *             schema:
+ *               type: number
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Replay not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/matches/:matchId/replay
+ * Stream the recorded events of a match
+ */
+router.get("/:matchId/replay", matchController.getMatchReplay);
+
 module.exports = router;
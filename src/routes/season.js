@@ -0,0 +1,194 @@
+const express = require("express");
+const seasonController = require("../controllers/seasonController");
+
+const router = express.Router();
+
+/**
+ * @fileoverview Season Routes
+ * @description RESTful API routes for ranked seasons and their final standings
+ * @module routes/season
+ */
+
+/**
+ * @swagger
+ * /api/seasons:
+ *   get:
+ *     summary: List seasons, newest first
+ *     tags: [Seasons]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Number of seasons per page (max 100)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       200:
+ *         description: Seasons retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Season'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/seasons
+ * Retrieve a page of past and current seasons
+ */
+router.get("/", seasonController.listSeasons);
+
+/**
+ * @swagger
+ * /api/seasons/current:
+ *   get:
+ *     summary: Get the active season
+ *     tags: [Seasons]
+ *     responses:
+ *       200:
+ *         description: Active season retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Season'
+ */
+/**
+ * GET /api/seasons/current
+ * Retrieve the season ranked matches currently count towards
+ */
+router.get("/current", seasonController.getCurrentSeason);
+
+/**
+ * @swagger
+ * /api/seasons/{seasonId}:
+ *   get:
+ *     summary: Get season details
+ *     tags: [Seasons]
+ *     parameters:
+ *       - in: path
+ *         name: seasonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Season ID
+ *     responses:
+ *       200:
+ *         description: Season retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Season'
+ *       404:
+ *         description: Season not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/seasons/:seasonId
+ * Retrieve a single season
+ */
+router.get("/:seasonId", seasonController.getSeasonById);
+
+/**
+ * @swagger
+ * /api/seasons/{seasonId}/leaderboard:
+ *   get:
+ *     summary: Get a season's leaderboard
+ *     description: Archived seasons return their final standings; the active season returns live rankings
+ *     tags: [Seasons]
+ *     parameters:
+ *       - in: path
+ *         name: seasonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Season ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *         description: Number of players per page (max 100)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       200:
+ *         description: Season leaderboard retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     season:
+ *                       $ref: '#/components/schemas/Season'
+ *                     final:
+ *                       type: boolean
+ *                       description: True when these are the archived final standings
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LeaderboardEntry'
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Season not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/seasons/:seasonId/leaderboard
+ * Retrieve a season's final standings or live rankings
+ */
+router.get("/:seasonId/leaderboard", seasonController.getSeasonLeaderboard);
+
+module.exports = router;
@@ -0,0 +1,361 @@
+const express = require("express");
+const tournamentController = require("../controllers/tournamentController");
+const { verifyLogin } = require("../middlewares/verify_login.middleware");
+
+const router = express.Router();
+
+/**
+ * @fileoverview Tournament Routes
+ * @description RESTful API routes for elimination tournaments: registration, start and brackets
+ * @module routes/tournament
+ */
+
+/**
+ * @swagger
+ * /api/tournaments:
+ *   get:
+ *     summary: List tournaments, newest first
+ *     description: Brackets are left out; fetch a single tournament to get its bracket
+ *     tags: [Tournaments]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [registration, in-progress, completed, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Number of tournaments per page (max 100)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       200:
+ *         description: Tournaments retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tournament'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/tournaments
+ * Retrieve a page of tournaments
+ */
+router.get("/", tournamentController.listTournaments);
+
+/**
+ * @swagger
+ * /api/tournaments:
+ *   post:
+ *     summary: Create a tournament
+ *     description: The creator starts it once enough players have registered
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - size
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 60
+ *               format:
+ *                 type: string
+ *                 enum: [single-elimination, double-elimination]
+ *                 default: single-elimination
+ *               size:
+ *                 type: number
+ *                 enum: [8, 16, 32]
+ *     responses:
+ *       201:
+ *         description: Tournament created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Tournament'
+ *       400:
+ *         description: Invalid name, format or size
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/tournaments
+ * Create a tournament open for registration
+ */
+router.post("/", verifyLogin, tournamentController.createTournament);
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}:
+ *   get:
+ *     summary: Get a tournament with its bracket
+ *     tags: [Tournaments]
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Tournament retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Tournament'
+ *       400:
+ *         description: Invalid tournament ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Tournament not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * GET /api/tournaments/:tournamentId
+ * Retrieve a tournament, its participants and bracket
+ */
+router.get("/:tournamentId", tournamentController.getTournament);
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}/register:
+ *   post:
+ *     summary: Register for a tournament
+ *     description: Registration closes when the tournament starts or is full
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Tournament'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Tournament not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Registration closed, tournament full or already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/tournaments/:tournamentId/register
+ * Register the authenticated user
+ */
+router.post(
+  "/:tournamentId/register",
+  verifyLogin,
+  tournamentController.register
+);
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}/register:
+ *   delete:
+ *     summary: Withdraw from a tournament
+ *     description: Only possible while registration is open
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Withdrawn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Tournament'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Tournament not found or not registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Registration closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * DELETE /api/tournaments/:tournamentId/register
+ * Withdraw the authenticated user
+ */
+router.delete(
+  "/:tournamentId/register",
+  verifyLogin,
+  tournamentController.withdraw
+);
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}/start:
+ *   post:
+ *     summary: Start a tournament
+ *     description: Creator only. Seeds players by lifetime win rate, fills empty seeds with byes and opens the first rooms
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Tournament started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Tournament'
+ *       401:
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only the creator can start the tournament
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Tournament not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Already started or fewer than 2 players
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * POST /api/tournaments/:tournamentId/start
+ * Seed the bracket and open the first round
+ */
+router.post(
+  "/:tournamentId/start",
+  verifyLogin,
+  tournamentController.startTournament
+);
+
+module.exports = router;
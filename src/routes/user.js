@@ -66,13 +66,7 @@ router.get("/wallet/:walletAddress", userController.getUserByWallet);
  *             schema:
  *               $ref: '#/components/schemas/User'
  *       401:
- *         description: Unauthorized - JWT token required
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       403:
- *         description: Forbidden - Invalid or expired token
+ *         description: Missing, invalid or expired JWT (AUTH_REQUIRED, AUTH_INVALID or AUTH_EXPIRED)
  *         content:
  *           application/json:
  *             schema:
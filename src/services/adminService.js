@@ -0,0 +1,277 @@
+const gameService = require("./gameService");
+const gameBroadcaster = require("./gameBroadcaster");
+const roomManagerService = require("./roomManagerService");
+const clusterService = require("./clusterService");
+const userService = require("./userService");
+const antiCheatService = require("./antiCheatService");
+
+/**
+ * @fileoverview Admin Service
+ * @description Live room and player management for admins
+ * @module services/adminService
+ */
+
+// Longest server message, in characters
+const MAX_MESSAGE_LENGTH = 500;
+const MESSAGE_LEVELS = ["info", "warning"];
+
+/**
+ * Admin Service - Room actions apply to rooms this node runs; player
+ * actions reach the player's sockets on every node
+ * @class AdminService
+ */
+class AdminService {
+  /**
+   * Every room on this node with its full state
+   */
+  async listRooms() {
+    return {
+      success: true,
+      nodeId: clusterService.nodeId,
+      rooms: await roomManagerService.getAllRooms(),
+    };
+  }
+
+  /**
+   * A room run by this node, or why it can't be acted on here
+   * @returns {Promise<Object>} { success, room }
+   */
+  async findRoom(roomId) {
+    const room = roomManagerService.getRoom(roomId);
+    if (room) return { success: true, room };
+
+    const remote = await clusterService.findRemoteRoom({ roomId });
+    if (remote) return roomManagerService.roomOnAnotherNode(remote);
+
+    return { success: false, code: "ROOM_NOT_FOUND", reason: "Room not found" };
+  }
+
+  async findUser(walletAddress) {
+    const result = await userService.findUserByWallet(
+      walletAddress.toLowerCase()
+    );
+    if (!result.success) return result;
+    if (!result.user) {
+      return {
+        success: false,
+        code: "USER_NOT_FOUND",
+        error: "User not found",
+      };
+    }
+    return result;
+  }
+
+  /**
+   * A user's account and what their sessions on this node are doing
+   * @param {string} walletAddress - Wallet to look up
+   * @returns {Promise<Object>} { success, player }
+   */
+  async inspectPlayer(walletAddress) {
+    const userResult = await this.findUser(walletAddress);
+    if (!userResult.success) return userResult;
+
+    const { user } = userResult;
+    const held = gameService.disconnectedPlayers.get(user._id.toString());
+    const sessions = gameService.getPlayersByUserId(user._id);
+
+    const roomId =
+      held?.roomId ||
+      sessions.find((player) => player.currentRoom)?.currentRoom;
+    const room = roomId ? gameService.getRoom(roomId) : null;
+
+    return {
+      success: true,
+      player: {
+        user: {
+          id: user._id,
+          walletAddress: user.walletAddress,
+          role: userService.getRole(user),
+          banned: userService.isBanned(user),
+          ban: user.ban,
+          gameStats: user.gameStats,
+          seasonStats: user.seasonStats,
+          joinedAt: user.joinedAt,
+        },
+        presence: gameService.getPresence(user._id),
+        sessions: sessions.map((player) => ({
+          ...player.toJSON(),
+          queue: gameService.getQueueStatus(player.id),
+          spectating: gameService.spectators.get(player.id) || null,
+        })),
+        heldSeat: held
+          ? { roomId: held.roomId, expiresAt: held.expiresAt }
+          : null,
+        suspicion: sessions.length
+          ? Math.round(antiCheatService.getSuspicion(sessions[0]))
+          : null,
+        room: room ? room.toJSON() : null,
+      },
+    };
+  }
+
+  /**
+   * End a live match with a chosen outcome
+   * @param {string} roomId - Room playing the match
+   * @param {string} outcome - Winning position, "draw" or "abandoned"
+   */
+  async forceEndMatch(roomId, outcome) {
+    const found = await this.findRoom(roomId);
+    if (!found.success) return found;
+
+    const result = await gameService.forceEndGame(found.room, outcome);
+    if (!result.success) return result;
+
+    return {
+      success: true,
+      room: found.room.toJSON(),
+      matchId: found.room.matchId || null,
+    };
+  }
+
+  /**
+   * Close a room, abandoning its game if one is playing
+   */
+  async closeRoom(roomId) {
+    const found = await this.findRoom(roomId);
+    if (!found.success) return found;
+
+    await gameService.closeRoom(found.room);
+    return { success: true, roomId };
+  }
+
+  /**
+   * Take a user out of their rooms on this node, then disconnect their
+   * sockets everywhere. A live match is forfeited rather than held for a
+   * reconnect.
+   */
+  removeUser(user, payload) {
+    const userKey = user._id.toString();
+
+    if (gameService.disconnectedPlayers.has(userKey)) {
+      gameService.handleGraceExpired(userKey);
+    }
+
+    gameService.getPlayersByUserId(user._id).forEach((player) => {
+      const result = gameService.leaveRoom(player.id);
+      if (!result.success) return;
+
+      gameBroadcaster.broadcastPlayerLeft(result.room.id, {
+        playerId: player.id,
+        username: player.username,
+        remainingPlayers: result.room.players.length,
+        message: `${player.username} was removed from the match`,
+        reason: "kicked",
+      });
+    });
+
+    gameBroadcaster.disconnectUser(user._id, payload);
+  }
+
+  /**
+   * Disconnect a user; they can sign back in straight away
+   * @param {string} walletAddress - Wallet to kick
+   * @param {string} [reason] - Shown to the player
+   */
+  async kickPlayer(walletAddress, reason) {
+    const userResult = await this.findUser(walletAddress);
+    if (!userResult.success) return userResult;
+
+    this.removeUser(userResult.user, {
+      reason: "admin",
+      message: reason || "You were disconnected by an admin",
+    });
+
+    return { success: true, walletAddress: userResult.user.walletAddress };
+  }
+
+  /**
+   * Ban a wallet and disconnect it. Banned wallets can't sign in, connect
+   * or use the API until the ban expires or is lifted.
+   * @param {string} walletAddress - Wallet to ban
+   * @param {Object} options - { reason, durationMinutes } (no duration: permanent)
+   * @param {string} adminAddress - Wallet of the admin banning
+   */
+  async banPlayer(walletAddress, options = {}, adminAddress) {
+    const { reason = null, durationMinutes = null } = options;
+
+    if (
+      durationMinutes !== null &&
+      (!Number.isInteger(durationMinutes) || durationMinutes < 1)
+    ) {
+      return {
+        success: false,
+        code: "VALIDATION_ERROR",
+        error: "durationMinutes must be null or a whole number of at least 1",
+      };
+    }
+    if (walletAddress.toLowerCase() === adminAddress?.toLowerCase()) {
+      return {
+        success: false,
+        code: "VALIDATION_ERROR",
+        error: "You can't ban yourself",
+      };
+    }
+
+    const result = await userService.banUser(walletAddress, {
+      reason,
+      expiresAt: durationMinutes
+        ? new Date(Date.now() + durationMinutes * 60 * 1000)
+        : null,
+      bannedBy: adminAddress?.toLowerCase() || null,
+    });
+    if (!result.success) return result;
+
+    this.removeUser(result.user, {
+      reason: "banned",
+      message: reason || "This wallet is banned",
+      expiresAt: result.user.ban.expiresAt,
+    });
+
+    return {
+      success: true,
+      walletAddress: result.user.walletAddress,
+      ban: result.user.ban,
+    };
+  }
+
+  /**
+   * Lift a wallet's ban
+   */
+  async unbanPlayer(walletAddress) {
+    const result = await userService.unbanUser(walletAddress);
+    if (!result.success) return result;
+
+    return { success: true, walletAddress: result.user.walletAddress };
+  }
+
+  /**
+   * Send a message to every connected client
+   * @param {string} message - Text to show
+   * @param {string} [level] - "info" (default) or "warning"
+   */
+  broadcastMessage(message, level = "info") {
+    if (
+      typeof message !== "string" ||
+      !message.trim() ||
+      message.length > MAX_MESSAGE_LENGTH
+    ) {
+      return {
+        success: false,
+        code: "VALIDATION_ERROR",
+        error: `message must be between 1 and ${MAX_MESSAGE_LENGTH} characters`,
+      };
+    }
+    if (!MESSAGE_LEVELS.includes(level)) {
+      return {
+        success: false,
+        code: "VALIDATION_ERROR",
+        error: `level must be one of: ${MESSAGE_LEVELS.join(", ")}`,
+      };
+    }
+
+    gameBroadcaster.broadcastServerMessage(message.trim(), level);
+    return { success: true };
+  }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,302 @@
+const Violation = require("../models/violation");
+const physicsService = require("./physicsService");
+
+/**
+ * @fileoverview Anti-Cheat Service
+ * @description Checks client movement reports and input rates against physical limits
+ * @module services/antiCheatService
+ */
+
+// Headroom on physical limits for latency, jitter and client rounding
+const LIMIT_TOLERANCE = 1.25;
+const POSITION_SLACK = 20; // pixels
+
+// Farthest a reported position may be from the server's (about half a
+// second of running plus lag)
+const TELEPORT_DISTANCE = 150;
+
+// Kickoffs and penalties move players on the server; reports sent before
+// the client saw the reset aren't checked for this long
+const RESET_GRACE_MS = 1000;
+
+// Messages a client may send per second; the rest are dropped
+const RATE_WINDOW_MS = 1000;
+const MAX_INPUTS_PER_SECOND = 30;
+const MAX_REPORTS_PER_SECOND = 70;
+
+// Suspicion added per violation. It decays over time, and a player is
+// kicked once it reaches KICK_THRESHOLD.
+const VIOLATION_WEIGHTS = {
+  speed: 10,
+  "jump-height": 10,
+  teleport: 20,
+  "input-rate": 2,
+  "report-rate": 1,
+  "position-mismatch": 15,
+};
+const SUSPICION_DECAY_PER_SECOND = 2;
+const KICK_THRESHOLD = 100;
+
+// Each violation type is saved at most this often per player; repeats in
+// between are counted into the next record
+const VIOLATION_SAVE_INTERVAL_MS = 5000;
+
+/**
+ * Anti-Cheat Service - Suspicion scores, rate limits and violation records
+ * per user (per socket for guests), kept in memory while they're connected
+ * @class AntiCheatService
+ */
+class AntiCheatService {
+  constructor() {
+    this.players = new Map(); // userId or socketId -> state
+  }
+
+  getKey(player) {
+    return player.userId?.toString() || player.id;
+  }
+
+  getState(player) {
+    const key = this.getKey(player);
+    if (!this.players.has(key)) {
+      this.players.set(key, {
+        suspicion: 0,
+        updatedAt: Date.now(),
+        inputs: { windowStart: 0, count: 0 },
+        reports: { windowStart: 0, count: 0 },
+        saved: {}, // type -> { savedAt, pending }
+      });
+    }
+    return this.players.get(key);
+  }
+
+  /**
+   * Current suspicion score after decay
+   */
+  getSuspicion(player) {
+    const state = this.getState(player);
+    const now = Date.now();
+    const decay = ((now - state.updatedAt) / 1000) * SUSPICION_DECAY_PER_SECOND;
+
+    state.suspicion = Math.max(state.suspicion - decay, 0);
+    state.updatedAt = now;
+    return state.suspicion;
+  }
+
+  /**
+   * Drop a player's state when they leave for good
+   */
+  forget(player) {
+    this.players.delete(this.getKey(player));
+  }
+
+  /**
+   * Count a message against its per-second allowance
+   * @returns {boolean} True if it is within the limit
+   */
+  withinRate(counter, limit) {
+    const now = Date.now();
+    if (now - counter.windowStart >= RATE_WINDOW_MS) {
+      counter.windowStart = now;
+      counter.count = 0;
+    }
+
+    counter.count++;
+    return counter.count <= limit;
+  }
+
+  /**
+   * Rate-limit a gameplay input
+   * @returns {Object} { allowed, kick }
+   */
+  checkInput(player, room) {
+    const state = this.getState(player);
+    if (this.withinRate(state.inputs, MAX_INPUTS_PER_SECOND)) {
+      return { allowed: true, kick: false };
+    }
+
+    const { kick } = this.flag(player, room, "input-rate", {
+      limit: MAX_INPUTS_PER_SECOND,
+    });
+    return { allowed: false, kick };
+  }
+
+  /**
+   * Check a client's reported position and velocity against what the
+   * player could physically do
+   * @param {Player} player - Reporting player
+   * @param {GameRoom} room - Room being played
+   * @param {Object} report - { x, y, velocityX, velocityY } from the client
+   * @returns {Object} { allowed, kick, violations }
+   */
+  checkPosition(player, room, report = {}) {
+    const state = this.getState(player);
+    if (!this.withinRate(state.reports, MAX_REPORTS_PER_SECOND)) {
+      const { kick } = this.flag(player, room, "report-rate", {
+        limit: MAX_REPORTS_PER_SECOND,
+      });
+      return { allowed: false, kick, violations: ["report-rate"] };
+    }
+
+    const { x, y } = report;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      return { allowed: false, kick: false, violations: [] };
+    }
+
+    const found = this.findMovementViolations(player, room, report);
+    let kick = false;
+    found.forEach(({ type, details }) => {
+      kick = this.flag(player, room, type, details).kick || kick;
+    });
+
+    return {
+      allowed: found.length === 0,
+      kick,
+      violations: found.map((violation) => violation.type),
+    };
+  }
+
+  /**
+   * Physical limits a movement report breaks
+   */
+  findMovementViolations(player, room, report) {
+    const { PLAYER_SPEED, JUMP_VELOCITY, GRAVITY, GROUND_Y, FIELD_WIDTH } =
+      physicsService.constants;
+    const modifiers = physicsService.getModifiers(player);
+    const maxSpeed = PLAYER_SPEED * modifiers.speed * LIMIT_TOLERANCE;
+    const maxJumpHeight =
+      ((JUMP_VELOCITY * JUMP_VELOCITY) / (2 * GRAVITY)) * LIMIT_TOLERANCE;
+    const minY =
+      GROUND_Y -
+      physicsService.getPlayerRadius(player) -
+      maxJumpHeight -
+      POSITION_SLACK;
+    const violations = [];
+
+    if (Math.abs(report.velocityX || 0) > maxSpeed) {
+      violations.push({
+        type: "speed",
+        details: { velocityX: report.velocityX, limit: maxSpeed },
+      });
+    }
+
+    if (
+      report.y < minY ||
+      (report.velocityY || 0) < JUMP_VELOCITY * LIMIT_TOLERANCE
+    ) {
+      violations.push({
+        type: "jump-height",
+        details: { y: report.y, velocityY: report.velocityY, minY },
+      });
+    }
+
+    if (report.x < -POSITION_SLACK || report.x > FIELD_WIDTH + POSITION_SLACK) {
+      violations.push({
+        type: "teleport",
+        details: { x: report.x, fieldWidth: FIELD_WIDTH },
+      });
+    }
+
+    // The server just moved everyone; the client may not have caught up
+    if (this.isSettling(room)) return violations;
+
+    const last = player.gameState.lastReported;
+    if (last && Number.isFinite(last.x)) {
+      const seconds = Math.max((Date.now() - last.timestamp) / 1000, 1 / 60);
+      const moved = Math.abs(report.x - last.x);
+      if (moved > maxSpeed * seconds + POSITION_SLACK) {
+        violations.push({
+          type: "speed",
+          details: { moved, seconds, limit: maxSpeed },
+        });
+      }
+    }
+
+    const server = player.gameState.position;
+    const distance = Math.hypot(report.x - server.x, report.y - server.y);
+    if (
+      distance > TELEPORT_DISTANCE &&
+      !violations.some((violation) => violation.type === "teleport")
+    ) {
+      violations.push({
+        type: "teleport",
+        details: { distance, limit: TELEPORT_DISTANCE },
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Whether players were just placed by a kickoff, a penalty or the start
+   */
+  isSettling(room) {
+    if (room.gameState.phase === "penalties" || room.gameState.isPaused) {
+      return true;
+    }
+
+    const lastReset = Math.max(
+      room.gameState.lastGoal?.time || 0,
+      room.startedAt?.getTime() || 0
+    );
+    return Date.now() - lastReset < RESET_GRACE_MS;
+  }
+
+  /**
+   * Add a violation to the player's suspicion and record it
+   * @returns {Object} { suspicion, kick }
+   */
+  flag(player, room, type, details = null) {
+    const state = this.getState(player);
+    const suspicion = this.getSuspicion(player) + VIOLATION_WEIGHTS[type];
+    state.suspicion = suspicion;
+
+    const kick = suspicion >= KICK_THRESHOLD;
+    this.recordViolation(player, room, type, details, kick);
+
+    if (kick) {
+      console.warn(
+        `Anti-cheat: kicking ${player.username} (suspicion ${Math.round(
+          suspicion
+        )}, last violation ${type})`
+      );
+    }
+
+    return { suspicion, kick };
+  }
+
+  /**
+   * Save a violation against the user, folding repeats within
+   * VIOLATION_SAVE_INTERVAL_MS into the next record. Kicks are always saved.
+   */
+  recordViolation(player, room, type, details, kick) {
+    if (!player.userId) return;
+
+    const state = this.getState(player);
+    const saved = state.saved[type] || { savedAt: 0, pending: 0 };
+    state.saved[type] = saved;
+    saved.pending++;
+
+    const now = Date.now();
+    if (!kick && now - saved.savedAt < VIOLATION_SAVE_INTERVAL_MS) return;
+
+    const count = saved.pending;
+    saved.savedAt = now;
+    saved.pending = 0;
+
+    Violation.create({
+      user: player.userId,
+      walletAddress: player.walletAddress,
+      match: room?.matchId || null,
+      roomId: room?.id || null,
+      type,
+      count,
+      details,
+      suspicion: Math.round(state.suspicion),
+      action: kick ? "kicked" : "flagged",
+    }).catch((error) => {
+      console.error("Error saving anti-cheat violation:", error.message);
+    });
+  }
+}
+
+module.exports = new AntiCheatService();
@@ -1,6 +1,12 @@
 const { SiweMessage, generateNonce } = require("siwe");
 const jwt = require("jsonwebtoken");
 const userService = require("./userService");
+const { stateStore } = require("../config/stateStore");
+
+// How long a nonce can be used to sign in
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+const nonceKey = (userIdentifier) => `nonce:${userIdentifier}`;
 
 /**
  * @fileoverview Authentication Service
@@ -19,11 +25,10 @@ class AuthService {
       throw new Error("JWT_SECRET environment variable is required");
     }
 
-    // In-memory nonce store (consider using Redis in production)
-    this.nonceStore = new Map();
-
-    // Start nonce cleanup interval
-    this.startNonceCleanup();
+    // Nonces live in the shared state store, so the node that checks a
+    // signature needn't be the one that issued the nonce. They expire on
+    // their own after NONCE_TTL_MS.
+    this.nonceStore = stateStore;
   }
 
   /**
@@ -62,11 +67,15 @@ class AuthService {
       const testMessage = new SiweMessage(messageData);
 
       // Store nonce with expiration (5 minutes)
-      this.nonceStore.set(userIdentifier, {
-        nonce: nonce,
-        messageData: messageData,
-        expires: Date.now() + 1000 * 60 * 5,
-      });
+      await this.nonceStore.set(
+        nonceKey(userIdentifier),
+        {
+          nonce: nonce,
+          messageData: messageData,
+          expires: Date.now() + NONCE_TTL_MS,
+        },
+        { ttlMs: NONCE_TTL_MS }
+      );
 
       console.log("Generated nonce:", nonce, "for user:", userIdentifier);
 
@@ -78,6 +87,7 @@ class AuthService {
       console.error("Error generating nonce:", error);
       return {
         success: false,
+        code: "INTERNAL_ERROR",
         error: error.message,
       };
     }
@@ -96,11 +106,14 @@ class AuthService {
       console.log("Message received:", message);
 
       // Validate stored nonce
-      const storedNonceData = this.nonceStore.get(userIdentifier);
+      const storedNonceData = await this.nonceStore.get(
+        nonceKey(userIdentifier)
+      );
       if (!storedNonceData || storedNonceData.expires < Date.now()) {
         console.error("Invalid or expired nonce for user:", userIdentifier);
         return {
           success: false,
+          code: "NONCE_INVALID",
           error: "Invalid or expired nonce. Please request a new nonce.",
         };
       }
@@ -115,6 +128,7 @@ class AuthService {
         console.error("Failed to parse SIWE message:", parseError);
         return {
           success: false,
+          code: "SIWE_MESSAGE_INVALID",
           error: `Invalid SIWE message format: ${parseError.message}`,
         };
       }
@@ -131,6 +145,7 @@ class AuthService {
         );
         return {
           success: false,
+          code: "NONCE_INVALID",
           error: "Nonce mismatch. Please request a new nonce.",
         };
       }
@@ -145,12 +160,13 @@ class AuthService {
         console.error("SIWE verification failed:", verification.error);
         return {
           success: false,
+          code: "SIGNATURE_INVALID",
           error: "Signature verification failed",
         };
       }
 
       // Clean up used nonce
-      this.nonceStore.delete(userIdentifier);
+      await this.nonceStore.del(nonceKey(userIdentifier));
 
       // Create or get user in database
       const userResult = await userService.createUserFromWallet(
@@ -159,9 +175,17 @@ class AuthService {
       if (!userResult.success) {
         return {
           success: false,
+          code: "INTERNAL_ERROR",
           error: "Failed to create/retrieve user account",
         };
       }
+      if (userService.isBanned(userResult.user)) {
+        return {
+          success: false,
+          code: "USER_BANNED",
+          error: "This wallet is banned",
+        };
+      }
 
       // Generate JWT token with user ID for efficient lookups
       const token = jwt.sign(
@@ -186,32 +210,11 @@ class AuthService {
       console.error("Error verifying SIWE message:", error);
       return {
         success: false,
+        code: "INTERNAL_ERROR",
         error: error.message || "Verification failed",
       };
     }
   }
-
-  /**
-   * Clean expired nonces (call periodically)
-   */
-  cleanExpiredNonces() {
-    const now = Date.now();
-    for (const [key, value] of this.nonceStore.entries()) {
-      if (value.expires < now) {
-        this.nonceStore.delete(key);
-      }
-    }
-  }
-
-  /**
-   * Start automatic nonce cleanup
-   */
-  startNonceCleanup() {
-    // Clean expired nonces every 5 minutes
-    setInterval(() => {
-      this.cleanExpiredNonces();
-    }, 5 * 60 * 1000);
-  }
 }
 
 module.exports = new AuthService();
@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+const Player = require("../models/player");
+const physicsService = require("./physicsService");
+
+/**
+ * @fileoverview Bot Service
+ * @description Server-side practice opponents that play through client inputs
+ * @module services/botService
+ */
+
+// How each difficulty plays: ticks between decisions (its reaction time), how
+// far off it lines up behind the ball, how often it goes up for a high ball
+// and how close the ball has to be before it kicks
+const BOT_DIFFICULTIES = {
+  easy: { thinkEveryTicks: 20, aimError: 60, jumpChance: 0.2, kickRange: 45 },
+  medium: { thinkEveryTicks: 10, aimError: 30, jumpChance: 0.5, kickRange: 60 },
+  hard: { thinkEveryTicks: 4, aimError: 10, jumpChance: 0.85, kickRange: 70 },
+};
+
+const DEFAULT_DIFFICULTY = "medium";
+
+// Ratings below these get the easier bots when the queue falls back to one
+const EASY_BELOW_RATING = 1100;
+const MEDIUM_BELOW_RATING = 1400;
+
+// Close enough to its target spot to stand still (pixels)
+const ARRIVE_DISTANCE = 8;
+
+/**
+ * Bot Service - Creates bots and decides their inputs. Bots are Players
+ * without a socket; GameService feeds their inputs through handlePlayerInput
+ * like any client's.
+ * @class BotService
+ */
+class BotService {
+  isValidDifficulty(difficulty) {
+    return Object.hasOwn(BOT_DIFFICULTIES, difficulty);
+  }
+
+  getDifficulties() {
+    return Object.keys(BOT_DIFFICULTIES);
+  }
+
+  /**
+   * Difficulty for a player the queue couldn't match, by their rating
+   */
+  getDifficultyForRating(rating) {
+    if (rating < EASY_BELOW_RATING) return "easy";
+    if (rating < MEDIUM_BELOW_RATING) return "medium";
+    return "hard";
+  }
+
+  /**
+   * New bot, ready to play as soon as it is seated
+   * @param {string} [difficulty] - Key of BOT_DIFFICULTIES
+   */
+  createBot(difficulty = DEFAULT_DIFFICULTY) {
+    const bot = new Player(`bot_${crypto.randomUUID()}`, null, null, {
+      difficulty,
+      nextThinkTick: 0,
+      aimOffset: 0,
+    });
+    bot.isReady = true;
+
+    return bot;
+  }
+
+  /**
+   * Inputs the bot sends this tick, as { action, pressed } like a client's
+   * player-input. Empty between decisions, so held inputs carry over.
+   * @param {GameRoom} room - Room being simulated
+   * @param {Player} bot - Bot seated in the room
+   */
+  getInputs(room, bot) {
+    const { tick, ball } = room.gameState;
+    if (tick < bot.bot.nextThinkTick) return [];
+
+    const settings = BOT_DIFFICULTIES[bot.bot.difficulty];
+    const { PLAYER_RADIUS, BALL_RADIUS } = physicsService.constants;
+    const body = bot.gameState;
+    const direction = physicsService.getAttackDirection(room, bot);
+
+    bot.bot.nextThinkTick = tick + settings.thinkEveryTicks;
+    bot.bot.aimOffset = (Math.random() * 2 - 1) * settings.aimError;
+
+    // Get behind the ball so contact pushes it towards the goal being
+    // attacked; drop further back when the ball is already behind the bot
+    const ballAhead = (ball.x - body.position.x) * direction > 0;
+    const spacing = ballAhead
+      ? PLAYER_RADIUS + BALL_RADIUS
+      : (PLAYER_RADIUS + BALL_RADIUS) * 2;
+    const targetX = ball.x - direction * spacing + bot.bot.aimOffset;
+    const dx = targetX - body.position.x;
+    const moving = Math.abs(dx) > ARRIVE_DISTANCE;
+
+    const ballDx = ball.x - body.position.x;
+    const ballDy = ball.y - body.position.y;
+    const ballDistance = Math.sqrt(ballDx * ballDx + ballDy * ballDy);
+    const ballAbove =
+      ballDy < -PLAYER_RADIUS && Math.abs(ballDx) < PLAYER_RADIUS * 3;
+
+    return [
+      { action: "move-left", pressed: moving && dx < 0 },
+      { action: "move-right", pressed: moving && dx > 0 },
+      {
+        action: "jump",
+        pressed: ballAbove && Math.random() < settings.jumpChance,
+      },
+      {
+        action: "kick",
+        pressed: ballAhead && ballDistance <= settings.kickRange,
+      },
+    ];
+  }
+}
+
+module.exports = new BotService();
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const gameBroadcaster = require("./gameBroadcaster");
+
+/**
+ * @fileoverview Challenge Service
+ * @description Direct match invites between friends, held in memory until answered
+ * @module services/challengeService
+ */
+
+// How long a challenge waits for an answer
+const CHALLENGE_TTL_MS = 30 * 1000;
+
+/**
+ * Challenge Service - Pending challenges and their expiry
+ * @class ChallengeService
+ */
+class ChallengeService {
+  constructor() {
+    this.challenges = new Map(); // challengeId -> challenge
+  }
+
+  /**
+   * Record a challenge from a player's socket to another user
+   * @param {Player} challenger - Player session that sent the challenge
+   * @param {Object} opponent - { userId, walletAddress } of the challenged user
+   * @param {Object} rules - Validated match rules for the room
+   */
+  create(challenger, opponent, rules = {}) {
+    const pending = [...this.challenges.values()];
+
+    if (pending.some((c) => c.from.playerId === challenger.id)) {
+      return {
+        success: false,
+        code: "CHALLENGE_PENDING",
+        reason: "You already have a challenge waiting for an answer",
+      };
+    }
+
+    const opponentKey = opponent.userId.toString();
+    if (
+      pending.some(
+        (c) =>
+          c.from.userId.toString() === opponentKey &&
+          c.to.userId.toString() === challenger.userId.toString()
+      )
+    ) {
+      return {
+        success: false,
+        code: "CHALLENGE_RECEIVED",
+        reason: "This player has already challenged you",
+      };
+    }
+
+    const now = Date.now();
+    const challenge = {
+      id: crypto.randomUUID(),
+      from: {
+        playerId: challenger.id,
+        userId: challenger.userId,
+        walletAddress: challenger.walletAddress,
+      },
+      to: {
+        userId: opponent.userId,
+        walletAddress: opponent.walletAddress,
+      },
+      rules,
+      createdAt: now,
+      expiresAt: now + CHALLENGE_TTL_MS,
+    };
+
+    challenge.timer = setTimeout(
+      () => this.expire(challenge.id),
+      CHALLENGE_TTL_MS
+    );
+    this.challenges.set(challenge.id, challenge);
+
+    return { success: true, challenge };
+  }
+
+  /**
+   * Remove and return a challenge addressed to this user
+   */
+  take(challengeId, userId) {
+    const challenge = this.challenges.get(challengeId);
+    if (!challenge || challenge.to.userId.toString() !== userId?.toString()) {
+      return {
+        success: false,
+        code: "CHALLENGE_NOT_FOUND",
+        reason: "Challenge not found or expired",
+      };
+    }
+
+    this.remove(challenge);
+    return { success: true, challenge };
+  }
+
+  /**
+   * Withdraw a challenge sent from this socket
+   */
+  cancel(challengeId, playerId) {
+    const challenge = this.challenges.get(challengeId);
+    if (!challenge || challenge.from.playerId !== playerId) {
+      return {
+        success: false,
+        code: "CHALLENGE_NOT_FOUND",
+        reason: "Challenge not found or expired",
+      };
+    }
+
+    this.remove(challenge);
+    this.notify(challenge, "challenge-cancelled", { reason: "cancelled" });
+    return { success: true, challenge };
+  }
+
+  /**
+   * Drop challenges sent from a socket that disconnected
+   */
+  cancelForPlayer(playerId) {
+    this.challenges.forEach((challenge) => {
+      if (challenge.from.playerId !== playerId) return;
+
+      this.remove(challenge);
+      this.notify(challenge, "challenge-cancelled", {
+        reason: "disconnected",
+      });
+    });
+  }
+
+  expire(challengeId) {
+    const challenge = this.challenges.get(challengeId);
+    if (!challenge) return;
+
+    this.remove(challenge);
+    this.notify(challenge, "challenge-expired", {});
+  }
+
+  remove(challenge) {
+    clearTimeout(challenge.timer);
+    this.challenges.delete(challenge.id);
+  }
+
+  /**
+   * Send a challenge event to both users
+   */
+  notify(challenge, eventName, data) {
+    [challenge.from.userId, challenge.to.userId].forEach((userId) => {
+      gameBroadcaster.emitToUser(userId, eventName, {
+        ...data,
+        ...this.toJSON(challenge),
+        timestamp: Date.now(),
+      });
+    });
+  }
+
+  /**
+   * Public view of a challenge
+   */
+  toJSON(challenge) {
+    return {
+      challengeId: challenge.id,
+      from: {
+        userId: challenge.from.userId,
+        walletAddress: challenge.from.walletAddress,
+      },
+      to: challenge.to,
+      rules: challenge.rules,
+      expiresAt: challenge.expiresAt,
+    };
+  }
+}
+
+module.exports = new ChallengeService();
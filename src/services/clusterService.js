@@ -0,0 +1,229 @@
+const { stateStore, nodeId, nodeUrl } = require("../config/stateStore");
+
+/**
+ * @fileoverview Cluster Service
+ * @description Room ownership and the room directory shared by every node
+ * @module services/clusterService
+ */
+
+// A room belongs to the node holding its lease. Leases are renewed well
+// before they run out; a node that stops renewing (crashed, cut off from
+// the store) loses its rooms once they expire.
+const ROOM_LEASE_MS = parseInt(process.env.ROOM_LEASE_MS) || 15 * 1000;
+const LEASE_RENEW_INTERVAL_MS = Math.floor(ROOM_LEASE_MS / 3);
+
+const roomKey = (roomId) => `room:${roomId}`;
+const codeKey = (code) => `roomCode:${code}`;
+
+/**
+ * Cluster Service - Rooms live in memory on the node that created them,
+ * which runs their game loop and holds their sockets. The store only has
+ * a directory entry per room and per room code, { roomId, code, nodeId,
+ * nodeUrl }, so any node can tell where a room is.
+ * @class ClusterService
+ */
+class ClusterService {
+  constructor() {
+    this.store = stateStore;
+    this.nodeId = nodeId;
+    this.nodeUrl = nodeUrl;
+    this.leaseMs = ROOM_LEASE_MS;
+    this.ownedRooms = new Map(); // roomId -> directory entry
+    this.handlers = {};
+    this.renewing = false;
+
+    this.renewTimer = setInterval(
+      () => this.renewLeases(),
+      LEASE_RENEW_INTERVAL_MS
+    );
+  }
+
+  /**
+   * Register ownership callbacks
+   * @param {Object} handlers - Cluster callbacks
+   * @param {Function} [handlers.onRoomLost] - Called with the room ID when another node holds its lease
+   */
+  setHandlers(handlers = {}) {
+    this.handlers = handlers;
+  }
+
+  /**
+   * Whether this node runs the room
+   */
+  isOwner(roomId) {
+    return this.ownedRooms.has(roomId);
+  }
+
+  /**
+   * Take ownership of a room this node just created or restored. It is
+   * owned locally straight away; the lease is written in the background.
+   * A lease left by this node before a restart is taken over.
+   * @param {GameRoom} room - New room
+   * @returns {Promise<boolean>} False if another node holds the room's lease
+   */
+  async claimRoom(room) {
+    const entry = {
+      roomId: room.id,
+      code: room.code,
+      nodeId: this.nodeId,
+      nodeUrl: this.nodeUrl,
+    };
+    this.ownedRooms.set(room.id, entry);
+
+    let claimed = await this.store.set(roomKey(room.id), entry, {
+      ttlMs: ROOM_LEASE_MS,
+      onlyIfAbsent: true,
+    });
+    if (!claimed) {
+      const current = await this.store.get(roomKey(room.id));
+      if (current?.nodeId === this.nodeId) {
+        claimed = await this.store.set(roomKey(room.id), entry, {
+          ttlMs: ROOM_LEASE_MS,
+        });
+      }
+    }
+    if (!claimed) this.loseRoom(room.id);
+    return claimed;
+  }
+
+  /**
+   * Make an owned room's code resolvable from every node
+   * @returns {Promise<boolean>} False if a room on another node has the code
+   */
+  async reserveCode(room) {
+    const entry = this.ownedRooms.get(room.id);
+    if (!entry) return false;
+
+    let reserved = await this.store.set(
+      codeKey(room.code),
+      { ...entry, code: room.code },
+      { ttlMs: ROOM_LEASE_MS, onlyIfAbsent: true }
+    );
+    if (!reserved) {
+      const current = await this.store.get(codeKey(room.code));
+      reserved =
+        current?.roomId === room.id &&
+        (await this.store.set(
+          codeKey(room.code),
+          { ...entry, code: room.code },
+          { ttlMs: ROOM_LEASE_MS }
+        ));
+    }
+    if (reserved) {
+      entry.code = room.code;
+      await this.store.set(roomKey(room.id), entry, { ttlMs: ROOM_LEASE_MS });
+    }
+    return reserved;
+  }
+
+  /**
+   * Give up a room this node no longer runs
+   */
+  async releaseRoom(roomId) {
+    const entry = this.ownedRooms.get(roomId);
+    if (!entry) return;
+    this.ownedRooms.delete(roomId);
+
+    try {
+      // Only remove entries that are still ours
+      const [room, code] = await Promise.all([
+        this.store.get(roomKey(roomId)),
+        this.store.get(codeKey(entry.code)),
+      ]);
+      if (room?.nodeId === this.nodeId) await this.store.del(roomKey(roomId));
+      if (code?.roomId === roomId) await this.store.del(codeKey(entry.code));
+    } catch (error) {
+      console.error(`Error releasing room ${roomId}:`, error.message);
+    }
+  }
+
+  /**
+   * Look a room up in the directory
+   * @param {Object} query - { roomId } or { roomCode }
+   * @returns {Promise<Object|null>} { roomId, code, nodeId, nodeUrl } or null
+   */
+  async findRoom({ roomId, roomCode }) {
+    if (roomId) return this.store.get(roomKey(roomId));
+    if (roomCode) return this.store.get(codeKey(roomCode.toUpperCase()));
+    return null;
+  }
+
+  /**
+   * Directory entry for a room run by another node
+   * @returns {Promise<Object|null>} Entry, or null if unknown or local
+   */
+  async findRemoteRoom(query) {
+    try {
+      const entry = await this.findRoom(query);
+      return entry && entry.nodeId !== this.nodeId ? entry : null;
+    } catch (error) {
+      console.error("Error looking up room directory:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extend the lease on every owned room, and drop the ones another node
+   * has taken over
+   */
+  async renewLeases() {
+    if (this.renewing) return;
+    this.renewing = true;
+
+    try {
+      for (const [roomId, entry] of this.ownedRooms) {
+        try {
+          await this.renewLease(roomId, entry);
+        } catch (error) {
+          console.error(
+            `Error renewing lease on room ${roomId}:`,
+            error.message
+          );
+        }
+      }
+    } finally {
+      this.renewing = false;
+    }
+  }
+
+  async renewLease(roomId, entry) {
+    const options = { ttlMs: ROOM_LEASE_MS, onlyIfAbsent: true };
+    const current = await this.store.get(roomKey(roomId));
+
+    if (current && current.nodeId !== this.nodeId) {
+      this.loseRoom(roomId);
+      return;
+    }
+
+    // A lease that ran out (the store was unreachable for a while) is
+    // claimed again, unless another node got there first
+    if (!current && !(await this.store.set(roomKey(roomId), entry, options))) {
+      this.loseRoom(roomId);
+      return;
+    }
+    if (current) await this.store.expire(roomKey(roomId), ROOM_LEASE_MS);
+
+    if (!(await this.store.expire(codeKey(entry.code), ROOM_LEASE_MS))) {
+      await this.store.set(codeKey(entry.code), entry, options);
+    }
+  }
+
+  /**
+   * Stop renewing leases and give up every owned room, before shutting down
+   */
+  async stop() {
+    clearInterval(this.renewTimer);
+    await Promise.all(
+      [...this.ownedRooms.keys()].map((roomId) => this.releaseRoom(roomId))
+    );
+  }
+
+  loseRoom(roomId) {
+    if (!this.ownedRooms.delete(roomId)) return;
+
+    console.warn(`Room ${roomId} is owned by another node, giving it up`);
+    if (this.handlers.onRoomLost) this.handlers.onRoomLost(roomId);
+  }
+}
+
+module.exports = new ClusterService();
@@ -0,0 +1,314 @@
+const mongoose = require("mongoose");
+const Friendship = require("../models/friendship");
+const User = require("../models/user");
+const gameService = require("./gameService");
+const gameBroadcaster = require("./gameBroadcaster");
+
+/**
+ * @fileoverview Friend Service
+ * @description Friend requests, friends lists with online presence
+ * @module services/friendService
+ */
+
+const MAX_FRIENDS = 200;
+
+/**
+ * Friend Service - Requests and friendships between users, keyed by wallet
+ * @class FriendService
+ */
+class FriendService {
+  /**
+   * Find the friendship or pending request between two users, either way round
+   */
+  async findBetween(userId, otherUserId) {
+    return Friendship.findOne({
+      $or: [
+        { requester: userId, recipient: otherUserId },
+        { requester: otherUserId, recipient: userId },
+      ],
+    });
+  }
+
+  /**
+   * Check whether two users are friends
+   */
+  async areFriends(userId, otherUserId) {
+    const friendship = await this.findBetween(userId, otherUserId);
+    return friendship?.status === "accepted";
+  }
+
+  /**
+   * Send a friend request by wallet address. If the other user already asked
+   * us, their request is accepted instead.
+   */
+  async sendRequest(userId, walletAddress) {
+    try {
+      const target = await User.findOne({
+        walletAddress: walletAddress.toLowerCase(),
+      }).select("walletAddress");
+      if (!target) {
+        return {
+          success: false,
+          code: "USER_NOT_FOUND",
+          error: "User not found",
+        };
+      }
+
+      if (target._id.toString() === userId.toString()) {
+        return {
+          success: false,
+          code: "FRIEND_SELF",
+          error: "You can't add yourself as a friend",
+        };
+      }
+
+      const existing = await this.findBetween(userId, target._id);
+      if (existing?.status === "accepted") {
+        return {
+          success: false,
+          code: "ALREADY_FRIENDS",
+          error: "Already friends",
+        };
+      }
+      if (existing && existing.requester.toString() === userId.toString()) {
+        return {
+          success: false,
+          code: "FRIEND_REQUEST_EXISTS",
+          error: "Friend request already sent",
+        };
+      }
+      if (existing) {
+        return this.acceptRequest(userId, existing._id);
+      }
+
+      const friendCount = await Friendship.countDocuments({
+        status: "accepted",
+        $or: [{ requester: userId }, { recipient: userId }],
+      });
+      if (friendCount >= MAX_FRIENDS) {
+        return {
+          success: false,
+          code: "FRIENDS_LIST_FULL",
+          error: `Friends list is full (${MAX_FRIENDS})`,
+        };
+      }
+
+      const friendship = await Friendship.create({
+        requester: userId,
+        recipient: target._id,
+      });
+
+      const requester = await User.findById(userId).select("walletAddress");
+      gameBroadcaster.emitToUser(target._id, "friend-request", {
+        requestId: friendship._id,
+        from: {
+          userId: userId,
+          walletAddress: requester?.walletAddress || null,
+        },
+        timestamp: Date.now(),
+      });
+
+      return { success: true, friendship: friendship, accepted: false };
+    } catch (error) {
+      console.error("Error sending friend request:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Accept a pending request sent to this user
+   */
+  async acceptRequest(userId, requestId) {
+    try {
+      const { friendship, error, code } = await this.loadRequest(
+        userId,
+        requestId
+      );
+      if (error) return { success: false, code, error };
+
+      friendship.status = "accepted";
+      friendship.acceptedAt = new Date();
+      await friendship.save();
+
+      const recipient = await User.findById(userId).select("walletAddress");
+      gameBroadcaster.emitToUser(
+        friendship.requester,
+        "friend-request-accepted",
+        {
+          requestId: friendship._id,
+          friend: {
+            userId: userId,
+            walletAddress: recipient?.walletAddress || null,
+          },
+          timestamp: Date.now(),
+        }
+      );
+
+      return { success: true, friendship: friendship, accepted: true };
+    } catch (error) {
+      console.error("Error accepting friend request:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Decline a pending request sent to this user
+   */
+  async declineRequest(userId, requestId) {
+    try {
+      const { friendship, error, code } = await this.loadRequest(
+        userId,
+        requestId
+      );
+      if (error) return { success: false, code, error };
+
+      await friendship.deleteOne();
+
+      return { success: true };
+    } catch (error) {
+      console.error("Error declining friend request:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Load a pending request addressed to this user
+   */
+  async loadRequest(userId, requestId) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return { code: "VALIDATION_ERROR", error: "Invalid request ID" };
+    }
+
+    const friendship = await Friendship.findById(requestId);
+    if (
+      !friendship ||
+      friendship.status !== "pending" ||
+      friendship.recipient.toString() !== userId.toString()
+    ) {
+      return {
+        code: "FRIEND_REQUEST_NOT_FOUND",
+        error: "Friend request not found",
+      };
+    }
+
+    return { friendship };
+  }
+
+  /**
+   * Remove a friend, or withdraw a request this user sent
+   */
+  async removeFriend(userId, friendUserId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(friendUserId)) {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          error: "Invalid user ID",
+        };
+      }
+
+      const friendship = await this.findBetween(userId, friendUserId);
+      const removable =
+        friendship &&
+        (friendship.status === "accepted" ||
+          friendship.requester.toString() === userId.toString());
+      if (!removable) {
+        return {
+          success: false,
+          code: "FRIEND_NOT_FOUND",
+          error: "Friend not found",
+        };
+      }
+
+      await friendship.deleteOne();
+
+      return { success: true };
+    } catch (error) {
+      console.error("Error removing friend:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * List a user's friends with whether they're online and what they're doing
+   */
+  async listFriends(userId) {
+    try {
+      const friendships = await Friendship.find({
+        status: "accepted",
+        $or: [{ requester: userId }, { recipient: userId }],
+      })
+        .populate("requester", "walletAddress")
+        .populate("recipient", "walletAddress")
+        .lean();
+
+      const friends = friendships
+        .map((friendship) => {
+          const friend =
+            friendship.requester._id.toString() === userId.toString()
+              ? friendship.recipient
+              : friendship.requester;
+
+          return {
+            userId: friend._id,
+            walletAddress: friend.walletAddress,
+            since: friendship.acceptedAt,
+            ...gameService.getPresence(friend._id),
+          };
+        })
+        // Online friends first, then by wallet
+        .sort(
+          (a, b) =>
+            b.online - a.online ||
+            a.walletAddress.localeCompare(b.walletAddress)
+        );
+
+      return {
+        success: true,
+        friends: friends,
+        online: friends.filter((friend) => friend.online).length,
+      };
+    } catch (error) {
+      console.error("Error listing friends:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * List pending requests sent to and by a user
+   */
+  async listRequests(userId) {
+    try {
+      const requests = await Friendship.find({
+        status: "pending",
+        $or: [{ requester: userId }, { recipient: userId }],
+      })
+        .populate("requester", "walletAddress")
+        .populate("recipient", "walletAddress")
+        .sort({ createdAt: -1 })
+        .lean();
+
+      const toEntry = (request, user) => ({
+        requestId: request._id,
+        userId: user._id,
+        walletAddress: user.walletAddress,
+        createdAt: request.createdAt,
+      });
+
+      return {
+        success: true,
+        incoming: requests
+          .filter((r) => r.recipient._id.toString() === userId.toString())
+          .map((r) => toEntry(r, r.requester)),
+        outgoing: requests
+          .filter((r) => r.requester._id.toString() === userId.toString())
+          .map((r) => toEntry(r, r.recipient)),
+      };
+    } catch (error) {
+      console.error("Error listing friend requests:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+}
+
+module.exports = new FriendService();
@@ -1,3 +1,9 @@
+const replayService = require("./replayService");
+const { errorBody } = require("../config/errorCodes");
+
+// How far behind the live game spectators are kept
+const SPECTATOR_DELAY_MS = parseInt(process.env.SPECTATOR_DELAY_MS, 10) || 2000;
+
 /**
  * @fileoverview Game Broadcaster Service
  * @description Handles Socket.IO broadcasting for real-time game events and state updates
@@ -14,6 +20,47 @@ class GameBroadcaster {
     this.lastGameStates = new Map(); // roomId -> lastGameState (for change detection)
   }
 
+  /**
+   * Socket.IO room that spectators of a game room join
+   */
+  spectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+  }
+
+  /**
+   * Socket.IO room every socket of a signed-in user joins
+   */
+  userChannel(userId) {
+    return `user:${userId}`;
+  }
+
+  get spectatorDelayMs() {
+    return SPECTATOR_DELAY_MS;
+  }
+
+  /**
+   * Emit a watchable event to a room's players, then to its spectators
+   * after the spectator delay
+   */
+  emitToRoom(roomId, eventName, payload) {
+    this.io.to(roomId).emit(eventName, payload);
+
+    const channel = this.spectatorChannel(roomId);
+    if (!this.io.sockets.adapter.rooms.get(channel)) return;
+
+    setTimeout(() => {
+      this.io?.to(channel).emit(eventName, { ...payload, spectator: true });
+    }, SPECTATOR_DELAY_MS);
+  }
+
+  /**
+   * Emit a gameplay event to a room and add it to the room's replay
+   */
+  emitRecorded(roomId, eventName, payload) {
+    this.emitToRoom(roomId, eventName, payload);
+    replayService.record(roomId, eventName, payload);
+  }
+
   /**
    * Broadcast basic game state updates to room
    */
@@ -25,23 +72,62 @@ class GameBroadcaster {
 
     // Only broadcast if there are meaningful changes
     if (!last || this.hasSignificantChanges(current, last)) {
-      this.io.to(roomId).emit("game-state", {
+      this.emitToRoom(roomId, "game-state", {
         room: gameState.room.toJSON(),
         gameState: current,
         timestamp: gameState.timestamp,
       });
 
-      this.lastGameStates.set(roomId, { ...current });
+      // The score is updated in place, so keep a copy to compare against
+      this.lastGameStates.set(roomId, {
+        ...current,
+        score: { ...current.score },
+      });
     }
   }
 
+  /**
+   * Broadcast authoritative physics snapshot.
+   * Emitted as the same ball-state / player-position events clients
+   * used to relay to each other, so existing renderers keep working.
+   */
+  broadcastSnapshot(roomId, snapshot) {
+    if (!this.io) return;
+
+    const timestamp = Date.now();
+
+    this.emitRecorded(roomId, "ball-state", {
+      ball: snapshot.ball,
+      tick: snapshot.tick,
+      authoritative: true,
+      timestamp,
+    });
+
+    snapshot.players.forEach((player) => {
+      this.emitRecorded(roomId, "player-position", {
+        position: player.position,
+        player: {
+          x: player.x,
+          y: player.y,
+          velocityX: player.velocityX,
+          velocityY: player.velocityY,
+          onGround: player.onGround,
+          powerups: player.powerups, // Active effect types
+        },
+        tick: snapshot.tick,
+        authoritative: true,
+        timestamp,
+      });
+    });
+  }
+
   /**
    * Broadcast goal event
    */
   broadcastGoalEvent(roomId, goalData) {
     if (!this.io) return;
 
-    this.io.to(roomId).emit("goal-scored", {
+    this.emitRecorded(roomId, "goal-scored", {
       type: "goal",
       scorer: goalData.scorer,
       newScore: goalData.newScore,
@@ -56,12 +142,13 @@ class GameBroadcaster {
   broadcastGameEnd(roomId, gameResult) {
     if (!this.io) return;
 
-    this.io.to(roomId).emit("game-ended", {
+    this.emitRecorded(roomId, "game-ended", {
       type: "game-ended",
       reason: gameResult.reason,
       finalScore: gameResult.finalScore,
       winner: gameResult.winner,
       duration: gameResult.duration,
+      penaltyScore: gameResult.penaltyScore || null,
       timestamp: gameResult.timestamp,
     });
 
@@ -69,6 +156,31 @@ class GameBroadcaster {
     this.lastGameStates.delete(roomId);
   }
 
+  /**
+   * Broadcast match closed out early (forfeit or abandonment)
+   */
+  broadcastMatchEnded(roomId, matchData) {
+    if (!this.io) return;
+
+    const message =
+      matchData.reason === "forfeit"
+        ? "Your opponent left the match - you win by forfeit!"
+        : "Match abandoned";
+
+    this.emitToRoom(roomId, "match-ended", {
+      message,
+      reason: matchData.reason,
+      matchId: matchData.matchId,
+      finalScore: matchData.finalScore,
+      duration: matchData.duration,
+      winner: matchData.winner,
+      winnerWalletAddress: matchData.winnerWalletAddress,
+      forfeitedBy: matchData.forfeitedBy,
+      forfeitedByWalletAddress: matchData.forfeitedByWalletAddress,
+      timestamp: Date.now(),
+    });
+  }
+
   /**
    * Broadcast game started
    */
@@ -89,7 +201,7 @@ class GameBroadcaster {
       timestamp: Date.now(),
     };
 
-    this.io.to(roomId).emit("game-started", gameStartEvent);
+    this.emitToRoom(roomId, "game-started", gameStartEvent);
   }
 
   /**
@@ -127,16 +239,58 @@ class GameBroadcaster {
     });
   }
 
+  /**
+   * Broadcast that a player dropped and their seat is being held
+   */
+  broadcastPlayerReconnecting(roomId, playerData) {
+    if (!this.io) return;
+
+    this.io.to(roomId).emit("player-reconnecting", {
+      type: "player-reconnecting",
+      playerId: playerData.playerId,
+      username: playerData.username,
+      playerPosition: playerData.playerPosition,
+      graceMs: playerData.graceMs,
+      expiresAt: playerData.expiresAt,
+      message: `${playerData.username} disconnected - waiting for them to reconnect`,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast that a player came back to their held seat
+   */
+  broadcastPlayerReconnected(roomId, playerData) {
+    if (!this.io) return;
+
+    this.io.to(roomId).emit("player-reconnected", {
+      type: "player-reconnected",
+      playerId: playerData.playerId,
+      username: playerData.username,
+      playerPosition: playerData.playerPosition,
+      gameResumed: playerData.gameResumed,
+      timestamp: Date.now(),
+    });
+  }
+
   /**
    * Check if game state has significant changes worth broadcasting
    */
   hasSignificantChanges(current, last) {
     if (!last) return true;
 
+    // Every position's goals, including player3/player4 in free-for-all
+    const positions = new Set([
+      ...Object.keys(current.score || {}),
+      ...Object.keys(last.score || {}),
+    ]);
+
     return (
       Math.abs(current.gameTime - last.gameTime) > 0.5 || // Time changed by more than 0.5 seconds
-      current.score?.player1 !== last.score?.player1 ||
-      current.score?.player2 !== last.score?.player2 ||
+      [...positions].some(
+        (position) => current.score?.[position] !== last.score?.[position]
+      ) ||
+      current.phase !== last.phase ||
       current.isActive !== last.isActive ||
       current.isPaused !== last.isPaused
     );
@@ -144,26 +298,30 @@ class GameBroadcaster {
 
   /**
    * Broadcast error to specific socket
+   * @param {string} code - Key of ERROR_CODES (config/errorCodes)
    */
-  broadcastError(socketId, error) {
+  broadcastError(socketId, code, message) {
     if (!this.io) return;
 
+    const body = errorBody(code, message);
     this.io.to(socketId).emit("error", {
-      type: error.type || "GAME_ERROR",
-      message: error.message,
+      ...body,
+      type: body.code,
       timestamp: Date.now(),
     });
   }
 
   /**
    * Broadcast error to entire room
+   * @param {string} code - Key of ERROR_CODES (config/errorCodes)
    */
-  broadcastRoomError(roomId, error) {
+  broadcastRoomError(roomId, code, message) {
     if (!this.io) return;
 
+    const body = errorBody(code, message);
     this.io.to(roomId).emit("error", {
-      type: error.type || "ROOM_ERROR",
-      message: error.message,
+      ...body,
+      type: body.code,
       timestamp: Date.now(),
     });
   }
@@ -194,6 +352,68 @@ class GameBroadcaster {
     });
   }
 
+  /**
+   * Broadcast room full (all seats taken)
+   */
+  broadcastRoomFull(roomId, roomData) {
+    if (!this.io) return;
+
+    this.io.to(roomId).emit("room-full", {
+      message: roomData.message,
+      roomId: roomId,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Tell a room a practice bot took a seat
+   */
+  broadcastBotJoined(roomId, data) {
+    if (!this.io) return;
+
+    this.io.to(roomId).emit("bot-joined", {
+      type: "bot-joined",
+      ...data,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Send matchmaking queue status to a waiting player
+   */
+  broadcastQueueStatus(socketId, status) {
+    if (!this.io || !status) return;
+
+    this.io.to(socketId).emit("queue-status", {
+      type: "queue-status",
+      ...status,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Tell a player they left the matchmaking queue without asking, e.g.
+   * because their party mate cancelled
+   */
+  broadcastQueueLeft(socketId, data) {
+    if (!this.io) return;
+
+    this.io.to(socketId).emit("queue-left", {
+      type: "queue-left",
+      ...data,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Join a player's socket to a Socket.IO room from outside its handler
+   */
+  addSocketToRoom(socketId, roomId) {
+    if (!this.io) return;
+
+    this.io.in(socketId).socketsJoin(roomId);
+  }
+
   /**
    * Broadcast rematch request
    */
@@ -276,11 +496,12 @@ class GameBroadcaster {
   broadcastTimerUpdate(roomId, timerData) {
     if (!this.io) return;
 
-    this.io.to(roomId).emit("timer-update", {
+    this.emitToRoom(roomId, "timer-update", {
       type: "timer-update",
       gameTime: timerData.gameTime,
       timeRemaining: timerData.timeRemaining,
       elapsedTime: timerData.elapsedTime,
+      phase: timerData.phase || "regulation",
       timestamp: timerData.timestamp || Date.now(),
     });
   }
@@ -291,7 +512,7 @@ class GameBroadcaster {
   broadcastTimerWarning(roomId, warningData) {
     if (!this.io) return;
 
-    this.io.to(roomId).emit("timer-warning", {
+    this.emitToRoom(roomId, "timer-warning", {
       type: "timer-warning",
       warning: warningData.warning,
       timeRemaining: warningData.timeRemaining,
@@ -306,7 +527,7 @@ class GameBroadcaster {
   broadcastTimeUp(roomId, timeUpData) {
     if (!this.io) return;
 
-    this.io.to(roomId).emit("time-up", {
+    this.emitToRoom(roomId, "time-up", {
       type: "time-up",
       message: timeUpData.message,
       finalTime: timeUpData.finalTime,
@@ -314,13 +535,170 @@ class GameBroadcaster {
     });
   }
 
+  /**
+   * Broadcast a powerup appearing on the pitch
+   */
+  broadcastPowerupSpawned(roomId, powerup) {
+    if (!this.io) return;
+
+    this.emitRecorded(roomId, "powerup-spawned", {
+      id: powerup.id,
+      type: powerup.type,
+      x: powerup.x,
+      y: powerup.y,
+      radius: powerup.radius,
+      expiresAtTick: powerup.expiresAtTick,
+      tick: powerup.spawnedAtTick,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast a powerup pickup and the effect it started
+   */
+  broadcastPowerupCollected(roomId, collectData) {
+    if (!this.io) return;
+
+    const { powerup, effect } = collectData;
+
+    this.emitRecorded(roomId, "powerup-collected", {
+      id: powerup.id,
+      type: powerup.type,
+      collectorPosition: collectData.collector,
+      target: effect ? effect.target : null, // Position the effect applies to
+      expiresAtTick: effect ? effect.expiresAtTick : null,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast an uncollected powerup leaving the pitch
+   */
+  broadcastPowerupDespawned(roomId, despawnData) {
+    if (!this.io) return;
+
+    this.emitRecorded(roomId, "powerup-despawned", {
+      id: despawnData.powerup.id,
+      type: despawnData.powerup.type,
+      reason: despawnData.reason, // "expired" or "cleared"
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast a powerup effect wearing off
+   */
+  broadcastPowerupEffectEnded(roomId, effectData) {
+    if (!this.io) return;
+
+    this.emitRecorded(roomId, "powerup-effect-ended", {
+      id: effectData.effect.id,
+      type: effectData.effect.type,
+      position: effectData.player,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast a new king of the hill (free-for-all)
+   */
+  broadcastKingChanged(roomId, kingData) {
+    if (!this.io) return;
+
+    this.emitRecorded(roomId, "king-changed", {
+      type: "king-changed",
+      king: kingData.king,
+      previousKing: kingData.previousKing,
+      score: kingData.score,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast a point the king earned by holding the hill (free-for-all)
+   */
+  broadcastKingPoint(roomId, pointData) {
+    if (!this.io) return;
+
+    this.emitRecorded(roomId, "king-point", {
+      type: "king-point",
+      king: pointData.king,
+      newScore: pointData.newScore,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast the start of golden-goal overtime
+   */
+  broadcastOvertimeStarted(roomId, overtimeData) {
+    if (!this.io) return;
+
+    this.emitRecorded(roomId, "overtime-started", {
+      type: "overtime-started",
+      duration: overtimeData.duration,
+      score: overtimeData.score,
+      message: "Scores level - next goal wins!",
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast the start of a penalty shootout
+   */
+  broadcastPenaltiesStarted(roomId, penaltiesData) {
+    if (!this.io) return;
+
+    this.emitRecorded(roomId, "penalties-started", {
+      type: "penalties-started",
+      rounds: penaltiesData.rounds,
+      kickDuration: penaltiesData.kickDuration,
+      score: penaltiesData.score,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast the next penalty kick (players have been placed)
+   */
+  broadcastPenaltyKick(roomId, kickData) {
+    if (!this.io) return;
+
+    this.emitRecorded(roomId, "penalty-kick", {
+      type: "penalty-kick",
+      round: kickData.round,
+      kicker: kickData.kicker,
+      timeLimit: kickData.timeLimit,
+      penaltyScore: kickData.penaltyScore,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast whether a penalty kick was scored
+   */
+  broadcastPenaltyResult(roomId, resultData) {
+    if (!this.io) return;
+
+    this.emitRecorded(roomId, "penalty-result", {
+      type: "penalty-result",
+      round: resultData.round,
+      kicker: resultData.kicker,
+      scored: resultData.scored,
+      penaltyScore: resultData.penaltyScore,
+      kicks: resultData.kicks,
+      winner: resultData.winner,
+      timestamp: Date.now(),
+    });
+  }
+
   /**
    * Broadcast game time update (more detailed than timer-update)
    */
   broadcastGameTimeUpdate(roomId, gameTimeData) {
     if (!this.io) return;
 
-    this.io.to(roomId).emit("game-time", {
+    this.emitToRoom(roomId, "game-time", {
       type: "game-time",
       gameTime: gameTimeData.gameTime,
       timeRemaining: gameTimeData.timeRemaining,
@@ -330,6 +708,123 @@ class GameBroadcaster {
     });
   }
 
+  /**
+   * Broadcast spectator count changes to players and spectators
+   */
+  broadcastSpectatorCount(roomId, spectatorCount) {
+    if (!this.io) return;
+
+    this.io
+      .to([roomId, this.spectatorChannel(roomId)])
+      .emit("spectator-count", {
+        roomId,
+        spectatorCount,
+        timestamp: Date.now(),
+      });
+  }
+
+  /**
+   * Tell spectators a room is gone and remove them from its channel
+   */
+  closeSpectatorChannel(roomId, reason) {
+    if (!this.io) return;
+
+    const channel = this.spectatorChannel(roomId);
+    this.io.to(channel).emit("spectate-ended", {
+      roomId,
+      reason,
+      timestamp: Date.now(),
+    });
+    this.io.in(channel).socketsLeave(channel);
+  }
+
+  /**
+   * Send an event to every socket of a user, wherever they are
+   */
+  emitToUser(userId, eventName, payload) {
+    if (!this.io || !userId) return;
+
+    this.io.to(this.userChannel(userId)).emit(eventName, payload);
+  }
+
+  /**
+   * Send an event to a set of sockets, such as the members of a party
+   */
+  emitToSockets(socketIds, eventName, payload) {
+    if (!this.io || socketIds.length === 0) return;
+
+    this.io.to(socketIds).emit(eventName, payload);
+  }
+
+  /**
+   * Push a tournament's bracket to everyone following it
+   */
+  broadcastTournamentUpdate(channel, tournament) {
+    if (!this.io) return;
+
+    this.io.to(channel).emit("tournament-updated", {
+      tournament,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Warn every client on this node that it is shutting down. Only local
+   * sockets are told; other nodes keep running.
+   * @param {number} deadline - When live matches still running are abandoned
+   */
+  broadcastServerShutdown(deadline) {
+    if (!this.io) return;
+
+    this.io.local.emit("server-shutting-down", {
+      message:
+        "Server is restarting. Matches in progress can finish; new games can't start.",
+      deadline,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Send a message from the operators to every client on every node
+   * @param {string} message - Text to show
+   * @param {string} level - "info" or "warning"
+   */
+  broadcastServerMessage(message, level) {
+    if (!this.io) return;
+
+    this.io.emit("server-message", {
+      message,
+      level,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Tell every socket of a user why they are being removed, then disconnect
+   * them on every node
+   */
+  disconnectUser(userId, payload) {
+    if (!this.io || !userId) return;
+
+    const channel = this.userChannel(userId);
+    this.io.to(channel).emit("kicked", {
+      type: "kicked",
+      ...payload,
+      timestamp: Date.now(),
+    });
+    this.io.in(channel).disconnectSockets(true);
+  }
+
+  /**
+   * Tell a room's players it was closed and remove them from its channel
+   */
+  closeRoomChannel(roomId) {
+    if (!this.io) return;
+
+    this.broadcastRoomError(roomId, "ROOM_CLOSED");
+    this.io.in(roomId).socketsLeave(roomId);
+  }
+
   /**
    * Broadcast any event to a room (generic broadcast method)
    * @param {string} roomId - Room ID to broadcast to
@@ -1,10 +1,33 @@
 const Player = require("../models/player");
 
 // Import the new modular services
-const userService = require("./userService");
 const matchService = require("./matchService");
 const roomManagerService = require("./roomManagerService");
 const gameBroadcaster = require("./gameBroadcaster");
+const physicsService = require("./physicsService");
+const matchmakingService = require("./matchmakingService");
+const replayService = require("./replayService");
+const powerupService = require("./powerupService");
+const botService = require("./botService");
+const antiCheatService = require("./antiCheatService");
+const clusterService = require("./clusterService");
+const roomSnapshotService = require("./roomSnapshotService");
+
+// How long a client goal report can be matched to a server-confirmed goal
+const GOAL_HINT_WINDOW_MS = 1500;
+
+// How long a disconnected player's seat is held in a live match
+const RECONNECT_GRACE_MS =
+  parseInt(process.env.RECONNECT_GRACE_MS, 10) || 30000;
+
+// Penalty shootout: kicks per side before sudden death, the hard stop for
+// sudden death (still level: a draw) and the time each kick gets
+const PENALTY_ROUNDS = 5;
+const PENALTY_MAX_ROUNDS = 15;
+const PENALTY_KICK_SECONDS = 8;
+
+// Free-for-all: the king earns a point for every this many seconds on the hill
+const KING_POINT_SECONDS = 10;
 
 /**
  * @fileoverview Main Game Service
@@ -21,8 +44,43 @@ class GameService {
     this.connectedPlayers = new Map(); // socketId -> Player
     this.gameLoops = new Map(); // roomId -> intervalId
     this.rematchTimers = new Map(); // roomId -> timeoutId
+    this.disconnectedPlayers = new Map(); // userId -> { player, roomId, timer, expiresAt }
+    this.spectators = new Map(); // socketId -> roomId
+    this.draining = false; // Shutting down: no new games
     this.io = null;
     this.startGameLoopCoordinator();
+    matchmakingService.start({
+      onMatchFound: (pair) => this.handleMatchFound(pair),
+      onTeamMatchFound: (match) => this.handleTeamMatchFound(match),
+      onFreeForAllMatchFound: (group) => this.handleMatchFound(group, "ffa"),
+      onBotFallback: (entry) => this.handleBotFallback(entry),
+      onStatus: (socketId, status) =>
+        gameBroadcaster.broadcastQueueStatus(socketId, status),
+    });
+    roomManagerService.setHandlers({
+      onRoomDeleted: (room) => {
+        this.closeSpectators(room);
+        this.removeBots(room);
+        roomSnapshotService.clear(room.id);
+      },
+    });
+    clusterService.setHandlers({
+      onRoomLost: (roomId) => this.handleRoomLost(roomId),
+    });
+  }
+
+  /**
+   * Close a room whose lease another node now holds. Only one node may run
+   * a room's game loop, and the other node's copy is the one clients can
+   * find through the directory.
+   */
+  handleRoomLost(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) return;
+
+    this.stopGameLoop(roomId);
+    gameBroadcaster.broadcastRoomError(roomId, "ROOM_UNAVAILABLE");
+    roomManagerService.deleteRoom(roomId);
   }
 
   // Delegate to RoomManagerService
@@ -31,29 +89,397 @@ class GameService {
   }
 
   get waitingPlayers() {
-    return roomManagerService.waitingPlayers;
+    return matchmakingService.queue;
   }
 
   createRoom(roomData = {}) {
     return roomManagerService.createRoom(roomData);
   }
 
+  validateRoomRules(options) {
+    return roomManagerService.validateRules(options);
+  }
+
   getRoom(roomId) {
     return roomManagerService.getRoom(roomId);
   }
 
-  findMatch(socketId) {
+  // Matchmaking - queue the player for 1v1 or free-for-all; pairing happens
+  // in handleMatchFound
+  findMatch(socketId, rating, mode = "1v1", options = {}) {
     const player = this.getPlayer(socketId);
-    return roomManagerService.findMatch(player);
+
+    const releaseResult = roomManagerService.releaseFinishedRoom(player);
+    if (!releaseResult.success) {
+      return releaseResult;
+    }
+
+    return matchmakingService.enqueue(player, rating, mode, options);
+  }
+
+  // Queue a party (or one player) for 2v2; pairing happens in handleTeamMatchFound
+  findTeamMatch(players, rating, partyId = null) {
+    for (const player of players) {
+      const room = player.currentRoom && this.getRoom(player.currentRoom);
+      if (room && room.status !== "finished") {
+        return {
+          success: false,
+          code: "PLAYER_BUSY",
+          reason: `${player.username} is in a room`,
+        };
+      }
+    }
+
+    for (const player of players) {
+      const releaseResult = roomManagerService.releaseFinishedRoom(player);
+      if (!releaseResult.success) {
+        return releaseResult;
+      }
+    }
+
+    return matchmakingService.enqueueTeam(players, rating, partyId);
+  }
+
+  // Leave the queue. A party leaves together, so the others are told too.
+  cancelFindMatch(socketId) {
+    const result = matchmakingService.dequeue(socketId);
+
+    (result.players || [])
+      .filter((member) => member.id !== socketId)
+      .forEach((member) =>
+        gameBroadcaster.broadcastQueueLeft(member.id, {
+          waitedMs: result.waitedMs,
+          reason: "party-member-left",
+        })
+      );
+
+    return result;
+  }
+
+  getQueueStatus(socketId) {
+    return matchmakingService.getQueueStatus(socketId);
+  }
+
+  // Seat a pair (or a free-for-all group) found by the matchmaking queue in
+  // a new room
+  handleMatchFound(pair, gameMode = "1v1") {
+    // Players may have disconnected or joined a room since they were queued
+    const eligible = pair.filter(
+      (entry) =>
+        this.connectedPlayers.get(entry.player.id) === entry.player &&
+        !entry.player.currentRoom
+    );
+
+    if (eligible.length < pair.length) {
+      eligible.forEach((entry) => matchmakingService.requeue(entry));
+      return null;
+    }
+
+    const players = pair.map((entry) => entry.player);
+    const result = roomManagerService.createMatchedRoom(players, { gameMode });
+    if (!result.success) {
+      console.error(`Failed to seat matched players: ${result.reason}`);
+      return null;
+    }
+
+    const room = result.room;
+    console.log(
+      `Matched ${players.map((p) => p.username).join(" vs ")} in ${
+        room.gameMode
+      } room ${room.id} (ratings ${pair
+        .map((entry) => entry.rating)
+        .join(" / ")})`
+    );
+
+    pair.forEach((entry) => {
+      gameBroadcaster.addSocketToRoom(entry.player.id, room.id);
+      gameBroadcaster.broadcastRoomJoined(entry.player.id, {
+        roomId: room.id,
+        roomCode: room.code,
+        players: room.players.map((p) => p.toJSON()),
+        waitingForPlayers: room.maxPlayers - room.players.length,
+        gameMode: room.gameMode,
+        roomType: "matchmaking",
+        waitedMs: Date.now() - entry.joinedAt,
+      });
+    });
+
+    gameBroadcaster.broadcastRoomFull(room.id, {
+      message:
+        gameMode === "ffa"
+          ? "Found opponents! Ready up for king of the hill."
+          : "Found opponent! Ready up for 1v1 match.",
+    });
+
+    return room;
+  }
+
+  // Seat four players found by the 2v2 queue, keeping parties on one side
+  handleTeamMatchFound({ entries, sides }) {
+    const isEligible = (player) =>
+      this.connectedPlayers.get(player.id) === player && !player.currentRoom;
+
+    // Anyone gone since queueing sends the rest back; a party missing a
+    // member has been disbanded and is left out
+    if (!entries.every((entry) => entry.players.every(isEligible))) {
+      entries
+        .filter((entry) => entry.players.every(isEligible))
+        .forEach((entry) => matchmakingService.requeue(entry));
+      return null;
+    }
+
+    const players = [...sides.player1, ...sides.player2];
+    const result = roomManagerService.createMatchedRoom(
+      players,
+      { gameMode: "2v2" },
+      players.map((player) =>
+        sides.player1.includes(player) ? "player1" : "player2"
+      )
+    );
+    if (!result.success) {
+      console.error(`Failed to seat team match: ${result.reason}`);
+      return null;
+    }
+
+    const room = result.room;
+    console.log(
+      `Matched ${sides.player1
+        .map((p) => p.username)
+        .join(" & ")} vs ${sides.player2
+        .map((p) => p.username)
+        .join(" & ")} in room ${room.id}`
+    );
+
+    entries.forEach((entry) => {
+      entry.players.forEach((player) => {
+        gameBroadcaster.addSocketToRoom(player.id, room.id);
+        gameBroadcaster.broadcastRoomJoined(player.id, {
+          roomId: room.id,
+          roomCode: room.code,
+          players: room.players.map((p) => p.toJSON()),
+          waitingForPlayers: room.maxPlayers - room.players.length,
+          gameMode: room.gameMode,
+          roomType: "matchmaking",
+          partyId: entry.partyId,
+          waitedMs: Date.now() - entry.joinedAt,
+        });
+      });
+    });
+
+    gameBroadcaster.broadcastRoomFull(room.id, {
+      message: "Teams are set! Ready up for 2v2 match.",
+    });
+
+    return room;
+  }
+
+  // Practice - nobody turned up in time, so seat the player with a bot
+  // matched to their rating
+  handleBotFallback(entry) {
+    const { player } = entry;
+    if (this.connectedPlayers.get(player.id) !== player || player.currentRoom) {
+      return null;
+    }
+
+    const bot = this.createBot(botService.getDifficultyForRating(entry.rating));
+    const result = roomManagerService.createMatchedRoom([player, bot]);
+    if (!result.success) {
+      this.connectedPlayers.delete(bot.id);
+      console.error(`Failed to seat practice bot: ${result.reason}`);
+      return null;
+    }
+
+    const room = result.room;
+    console.log(
+      `No opponent for ${player.username} after ${
+        Date.now() - entry.joinedAt
+      }ms - practice against ${bot.username} in room ${room.id}`
+    );
+
+    gameBroadcaster.addSocketToRoom(player.id, room.id);
+    gameBroadcaster.broadcastRoomJoined(player.id, {
+      roomId: room.id,
+      roomCode: room.code,
+      players: room.players.map((p) => p.toJSON()),
+      waitingForPlayers: 0,
+      gameMode: room.gameMode,
+      roomType: "practice",
+      waitedMs: Date.now() - entry.joinedAt,
+    });
+    gameBroadcaster.broadcastRoomFull(room.id, {
+      message:
+        "No opponent found. Ready up for an unranked match against a bot.",
+    });
+
+    return room;
+  }
+
+  // Practice - add a bot to the player's waiting room, or start a practice
+  // room with one. Games with a bot are unranked and never saved.
+  addBot(socketId, difficulty) {
+    const player = this.getPlayer(socketId);
+    if (!player) {
+      return {
+        success: false,
+        code: "PLAYER_NOT_FOUND",
+        reason: "Player not found",
+      };
+    }
+
+    // A finished room is left behind; a waiting one gets the bot
+    let room = player.currentRoom ? this.getRoom(player.currentRoom) : null;
+    if (!room || room.status === "finished") {
+      const releaseResult = roomManagerService.releaseFinishedRoom(player);
+      if (!releaseResult.success) {
+        return releaseResult;
+      }
+      room = null;
+    }
+
+    if (room) {
+      if (room.status !== "waiting") {
+        return {
+          success: false,
+          code: "GAME_IN_PROGRESS",
+          reason: "Game already in progress",
+        };
+      }
+      if (room.tournament) {
+        return {
+          success: false,
+          code: "BOTS_NOT_ALLOWED",
+          reason: "Bots can't play tournament matches",
+        };
+      }
+      if (room.isFull()) {
+        return { success: false, code: "ROOM_FULL", reason: "Room is full" };
+      }
+    } else {
+      this.cancelFindMatch(socketId);
+      room = roomManagerService.createRoom();
+      room.addPlayer(player);
+    }
+
+    const bot = this.createBot(difficulty);
+    const result = room.addPlayer(bot);
+    if (!result.success) {
+      this.connectedPlayers.delete(bot.id);
+      return result;
+    }
+
+    console.log(
+      `${bot.username} joined room ${room.id} for ${player.username}`
+    );
+
+    return { success: true, room, bot };
+  }
+
+  // Bots are registered like connected players so their inputs take the same
+  // path as a client's (handlePlayerInput)
+  createBot(difficulty) {
+    const bot = botService.createBot(difficulty);
+    this.connectedPlayers.set(bot.id, bot);
+    return bot;
+  }
+
+  // Let go of a deleted room's bots
+  removeBots(room) {
+    room.players
+      .filter((player) => player.isBot)
+      .forEach((bot) => this.connectedPlayers.delete(bot.id));
+  }
+
+  // Feed each bot's decisions through the client input path
+  driveBots(room) {
+    room.players
+      .filter((player) => player.isBot)
+      .forEach((bot) => {
+        botService
+          .getInputs(room, bot)
+          .forEach((input) => this.handlePlayerInput(bot.id, input));
+      });
+  }
+
+  // Seat both sides of an accepted challenge in a new private room
+  seatChallenge(challenger, opponent, rules = {}) {
+    const players = [challenger, opponent];
+
+    // Check both players before moving either out of a finished room
+    for (const player of players) {
+      if (this.connectedPlayers.get(player.id) !== player) {
+        return {
+          success: false,
+          code: "PLAYER_NOT_FOUND",
+          reason: "Player is no longer connected",
+        };
+      }
+
+      const room = player.currentRoom && this.getRoom(player.currentRoom);
+      if (room && room.status !== "finished") {
+        return {
+          success: false,
+          code: "ALREADY_IN_ROOM",
+          reason: "Player is already in a room",
+        };
+      }
+    }
+
+    for (const player of players) {
+      const releaseResult = roomManagerService.releaseFinishedRoom(player);
+      if (!releaseResult.success) {
+        return releaseResult;
+      }
+    }
+
+    players.forEach((player) => this.cancelFindMatch(player.id));
+
+    const result = roomManagerService.createMatchedRoom(players, { rules });
+    if (!result.success) {
+      return result;
+    }
+
+    const room = result.room;
+    console.log(
+      `Challenge accepted: ${players
+        .map((p) => p.username)
+        .join(" vs ")} in room ${room.id}`
+    );
+
+    players.forEach((player) => {
+      gameBroadcaster.addSocketToRoom(player.id, room.id);
+      gameBroadcaster.broadcastRoomJoined(player.id, {
+        roomId: room.id,
+        roomCode: room.code,
+        players: room.players.map((p) => p.toJSON()),
+        waitingForPlayers: room.maxPlayers - room.players.length,
+        gameMode: "1v1",
+        rules: room.settings.rules,
+        roomType: "challenge",
+      });
+    });
+
+    gameBroadcaster.broadcastRoomFull(room.id, {
+      message: "Challenge accepted! Ready up for 1v1 match.",
+    });
+
+    return { success: true, room };
   }
 
   leaveRoom(socketId) {
     const player = this.getPlayer(socketId);
+
+    // Leaving a live match forfeits it to the player who stays
+    const room = player?.currentRoom ? this.getRoom(player.currentRoom) : null;
+    if (room && room.status === "playing" && room.gameState.isActive) {
+      this.forfeitGame(room, player);
+    }
+
     return roomManagerService.leaveRoom(player);
   }
 
   async joinRoomByCode(playerId, roomCode) {
     const player = this.getPlayer(playerId);
+    this.cancelFindMatch(playerId);
     return await roomManagerService.joinRoomByCode(player, roomCode);
   }
 
@@ -63,17 +489,64 @@ class GameService {
   }
 
   startGame(roomId) {
+    if (this.draining) {
+      return {
+        success: false,
+        code: "SERVER_SHUTTING_DOWN",
+        reason: "Server is shutting down",
+      };
+    }
+
     const result = roomManagerService.startGame(roomId);
     if (result.success) {
+      physicsService.resetWorld(result.room);
+      powerupService.reset(result.room);
+      replayService.startRecording(result.room);
       console.log(`Game started in room ${result.room.id}`);
     }
     return result;
   }
 
+  /**
+   * Create and start the Match record for a room's game. Practice games
+   * (against a bot) are unranked and get no match record.
+   * @param {GameRoom} room - Room whose game just started
+   */
+  async recordMatch(room) {
+    if (room.isPractice()) return;
+
+    try {
+      const matchResult = await matchService.createMatch(
+        room.players.map((player) => ({
+          userId: player.userId,
+          walletAddress: player.walletAddress,
+          position: player.position,
+          slot: player.slot,
+        })),
+        {
+          gameMode: room.gameMode,
+          tournament: room.tournament,
+          roomId: room.id,
+        }
+      );
+
+      if (matchResult.success) {
+        await matchService.startMatch(matchResult.match._id);
+        room.matchId = matchResult.match._id;
+      }
+    } catch (error) {
+      console.error("Error creating database match:", error);
+    }
+  }
+
   // Player Management (kept in GameService as it's Socket.IO specific)
   createPlayer(socketId, walletAddress, userId = null) {
     if (this.connectedPlayers.has(socketId)) {
-      return { success: false, reason: "Player already exists" };
+      return {
+        success: false,
+        code: "PLAYER_EXISTS",
+        reason: "Player already exists",
+      };
     }
 
     const player = new Player(socketId, walletAddress, userId);
@@ -86,6 +559,41 @@ class GameService {
     return this.connectedPlayers.get(socketId);
   }
 
+  // Every connected socket session of a user (one per open tab or device)
+  getPlayersByUserId(userId) {
+    if (!userId) return [];
+
+    const key = userId.toString();
+    return [...this.connectedPlayers.values()].filter(
+      (player) => player.userId?.toString() === key
+    );
+  }
+
+  // Whether a user is connected and what they're doing, for friends lists
+  getPresence(userId) {
+    const players = this.getPlayersByUserId(userId);
+    if (players.length === 0) {
+      return { online: false, status: "offline" };
+    }
+
+    const activity = (player) => {
+      const room = player.currentRoom && this.getRoom(player.currentRoom);
+      if (room?.status === "playing") return "playing";
+      if (room && room.status !== "finished") return "in-room";
+      if (matchmakingService.isQueued(player.id)) return "searching";
+      if (this.spectators.has(player.id)) return "spectating";
+      return "idle";
+    };
+
+    // Report the busiest session
+    const order = ["playing", "in-room", "searching", "spectating", "idle"];
+    const status = players
+      .map(activity)
+      .sort((a, b) => order.indexOf(a) - order.indexOf(b))[0];
+
+    return { online: true, status };
+  }
+
   removePlayer(socketId) {
     const player = this.connectedPlayers.get(socketId);
     if (!player) return null;
@@ -94,25 +602,292 @@ class GameService {
       this.leaveRoom(socketId);
     }
 
-    // Remove from waiting players if they were waiting
-    this.waitingPlayers.delete(socketId);
+    // Remove from the matchmaking queue if they were waiting
+    this.cancelFindMatch(socketId);
 
     // Remove from connected players
     this.connectedPlayers.delete(socketId);
+    antiCheatService.forget(player);
 
     return player;
   }
 
+  // Spectators
+  // Spectators are tracked by socket, separate from seated players, so they
+  // never appear in room.players and can't reach gameplay handlers.
+  async spectateRoom(socketId, { roomId, roomCode } = {}, viewer = {}) {
+    const room = roomId
+      ? this.getRoom(roomId)
+      : roomCode
+      ? roomManagerService.getRoomByCode(roomCode.toUpperCase())
+      : null;
+    if (!room) {
+      const remote = await clusterService.findRemoteRoom({ roomId, roomCode });
+      if (remote) return roomManagerService.roomOnAnotherNode(remote);
+
+      return {
+        success: false,
+        code: "ROOM_NOT_FOUND",
+        reason: "Room not found",
+      };
+    }
+
+    const player = this.getPlayer(socketId);
+    if (player?.currentRoom || matchmakingService.isQueued(socketId)) {
+      return {
+        success: false,
+        code: "PLAYER_BUSY",
+        reason: "Leave your room or the queue before spectating",
+      };
+    }
+
+    // Switching rooms - leave the previous one first
+    if (this.spectators.has(socketId)) {
+      this.stopSpectating(socketId);
+    }
+
+    const result = room.addSpectator({
+      id: socketId,
+      userId: viewer.userId || null,
+      walletAddress: viewer.walletAddress || null,
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    this.spectators.set(socketId, room.id);
+    return { success: true, room, spectatorCount: result.spectatorCount };
+  }
+
+  stopSpectating(socketId) {
+    const roomId = this.spectators.get(socketId);
+    if (!roomId) {
+      return {
+        success: false,
+        code: "NOT_SPECTATING",
+        reason: "Not spectating",
+      };
+    }
+
+    this.spectators.delete(socketId);
+
+    const room = this.getRoom(roomId);
+    const result = room
+      ? room.removeSpectator(socketId)
+      : { spectatorCount: 0 };
+
+    return {
+      success: true,
+      roomId,
+      room,
+      spectatorCount: result.spectatorCount,
+    };
+  }
+
+  isSpectating(socketId) {
+    return this.spectators.has(socketId);
+  }
+
+  // Called when a room is deleted; spectators have nothing left to watch
+  closeSpectators(room) {
+    if (room.spectators.size === 0) return;
+
+    room.spectators.forEach((spectator, socketId) => {
+      this.spectators.delete(socketId);
+    });
+    room.spectators.clear();
+
+    gameBroadcaster.closeSpectatorChannel(room.id, "room-closed");
+  }
+
+  // Live matches open to spectators, for the lobby's "watch" list
+  getLiveMatches() {
+    return roomManagerService.getLiveRooms().map((room) => ({
+      roomId: room.id,
+      roomCode: room.code,
+      gameMode: room.gameMode,
+      players: room.players.map((player) => ({
+        username: player.username,
+        walletAddress: player.walletAddress,
+        position: player.position,
+        isConnected: player.isConnected,
+      })),
+      score: room.gameState.score,
+      gameTime: room.gameState.gameTime,
+      isPaused: room.gameState.isPaused,
+      spectatorCount: room.spectators.size,
+      maxSpectators: room.maxSpectators,
+      startedAt: room.startedAt,
+    }));
+  }
+
+  // Reconnection Grace Period
+  // Hold a disconnected player's seat while their match is live. The match
+  // clock is paused until they come back or the grace window runs out.
+  suspendPlayer(socketId) {
+    const player = this.getPlayer(socketId);
+    if (!player || !player.currentRoom || !player.userId) return null;
+
+    const room = this.getRoom(player.currentRoom);
+    if (!room || room.status !== "playing" || !room.gameState.isActive) {
+      return null;
+    }
+
+    this.connectedPlayers.delete(socketId);
+    player.isConnected = false;
+    player.disconnectedAt = new Date();
+    physicsService.applyInput(player, "stop");
+    player.gameState.input.jump = false;
+    player.gameState.input.kick = false;
+
+    room.gameState.isPaused = true;
+
+    const expiresAt = this.holdSeat(player, room);
+
+    return { player, room, graceMs: RECONNECT_GRACE_MS, expiresAt };
+  }
+
+  // Keep a disconnected player's seat for the grace window
+  holdSeat(player, room) {
+    const userKey = player.userId.toString();
+    const expiresAt = Date.now() + RECONNECT_GRACE_MS;
+    const timer = setTimeout(
+      () => this.handleGraceExpired(userKey),
+      RECONNECT_GRACE_MS
+    );
+
+    this.disconnectedPlayers.set(userKey, {
+      player,
+      roomId: room.id,
+      timer,
+      expiresAt,
+    });
+
+    console.log(
+      `Holding seat for ${player.username} in room ${room.id} for ${RECONNECT_GRACE_MS}ms`
+    );
+
+    return expiresAt;
+  }
+
+  // Hot restart - rebuild the rooms snapshotted before the last shutdown or
+  // crash. Each comes back paused, with every seat held for the grace
+  // window; players resume through join-game like after any disconnect.
+  async restoreRooms() {
+    let snapshots = [];
+    try {
+      snapshots = await roomSnapshotService.loadSnapshots();
+    } catch (error) {
+      console.error("Error loading room snapshots:", error.message);
+      return 0;
+    }
+
+    let restored = 0;
+    for (const snapshot of snapshots) {
+      try {
+        const room = await roomManagerService.restoreRoom(snapshot);
+        if (!room) continue;
+
+        // The world restarts from a kickoff (or the current penalty kick);
+        // tick continues so scoredAt keeps its order
+        const { tick } = room.gameState;
+        physicsService.resetWorld(room);
+        room.gameState.tick = tick;
+        const { penalties } = room.gameState;
+        if (room.gameState.phase === "penalties" && penalties) {
+          physicsService.setupPenaltyKick(
+            room,
+            penalties.kicker,
+            penalties.round
+          );
+        }
+        powerupService.reset(room);
+        replayService.startRecording(room);
+
+        room.players.forEach((player) => this.holdSeat(player, room));
+        restored++;
+      } catch (error) {
+        console.error(
+          `Error restoring room ${snapshot.roomId}:`,
+          error.message
+        );
+      }
+    }
+
+    if (snapshots.length > 0) {
+      console.log(`Restored ${restored} of ${snapshots.length} rooms`);
+    }
+    return restored;
+  }
+
+  // Rebind a returning user's held seat to their new socket
+  resumePlayer(socketId, userId) {
+    if (!userId) return null;
+
+    const userKey = userId.toString();
+    const entry = this.disconnectedPlayers.get(userKey);
+    if (!entry) return null;
+
+    clearTimeout(entry.timer);
+    this.disconnectedPlayers.delete(userKey);
+
+    const room = this.getRoom(entry.roomId);
+    const player = entry.player;
+    if (!room || !room.players.includes(player)) {
+      return null;
+    }
+
+    // Same Player object keeps position, room and score; only the socket changes
+    player.id = socketId;
+    player.isConnected = true;
+    player.disconnectedAt = null;
+    this.connectedPlayers.set(socketId, player);
+
+    const stillWaiting = room.players.some((p) => !p.isConnected);
+    if (!stillWaiting) {
+      room.gameState.isPaused = false;
+    }
+
+    console.log(`${player.username} reconnected to room ${room.id}`);
+
+    return { player, room, resumed: !stillWaiting };
+  }
+
+  // Grace window ran out - end the match without the missing player
+  handleGraceExpired(userKey) {
+    const entry = this.disconnectedPlayers.get(userKey);
+    if (!entry) return;
+    this.disconnectedPlayers.delete(userKey);
+
+    const { player } = entry;
+    const room = this.getRoom(entry.roomId);
+
+    if (room && room.status === "playing") {
+      this.forfeitGame(room, player);
+    }
+
+    console.log(`Grace period expired for ${player.username}`);
+    roomManagerService.leaveRoom(player);
+  }
+
   // Game Action Handling (coordinates state updates and broadcasting)
   handleGameAction(socketId, action, data = {}) {
     const player = this.getPlayer(socketId);
     if (!player || !player.currentRoom) {
-      return { success: false, reason: "Player not in a room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
     }
 
     const room = this.getRoom(player.currentRoom);
     if (!room || !room.gameState.isActive) {
-      return { success: false, reason: "Game not active" };
+      return {
+        success: false,
+        code: "GAME_NOT_ACTIVE",
+        reason: "Game not active",
+      };
     }
 
     // Handle action based on type
@@ -120,38 +895,95 @@ class GameService {
       case "goal":
         return this.handleGoal(socketId, data);
       case "game_state_update":
-        return this.handleGameStateUpdate(socketId, data);
+        return this.handleGameStateUpdate(socketId);
       default:
-        return { success: false, reason: "Unknown action" };
+        return {
+          success: false,
+          code: "INVALID_ACTION",
+          reason: "Unknown action",
+        };
     }
   }
 
-  // Handle goal scored (called by frontend)
+  // Handle goal reported by the frontend. Goals are decided by the server
+  // simulation (see scoreGoal); client reports are only kept as hints and
+  // matched against confirmed goals for diagnostics.
   handleGoal(socketId, data) {
     const player = this.getPlayer(socketId);
     if (!player || !player.currentRoom) {
-      return { success: false, reason: "Player not in a room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
     }
 
     const room = this.getRoom(player.currentRoom);
     if (!room || !room.gameState.isActive) {
-      return { success: false, reason: "Game not active" };
+      return {
+        success: false,
+        code: "GAME_NOT_ACTIVE",
+        reason: "Game not active",
+      };
     }
 
     const { scorer } = data;
-    if (!scorer || !["player1", "player2"].includes(scorer)) {
-      return { success: false, reason: "Invalid scorer" };
+    if (!scorer || !room.getPositions().includes(scorer)) {
+      return {
+        success: false,
+        code: "INVALID_ACTION",
+        reason: "Invalid scorer",
+      };
+    }
+
+    const now = Date.now();
+    const hint = { reportedBy: player.position, scorer, time: now };
+
+    // Server already confirmed this goal - just attach the hint
+    const lastGoal = room.gameState.lastGoal;
+    if (
+      lastGoal &&
+      lastGoal.player === scorer &&
+      now - lastGoal.time <= GOAL_HINT_WINDOW_MS
+    ) {
+      lastGoal.hints.push(hint);
+      return { success: true, confirmed: true, goalEvent: lastGoal };
     }
 
+    // Otherwise keep it briefly in case the simulation confirms it next
+    room.gameState.goalHints = room.gameState.goalHints.filter(
+      (pending) => now - pending.time <= GOAL_HINT_WINDOW_MS
+    );
+    room.gameState.goalHints.push(hint);
+
+    return { success: true, confirmed: false };
+  }
+
+  // Record a goal confirmed by the server-side simulation
+  scoreGoal(room, confirmation) {
+    const scorer = confirmation.scorer;
+    const now = Date.now();
+
     // Update score
     room.gameState.score[scorer]++;
+    room.gameState.scoredAt[scorer] = confirmation.tick;
+
+    // Client hints for this goal that arrived before the server saw it
+    const hints = room.gameState.goalHints.filter(
+      (hint) => hint.scorer === scorer && now - hint.time <= GOAL_HINT_WINDOW_MS
+    );
+    room.gameState.goalHints = [];
 
     // Add to game events
     const goalEvent = {
       type: "goal",
       player: scorer,
-      time: Date.now(),
+      time: now,
       newScore: { ...room.gameState.score },
+      confirmedBy: confirmation.check, // Which server check accepted the goal
+      goal: confirmation.goal, // "left" or "right" goal mouth
+      tick: confirmation.tick,
+      hints,
     };
 
     room.gameState.gameEvents.push(goalEvent);
@@ -165,29 +997,365 @@ class GameService {
       goalEvent: goalEvent,
     });
 
-    return { success: true, goalEvent };
+    return goalEvent;
   }
 
-  // Handle game state updates from frontend
-  handleGameStateUpdate(socketId, data) {
+  // Apply a movement/kick input to the server-side simulation
+  handlePlayerInput(socketId, data = {}) {
     const player = this.getPlayer(socketId);
     if (!player || !player.currentRoom) {
-      return { success: false, reason: "Player not in a room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
     }
 
     const room = this.getRoom(player.currentRoom);
     if (!room || !room.gameState.isActive) {
-      return { success: false, reason: "Game not active" };
+      return {
+        success: false,
+        code: "GAME_NOT_ACTIVE",
+        reason: "Game not active",
+      };
     }
 
-    // Update basic game state (frontend sends essential info)
-    if (data.gameTime !== undefined) {
-      room.gameState.gameTime = data.gameTime;
+    if (!physicsService.isValidAction(data.action)) {
+      return {
+        success: false,
+        code: "INVALID_ACTION",
+        reason: "Unknown input action",
+      };
     }
 
+    // Rate-limit clients; bots are driven by the server
+    if (!player.isBot) {
+      const verdict = antiCheatService.checkInput(player, room);
+      if (!verdict.allowed) {
+        return {
+          success: false,
+          code: "INPUT_RATE_LIMITED",
+          reason: "Too many inputs",
+          kick: verdict.kick,
+        };
+      }
+    }
+
+    physicsService.applyInput(player, data.action, data.pressed !== false);
+
+    return { success: true, player, room };
+  }
+
+  // React to events produced by the physics simulation
+  handlePhysicsEvents(room, events) {
+    events.forEach((event) => {
+      if (event.type === "goal-line" && room.gameState.phase === "penalties") {
+        // Only the goal under attack counts; anything else is a miss
+        this.resolvePenaltyKick(
+          room,
+          event.scorer === room.gameState.penalties.kicker
+        );
+      } else if (event.type === "goal-line" && room.isFreeForAll()) {
+        this.scoreHillGoal(room, event);
+        physicsService.resetKickoff(room);
+      } else if (event.type === "goal-line") {
+        // Ball crossed a goal line - count it and reset for kickoff
+        this.scoreGoal(room, event);
+        physicsService.resetKickoff(room);
+      }
+    });
+  }
+
+  // Free-for-all goals. Scoring on the hill (the right goal) earns a point
+  // and takes the crown from the king; a ball in the left goal is a point
+  // for the king. Own goals and untouched balls don't count.
+  scoreHillGoal(room, event) {
+    const { king } = room.gameState;
+    const toucher = room.gameState.ball.lastTouchedBy;
+
+    if (event.goal === "right" && toucher && toucher !== king) {
+      this.scoreGoal(room, { ...event, scorer: toucher });
+      this.crownKing(room, toucher);
+    } else if (event.goal === "left" && king && toucher) {
+      this.scoreGoal(room, { ...event, scorer: king });
+    }
+  }
+
+  crownKing(room, position) {
+    const previousKing = room.gameState.king;
+    room.gameState.king = position;
+    room.gameState.kingSince = room.gameState.tick;
+
+    gameBroadcaster.broadcastKingChanged(room.id, {
+      king: position,
+      previousKing,
+      score: room.gameState.score,
+    });
+  }
+
+  // The king scores for every KING_POINT_SECONDS on the hill
+  awardThronePoint(room) {
+    const { king, kingSince, tick } = room.gameState;
+    const ticksPerPoint =
+      KING_POINT_SECONDS * physicsService.constants.TICK_RATE;
+    if (!king || tick === kingSince || (tick - kingSince) % ticksPerPoint) {
+      return;
+    }
+
+    room.gameState.score[king]++;
+    room.gameState.scoredAt[king] = tick;
+
+    gameBroadcaster.broadcastKingPoint(room.id, {
+      king,
+      newScore: room.gameState.score,
+    });
+  }
+
+  // Tell the room about powerup spawns, pickups and expiries
+  handlePowerupEvents(room, events) {
+    events.forEach((event) => {
+      switch (event.type) {
+        case "powerup-spawned":
+          gameBroadcaster.broadcastPowerupSpawned(room.id, event.powerup);
+          break;
+        case "powerup-collected":
+          gameBroadcaster.broadcastPowerupCollected(room.id, {
+            powerup: event.powerup,
+            collector: event.collector.position,
+            effect: event.effect,
+          });
+          break;
+        case "powerup-despawned":
+          gameBroadcaster.broadcastPowerupDespawned(room.id, {
+            powerup: event.powerup,
+            reason: event.reason,
+          });
+          break;
+        case "powerup-effect-ended":
+          gameBroadcaster.broadcastPowerupEffectEnded(room.id, {
+            player: event.player.position,
+            effect: event.effect,
+          });
+          break;
+      }
+    });
+  }
+
+  // Handle game state updates from frontend (accepted for older clients)
+  handleGameStateUpdate(socketId) {
+    const player = this.getPlayer(socketId);
+    if (!player || !player.currentRoom) {
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
+    }
+
+    const room = this.getRoom(player.currentRoom);
+    if (!room || !room.gameState.isActive) {
+      return {
+        success: false,
+        code: "GAME_NOT_ACTIVE",
+        reason: "Game not active",
+      };
+    }
+
+    // The server runs the clock; client state updates change nothing
     return { success: true };
   }
 
+  // End a live game because a player left, then persist the outcome.
+  // The room state changes synchronously; the database write is async.
+  forfeitGame(room, departedPlayer) {
+    const gameResult = this.endGameByForfeit(room, departedPlayer);
+    this.stopGameLoop(room.id);
+    gameBroadcaster.broadcastGameEnd(room.id, gameResult);
+
+    return this.saveMatchAfterForfeit(room, gameResult, departedPlayer);
+  }
+
+  // Stop starting games and stop matching players, ahead of a shutdown.
+  // Games already playing carry on.
+  stopAcceptingGames() {
+    this.draining = true;
+    matchmakingService.stop();
+  }
+
+  // Rooms with a game in progress, including ones paused for a reconnect
+  getLiveRooms() {
+    return Array.from(this.gameRooms.values()).filter(
+      (room) => room.status === "playing"
+    );
+  }
+
+  // End a game nobody lost, such as one still running when the server shuts
+  // down. Its match is saved as abandoned and no stats change.
+  abandonGame(room) {
+    const gameResult = {
+      type: "game-ended",
+      reason: "abandoned",
+      finalScore: room.gameState.score,
+      winner: null,
+      forfeitedBy: null,
+      duration: Math.round(room.gameState.elapsedTime),
+      timestamp: Date.now(),
+    };
+
+    console.log(`Game abandoned in room ${room.id}`);
+
+    room.gameState.isActive = false;
+    room.gameState.isPaused = false;
+    room.status = "finished";
+    room.endedAt = new Date();
+
+    this.stopGameLoop(room.id);
+    gameBroadcaster.broadcastGameEnd(room.id, gameResult);
+
+    return this.saveMatchAfterForfeit(room, gameResult, null);
+  }
+
+  // End a live game with an outcome chosen by an admin: a winning position,
+  // "draw" or "abandoned". Stats and ratings change as for any finished
+  // match; an abandoned one changes nothing.
+  async forceEndGame(room, outcome) {
+    if (room.status !== "playing") {
+      return {
+        success: false,
+        code: "GAME_NOT_ACTIVE",
+        reason: "Game not active",
+      };
+    }
+
+    const outcomes = [...room.getPositions(), "draw", "abandoned"];
+    if (!outcomes.includes(outcome)) {
+      return {
+        success: false,
+        code: "VALIDATION_ERROR",
+        reason: `outcome must be one of: ${outcomes.join(", ")}`,
+      };
+    }
+
+    if (outcome === "abandoned") {
+      await this.abandonGame(room);
+      this.startRematchTimer(room.id);
+      return { success: true, room };
+    }
+
+    const gameResult = {
+      type: "game-ended",
+      reason: "admin",
+      finalScore: room.gameState.score,
+      winner: outcome,
+      duration: Math.round(room.gameState.elapsedTime),
+      penaltyScore: null,
+      timestamp: Date.now(),
+    };
+
+    console.log(`Game in room ${room.id} ended by an admin: ${outcome}`);
+
+    room.gameState.isActive = false;
+    room.gameState.isPaused = false;
+    room.status = "finished";
+    room.endedAt = new Date();
+    this.stopGameLoop(room.id);
+
+    await this.saveMatchAfterGameEnd(room, gameResult);
+    gameBroadcaster.broadcastGameEnd(room.id, gameResult);
+    await this.saveReplay(room);
+    this.startRematchTimer(room.id);
+
+    return { success: true, room, gameResult };
+  }
+
+  // Close a room for good: an unfinished game is abandoned, seats held for
+  // reconnecting players are dropped and everyone is removed
+  async closeRoom(room) {
+    if (room.status === "playing") {
+      await this.abandonGame(room);
+    }
+    this.stopRematchTimer(room.id);
+
+    this.disconnectedPlayers.forEach((entry, userKey) => {
+      if (entry.roomId !== room.id) return;
+      clearTimeout(entry.timer);
+      this.disconnectedPlayers.delete(userKey);
+    });
+
+    gameBroadcaster.closeRoomChannel(room.id);
+    [...room.players].forEach((player) => room.removePlayer(player.id));
+    roomManagerService.deleteRoom(room.id);
+
+    console.log(`Room ${room.id} closed`);
+    return { success: true };
+  }
+
+  // Save a forfeited or abandoned match and tell whoever is left. Without a
+  // departed player (see abandonGame) nobody forfeited.
+  async saveMatchAfterForfeit(room, gameResult, departedPlayer) {
+    try {
+      const winners = room.players.filter(
+        (p) => p.position === gameResult.winner
+      );
+      let matchResult = null;
+
+      if (room.matchId) {
+        matchResult = await matchService.forfeitMatch(
+          room.matchId,
+          gameResult.finalScore,
+          gameResult.duration,
+          {
+            winnerPosition: gameResult.winner,
+            forfeitedByUserId: departedPlayer?.userId,
+          }
+        );
+
+        if (!matchResult.success) {
+          console.error(
+            `Error saving ${gameResult.reason} match ${room.matchId}:`,
+            matchResult.error
+          );
+        }
+      } else {
+        console.log(
+          `No matchId found for room ${room.id}, skipping forfeit save`
+        );
+      }
+
+      await this.saveReplay(room);
+
+      gameBroadcaster.broadcastMatchEnded(room.id, {
+        reason: gameResult.reason,
+        matchId: room.matchId || null,
+        finalScore: gameResult.finalScore,
+        duration: gameResult.duration,
+        winner: matchResult?.match?.result.winner || null,
+        winnerWalletAddress:
+          winners.length === 1 ? winners[0].walletAddress : null,
+        forfeitedBy: gameResult.forfeitedBy, // Position is cleared once they leave
+        forfeitedByWalletAddress: departedPlayer?.walletAddress || null,
+      });
+    } catch (error) {
+      console.error("Error in saveMatchAfterForfeit:", error);
+    }
+  }
+
+  // Store the game's recording with its match; games without one are dropped
+  async saveReplay(room) {
+    if (!room.matchId) {
+      replayService.discard(room.id);
+      return;
+    }
+
+    const result = await replayService.saveReplay(room.id, room.matchId);
+    if (!result.success) {
+      console.error(
+        `Replay not saved for match ${room.matchId}:`,
+        result.error
+      );
+    }
+  }
+
   // Save match after game ends
   async saveMatchAfterGameEnd(room, gameResult) {
     try {
@@ -210,7 +1378,8 @@ class GameService {
       }
 
       const finalScore = gameResult.finalScore || room.gameState.score;
-      const duration = 60 - room.gameState.gameTime; // Calculate duration from remaining time
+      const duration =
+        gameResult.duration ?? Math.round(room.gameState.elapsedTime);
 
       console.log(`Saving match ${room.matchId} after game end...`);
       console.log(`Final score:`, finalScore);
@@ -219,40 +1388,17 @@ class GameService {
       const matchResult = await matchService.endMatch(
         room.matchId,
         finalScore,
-        duration
+        duration,
+        {},
+        {
+          decidedBy: gameResult.reason,
+          penaltyScore: gameResult.penaltyScore,
+          winner: gameResult.winner,
+        }
       );
 
       if (matchResult.success) {
         console.log(`Match ${room.matchId} saved successfully after game end`);
-
-        // Update user stats for both players
-        if (room.players.length >= 2) {
-          const player1 = room.players[0];
-          const player2 = room.players[1];
-          const winner = matchResult.match.result.winner;
-
-          if (player1 && player1.userId) {
-            const outcome =
-              winner === player1.userId
-                ? "win"
-                : winner === "draw"
-                ? "draw"
-                : "loss";
-            await userService.updateUserMatchStats(player1.userId, { outcome });
-          }
-
-          if (player2 && player2.userId) {
-            const outcome =
-              winner === player2.userId
-                ? "win"
-                : winner === "draw"
-                ? "draw"
-                : "loss";
-            await userService.updateUserMatchStats(player2.userId, { outcome });
-          }
-        }
-
-        console.log(`User stats updated for match ${room.matchId}`);
       } else {
         console.error("Error saving match after game end:", matchResult.error);
       }
@@ -280,9 +1426,43 @@ class GameService {
       return null;
     }
 
-    // Update game timer
+    // Hold the clock and the simulation while a player is reconnecting
+    if (room.gameState.isPaused) {
+      gameBroadcaster.broadcastGameState(roomId, {
+        room: room,
+        gameState: room.gameState,
+        timestamp: Date.now(),
+      });
+      return null;
+    }
+
+    // Advance the authoritative simulation in fixed ticks
+    const ticks = Math.max(
+      1,
+      Math.round(deltaTime / physicsService.constants.TICK_MS)
+    );
+    for (let i = 0; i < ticks; i++) {
+      this.driveBots(room);
+      const events = physicsService.step(room);
+      this.handlePhysicsEvents(room, events);
+      if (room.isFreeForAll()) {
+        this.awardThronePoint(room);
+      }
+      this.handlePowerupEvents(room, powerupService.step(room));
+
+      if (room.gameState.tick % physicsService.constants.SNAPSHOT_EVERY === 0) {
+        gameBroadcaster.broadcastSnapshot(
+          roomId,
+          physicsService.getSnapshot(room)
+        );
+      }
+    }
+
+    // Update the clock of the current phase (a penalty's clock is its kick time)
+    const { rules } = room.settings;
     const previousTime = room.gameState.gameTime;
     room.gameState.gameTime -= deltaTime / 1000;
+    room.gameState.elapsedTime += deltaTime / 1000;
 
     // Ensure timer doesn't go negative
     if (room.gameState.gameTime < 0) {
@@ -299,40 +1479,50 @@ class GameService {
       gameBroadcaster.broadcastTimerUpdate(roomId, {
         gameTime: room.gameState.gameTime,
         timeRemaining: room.gameState.gameTime,
-        elapsedTime: 60 - room.gameState.gameTime, // Assuming 60s match
+        elapsedTime: room.gameState.elapsedTime,
+        phase: room.gameState.phase,
         timestamp: Date.now(),
       });
-
-      // Send timer warnings
-      if (room.gameState.gameTime <= 30 && room.gameState.gameTime > 29) {
-        gameBroadcaster.broadcastTimerWarning(roomId, {
-          warning: "low-time",
-          timeRemaining: room.gameState.gameTime,
-          message: "30 seconds remaining!",
-        });
-      } else if (room.gameState.gameTime <= 10 && room.gameState.gameTime > 9) {
-        gameBroadcaster.broadcastTimerWarning(roomId, {
-          warning: "critical-time",
-          timeRemaining: room.gameState.gameTime,
-          message: "10 seconds remaining!",
-        });
-      }
     }
 
-    // Check if game should end
-    if (room.gameState.gameTime <= 0) {
-      console.log(`Time's up! Ending game for room ${roomId}`);
-
-      // Send time-up event first
-      gameBroadcaster.broadcastTimeUp(roomId, {
-        message: "Time's up!",
-        finalTime: 0,
-        timestamp: Date.now(),
+    // Send timer warnings as the clock crosses them (skipped when the phase
+    // is shorter than the warning)
+    const phaseDuration = {
+      regulation: rules.matchDuration,
+      overtime: rules.overtimeDuration,
+    }[room.gameState.phase];
+
+    if (
+      phaseDuration > 30 &&
+      previousTime > 30 &&
+      room.gameState.gameTime <= 30
+    ) {
+      gameBroadcaster.broadcastTimerWarning(roomId, {
+        warning: "low-time",
+        timeRemaining: room.gameState.gameTime,
+        message: "30 seconds remaining!",
       });
+    } else if (
+      phaseDuration > 10 &&
+      previousTime > 10 &&
+      room.gameState.gameTime <= 10
+    ) {
+      gameBroadcaster.broadcastTimerWarning(roomId, {
+        warning: "critical-time",
+        timeRemaining: room.gameState.gameTime,
+        message: "10 seconds remaining!",
+      });
+    }
+
+    // A goal can decide the match before the clock does
+    let decision = this.getMatchDecision(room);
+    if (!decision && room.gameState.gameTime <= 0) {
+      decision = this.handlePhaseTimeUp(room);
+    }
 
-      // End the game and return the result
-      const gameResult = this.endGameByTime(room);
-      console.log(`Game ended by time for room ${roomId}:`, gameResult);
+    if (decision) {
+      const gameResult = this.endGame(room, decision);
+      console.log(`Game ended by ${decision} for room ${roomId}:`, gameResult);
 
       return gameResult;
     }
@@ -351,33 +1541,275 @@ class GameService {
     };
   }
 
-  // End game when time runs out
-  endGameByTime(room) {
+  // Seated positions sharing the top score
+  getLeaders(room) {
+    const { score } = room.gameState;
+    const positions = [...new Set(room.players.map((p) => p.position))];
+    const top = Math.max(...positions.map((position) => score[position]));
+
+    return positions.filter((position) => score[position] === top);
+  }
+
+  // Free-for-all tiebreak: of the leaders, whoever reached the score first
+  getFirstToScore(room, leaders) {
+    const { scoredAt } = room.gameState;
+
+    return leaders.reduce((first, position) =>
+      (scoredAt[position] ?? 0) < (scoredAt[first] ?? 0) ? position : first
+    );
+  }
+
+  // Check whether the match is decided under the room's rules; returns the
+  // end reason ("goal-limit", "golden-goal" or "penalties") or null
+  getMatchDecision(room) {
+    const { score, phase, penalties } = room.gameState;
+    const { maxGoals } = room.settings.rules;
+
+    if (phase === "penalties") {
+      return penalties.winner ? "penalties" : null;
+    }
+
+    if (phase === "overtime" && this.getLeaders(room).length === 1) {
+      return "golden-goal";
+    }
+
+    if (maxGoals && Math.max(...Object.values(score)) >= maxGoals) {
+      return "goal-limit";
+    }
+
+    return null;
+  }
+
+  // The current phase's clock ran out; returns the end reason if that ends
+  // the match. Level scores with ties disallowed go to overtime, then
+  // penalties (free-for-all: the tiebreak).
+  handlePhaseTimeUp(room) {
+    const { phase } = room.gameState;
+
+    if (phase === "penalties") {
+      this.resolvePenaltyKick(room, false); // Not scored in time
+      return this.getMatchDecision(room);
+    }
+
+    if (phase === "regulation") {
+      console.log(`Time's up! Ending game for room ${room.id}`);
+
+      gameBroadcaster.broadcastTimeUp(room.id, {
+        message: "Time's up!",
+        finalTime: 0,
+        timestamp: Date.now(),
+      });
+    }
+
+    if (this.getLeaders(room).length === 1 || room.settings.rules.allowTies) {
+      return "time-up";
+    }
+
+    if (phase === "regulation") {
+      this.startOvertime(room);
+    } else if (room.isFreeForAll()) {
+      return "tiebreak";
+    } else {
+      this.startPenalties(room);
+    }
+
+    return null;
+  }
+
+  // Golden-goal overtime: the next goal wins, or penalties if nobody scores
+  startOvertime(room) {
+    room.gameState.phase = "overtime";
+    room.gameState.gameTime = room.settings.rules.overtimeDuration;
+
+    console.log(`Overtime started in room ${room.id}`);
+
+    gameBroadcaster.broadcastOvertimeStarted(room.id, {
+      duration: room.settings.rules.overtimeDuration,
+      score: room.gameState.score,
+    });
+  }
+
+  // Penalty shootout: players alternate kicks, player1 first in each round
+  startPenalties(room) {
+    room.gameState.phase = "penalties";
+    this.handlePowerupEvents(room, powerupService.clear(room));
+    room.gameState.penalties = {
+      round: 1,
+      kicker: "player1",
+      score: { player1: 0, player2: 0 },
+      kicks: [], // { round, kicker, scored }
+      winner: null, // "player1", "player2" or "draw" once decided
+    };
+
+    console.log(`Penalty shootout started in room ${room.id}`);
+
+    gameBroadcaster.broadcastPenaltiesStarted(room.id, {
+      rounds: PENALTY_ROUNDS,
+      kickDuration: PENALTY_KICK_SECONDS,
+      score: room.gameState.score,
+    });
+
+    this.startPenaltyKick(room);
+  }
+
+  // Place the players for the next kick and start its clock
+  startPenaltyKick(room) {
+    const { penalties } = room.gameState;
+
+    physicsService.setupPenaltyKick(room, penalties.kicker, penalties.round);
+    room.gameState.gameTime = PENALTY_KICK_SECONDS;
+
+    gameBroadcaster.broadcastPenaltyKick(room.id, {
+      round: penalties.round,
+      kicker: penalties.kicker,
+      timeLimit: PENALTY_KICK_SECONDS,
+      penaltyScore: penalties.score,
+    });
+  }
+
+  // Record the current kick and move on to the next one unless that decided it
+  resolvePenaltyKick(room, scored) {
+    const { penalties } = room.gameState;
+    if (!penalties || penalties.winner) return;
+
+    penalties.kicks.push({
+      round: penalties.round,
+      kicker: penalties.kicker,
+      scored,
+    });
+    if (scored) {
+      penalties.score[penalties.kicker]++;
+    }
+    penalties.winner = this.getPenaltyWinner(penalties);
+
+    gameBroadcaster.broadcastPenaltyResult(room.id, {
+      round: penalties.round,
+      kicker: penalties.kicker,
+      scored,
+      penaltyScore: penalties.score,
+      kicks: penalties.kicks,
+      winner: penalties.winner,
+    });
+
+    if (penalties.winner) return;
+
+    if (penalties.kicker === "player1") {
+      penalties.kicker = "player2";
+    } else {
+      penalties.kicker = "player1";
+      penalties.round++;
+    }
+
+    this.startPenaltyKick(room);
+  }
+
+  // Decide the shootout once one side can no longer be caught, or after a
+  // sudden-death round ends with one side ahead
+  getPenaltyWinner(penalties) {
+    const { score } = penalties;
+    const taken = { player1: 0, player2: 0 };
+    penalties.kicks.forEach((kick) => taken[kick.kicker]++);
+
+    if (taken.player1 === taken.player2 && taken.player1 >= PENALTY_ROUNDS) {
+      if (score.player1 !== score.player2) {
+        return score.player1 > score.player2 ? "player1" : "player2";
+      }
+      return taken.player1 >= PENALTY_MAX_ROUNDS ? "draw" : null;
+    }
+
+    if (Math.max(taken.player1, taken.player2) <= PENALTY_ROUNDS) {
+      const left1 = PENALTY_ROUNDS - taken.player1;
+      const left2 = PENALTY_ROUNDS - taken.player2;
+
+      if (score.player1 > score.player2 + left2) return "player1";
+      if (score.player2 > score.player1 + left1) return "player2";
+    }
+
+    return null;
+  }
+
+  // End game when time runs out, a goal decides it or the shootout is over
+  endGame(room, reason = "time-up") {
     const finalScore = room.gameState.score;
+    const { penalties } = room.gameState;
     let winner = null;
 
-    if (finalScore.player1 > finalScore.player2) {
-      winner = "player1";
-    } else if (finalScore.player2 > finalScore.player1) {
-      winner = "player2";
+    const leaders = this.getLeaders(room);
+    if (reason === "penalties") {
+      winner = penalties.winner;
+    } else if (reason === "tiebreak") {
+      winner = this.getFirstToScore(room, leaders);
+    } else if (leaders.length === 1) {
+      winner = leaders[0];
     } else {
       winner = "draw";
     }
 
     const gameResult = {
       type: "game-ended",
-      reason: "time-up",
+      reason: reason,
       finalScore: finalScore,
       winner: winner,
-      duration: 60, // Match duration
+      duration: Math.round(room.gameState.elapsedTime), // Seconds played
+      penaltyScore: penalties ? { ...penalties.score } : null,
+      timestamp: Date.now(),
+    };
+
+    console.log(
+      `Game ended for room ${
+        room.id
+      }: ${winner} wins with score ${Object.values(finalScore).join("-")}`
+    );
+
+    room.gameState.isActive = false;
+    room.status = "finished";
+    room.endedAt = new Date();
+
+    return gameResult;
+  }
+
+  // End game because a player left or never came back. The remaining connected
+  // player wins by forfeit; if nobody is left the match is abandoned.
+  endGameByForfeit(room, departedPlayer) {
+    const finalScore = room.gameState.score;
+    // The other side wins if anyone is still there to claim it
+    const remaining = room.players.filter(
+      (p) =>
+        p !== departedPlayer &&
+        p.position !== departedPlayer.position &&
+        p.isConnected
+    );
+    let stayed = remaining[0];
+
+    // Free-for-all: the best placed of the players still there
+    if (room.isFreeForAll() && remaining.length > 1) {
+      const { score } = room.gameState;
+      const top = Math.max(...remaining.map((p) => score[p.position]));
+      const winner = this.getFirstToScore(
+        room,
+        remaining
+          .filter((p) => score[p.position] === top)
+          .map((p) => p.position)
+      );
+      stayed = remaining.find((p) => p.position === winner);
+    }
+
+    const gameResult = {
+      type: "game-ended",
+      reason: stayed ? "forfeit" : "abandoned",
+      finalScore: finalScore,
+      winner: stayed ? stayed.position : null,
+      forfeitedBy: departedPlayer.position,
+      duration: Math.round(room.gameState.elapsedTime),
       timestamp: Date.now(),
     };
 
     console.log(
-      `Game ended for room ${room.id}: ${winner} wins with score ${finalScore.player1}-${finalScore.player2}`
+      `Game ${gameResult.reason} in room ${room.id}: ${departedPlayer.username} left the match`
     );
 
     room.gameState.isActive = false;
+    room.gameState.isPaused = false;
     room.status = "finished";
     room.endedAt = new Date();
 
@@ -436,17 +1868,33 @@ class GameService {
       return;
     }
 
+    // Rooms another node holds the lease for are run there
+    if (!clusterService.isOwner(roomId)) {
+      console.warn(`Not starting game loop for room ${roomId}: not owned here`);
+      return;
+    }
+
     console.log(`Starting game state loop for room ${roomId}`);
 
     let lastUpdate = Date.now();
-    const targetFPS = 10; // Lower frequency for timer-only updates
-    const targetDelta = 1000 / targetFPS; // 100ms
+    let accumulator = 0; // Real time not yet simulated
+    const { TICK_MS, MAX_CATCH_UP_TICKS } = physicsService.constants;
 
     const gameLoop = setInterval(async () => {
       const currentTime = Date.now();
-      const deltaTime = currentTime - lastUpdate;
+      accumulator += currentTime - lastUpdate;
       lastUpdate = currentTime;
 
+      // Consume elapsed time in whole fixed ticks, dropping backlog we can't catch up
+      const ticks = Math.min(
+        Math.floor(accumulator / TICK_MS),
+        MAX_CATCH_UP_TICKS
+      );
+      accumulator =
+        ticks === MAX_CATCH_UP_TICKS ? 0 : accumulator - ticks * TICK_MS;
+      if (ticks === 0) return;
+      const deltaTime = ticks * TICK_MS;
+
       try {
         // Check if room still exists before updating
         const room = this.getRoom(roomId);
@@ -483,6 +1931,7 @@ class GameService {
 
           // CRITICAL: Broadcast game end event to trigger rematch UI
           gameBroadcaster.broadcastGameEnd(roomId, result);
+          await this.saveReplay(room);
 
           // Start rematch decision timer (3 minutes)
           this.startRematchTimer(roomId);
@@ -492,7 +1941,7 @@ class GameService {
         console.error(`Error details:`, error.stack);
         this.stopGameLoop(roomId);
       }
-    }, targetDelta);
+    }, TICK_MS);
 
     this.gameLoops.set(roomId, gameLoop);
   }
@@ -512,6 +1961,9 @@ class GameService {
     return {
       totalPlayers: this.connectedPlayers.size,
       ...roomStats,
+      waitingPlayers:
+        matchmakingService.queue.size + matchmakingService.teamIndex.size,
+      spectators: this.spectators.size,
       serverUptime: process.uptime(),
       timestamp: Date.now(),
     };
@@ -570,9 +2022,19 @@ class GameService {
   requestRematch(socketId) {
     const player = this.getPlayer(socketId);
     if (!player || !player.currentRoom) {
-      return { success: false, reason: "Player not in a room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
     }
 
+    // Bots are always up for another game
+    const room = this.getRoom(player.currentRoom);
+    room?.players
+      .filter((p) => p.isBot && !p.requestedRematch)
+      .forEach((bot) => roomManagerService.requestRematch(bot, room.id));
+
     const result = roomManagerService.requestRematch(
       player,
       player.currentRoom
@@ -589,7 +2051,11 @@ class GameService {
   declineRematch(socketId) {
     const player = this.getPlayer(socketId);
     if (!player || !player.currentRoom) {
-      return { success: false, reason: "Player not in a room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
     }
 
     const result = roomManagerService.declineRematch(
@@ -623,7 +2089,11 @@ class GameService {
       const room = this.getRoom(roomId);
       if (!room) {
         console.error(`Room ${roomId} not found during rematch execution`);
-        return { success: false, reason: "Room not found" };
+        return {
+          success: false,
+          code: "ROOM_NOT_FOUND",
+          reason: "Room not found",
+        };
       }
 
       console.log(`🔄 Executing rematch for room ${roomId}`);
@@ -638,12 +2108,14 @@ class GameService {
       });
 
       // Automatically start the new game after a brief delay
-      setTimeout(() => {
+      setTimeout(async () => {
         if (room.canStart()) {
           console.log(`🚀 Auto-starting rematch game for room ${roomId}`);
 
           const startResult = this.startGame(roomId);
           if (startResult.success) {
+            await this.recordMatch(room);
+
             // Broadcast that the rematch game has started
             gameBroadcaster.broadcastGameStarted(roomId, {
               message: "Rematch started! Good luck!",
@@ -659,17 +2131,19 @@ class GameService {
             console.error(
               `❌ Failed to start rematch game: ${startResult.reason}`
             );
-            gameBroadcaster.broadcastRoomError(roomId, {
-              message: `Failed to start rematch: ${startResult.reason}`,
-              type: "REMATCH_START_ERROR",
-            });
+            gameBroadcaster.broadcastRoomError(
+              roomId,
+              startResult.code,
+              `Failed to start rematch: ${startResult.reason}`
+            );
           }
         } else {
           console.error(`❌ Room ${roomId} cannot start rematch game`);
-          gameBroadcaster.broadcastRoomError(roomId, {
-            message: "Cannot start rematch - room not ready",
-            type: "REMATCH_START_ERROR",
-          });
+          gameBroadcaster.broadcastRoomError(
+            roomId,
+            "NOT_ENOUGH_PLAYERS",
+            "Cannot start rematch - room not ready"
+          );
         }
       }, 2000); // 2-second delay for UI transition
     }
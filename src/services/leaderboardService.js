@@ -0,0 +1,329 @@
+const mongoose = require("mongoose");
+const Match = require("../models/match");
+
+/**
+ * @fileoverview Leaderboard Service
+ * @description Service for ranking players from their match records
+ * @module services/leaderboardService
+ */
+
+// Supported sort keys -> aggregated field
+const SORT_FIELDS = {
+  wins: "wins",
+  winRate: "winRate",
+  goalDifference: "goalDifference",
+  matchesPlayed: "matchesPlayed",
+};
+
+const TIME_WINDOWS = ["all", "season", "week"];
+
+/**
+ * Leaderboard Service - Aggregates Match records into player rankings
+ * @class LeaderboardService
+ */
+class LeaderboardService {
+  constructor() {
+    this.sortFields = Object.keys(SORT_FIELDS);
+    this.timeWindows = TIME_WINDOWS;
+  }
+
+  /**
+   * Build the Match filter for a time window
+   * @param {string} window - all, season or week
+   * @param {string} [seasonId] - Season to rank when window is "season"
+   */
+  getWindowFilter(window, seasonId = null) {
+    const filter = { status: "finished" };
+
+    if (window === "week") {
+      filter.endedAt = { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) };
+    } else if (window === "season") {
+      filter.season = new mongoose.Types.ObjectId(seasonId);
+    }
+
+    return filter;
+  }
+
+  /**
+   * Aggregation stages producing one sorted row per player
+   */
+  buildRankingPipeline(filter, sortBy, minMatches) {
+    const sortField = SORT_FIELDS[sortBy];
+
+    return [
+      { $match: filter },
+      {
+        $project: {
+          players: 1,
+          gameMode: 1,
+          outcome: "$result.outcome",
+          topGoals: { $max: "$players.goals" },
+          totalGoals: {
+            $add: [
+              "$result.finalScore.player1",
+              "$result.finalScore.player2",
+              { $ifNull: ["$result.finalScore.player3", 0] },
+              { $ifNull: ["$result.finalScore.player4", 0] },
+            ],
+          },
+        },
+      },
+      { $unwind: "$players" },
+      {
+        $group: {
+          _id: "$players.user",
+          matchesPlayed: { $sum: 1 },
+          // Read from the player's side so teammates share the result
+          wins: {
+            $sum: {
+              $cond: [
+                {
+                  $eq: [
+                    "$outcome",
+                    { $concat: ["$players.position", "_wins"] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+          // A drawn free-for-all is a draw only for the players level at
+          // the top, as in MatchService.getPlayerOutcome
+          draws: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$outcome", "draw"] },
+                    {
+                      $or: [
+                        { $ne: ["$gameMode", "ffa"] },
+                        { $eq: ["$players.goals", "$topGoals"] },
+                      ],
+                    },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+          goalsFor: { $sum: "$players.goals" },
+          goalsAgainst: {
+            $sum: { $subtract: ["$totalGoals", "$players.goals"] },
+          },
+        },
+      },
+      { $match: { matchesPlayed: { $gte: minMatches } } },
+      {
+        $addFields: {
+          losses: {
+            $subtract: ["$matchesPlayed", { $add: ["$wins", "$draws"] }],
+          },
+          goalDifference: { $subtract: ["$goalsFor", "$goalsAgainst"] },
+          winRate: { $divide: ["$wins", "$matchesPlayed"] },
+        },
+      },
+      {
+        $sort: {
+          [sortField]: -1,
+          wins: -1,
+          goalDifference: -1,
+          _id: 1,
+        },
+      },
+    ];
+  }
+
+  /**
+   * Attach wallet/rating info and shape a ranked row for the API
+   */
+  formatEntry(row, rank, user) {
+    return {
+      rank,
+      userId: row._id,
+      walletAddress: user?.walletAddress || null,
+      rating: user?.gameStats?.rating ?? null,
+      matchesPlayed: row.matchesPlayed,
+      wins: row.wins,
+      losses: row.losses,
+      draws: row.draws,
+      goalsFor: row.goalsFor,
+      goalsAgainst: row.goalsAgainst,
+      goalDifference: row.goalDifference,
+      winRate: Math.round(row.winRate * 1000) / 1000,
+    };
+  }
+
+  /**
+   * Get a page of the leaderboard (for HTTP API)
+   */
+  async getLeaderboard({
+    window = "all",
+    seasonId = null,
+    sortBy = "wins",
+    page = 1,
+    limit = 20,
+    minMatches = 1,
+  } = {}) {
+    try {
+      const skip = (page - 1) * limit;
+
+      const [result] = await Match.aggregate([
+        ...this.buildRankingPipeline(
+          this.getWindowFilter(window, seasonId),
+          sortBy,
+          minMatches
+        ),
+        {
+          $facet: {
+            total: [{ $count: "count" }],
+            rows: [
+              { $skip: skip },
+              { $limit: limit },
+              {
+                $lookup: {
+                  from: "users",
+                  localField: "_id",
+                  foreignField: "_id",
+                  as: "user",
+                },
+              },
+            ],
+          },
+        },
+      ]);
+
+      const total = result.total[0]?.count || 0;
+      const entries = result.rows.map((row, index) =>
+        this.formatEntry(row, skip + index + 1, row.user[0])
+      );
+
+      return {
+        success: true,
+        entries,
+        window,
+        sortBy,
+        pagination: {
+          page: page,
+          limit: limit,
+          total: total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error("Error getting leaderboard:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Final ranking of a season's matches, used when archiving it
+   * @param {string} seasonId - Season to rank
+   * @param {number} limit - Maximum number of rows to return
+   */
+  async getSeasonStandings(seasonId, limit) {
+    const rows = await Match.aggregate([
+      ...this.buildRankingPipeline(
+        this.getWindowFilter("season", seasonId),
+        "wins",
+        1
+      ),
+      { $limit: limit },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "user",
+        },
+      },
+    ]);
+
+    return rows.map((row, index) =>
+      this.formatEntry(row, index + 1, row.user[0])
+    );
+  }
+
+  /**
+   * Get a single user's rank on the leaderboard (for HTTP API)
+   */
+  async getUserRank(
+    userId,
+    { window = "all", seasonId = null, sortBy = "wins", minMatches = 1 } = {}
+  ) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          error: "Invalid user ID",
+        };
+      }
+
+      const userObjectId = new mongoose.Types.ObjectId(userId);
+
+      const [result] = await Match.aggregate([
+        ...this.buildRankingPipeline(
+          this.getWindowFilter(window, seasonId),
+          sortBy,
+          minMatches
+        ),
+        { $group: { _id: null, rows: { $push: "$$ROOT" } } },
+        {
+          $project: {
+            total: { $size: "$rows" },
+            index: { $indexOfArray: ["$rows._id", userObjectId] },
+            rows: 1,
+          },
+        },
+        {
+          $project: {
+            total: 1,
+            index: 1,
+            row: {
+              $cond: [
+                { $gte: ["$index", 0] },
+                { $arrayElemAt: ["$rows", "$index"] },
+                null,
+              ],
+            },
+          },
+        },
+        {
+          $lookup: {
+            from: "users",
+            localField: "row._id",
+            foreignField: "_id",
+            as: "user",
+          },
+        },
+      ]);
+
+      if (!result || !result.row) {
+        return {
+          success: true,
+          ranked: false,
+          total: result?.total || 0,
+          window,
+          sortBy,
+        };
+      }
+
+      return {
+        success: true,
+        ranked: true,
+        entry: this.formatEntry(result.row, result.index + 1, result.user[0]),
+        total: result.total,
+        window,
+        sortBy,
+      };
+    } catch (error) {
+      console.error("Error getting user rank:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+}
+
+module.exports = new LeaderboardService();
@@ -1,6 +1,9 @@
 const Match = require("../models/match");
 const User = require("../models/user");
 const userService = require("./userService");
+const ratingService = require("./ratingService");
+const seasonService = require("./seasonService");
+const tournamentService = require("./tournamentService");
 
 /**
  * @fileoverview Match Management Service
@@ -13,31 +16,76 @@ const userService = require("./userService");
  * @class MatchService
  */
 class MatchService {
+  constructor() {
+    this.pendingWrites = new Set(); // Promises of writes still running
+
+    // Game results are saved in the background; remember each write until
+    // it settles so shutdown can wait for them (see flush)
+    ["createMatch", "startMatch", "endMatch", "forfeitMatch"].forEach(
+      (method) => {
+        const write = this[method].bind(this);
+        this[method] = (...args) => this.track(write(...args));
+      }
+    );
+  }
+
+  track(promise) {
+    const settle = () => this.pendingWrites.delete(promise);
+    this.pendingWrites.add(promise);
+    promise.then(settle, settle);
+    return promise;
+  }
+
+  /**
+   * Wait for match writes still running, including any they start
+   * @param {number} timeoutMs - Longest to wait
+   * @returns {Promise<number>} Writes still running when it gave up
+   */
+  async flush(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (this.pendingWrites.size > 0 && Date.now() < deadline) {
+      let timer;
+      await Promise.race([
+        Promise.allSettled([...this.pendingWrites]),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, deadline - Date.now());
+        }),
+      ]);
+      clearTimeout(timer);
+    }
+
+    return this.pendingWrites.size;
+  }
+
   /**
    * Create new match (for Socket.IO)
+   * @param {Array} playersData - { userId, walletAddress, position, slot } per seat
+   * @param {Object} options - { gameMode, tournament, roomId }
    */
-  async createMatch(player1Data, player2Data) {
+  async createMatch(playersData, options = {}) {
     try {
+      // First player of each side, for the quick-access wallet fields
+      const captain = (side) =>
+        playersData.find((playerData) => playerData.position === side);
+
       const match = new Match({
-        players: [
-          {
-            user: player1Data.userId,
-            position: "player1",
-            goals: 0,
-            walletAddress: player1Data.walletAddress,
-          },
-          {
-            user: player2Data.userId,
-            position: "player2",
-            goals: 0,
-            walletAddress: player2Data.walletAddress,
-          },
-        ],
+        players: playersData.map((playerData) => ({
+          user: playerData.userId,
+          position: playerData.position,
+          slot: playerData.slot || 0,
+          goals: 0,
+          walletAddress: playerData.walletAddress,
+        })),
+        gameMode: options.gameMode || "1v1",
         status: "waiting",
+        roomId: options.roomId || null,
+        tournament: options.tournament?.tournamentId || null,
+        tournamentMatchKey: options.tournament?.matchKey || null,
         // Initialize result with wallet addresses for easy access
         result: {
-          player1WalletAddress: player1Data.walletAddress,
-          player2WalletAddress: player2Data.walletAddress,
+          player1WalletAddress: captain("player1")?.walletAddress,
+          player2WalletAddress: captain("player2")?.walletAddress,
         },
       });
 
@@ -46,7 +94,7 @@ class MatchService {
       return { success: true, match: match };
     } catch (error) {
       console.error("Error creating match:", error);
-      return { success: false, error: error.message };
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
     }
   }
 
@@ -57,29 +105,56 @@ class MatchService {
     try {
       const match = await Match.findById(matchId);
       if (!match) {
-        return { success: false, error: "Match not found" };
+        return {
+          success: false,
+          code: "MATCH_NOT_FOUND",
+          error: "Match not found",
+        };
       }
 
       match.status = "playing";
       match.startedAt = new Date();
       await match.save();
 
+      if (match.tournament) {
+        await tournamentService.recordMatchStarted(match);
+      }
+
       return { success: true, match: match };
     } catch (error) {
       console.error("Error starting match:", error);
-      return { success: false, error: error.message };
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
     }
   }
 
   /**
    * End match (for Socket.IO)
    */
-  async endMatch(matchId, finalScore, duration, walletData = {}) {
+  async endMatch(
+    matchId,
+    finalScore,
+    duration,
+    walletData = {},
+    decision = {}
+  ) {
     try {
       const match = await Match.findById(matchId).populate("players.user");
 
       if (!match) {
-        return { success: false, error: "Match not found" };
+        return {
+          success: false,
+          code: "MATCH_NOT_FOUND",
+          error: "Match not found",
+        };
+      }
+
+      // Stats and ratings are applied once per match
+      if (match.status === "finished" || match.status === "abandoned") {
+        return {
+          success: false,
+          code: "MATCH_CLOSED",
+          error: "Match already closed",
+        };
       }
 
       // Update match result
@@ -87,49 +162,310 @@ class MatchService {
       match.endedAt = new Date();
       match.result.finalScore = finalScore;
       match.result.duration = duration;
+      match.result.decidedBy = decision.decidedBy || "time-up";
+
+      const penaltyScore = decision.penaltyScore || null;
+      if (penaltyScore) {
+        match.result.penaltyScore = penaltyScore;
+      }
 
       // Get wallet addresses (use provided data or fallback to user data)
       const player1WalletAddress =
-        walletData.player1WalletAddress || match.players[0].user.walletAddress;
+        walletData.player1WalletAddress ||
+        this.getSide(match, "player1")[0]?.user.walletAddress;
       const player2WalletAddress =
-        walletData.player2WalletAddress || match.players[1].user.walletAddress;
+        walletData.player2WalletAddress ||
+        this.getSide(match, "player2")[0]?.user.walletAddress;
 
       // Store wallet addresses in result
       match.result.player1WalletAddress = player1WalletAddress;
       match.result.player2WalletAddress = player2WalletAddress;
 
-      // Determine winner and outcome
-      let winner = null;
-      let winnerWalletAddress = null;
-      let outcome = "draw";
-
-      if (finalScore.player1 > finalScore.player2) {
-        winner = match.players[0].user._id;
-        winnerWalletAddress = player1WalletAddress;
-        outcome = "player1_wins";
-      } else if (finalScore.player2 > finalScore.player1) {
-        winner = match.players[1].user._id;
-        winnerWalletAddress = player2WalletAddress;
-        outcome = "player2_wins";
-      }
-
-      match.result.winner = winner;
-      match.result.winnerWalletAddress = winnerWalletAddress;
+      const outcome = this.getOutcome(match, finalScore, decision);
       match.result.outcome = outcome;
+      this.setWinner(match, outcome === "draw" ? null : outcome.split("_")[0]);
+      match.result.endReason = "completed";
+      match.season = await seasonService.getActiveSeasonId();
+
+      // Goals are per side; teammates share their team's score
+      match.players.forEach((playerData) => {
+        playerData.goals = finalScore[playerData.position] || 0;
+      });
 
-      // Update player goals in match
-      match.players[0].goals = finalScore.player1;
-      match.players[1].goals = finalScore.player2;
+      this.applyRatingChanges(match);
 
       await match.save();
 
       // Update user statistics
       await this.updateUserStatsAfterMatch(match);
+      await this.updateRatingsAfterMatch(match);
+
+      if (match.tournament) {
+        await tournamentService.recordMatchResult(match);
+      }
 
       return { success: true, match: match };
     } catch (error) {
       console.error("Error ending match:", error);
-      return { success: false, error: error.message };
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Close out a match that ended early because a player left (for Socket.IO)
+   * The player who stayed wins by forfeit; with nobody left the match is
+   * recorded as abandoned and no stats change.
+   */
+  async forfeitMatch(matchId, finalScore, duration, forfeitData = {}) {
+    try {
+      const match = await Match.findById(matchId).populate("players.user");
+
+      if (!match) {
+        return {
+          success: false,
+          code: "MATCH_NOT_FOUND",
+          error: "Match not found",
+        };
+      }
+
+      if (match.status === "finished" || match.status === "abandoned") {
+        return {
+          success: false,
+          code: "MATCH_CLOSED",
+          error: "Match already closed",
+        };
+      }
+
+      match.endedAt = new Date();
+      match.season = await seasonService.getActiveSeasonId();
+      match.result.finalScore = finalScore;
+      match.result.duration = duration;
+      match.players.forEach((playerData) => {
+        playerData.goals = finalScore[playerData.position] || 0;
+      });
+
+      const winningSide = forfeitData.winnerPosition || null;
+      const forfeitedData = forfeitData.forfeitedByUserId
+        ? match.players.find(
+            (playerData) =>
+              playerData.user._id.toString() ===
+              forfeitData.forfeitedByUserId.toString()
+          )
+        : null;
+
+      if (winningSide) {
+        match.status = "finished";
+        match.result.outcome = `${winningSide}_wins`;
+        this.setWinner(match, winningSide);
+        match.result.endReason = "forfeit";
+        match.result.forfeitedBy = forfeitedData
+          ? forfeitedData.user._id
+          : null;
+      } else {
+        match.status = "abandoned";
+        match.result.outcome = "abandoned";
+        match.result.winner = null;
+        match.result.winnerWalletAddress = null;
+        match.result.endReason = "abandoned";
+      }
+
+      if (winningSide) {
+        this.applyRatingChanges(match);
+      }
+
+      await match.save();
+
+      if (winningSide) {
+        await this.updateUserStatsAfterForfeit(match, forfeitedData);
+        await this.updateRatingsAfterMatch(match);
+      }
+
+      // Abandoned tournament matches still need settling in the bracket
+      if (match.tournament) {
+        await tournamentService.recordMatchResult(match);
+      }
+
+      return { success: true, match: match };
+    } catch (error) {
+      console.error("Error forfeiting match:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Outcome of a completed match. The game's own result is used when it has
+   * one; otherwise the top score wins, and the shootout settles a level 1v1
+   * or 2v2 game.
+   * @param {Object} match - Match document
+   * @param {Object} finalScore - Goals per position
+   * @param {Object} decision - { winner, penaltyScore } from the game
+   */
+  getOutcome(match, finalScore, decision = {}) {
+    if (decision.winner) {
+      return decision.winner === "draw" ? "draw" : `${decision.winner}_wins`;
+    }
+
+    const { penaltyScore } = decision;
+    const decidingScore =
+      penaltyScore && finalScore.player1 === finalScore.player2
+        ? penaltyScore
+        : finalScore;
+
+    const positions = [
+      ...new Set(match.players.map((playerData) => playerData.position)),
+    ];
+    const top = Math.max(...positions.map((pos) => decidingScore[pos] || 0));
+    const leaders = positions.filter(
+      (pos) => (decidingScore[pos] || 0) === top
+    );
+
+    return leaders.length === 1 ? `${leaders[0]}_wins` : "draw";
+  }
+
+  /**
+   * A player's own result in a finished match: win, loss, draw or abandoned.
+   * In a drawn free-for-all only the players level at the top draw.
+   */
+  getPlayerOutcome(match, playerData) {
+    const { outcome } = match.result;
+
+    if (outcome === "abandoned") return "abandoned";
+
+    if (outcome === "draw") {
+      if (match.gameMode !== "ffa") return "draw";
+
+      const top = Math.max(...match.players.map((other) => other.goals));
+      return playerData.goals === top ? "draw" : "loss";
+    }
+
+    return outcome === `${playerData.position}_wins` ? "win" : "loss";
+  }
+
+  /**
+   * Player entries on one side of a match
+   */
+  getSide(match, side) {
+    return match.players.filter((playerData) => playerData.position === side);
+  }
+
+  /**
+   * Set the winner fields for the winning side. Only a one-player side names
+   * a winning user; team matches are read from outcome and each position.
+   */
+  setWinner(match, side) {
+    const winners = side ? this.getSide(match, side) : [];
+    const single = winners.length === 1 ? winners[0] : null;
+
+    match.result.winner = single ? single.user._id : null;
+    match.result.winnerWalletAddress = single ? single.walletAddress : null;
+  }
+
+  /**
+   * Update user statistics after a forfeit: the winning side wins, everyone
+   * else loses and the player who left also gets a forfeit
+   */
+  async updateUserStatsAfterForfeit(match, forfeitedData) {
+    try {
+      for (const playerData of match.players) {
+        const forfeited = playerData === forfeitedData;
+
+        await userService.updateUserMatchStats(playerData.user._id, {
+          outcome: this.getPlayerOutcome(match, playerData),
+          forfeit: forfeited || undefined,
+          seasonId: match.season,
+        });
+      }
+
+      await User.updateMany(
+        {
+          _id: { $in: match.players.map((playerData) => playerData.user._id) },
+        },
+        { $push: { "gameStats.matchHistory": match._id } }
+      );
+    } catch (error) {
+      console.error("Error updating user stats after forfeit:", error);
+    }
+  }
+
+  /**
+   * Record Elo changes on the match's player entries (players.user populated),
+   * from its outcome. Teams are rated on their average, and each teammate gets
+   * the team's change. Free-for-all players are rated on their finishing place.
+   * @param {Object} match - Match document with its outcome set
+   */
+  applyRatingChanges(match) {
+    const { outcome } = match.result;
+    const ratingOf = (playerData) =>
+      playerData.user.gameStats?.rating ?? ratingService.defaultRating;
+
+    if (match.gameMode === "ffa") {
+      // The winner places first, everyone else by points
+      const rank = (playerData) => [
+        outcome === `${playerData.position}_wins` ? 0 : 1,
+        -playerData.goals,
+      ];
+      const isAhead = (a, b) =>
+        rank(a)[0] < rank(b)[0] ||
+        (rank(a)[0] === rank(b)[0] && rank(a)[1] < rank(b)[1]);
+
+      const changes = ratingService.calculateFreeForAllChanges(
+        match.players.map(ratingOf),
+        match.players.map(
+          (playerData) =>
+            1 +
+            match.players.filter((other) => isAhead(other, playerData)).length
+        )
+      );
+
+      match.players.forEach((playerData, index) => {
+        playerData.ratingBefore = ratingOf(playerData);
+        playerData.ratingChange = changes[index];
+      });
+      return;
+    }
+
+    const player1Score =
+      outcome === "player1_wins" ? 1 : outcome === "player2_wins" ? 0 : 0.5;
+    const averageRating = (side) => {
+      const team = this.getSide(match, side);
+      return (
+        team.reduce((sum, playerData) => sum + ratingOf(playerData), 0) /
+        team.length
+      );
+    };
+
+    const { changeA, changeB } = ratingService.calculateChanges(
+      averageRating("player1"),
+      averageRating("player2"),
+      player1Score
+    );
+
+    match.players.forEach((playerData) => {
+      playerData.ratingBefore = ratingOf(playerData);
+      playerData.ratingChange =
+        playerData.position === "player1" ? changeA : changeB;
+    });
+  }
+
+  /**
+   * Persist the rating changes recorded on a match to both users
+   */
+  async updateRatingsAfterMatch(match) {
+    try {
+      for (const playerData of match.players) {
+        if (!playerData.ratingChange) continue;
+
+        await User.findByIdAndUpdate(playerData.user._id, {
+          $set: {
+            "gameStats.rating": Math.max(
+              playerData.ratingBefore + playerData.ratingChange,
+              0
+            ),
+          },
+        });
+      }
+    } catch (error) {
+      console.error("Error updating ratings after match:", error);
     }
   }
 
@@ -138,23 +474,16 @@ class MatchService {
    */
   async updateUserStatsAfterMatch(match) {
     try {
-      for (let i = 0; i < match.players.length; i++) {
-        const playerData = match.players[i];
+      for (const playerData of match.players) {
         const user = playerData.user;
 
-        let outcome = "draw";
-        if (match.result.outcome === "player1_wins") {
-          outcome = i === 0 ? "win" : "loss";
-        } else if (match.result.outcome === "player2_wins") {
-          outcome = i === 1 ? "win" : "loss";
-        }
-
         const matchResult = {
-          outcome: outcome,
+          outcome: this.getPlayerOutcome(match, playerData),
+          seasonId: match.season,
         };
 
         // Update match stats
-        await userService.updateUserMatchStats(user.walletAddress, matchResult);
+        await userService.updateUserMatchStats(user._id, matchResult);
 
         // Add match to user's history
         await User.findByIdAndUpdate(user._id, {
@@ -176,13 +505,17 @@ class MatchService {
         .populate("result.winner", "walletAddress");
 
       if (!match) {
-        return { success: false, error: "Match not found" };
+        return {
+          success: false,
+          code: "MATCH_NOT_FOUND",
+          error: "Match not found",
+        };
       }
 
       return { success: true, match: match };
     } catch (error) {
       console.error("Error getting match by ID:", error);
-      return { success: false, error: error.message };
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
     }
   }
 
@@ -216,7 +549,7 @@ class MatchService {
       };
     } catch (error) {
       console.error("Error getting user match history:", error);
-      return { success: false, error: error.message };
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
     }
   }
 
@@ -235,6 +568,7 @@ class MatchService {
       if (!match) {
         return {
           success: false,
+          code: "MATCH_NOT_FOUND",
           error: "Match not found or user not in this match",
         };
       }
@@ -244,18 +578,14 @@ class MatchService {
         (player) => player.user._id.toString() === userId
       );
       const opponentPlayer = match.players.find(
-        (player) => player.user._id.toString() !== userId
+        (player) => player.position !== userPlayer?.position
       );
 
-      // Determine user's outcome
-      let userOutcome = "draw";
-      if (match.result.winner) {
-        if (match.result.winner._id.toString() === userId) {
-          userOutcome = "win";
-        } else {
-          userOutcome = "loss";
-        }
-      }
+      // Determine user's outcome from their side
+      const userOutcome =
+        match.result.outcome && userPlayer
+          ? this.getPlayerOutcome(match, userPlayer)
+          : "draw";
 
       // Create user-specific match data
       const userMatchData = {
@@ -279,7 +609,7 @@ class MatchService {
       return { success: true, data: userMatchData };
     } catch (error) {
       console.error("Error getting user specific match:", error);
-      return { success: false, error: error.message };
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
     }
   }
 }
@@ -0,0 +1,496 @@
+/**
+ * @fileoverview Matchmaking Service
+ * @description Rating-based matchmaking queue that widens its search over time
+ * @module services/matchmakingService
+ */
+
+// Rating gap allowed right after joining, and how fast it widens
+const BASE_RATING_GAP = 100;
+const RATING_GAP_PER_SECOND = 25;
+const MAX_RATING_GAP = 1000;
+
+// How often the queue is scanned for pairs, and status pushed to waiters
+const MATCHMAKING_INTERVAL_MS = 1000;
+const STATUS_INTERVAL_MS = 5000;
+
+// Wait estimate when there is no recent history
+const DEFAULT_WAIT_MS = 15000;
+const WAIT_HISTORY_SIZE = 20;
+
+// Players per team match; team entries are a party or a single player
+const TEAM_MATCH_SIZE = 4;
+
+// Free-for-all: four players, or three once the longest waiter has waited this long
+const FFA_MIN_PLAYERS = 3;
+const FFA_MAX_PLAYERS = 4;
+const FFA_SHORT_HANDED_AFTER_MS = 20000;
+
+// 1v1 players who opted in are offered a practice bot after waiting this long
+const BOT_FALLBACK_AFTER_MS =
+  parseInt(process.env.BOT_FALLBACK_AFTER_MS, 10) || 60000;
+
+/**
+ * Matchmaking Service - Pairs queued players of similar rating, builds
+ * 2v2 matches from queued parties and solo players, groups free-for-all
+ * players and hands long 1v1 waits to a practice bot when asked to
+ * @class MatchmakingService
+ */
+class MatchmakingService {
+  constructor() {
+    this.queue = new Map(); // playerId -> { player, rating, joinedAt, mode, botFallback }
+    this.ffaQueue = new Map(); // playerId -> { player, rating, joinedAt, mode }
+    this.teamQueue = new Map(); // entryId -> { id, players, rating, joinedAt, partyId }
+    this.teamIndex = new Map(); // playerId -> entryId
+    this.recentWaitTimes = []; // Wait times (ms) of the latest matches
+    this.interval = null;
+    this.handlers = {};
+  }
+
+  /**
+   * Start scanning the queue
+   * @param {Object} handlers - Queue callbacks
+   * @param {Function} handlers.onMatchFound - Called with [entryA, entryB] for each pair
+   * @param {Function} [handlers.onTeamMatchFound] - Called with { entries, sides } for each team match
+   * @param {Function} [handlers.onFreeForAllMatchFound] - Called with the entries of each free-for-all group
+   * @param {Function} [handlers.onBotFallback] - Called with each 1v1 entry that waited too long for a person
+   * @param {Function} [handlers.onStatus] - Called with (playerId, status) for players still waiting
+   */
+  start(handlers = {}) {
+    this.handlers = handlers;
+    if (this.interval) return;
+
+    let lastStatusAt = Date.now();
+
+    this.interval = setInterval(() => {
+      this.matchPlayers();
+      this.matchTeams();
+      this.matchFreeForAll();
+      this.fallBackToBots();
+
+      const now = Date.now();
+      if (this.handlers.onStatus && now - lastStatusAt >= STATUS_INTERVAL_MS) {
+        lastStatusAt = now;
+        [
+          ...this.queue.keys(),
+          ...this.teamIndex.keys(),
+          ...this.ffaQueue.keys(),
+        ].forEach((playerId) => {
+          this.handlers.onStatus(playerId, this.getQueueStatus(playerId));
+        });
+      }
+    }, MATCHMAKING_INTERVAL_MS);
+  }
+
+  /**
+   * Stop scanning the queue
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Check whether a player is waiting in either queue
+   */
+  isQueued(playerId) {
+    return (
+      this.queue.has(playerId) ||
+      this.teamIndex.has(playerId) ||
+      this.ffaQueue.has(playerId)
+    );
+  }
+
+  /**
+   * Add player to the 1v1 or free-for-all queue
+   * @param {Player} player - Player to queue
+   * @param {number} rating - Player rating
+   * @param {string} [mode] - "1v1" or "ffa"
+   * @param {Object} [options] - { botFallback }: 1v1 only, play a bot if nobody turns up
+   */
+  enqueue(player, rating, mode = "1v1", options = {}) {
+    if (this.isQueued(player.id)) {
+      return {
+        success: false,
+        code: "ALREADY_SEARCHING",
+        reason: "Already searching for a match",
+      };
+    }
+
+    this.requeue({
+      player,
+      rating,
+      joinedAt: Date.now(),
+      mode,
+      botFallback: mode === "1v1" && Boolean(options.botFallback),
+    });
+
+    return { success: true, status: this.getQueueStatus(player.id) };
+  }
+
+  /**
+   * Add a party or a single player to the 2v2 queue. A party is queued and
+   * taken out as one entry, and always ends up on the same side.
+   * @param {Array} players - One or two players
+   * @param {number} rating - Entry rating (the party average)
+   * @param {string} [partyId] - Party the players queue for
+   */
+  enqueueTeam(players, rating, partyId = null) {
+    if (players.some((player) => this.isQueued(player.id))) {
+      return {
+        success: false,
+        code: "ALREADY_SEARCHING",
+        reason: "Already searching for a match",
+      };
+    }
+
+    const entry = {
+      id: partyId || players[0].id,
+      players,
+      rating,
+      joinedAt: Date.now(),
+      partyId,
+    };
+    this.requeue(entry);
+
+    return { success: true, status: this.getQueueStatus(players[0].id) };
+  }
+
+  /**
+   * Remove player from the queue. For team entries the whole party leaves
+   * and its players are returned so they can be told.
+   */
+  dequeue(playerId) {
+    const entry = this.queue.get(playerId) || this.ffaQueue.get(playerId);
+    if (entry) {
+      this.queue.delete(playerId);
+      this.ffaQueue.delete(playerId);
+      return { success: true, waitedMs: Date.now() - entry.joinedAt };
+    }
+
+    const teamEntry = this.teamQueue.get(this.teamIndex.get(playerId));
+    if (!teamEntry) {
+      return {
+        success: false,
+        code: "NOT_SEARCHING",
+        reason: "Not searching for a match",
+      };
+    }
+
+    this.removeTeamEntry(teamEntry);
+    return {
+      success: true,
+      waitedMs: Date.now() - teamEntry.joinedAt,
+      players: teamEntry.players,
+    };
+  }
+
+  /**
+   * Put a previously queued entry back, keeping its original wait time
+   */
+  requeue(entry) {
+    if (entry.players) {
+      this.teamQueue.set(entry.id, entry);
+      entry.players.forEach((player) =>
+        this.teamIndex.set(player.id, entry.id)
+      );
+      return;
+    }
+
+    const queue = entry.mode === "ffa" ? this.ffaQueue : this.queue;
+    queue.set(entry.player.id, entry);
+  }
+
+  removeTeamEntry(entry) {
+    this.teamQueue.delete(entry.id);
+    entry.players.forEach((player) => this.teamIndex.delete(player.id));
+  }
+
+  /**
+   * Rating gap a player accepts after waiting for waitMs
+   */
+  getAllowedGap(waitMs) {
+    return Math.min(
+      BASE_RATING_GAP + Math.floor(waitMs / 1000) * RATING_GAP_PER_SECOND,
+      MAX_RATING_GAP
+    );
+  }
+
+  /**
+   * Average wait of recent matches
+   */
+  estimateWait() {
+    if (this.recentWaitTimes.length === 0) return DEFAULT_WAIT_MS;
+
+    const total = this.recentWaitTimes.reduce((sum, wait) => sum + wait, 0);
+    return Math.round(total / this.recentWaitTimes.length);
+  }
+
+  /**
+   * Queue state for a single player
+   */
+  getQueueStatus(playerId) {
+    const teamEntry = this.teamQueue.get(this.teamIndex.get(playerId));
+    const entry =
+      this.queue.get(playerId) || this.ffaQueue.get(playerId) || teamEntry;
+    if (!entry) return null;
+
+    const queue = teamEntry
+      ? this.teamQueue
+      : entry.mode === "ffa"
+      ? this.ffaQueue
+      : this.queue;
+    const now = Date.now();
+    const waitingMs = now - entry.joinedAt;
+    const gap = this.getAllowedGap(waitingMs);
+    const position =
+      Array.from(queue.values()).filter((e) => e.joinedAt < entry.joinedAt)
+        .length + 1;
+
+    return {
+      mode: teamEntry ? "2v2" : entry.mode,
+      position,
+      playersInQueue: teamEntry ? this.teamIndex.size : queue.size,
+      rating: entry.rating,
+      ratingRange: { min: entry.rating - gap, max: entry.rating + gap },
+      waitingMs,
+      estimatedWaitMs: Math.max(this.estimateWait() - waitingMs, 0),
+      botFallbackInMs: entry.botFallback
+        ? Math.max(BOT_FALLBACK_AFTER_MS - waitingMs, 0)
+        : null,
+    };
+  }
+
+  /**
+   * Pair players whose rating difference fits the longer waiter's window
+   */
+  matchPlayers() {
+    if (this.queue.size < 2) return [];
+
+    const now = Date.now();
+    const entries = Array.from(this.queue.values()).sort(
+      (a, b) => a.joinedAt - b.joinedAt
+    );
+    const matched = new Set();
+    const pairs = [];
+
+    for (const entry of entries) {
+      if (matched.has(entry.player.id)) continue;
+
+      let best = null;
+      for (const candidate of entries) {
+        if (
+          candidate === entry ||
+          matched.has(candidate.player.id) ||
+          (best && Math.abs(candidate.rating - entry.rating) >= best.diff)
+        ) {
+          continue;
+        }
+
+        const diff = Math.abs(candidate.rating - entry.rating);
+        const allowedGap = this.getAllowedGap(
+          now - Math.min(entry.joinedAt, candidate.joinedAt)
+        );
+
+        if (diff <= allowedGap) {
+          best = { candidate, diff };
+        }
+      }
+
+      if (best) {
+        matched.add(entry.player.id);
+        matched.add(best.candidate.player.id);
+        pairs.push([entry, best.candidate]);
+      }
+    }
+
+    pairs.forEach((pair) => {
+      pair.forEach((entry) => {
+        this.queue.delete(entry.player.id);
+        this.recordWait(now - entry.joinedAt);
+      });
+
+      if (this.handlers.onMatchFound) {
+        this.handlers.onMatchFound(pair);
+      }
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Build 2v2 matches: starting with the longest waiter, take the closest
+   * rated entries that fit until four players are found
+   */
+  matchTeams() {
+    if (this.teamIndex.size < TEAM_MATCH_SIZE) return [];
+
+    const now = Date.now();
+    const entries = Array.from(this.teamQueue.values()).sort(
+      (a, b) => a.joinedAt - b.joinedAt
+    );
+    const matched = new Set();
+    const matches = [];
+
+    for (const entry of entries) {
+      if (matched.has(entry.id)) continue;
+
+      // Every candidate joined after entry, so entry's wait sets the gap
+      const allowedGap = this.getAllowedGap(now - entry.joinedAt);
+      const candidates = entries
+        .filter(
+          (candidate) =>
+            candidate !== entry &&
+            !matched.has(candidate.id) &&
+            Math.abs(candidate.rating - entry.rating) <= allowedGap
+        )
+        .sort(
+          (a, b) =>
+            Math.abs(a.rating - entry.rating) -
+            Math.abs(b.rating - entry.rating)
+        );
+
+      const group = [entry];
+      let size = entry.players.length;
+      for (const candidate of candidates) {
+        if (size + candidate.players.length > TEAM_MATCH_SIZE) continue;
+        group.push(candidate);
+        size += candidate.players.length;
+        if (size === TEAM_MATCH_SIZE) break;
+      }
+
+      if (size === TEAM_MATCH_SIZE) {
+        group.forEach((member) => matched.add(member.id));
+        matches.push({ entries: group, sides: this.splitTeams(group) });
+      }
+    }
+
+    matches.forEach((match) => {
+      match.entries.forEach((entry) => {
+        this.removeTeamEntry(entry);
+        this.recordWait(now - entry.joinedAt);
+      });
+
+      if (this.handlers.onTeamMatchFound) {
+        this.handlers.onTeamMatchFound(match);
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Split four players into two sides. Parties stay together; four solo
+   * players are balanced as highest + lowest against the middle two.
+   */
+  splitTeams(group) {
+    const parties = group.filter((entry) => entry.players.length > 1);
+    const solos = group
+      .filter((entry) => entry.players.length === 1)
+      .sort((a, b) => b.rating - a.rating);
+
+    let player1;
+    if (parties.length > 0) {
+      player1 = [parties[0]];
+    } else {
+      player1 = [solos[0], solos[solos.length - 1]];
+    }
+    const player2 = group.filter((entry) => !player1.includes(entry));
+
+    const playersOf = (side) => side.flatMap((entry) => entry.players);
+    return { player1: playersOf(player1), player2: playersOf(player2) };
+  }
+
+  /**
+   * Group free-for-all players: starting with the longest waiter, the closest
+   * rated players within its gap. Four make a match; three do once the
+   * longest waiter has waited FFA_SHORT_HANDED_AFTER_MS.
+   */
+  matchFreeForAll() {
+    if (this.ffaQueue.size < FFA_MIN_PLAYERS) return [];
+
+    const now = Date.now();
+    const entries = Array.from(this.ffaQueue.values()).sort(
+      (a, b) => a.joinedAt - b.joinedAt
+    );
+    const matched = new Set();
+    const groups = [];
+
+    for (const entry of entries) {
+      if (matched.has(entry.player.id)) continue;
+
+      const waitedMs = now - entry.joinedAt;
+      const allowedGap = this.getAllowedGap(waitedMs);
+      const group = [
+        entry,
+        ...entries
+          .filter(
+            (candidate) =>
+              candidate !== entry &&
+              !matched.has(candidate.player.id) &&
+              Math.abs(candidate.rating - entry.rating) <= allowedGap
+          )
+          .sort(
+            (a, b) =>
+              Math.abs(a.rating - entry.rating) -
+              Math.abs(b.rating - entry.rating)
+          )
+          .slice(0, FFA_MAX_PLAYERS - 1),
+      ];
+
+      if (
+        group.length === FFA_MAX_PLAYERS ||
+        (group.length >= FFA_MIN_PLAYERS &&
+          waitedMs >= FFA_SHORT_HANDED_AFTER_MS)
+      ) {
+        group.forEach((member) => matched.add(member.player.id));
+        groups.push(group);
+      }
+    }
+
+    groups.forEach((group) => {
+      group.forEach((entry) => {
+        this.ffaQueue.delete(entry.player.id);
+        this.recordWait(now - entry.joinedAt);
+      });
+
+      if (this.handlers.onFreeForAllMatchFound) {
+        this.handlers.onFreeForAllMatchFound(group);
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Take 1v1 players who opted in to a bot and waited BOT_FALLBACK_AFTER_MS
+   * out of the queue. Bot games aren't matches, so their waits aren't recorded.
+   */
+  fallBackToBots() {
+    const now = Date.now();
+    const expired = Array.from(this.queue.values()).filter(
+      (entry) =>
+        entry.botFallback && now - entry.joinedAt >= BOT_FALLBACK_AFTER_MS
+    );
+
+    expired.forEach((entry) => {
+      this.queue.delete(entry.player.id);
+
+      if (this.handlers.onBotFallback) {
+        this.handlers.onBotFallback(entry);
+      }
+    });
+
+    return expired;
+  }
+
+  recordWait(waitMs) {
+    this.recentWaitTimes.push(waitMs);
+    if (this.recentWaitTimes.length > WAIT_HISTORY_SIZE) {
+      this.recentWaitTimes.shift();
+    }
+  }
+}
+
+module.exports = new MatchmakingService();
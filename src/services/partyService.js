@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const gameService = require("./gameService");
+const gameBroadcaster = require("./gameBroadcaster");
+
+/**
+ * @fileoverview Party Service
+ * @description Lobbies of friends who queue into team modes together, held in memory
+ * @module services/partyService
+ */
+
+// Players per party - a full 2v2 side
+const PARTY_SIZE = 2;
+
+// How long an invite can be accepted
+const PARTY_INVITE_TTL_MS = 60 * 1000;
+
+/**
+ * Party Service - Parties, their invites and who leads them. Members are
+ * player sessions (sockets), like the matchmaking queue they join.
+ * @class PartyService
+ */
+class PartyService {
+  constructor() {
+    this.parties = new Map(); // partyId -> party
+    this.memberships = new Map(); // playerId -> partyId
+  }
+
+  getParty(partyId) {
+    return this.parties.get(partyId);
+  }
+
+  getPartyOf(playerId) {
+    return this.parties.get(this.memberships.get(playerId));
+  }
+
+  /**
+   * Start a party led by this player
+   */
+  createParty(player) {
+    if (this.memberships.has(player.id)) {
+      return {
+        success: false,
+        code: "ALREADY_IN_PARTY",
+        reason: "You are already in a party",
+      };
+    }
+
+    const party = {
+      id: crypto.randomUUID(),
+      leaderId: player.id,
+      members: [player],
+      invites: new Map(), // userId -> { walletAddress, expiresAt, timer }
+      createdAt: Date.now(),
+    };
+
+    this.parties.set(party.id, party);
+    this.memberships.set(player.id, party.id);
+
+    return { success: true, party };
+  }
+
+  /**
+   * Invite a user to the leader's party; they're told on every socket
+   * @param {Player} leader - Party leader sending the invite
+   * @param {Object} invitee - { userId, walletAddress } of the invited user
+   */
+  invite(leader, invitee) {
+    const party = this.getPartyOf(leader.id);
+    if (!party) {
+      return {
+        success: false,
+        code: "NOT_IN_PARTY",
+        reason: "You are not in a party",
+      };
+    }
+    if (party.leaderId !== leader.id) {
+      return {
+        success: false,
+        code: "NOT_PARTY_LEADER",
+        reason: "Only the party leader can invite",
+      };
+    }
+    if (party.members.length >= PARTY_SIZE) {
+      return { success: false, code: "PARTY_FULL", reason: "Party is full" };
+    }
+
+    const key = invitee.userId.toString();
+    if (party.members.some((member) => member.userId?.toString() === key)) {
+      return {
+        success: false,
+        code: "PARTY_MEMBER_EXISTS",
+        reason: "Player is already in your party",
+      };
+    }
+    if (party.invites.has(key)) {
+      return {
+        success: false,
+        code: "PARTY_INVITE_EXISTS",
+        reason: "Player has already been invited",
+      };
+    }
+
+    const expiresAt = Date.now() + PARTY_INVITE_TTL_MS;
+    party.invites.set(key, {
+      walletAddress: invitee.walletAddress,
+      expiresAt,
+      timer: setTimeout(() => party.invites.delete(key), PARTY_INVITE_TTL_MS),
+    });
+
+    gameBroadcaster.emitToUser(invitee.userId, "party-invite", {
+      partyId: party.id,
+      from: {
+        userId: leader.userId,
+        walletAddress: leader.walletAddress,
+      },
+      expiresAt,
+      timestamp: Date.now(),
+    });
+
+    return { success: true, party };
+  }
+
+  /**
+   * Join a party this player's user was invited to
+   */
+  join(player, partyId) {
+    const party = this.parties.get(partyId);
+    const invite = party?.invites.get(player.userId?.toString());
+    if (!invite) {
+      return {
+        success: false,
+        code: "PARTY_INVITE_NOT_FOUND",
+        reason: "Party invite not found or expired",
+      };
+    }
+    if (this.memberships.has(player.id)) {
+      return {
+        success: false,
+        code: "ALREADY_IN_PARTY",
+        reason: "You are already in a party",
+      };
+    }
+    if (party.members.length >= PARTY_SIZE) {
+      return { success: false, code: "PARTY_FULL", reason: "Party is full" };
+    }
+
+    // The party's search was for its old line-up
+    gameService.cancelFindMatch(party.leaderId);
+
+    this.removeInvite(party, player.userId);
+    party.members.push(player);
+    this.memberships.set(player.id, party.id);
+    this.notify(party, "party-updated", { reason: "joined" });
+
+    return { success: true, party };
+  }
+
+  /**
+   * Turn down an invite and let the party know
+   */
+  declineInvite(player, partyId) {
+    const party = this.parties.get(partyId);
+    if (!party?.invites.has(player.userId?.toString())) {
+      return {
+        success: false,
+        code: "PARTY_INVITE_NOT_FOUND",
+        reason: "Party invite not found or expired",
+      };
+    }
+
+    this.removeInvite(party, player.userId);
+    this.notify(party, "party-invite-declined", {
+      by: { userId: player.userId, walletAddress: player.walletAddress },
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Leave the party, taking it out of the queue. The next member leads;
+   * the last one out disbands it.
+   */
+  leave(playerId, reason = "left") {
+    const party = this.getPartyOf(playerId);
+    if (!party) {
+      return {
+        success: false,
+        code: "NOT_IN_PARTY",
+        reason: "You are not in a party",
+      };
+    }
+
+    gameService.cancelFindMatch(playerId);
+
+    party.members = party.members.filter((member) => member.id !== playerId);
+    this.memberships.delete(playerId);
+
+    if (party.members.length === 0) {
+      party.invites.forEach((invite) => clearTimeout(invite.timer));
+      this.parties.delete(party.id);
+      return { success: true, party, disbanded: true };
+    }
+
+    if (party.leaderId === playerId) {
+      party.leaderId = party.members[0].id;
+    }
+    this.notify(party, "party-updated", { reason });
+
+    return { success: true, party, disbanded: false };
+  }
+
+  removeInvite(party, userId) {
+    const key = userId.toString();
+    clearTimeout(party.invites.get(key)?.timer);
+    party.invites.delete(key);
+  }
+
+  /**
+   * Send a party event to every member
+   */
+  notify(party, eventName, data) {
+    gameBroadcaster.emitToSockets(
+      party.members.map((member) => member.id),
+      eventName,
+      {
+        ...data,
+        party: this.toJSON(party),
+        timestamp: Date.now(),
+      }
+    );
+  }
+
+  /**
+   * Public view of a party
+   */
+  toJSON(party) {
+    return {
+      partyId: party.id,
+      leaderId: party.leaderId,
+      size: PARTY_SIZE,
+      members: party.members.map((member) => ({
+        playerId: member.id,
+        userId: member.userId,
+        walletAddress: member.walletAddress,
+        isLeader: member.id === party.leaderId,
+      })),
+      invites: [...party.invites.entries()].map(([userId, invite]) => ({
+        userId,
+        walletAddress: invite.walletAddress,
+        expiresAt: invite.expiresAt,
+      })),
+    };
+  }
+}
+
+module.exports = new PartyService();
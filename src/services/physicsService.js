@@ -0,0 +1,559 @@
+/**
+ * @fileoverview Physics Service
+ * @description Server-authoritative fixed-tick simulation of players, ball, walls and goals
+ * @module services/physicsService
+ */
+
+// Field and body constants (pixels, seconds). The origin is the top-left
+// corner of the pitch and y grows downwards, matching the frontend canvas.
+const PHYSICS = {
+  TICK_RATE: 60, // simulation ticks per second
+  SNAPSHOT_RATE: 20, // authoritative snapshots per second
+  MAX_CATCH_UP_TICKS: 5, // ticks simulated per loop iteration at most
+
+  FIELD_WIDTH: 800,
+  FIELD_HEIGHT: 400,
+  GROUND_Y: 360,
+  GRAVITY: 1500,
+
+  PLAYER_RADIUS: 30,
+  PLAYER_SPEED: 260,
+  JUMP_VELOCITY: -620,
+  KICK_RANGE: 70,
+  KICK_POWER: 650,
+  KICK_LIFT: 380,
+  KICK_COOLDOWN: 0.3,
+
+  BALL_RADIUS: 15,
+  BALL_BOUNCE: 0.7,
+  BALL_GROUND_FRICTION: 0.985,
+  BALL_MAX_SPEED: 1200,
+
+  GOAL_DEPTH: 60, // distance from the side wall to the goal line
+  GOAL_HEIGHT: 140, // crossbar height above the ground
+};
+
+// Penalty shootout placement, relative to the centre line and the ball
+const PENALTY = {
+  SPOT_OFFSET_FROM_CENTER: 120,
+  KICKER_RUN_UP: 80,
+};
+
+// Gap between teammates at kickoff, as a share of the field width
+const TEAMMATE_SPACING = 0.2;
+
+// Free-for-all kickoff: the king guards the hill (the right goal) and the
+// challengers line up from the left, as shares of the field width
+const FFA_KING_SPAWN = 0.75;
+const FFA_CHALLENGER_SPAWN = 0.15;
+const FFA_CHALLENGER_SPACING = 0.12;
+
+PHYSICS.TICK_MS = 1000 / PHYSICS.TICK_RATE;
+PHYSICS.TICK_SECONDS = 1 / PHYSICS.TICK_RATE;
+PHYSICS.SNAPSHOT_EVERY = Math.round(PHYSICS.TICK_RATE / PHYSICS.SNAPSHOT_RATE);
+
+// Inputs accepted from clients, mapped to the input flag they drive
+const INPUT_ACTIONS = ["move-left", "move-right", "jump", "kick", "stop"];
+
+/**
+ * Physics Service - Owns the authoritative world state for active rooms
+ * @class PhysicsService
+ */
+class PhysicsService {
+  constructor() {
+    this.constants = PHYSICS;
+    this.inputActions = INPUT_ACTIONS;
+  }
+
+  /**
+   * Check whether an input action is understood by the simulation
+   */
+  isValidAction(action) {
+    return INPUT_ACTIONS.includes(action);
+  }
+
+  /**
+   * Kickoff x coordinate for a side, spreading teammates around its centre
+   * @param {string} position - Side ("player1" or "player2")
+   * @param {number} [slot] - Index within the side (0 is nearest its goal)
+   * @param {number} [teamSize] - Players per side
+   */
+  getSpawnX(position, slot = 0, teamSize = 1) {
+    const offset = (slot - (teamSize - 1) / 2) * TEAMMATE_SPACING;
+
+    return position === "player2"
+      ? PHYSICS.FIELD_WIDTH * (0.75 - offset)
+      : PHYSICS.FIELD_WIDTH * (0.25 + offset);
+  }
+
+  /**
+   * Reset ball and players to kickoff positions
+   */
+  resetKickoff(room) {
+    room.gameState.ball = {
+      x: PHYSICS.FIELD_WIDTH / 2,
+      y: PHYSICS.GROUND_Y - 200,
+      velocityX: 0,
+      velocityY: 0,
+    };
+
+    if (room.isFreeForAll()) {
+      const challengers = room.players.filter(
+        (player) => player.position !== room.gameState.king
+      );
+      room.players.forEach((player) => {
+        const index = challengers.indexOf(player);
+        const share =
+          index === -1
+            ? FFA_KING_SPAWN
+            : FFA_CHALLENGER_SPAWN + index * FFA_CHALLENGER_SPACING;
+        this.placePlayer(player, PHYSICS.FIELD_WIDTH * share);
+      });
+      return;
+    }
+
+    room.players.forEach((player) => {
+      this.placePlayer(
+        player,
+        this.getSpawnX(player.position, player.slot || 0, room.teamSize)
+      );
+    });
+  }
+
+  /**
+   * Which way a player kicks: at the opponent's goal, or in free-for-all at
+   * the hill (the right goal) unless they are the king defending it
+   */
+  getAttackDirection(room, player) {
+    if (room.isFreeForAll()) {
+      return room.gameState.king === player.position ? -1 : 1;
+    }
+
+    return player.position === "player2" ? -1 : 1;
+  }
+
+  /**
+   * Put a player at rest on the ground at x
+   */
+  placePlayer(player, x) {
+    const body = player.gameState;
+    body.position = {
+      x,
+      y: PHYSICS.GROUND_Y - PHYSICS.PLAYER_RADIUS,
+    };
+    body.velocity = { x: 0, y: 0 };
+    body.onGround = true;
+    body.kickCooldown = 0;
+  }
+
+  /**
+   * Set up a penalty: the ball rests on the spot in front of the goal being
+   * attacked, the kicker stands behind it and the other side keeps goal. In
+   * team modes teammates take turns, and the rest wait by the kicker's goal.
+   * @param {GameRoom} room - Room in its penalties phase
+   * @param {string} kicker - Position taking the kick ("player1" or "player2")
+   * @param {number} [round] - Shootout round, from 1, to rotate takers
+   */
+  setupPenaltyKick(room, kicker, round = 1) {
+    // player1 attacks the right goal, player2 the left one
+    const direction = kicker === "player1" ? 1 : -1;
+    const spotX =
+      PHYSICS.FIELD_WIDTH / 2 + direction * PENALTY.SPOT_OFFSET_FROM_CENTER;
+
+    room.gameState.ball = {
+      x: spotX,
+      y: PHYSICS.GROUND_Y - PHYSICS.BALL_RADIUS,
+      velocityX: 0,
+      velocityY: 0,
+    };
+
+    const keeperX =
+      direction === 1
+        ? PHYSICS.FIELD_WIDTH - PHYSICS.GOAL_DEPTH - PHYSICS.PLAYER_RADIUS
+        : PHYSICS.GOAL_DEPTH + PHYSICS.PLAYER_RADIUS;
+
+    const benchX =
+      direction === 1
+        ? PHYSICS.GOAL_DEPTH + PHYSICS.PLAYER_RADIUS
+        : PHYSICS.FIELD_WIDTH - PHYSICS.GOAL_DEPTH - PHYSICS.PLAYER_RADIUS;
+
+    // Teammates take turns; whoever sits out waits behind the kicker's goal
+    const inTurn = (player) => {
+      const team = room.getTeam(player.position);
+      return team.indexOf(player) === (round - 1) % team.length;
+    };
+
+    room.players.forEach((player) => {
+      let x = benchX;
+      if (inTurn(player)) {
+        x =
+          player.position === kicker
+            ? spotX - direction * PENALTY.KICKER_RUN_UP
+            : keeperX;
+      }
+      this.placePlayer(player, x);
+    });
+  }
+
+  /**
+   * Initialise a fresh world for a new game
+   */
+  resetWorld(room) {
+    room.gameState.tick = 0;
+    room.players.forEach((player) => {
+      player.gameState.input = {
+        left: false,
+        right: false,
+        jump: false,
+        kick: false,
+      };
+    });
+    this.resetKickoff(room);
+  }
+
+  /**
+   * Apply a client input to a player's input state
+   * @param {Player} player - Player sending the input
+   * @param {string} action - One of move-left, move-right, jump, kick, stop
+   * @param {boolean} pressed - Whether the key is held down (jump and kick
+   * act once per press)
+   */
+  applyInput(player, action, pressed = true) {
+    const input = player.gameState.input;
+
+    switch (action) {
+      case "move-left":
+        input.left = pressed;
+        break;
+      case "move-right":
+        input.right = pressed;
+        break;
+      case "jump":
+        input.jump = pressed;
+        break;
+      case "kick":
+        input.kick = pressed;
+        break;
+      case "stop":
+        input.left = false;
+        input.right = false;
+        break;
+    }
+  }
+
+  /**
+   * Fold a player's active powerup effects into physics multipliers
+   * @param {Player} player - Player whose gameState.powerups to read
+   * @returns {Object} { speed, radius, kickPower, frozen }
+   */
+  getModifiers(player) {
+    const modifiers = { speed: 1, radius: 1, kickPower: 1, frozen: false };
+
+    (player.gameState.powerups || []).forEach((effect) => {
+      const effectModifiers = effect.modifiers || {};
+      modifiers.speed *= effectModifiers.speed || 1;
+      modifiers.radius *= effectModifiers.radius || 1;
+      modifiers.kickPower *= effectModifiers.kickPower || 1;
+      modifiers.frozen = modifiers.frozen || Boolean(effectModifiers.frozen);
+    });
+
+    return modifiers;
+  }
+
+  /**
+   * Player body radius including powerup effects
+   */
+  getPlayerRadius(player) {
+    return PHYSICS.PLAYER_RADIUS * this.getModifiers(player).radius;
+  }
+
+  /**
+   * Advance the room's world by one fixed tick
+   * @param {GameRoom} room - Room to simulate
+   * @returns {Array} Events produced during the tick (e.g. goal-line crossings)
+   */
+  step(room) {
+    const dt = PHYSICS.TICK_SECONDS;
+    const events = [];
+
+    room.gameState.tick = (room.gameState.tick || 0) + 1;
+
+    room.players.forEach((player) => this.stepPlayer(player, dt));
+    this.separatePlayers(room.players);
+    this.stepBall(room.gameState.ball, dt);
+
+    room.players.forEach((player) => {
+      this.collidePlayerWithBall(player, room.gameState.ball);
+      this.handleKick(
+        player,
+        room.gameState.ball,
+        this.getAttackDirection(room, player)
+      );
+    });
+
+    const goal = this.checkGoalLine(room.gameState.ball);
+    if (goal) {
+      events.push({ type: "goal-line", ...goal, tick: room.gameState.tick });
+    }
+
+    return events;
+  }
+
+  /**
+   * Integrate a single player body
+   */
+  stepPlayer(player, dt) {
+    const body = player.gameState;
+    const input = body.input;
+    const modifiers = this.getModifiers(player);
+    const radius = PHYSICS.PLAYER_RADIUS * modifiers.radius;
+
+    // Frozen players can't move or jump but still fall
+    body.velocity.x = modifiers.frozen
+      ? 0
+      : ((input.right ? 1 : 0) - (input.left ? 1 : 0)) *
+        PHYSICS.PLAYER_SPEED *
+        modifiers.speed;
+
+    if (input.jump && body.onGround && !modifiers.frozen) {
+      body.velocity.y = PHYSICS.JUMP_VELOCITY;
+      body.onGround = false;
+    }
+    // Jumps and kicks are one-shot: a press is used up on the tick after it
+    // arrives, so a client never has to send the release
+    input.jump = false;
+
+    body.velocity.y += PHYSICS.GRAVITY * dt;
+    body.position.x += body.velocity.x * dt;
+    body.position.y += body.velocity.y * dt;
+
+    // Ground
+    if (body.position.y >= PHYSICS.GROUND_Y - radius) {
+      body.position.y = PHYSICS.GROUND_Y - radius;
+      body.velocity.y = 0;
+      body.onGround = true;
+    }
+
+    // Side walls
+    body.position.x = this.clampToField(body.position.x);
+
+    if (body.kickCooldown > 0) {
+      body.kickCooldown = Math.max(0, body.kickCooldown - dt);
+    }
+  }
+
+  /**
+   * Push overlapping players apart so they can't walk through each other
+   */
+  separatePlayers(players) {
+    for (let i = 0; i < players.length; i++) {
+      for (let j = i + 1; j < players.length; j++) {
+        const minDistance =
+          this.getPlayerRadius(players[i]) + this.getPlayerRadius(players[j]);
+        const a = players[i].gameState.position;
+        const b = players[j].gameState.position;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance >= minDistance) continue;
+
+        // Separate horizontally; stacked players are split by room order
+        const overlap = (minDistance - Math.abs(dx)) / 2;
+        const direction = dx === 0 ? 1 : Math.sign(dx);
+        a.x = this.clampToField(a.x - direction * overlap);
+        b.x = this.clampToField(b.x + direction * overlap);
+      }
+    }
+  }
+
+  /**
+   * Integrate the ball and resolve walls, ceiling, ground and crossbars
+   */
+  stepBall(ball, dt) {
+    const radius = PHYSICS.BALL_RADIUS;
+
+    ball.velocityY += PHYSICS.GRAVITY * dt;
+    this.clampBallSpeed(ball);
+
+    ball.x += ball.velocityX * dt;
+    ball.y += ball.velocityY * dt;
+
+    // Ground bounce with rolling friction
+    if (ball.y >= PHYSICS.GROUND_Y - radius) {
+      ball.y = PHYSICS.GROUND_Y - radius;
+      ball.velocityY = -ball.velocityY * PHYSICS.BALL_BOUNCE;
+      if (Math.abs(ball.velocityY) < 40) ball.velocityY = 0;
+      ball.velocityX *= PHYSICS.BALL_GROUND_FRICTION;
+    }
+
+    // Ceiling
+    if (ball.y <= radius) {
+      ball.y = radius;
+      ball.velocityY = Math.abs(ball.velocityY) * PHYSICS.BALL_BOUNCE;
+    }
+
+    // Side walls (behind the goals)
+    if (ball.x <= radius) {
+      ball.x = radius;
+      ball.velocityX = Math.abs(ball.velocityX) * PHYSICS.BALL_BOUNCE;
+    } else if (ball.x >= PHYSICS.FIELD_WIDTH - radius) {
+      ball.x = PHYSICS.FIELD_WIDTH - radius;
+      ball.velocityX = -Math.abs(ball.velocityX) * PHYSICS.BALL_BOUNCE;
+    }
+
+    this.collideBallWithCrossbar(ball, 0, PHYSICS.GOAL_DEPTH);
+    this.collideBallWithCrossbar(
+      ball,
+      PHYSICS.FIELD_WIDTH - PHYSICS.GOAL_DEPTH,
+      PHYSICS.FIELD_WIDTH
+    );
+  }
+
+  /**
+   * Bounce the ball off the top of a goal's crossbar
+   */
+  collideBallWithCrossbar(ball, fromX, toX) {
+    const barY = PHYSICS.GROUND_Y - PHYSICS.GOAL_HEIGHT;
+    const radius = PHYSICS.BALL_RADIUS;
+
+    if (ball.x < fromX || ball.x > toX) return;
+
+    // Landing on top of the bar
+    if (ball.velocityY > 0 && ball.y + radius >= barY && ball.y < barY) {
+      ball.y = barY - radius;
+      ball.velocityY = -ball.velocityY * PHYSICS.BALL_BOUNCE;
+    }
+  }
+
+  /**
+   * Circle-circle collision between a player's head and the ball
+   */
+  collidePlayerWithBall(player, ball) {
+    const body = player.gameState;
+    const dx = ball.x - body.position.x;
+    const dy = ball.y - body.position.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const minDistance = this.getPlayerRadius(player) + PHYSICS.BALL_RADIUS;
+
+    if (distance === 0 || distance >= minDistance) return;
+
+    const nx = dx / distance;
+    const ny = dy / distance;
+
+    // Free-for-all goals go to whoever touched the ball last
+    ball.lastTouchedBy = player.position;
+
+    // Push the ball out of the player
+    ball.x = body.position.x + nx * minDistance;
+    ball.y = body.position.y + ny * minDistance;
+
+    // Reflect the relative velocity along the contact normal
+    const relativeX = ball.velocityX - body.velocity.x;
+    const relativeY = ball.velocityY - body.velocity.y;
+    const along = relativeX * nx + relativeY * ny;
+
+    if (along < 0) {
+      const impulse = -(1 + PHYSICS.BALL_BOUNCE) * along;
+      ball.velocityX += impulse * nx;
+      ball.velocityY += impulse * ny;
+      this.clampBallSpeed(ball);
+    }
+  }
+
+  /**
+   * Kick the ball in the attack direction (1 right, -1 left) when in range
+   */
+  handleKick(player, ball, direction) {
+    const body = player.gameState;
+    const kick = body.input.kick;
+    body.input.kick = false;
+    if (!kick || body.kickCooldown > 0) return;
+
+    const modifiers = this.getModifiers(player);
+    if (modifiers.frozen) return;
+
+    const dx = ball.x - body.position.x;
+    const dy = ball.y - body.position.y;
+    if (Math.sqrt(dx * dx + dy * dy) > PHYSICS.KICK_RANGE) return;
+
+    ball.lastTouchedBy = player.position;
+    ball.velocityX =
+      direction * PHYSICS.KICK_POWER * modifiers.kickPower +
+      body.velocity.x * 0.5;
+    ball.velocityY = -PHYSICS.KICK_LIFT;
+    body.kickCooldown = PHYSICS.KICK_COOLDOWN;
+    this.clampBallSpeed(ball);
+  }
+
+  /**
+   * Check whether the ball has fully crossed a goal line under the crossbar
+   * @returns {Object|null} Goal side and scoring position, or null
+   */
+  checkGoalLine(ball) {
+    const barY = PHYSICS.GROUND_Y - PHYSICS.GOAL_HEIGHT;
+    if (ball.y - PHYSICS.BALL_RADIUS < barY) return null;
+
+    // player1 defends the left goal, player2 the right
+    if (ball.x + PHYSICS.BALL_RADIUS < PHYSICS.GOAL_DEPTH) {
+      return { goal: "left", scorer: "player2", check: "goal-line" };
+    }
+    if (
+      ball.x - PHYSICS.BALL_RADIUS >
+      PHYSICS.FIELD_WIDTH - PHYSICS.GOAL_DEPTH
+    ) {
+      return { goal: "right", scorer: "player1", check: "goal-line" };
+    }
+    return null;
+  }
+
+  clampToField(x) {
+    return Math.min(
+      Math.max(x, PHYSICS.PLAYER_RADIUS),
+      PHYSICS.FIELD_WIDTH - PHYSICS.PLAYER_RADIUS
+    );
+  }
+
+  clampBallSpeed(ball) {
+    const speed = Math.sqrt(
+      ball.velocityX * ball.velocityX + ball.velocityY * ball.velocityY
+    );
+    if (speed > PHYSICS.BALL_MAX_SPEED) {
+      const scale = PHYSICS.BALL_MAX_SPEED / speed;
+      ball.velocityX *= scale;
+      ball.velocityY *= scale;
+    }
+  }
+
+  /**
+   * Build an authoritative snapshot of the room's world
+   */
+  getSnapshot(room) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const ball = room.gameState.ball;
+
+    return {
+      tick: room.gameState.tick,
+      ball: {
+        x: round(ball.x),
+        y: round(ball.y),
+        velocityX: round(ball.velocityX),
+        velocityY: round(ball.velocityY),
+      },
+      players: room.players.map((player) => ({
+        id: player.id,
+        position: player.position,
+        x: round(player.gameState.position.x),
+        y: round(player.gameState.position.y),
+        velocityX: round(player.gameState.velocity.x),
+        velocityY: round(player.gameState.velocity.y),
+        onGround: player.gameState.onGround,
+        powerups: (player.gameState.powerups || []).map(
+          (effect) => effect.type
+        ),
+      })),
+    };
+  }
+}
+
+module.exports = new PhysicsService();
@@ -0,0 +1,238 @@
+const physicsService = require("./physicsService");
+
+/**
+ * @fileoverview Powerup Service
+ * @description Server-owned powerups: spawn schedule, pickup by collision and timed effects
+ * @module services/powerupService
+ */
+
+// Catalog of powerup types. Effects are folded into the player's physics by
+// PhysicsService.getModifiers; durations are in seconds.
+const POWERUP_TYPES = {
+  "speed-boost": {
+    duration: 5,
+    target: "self",
+    modifiers: { speed: 1.5 },
+  },
+  "big-head": {
+    duration: 6,
+    target: "self",
+    modifiers: { radius: 1.5 },
+  },
+  "super-kick": {
+    duration: 5,
+    target: "self",
+    modifiers: { kickPower: 1.6 },
+  },
+  "freeze-opponent": {
+    duration: 2,
+    target: "opponent",
+    modifiers: { frozen: true },
+  },
+};
+
+// Spawn schedule (seconds) and pickup size (pixels)
+const SPAWN = {
+  FIRST_DELAY: 5, // after kickoff
+  MIN_INTERVAL: 8,
+  MAX_INTERVAL: 14,
+  LIFETIME: 10, // how long an uncollected powerup stays on the pitch
+  MAX_ON_FIELD: 2,
+  RADIUS: 20,
+  MIN_HEIGHT: 20, // above the ground, so players can reach it
+  MAX_HEIGHT: 160,
+  GOAL_MARGIN: 60, // keep spawns out of the goal mouths
+};
+
+/**
+ * Powerup Service - Spawns powerups into active rooms and applies their effects
+ * @class PowerupService
+ */
+class PowerupService {
+  constructor() {
+    this.types = POWERUP_TYPES;
+  }
+
+  /**
+   * Convert seconds to simulation ticks
+   */
+  toTicks(seconds) {
+    return Math.round(seconds * physicsService.constants.TICK_RATE);
+  }
+
+  /**
+   * Whether powerups run in a room right now (never during a shootout)
+   */
+  isEnabled(room) {
+    return room.settings.rules.powerups && room.gameState.phase !== "penalties";
+  }
+
+  /**
+   * Clear the pitch and every player's effects, and schedule the first spawn
+   */
+  reset(room) {
+    room.gameState.powerups = [];
+    room.gameState.nextPowerupTick =
+      (room.gameState.tick || 0) + this.toTicks(SPAWN.FIRST_DELAY);
+    room.players.forEach((player) => {
+      player.gameState.powerups = [];
+    });
+  }
+
+  /**
+   * Remove everything without scheduling more spawns
+   * @returns {Array} Events for the removed powerups and effects
+   */
+  clear(room) {
+    const events = [];
+
+    (room.gameState.powerups || []).forEach((powerup) => {
+      events.push({ type: "powerup-despawned", powerup, reason: "cleared" });
+    });
+    room.players.forEach((player) => {
+      player.gameState.powerups.forEach((effect) => {
+        events.push({ type: "powerup-effect-ended", player, effect });
+      });
+      player.gameState.powerups = [];
+    });
+
+    room.gameState.powerups = [];
+    room.gameState.nextPowerupTick = null;
+
+    return events;
+  }
+
+  /**
+   * Advance powerups by one simulation tick (call after PhysicsService.step)
+   * @param {GameRoom} room - Room to update
+   * @returns {Array} Events produced during the tick (spawns, pickups, expiries)
+   */
+  step(room) {
+    if (!this.isEnabled(room)) return [];
+
+    const tick = room.gameState.tick;
+    const events = [];
+
+    // Effects that ran out
+    room.players.forEach((player) => {
+      const body = player.gameState;
+      body.powerups = body.powerups.filter((effect) => {
+        if (effect.expiresAtTick > tick) return true;
+        events.push({ type: "powerup-effect-ended", player, effect });
+        return false;
+      });
+    });
+
+    // Pickups that nobody reached in time
+    room.gameState.powerups = room.gameState.powerups.filter((powerup) => {
+      if (powerup.expiresAtTick > tick) return true;
+      events.push({ type: "powerup-despawned", powerup, reason: "expired" });
+      return false;
+    });
+
+    // Collection by touching the pickup
+    room.gameState.powerups = room.gameState.powerups.filter((powerup) => {
+      const collector = room.players.find((player) =>
+        this.isTouching(player, powerup)
+      );
+      if (!collector) return true;
+
+      const effect = this.applyEffect(room, collector, powerup);
+      events.push({ type: "powerup-collected", powerup, collector, effect });
+      return false;
+    });
+
+    // Scheduled spawns
+    if (
+      room.gameState.nextPowerupTick !== null &&
+      tick >= room.gameState.nextPowerupTick
+    ) {
+      if (room.gameState.powerups.length < SPAWN.MAX_ON_FIELD) {
+        const powerup = this.spawn(room);
+        events.push({ type: "powerup-spawned", powerup });
+      }
+
+      room.gameState.nextPowerupTick =
+        tick +
+        this.toTicks(
+          SPAWN.MIN_INTERVAL +
+            Math.random() * (SPAWN.MAX_INTERVAL - SPAWN.MIN_INTERVAL)
+        );
+    }
+
+    return events;
+  }
+
+  /**
+   * Place a random powerup at a random reachable spot
+   */
+  spawn(room) {
+    const { FIELD_WIDTH, GOAL_DEPTH, GROUND_Y } = physicsService.constants;
+    const typeNames = Object.keys(POWERUP_TYPES);
+    const tick = room.gameState.tick;
+
+    const minX = GOAL_DEPTH + SPAWN.GOAL_MARGIN;
+    const maxX = FIELD_WIDTH - GOAL_DEPTH - SPAWN.GOAL_MARGIN;
+    const height =
+      SPAWN.MIN_HEIGHT + Math.random() * (SPAWN.MAX_HEIGHT - SPAWN.MIN_HEIGHT);
+
+    const powerup = {
+      id: `powerup-${tick}`,
+      type: typeNames[Math.floor(Math.random() * typeNames.length)],
+      x: Math.round(minX + Math.random() * (maxX - minX)),
+      y: Math.round(GROUND_Y - height),
+      radius: SPAWN.RADIUS,
+      spawnedAtTick: tick,
+      expiresAtTick: tick + this.toTicks(SPAWN.LIFETIME),
+    };
+
+    room.gameState.powerups.push(powerup);
+    return powerup;
+  }
+
+  /**
+   * Check whether a player's body overlaps a pickup
+   */
+  isTouching(player, powerup) {
+    const body = player.gameState;
+    const radius = physicsService.getPlayerRadius(player);
+    const dx = powerup.x - body.position.x;
+    const dy = powerup.y - body.position.y;
+
+    return Math.sqrt(dx * dx + dy * dy) <= radius + powerup.radius;
+  }
+
+  /**
+   * Start a collected powerup's effect on its target. Picking up a type that
+   * is already active on the target restarts its timer.
+   * @returns {Object|null} The effect, or null without a target
+   */
+  applyEffect(room, collector, powerup) {
+    const definition = POWERUP_TYPES[powerup.type];
+    const target =
+      definition.target === "opponent"
+        ? room.players.find((player) => player.position !== collector.position)
+        : collector;
+
+    if (!target) return null;
+
+    const tick = room.gameState.tick;
+    const effect = {
+      id: powerup.id,
+      type: powerup.type,
+      modifiers: definition.modifiers,
+      collectedBy: collector.position,
+      target: target.position,
+      startedAtTick: tick,
+      expiresAtTick: tick + this.toTicks(definition.duration),
+    };
+
+    target.gameState.powerups = target.gameState.powerups
+      .filter((active) => active.type !== powerup.type)
+      .concat(effect);
+
+    return effect;
+  }
+}
+
+module.exports = new PowerupService();
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Rating Service
+ * @description Elo rating calculations for ranked matches
+ * @module services/ratingService
+ */
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+
+/**
+ * Rating Service - Computes Elo rating changes from match outcomes
+ * @class RatingService
+ */
+class RatingService {
+  constructor() {
+    this.defaultRating = DEFAULT_RATING;
+  }
+
+  /**
+   * Expected score of player A against player B (0..1)
+   */
+  expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  }
+
+  /**
+   * Calculate rating changes for both players
+   * @param {number} ratingA - Player A rating before the match
+   * @param {number} ratingB - Player B rating before the match
+   * @param {number} scoreA - 1 for an A win, 0.5 for a draw, 0 for a loss
+   * @returns {Object} Rounded rating deltas for A and B
+   */
+  calculateChanges(ratingA, ratingB, scoreA) {
+    const expectedA = this.expectedScore(ratingA, ratingB);
+    const changeA = Math.round(K_FACTOR * (scoreA - expectedA));
+
+    return { changeA, changeB: -changeA };
+  }
+
+  /**
+   * Calculate rating changes for a free-for-all, as a set of head-to-head
+   * results averaged over every opponent
+   * @param {Array<number>} ratings - Rating of each player before the match
+   * @param {Array<number>} placements - Finishing place of each player (1 is best, ties share a place)
+   * @returns {Array<number>} Rounded rating delta for each player
+   */
+  calculateFreeForAllChanges(ratings, placements) {
+    const opponents = ratings.length - 1;
+
+    return ratings.map((rating, i) => {
+      const total = ratings.reduce((sum, otherRating, j) => {
+        if (i === j) return sum;
+
+        const score =
+          placements[i] < placements[j]
+            ? 1
+            : placements[i] === placements[j]
+            ? 0.5
+            : 0;
+        return sum + score - this.expectedScore(rating, otherRating);
+      }, 0);
+
+      return Math.round((K_FACTOR * total) / opponents);
+    });
+  }
+}
+
+module.exports = new RatingService();
@@ -0,0 +1,165 @@
+const Match = require("../models/match");
+const tournamentService = require("./tournamentService");
+const clusterService = require("./clusterService");
+const roomManagerService = require("./roomManagerService");
+
+/**
+ * @fileoverview Reconciliation Service
+ * @description Closes out matches left open by a restart or crash
+ * @module services/reconciliationService
+ */
+
+// Room state lives in memory, so a match still waiting or playing in the
+// database when its node went down can never finish. Matches created
+// before this process started are orphans unless their room was restored
+// from a snapshot or is live on another node.
+const ORPHAN_STATUSES = ["waiting", "playing"];
+
+// Cap on the estimated duration: the longest match (10 minutes) plus
+// overtime and a shootout
+const MAX_ESTIMATED_DURATION_SECONDS = 15 * 60;
+
+// Matches listed in the report; the counts cover all of them
+const REPORT_MATCH_LIMIT = 100;
+
+/**
+ * Reconciliation Service - Runs once on startup and keeps the last report
+ * @class ReconciliationService
+ */
+class ReconciliationService {
+  constructor() {
+    this.bootedAt = new Date();
+    this.lastReport = null;
+    this.running = null;
+  }
+
+  /**
+   * Schedule the startup run (call once the database is connected). With a
+   * shared store it waits one lease period, so rooms of a node that just
+   * crashed have lost their lease and count as orphans.
+   */
+  start() {
+    const delay = clusterService.store.shared ? clusterService.leaseMs : 0;
+    setTimeout(() => this.run(), delay);
+  }
+
+  /**
+   * Find orphaned matches and save them as abandoned. User stats and
+   * ratings are left alone; tournament brackets are settled as for any
+   * abandoned match.
+   * @returns {Promise<Object>} The run's report
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.reconcile().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async reconcile() {
+    const report = {
+      startedAt: new Date(),
+      finishedAt: null,
+      nodeId: clusterService.nodeId,
+      checked: 0,
+      abandoned: 0,
+      skipped: 0, // Restored here or still live on another node
+      failed: 0,
+      matches: [],
+      error: null,
+    };
+
+    try {
+      const candidates = await Match.find({
+        status: { $in: ORPHAN_STATUSES },
+        endedAt: null,
+        createdAt: { $lt: this.bootedAt },
+      });
+      report.checked = candidates.length;
+
+      for (const match of candidates) {
+        const outcome = await this.reconcileMatch(match);
+        report[outcome.result]++;
+
+        if (report.matches.length < REPORT_MATCH_LIMIT) {
+          report.matches.push(outcome);
+        }
+      }
+    } catch (error) {
+      console.error("Error reconciling orphaned matches:", error);
+      report.error = error.message;
+    }
+
+    report.finishedAt = new Date();
+    this.lastReport = report;
+
+    console.log(
+      `Match reconciliation: ${report.abandoned} abandoned, ${report.skipped} still live, ${report.failed} failed (of ${report.checked} open from before startup)`
+    );
+    return report;
+  }
+
+  /**
+   * Close out one orphan
+   * @returns {Object} Report line with result "abandoned", "skipped" or "failed"
+   */
+  async reconcileMatch(match) {
+    const line = {
+      matchId: match.matchId,
+      id: match._id,
+      previousStatus: match.status,
+      roomId: match.roomId,
+      tournament: match.tournament,
+      duration: null,
+    };
+
+    try {
+      if (match.roomId && roomManagerService.getRoom(match.roomId)) {
+        return { ...line, result: "skipped", nodeId: clusterService.nodeId };
+      }
+      if (match.roomId) {
+        const room = await clusterService.findRoom({ roomId: match.roomId });
+        if (room && room.nodeId !== clusterService.nodeId) {
+          return { ...line, result: "skipped", nodeId: room.nodeId };
+        }
+      }
+
+      const start = match.startedAt || match.createdAt;
+      const duration = match.startedAt
+        ? Math.min(
+            Math.round((Date.now() - start.getTime()) / 1000),
+            MAX_ESTIMATED_DURATION_SECONDS
+          )
+        : 0;
+
+      match.status = "abandoned";
+      match.endedAt = new Date(start.getTime() + duration * 1000);
+      match.result.duration = duration;
+      match.result.outcome = "abandoned";
+      match.result.endReason = "abandoned";
+      match.result.winner = null;
+      match.result.winnerWalletAddress = null;
+      await match.save();
+
+      if (match.tournament) {
+        await tournamentService.recordMatchResult(match);
+      }
+
+      return { ...line, result: "abandoned", duration };
+    } catch (error) {
+      console.error(`Error reconciling match ${match.matchId}:`, error);
+      return { ...line, result: "failed", error: error.message };
+    }
+  }
+
+  /**
+   * Report of the last finished run, or null before the first one
+   */
+  getLastReport() {
+    return this.lastReport;
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,182 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+const mongoose = require("mongoose");
+const Replay = require("../models/replay");
+const physicsService = require("./physicsService");
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * @fileoverview Replay Service
+ * @description Records every event relayed to a live room and saves it as a replay
+ * @module services/replayService
+ */
+
+const REPLAY_VERSION = 1;
+
+// Hard cap per game so a stuck room can't grow without bound
+const MAX_REPLAY_EVENTS = 100000;
+
+/**
+ * Replay Service - In-memory recordings of live games, persisted per match
+ * @class ReplayService
+ */
+class ReplayService {
+  constructor() {
+    this.recordings = new Map(); // roomId -> { startedAt, players, events, truncated }
+  }
+
+  /**
+   * Start a fresh recording for a room (replaces any previous one)
+   */
+  startRecording(room) {
+    this.recordings.set(room.id, {
+      startedAt: Date.now(),
+      players: room.players.map((player) => ({
+        position: player.position,
+        userId: player.userId || null,
+        walletAddress: player.walletAddress || null,
+      })),
+      events: [],
+      truncated: false,
+    });
+  }
+
+  /**
+   * Record an event with its server timestamp
+   * @param {string} roomId - Room the event was sent to
+   * @param {string} type - Socket event name (e.g. "ball-state")
+   * @param {Object} data - Payload as emitted
+   */
+  record(roomId, type, data) {
+    const recording = this.recordings.get(roomId);
+    if (!recording) return;
+
+    if (recording.events.length >= MAX_REPLAY_EVENTS) {
+      recording.truncated = true;
+      return;
+    }
+
+    const now = Date.now();
+    recording.events.push({
+      t: now - recording.startedAt,
+      ts: now,
+      type,
+      data,
+    });
+  }
+
+  /**
+   * Drop a room's recording without saving it
+   */
+  discard(roomId) {
+    this.recordings.delete(roomId);
+  }
+
+  /**
+   * Encode a recording as gzipped NDJSON: a header line, then one event per line
+   */
+  async encode(recording, roomId, matchId) {
+    const header = {
+      type: "header",
+      version: REPLAY_VERSION,
+      matchId: matchId.toString(),
+      roomId,
+      startedAt: recording.startedAt,
+      players: recording.players,
+      tickRate: physicsService.constants.TICK_RATE,
+      snapshotRate: physicsService.constants.SNAPSHOT_RATE,
+      field: {
+        width: physicsService.constants.FIELD_WIDTH,
+        height: physicsService.constants.FIELD_HEIGHT,
+        groundY: physicsService.constants.GROUND_Y,
+      },
+      eventCount: recording.events.length,
+      truncated: recording.truncated,
+    };
+
+    const lines = [header, ...recording.events].map((line) =>
+      JSON.stringify(line)
+    );
+
+    return gzip(Buffer.from(lines.join("\n") + "\n"));
+  }
+
+  /**
+   * Stop a room's recording and save it next to its Match
+   */
+  async saveReplay(roomId, matchId) {
+    const recording = this.recordings.get(roomId);
+    if (!recording) {
+      return {
+        success: false,
+        code: "REPLAY_NOT_FOUND",
+        error: "No recording for room",
+      };
+    }
+
+    this.recordings.delete(roomId);
+
+    try {
+      const data = await this.encode(recording, roomId, matchId);
+      const lastEvent = recording.events[recording.events.length - 1];
+
+      const replay = await Replay.findOneAndUpdate(
+        { match: matchId },
+        {
+          $set: {
+            roomId,
+            format: "ndjson+gzip",
+            version: REPLAY_VERSION,
+            eventCount: recording.events.length,
+            durationMs: lastEvent ? lastEvent.t : 0,
+            truncated: recording.truncated,
+            sizeBytes: data.length,
+            data,
+          },
+        },
+        { upsert: true, new: true }
+      );
+
+      console.log(
+        `Replay saved for match ${matchId}: ${recording.events.length} events, ${data.length} bytes`
+      );
+
+      return { success: true, replay: replay };
+    } catch (error) {
+      console.error("Error saving replay:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Get a match's replay including its compressed data (for HTTP API)
+   */
+  async getReplayByMatchId(matchId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(matchId)) {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          error: "Invalid match ID",
+        };
+      }
+
+      const replay = await Replay.findOne({ match: matchId });
+      if (!replay) {
+        return {
+          success: false,
+          code: "REPLAY_NOT_FOUND",
+          error: "Replay not found",
+        };
+      }
+
+      return { success: true, replay: replay };
+    } catch (error) {
+      console.error("Error getting replay:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+}
+
+module.exports = new ReplayService();
@@ -1,8 +1,15 @@
 const GameRoom = require("../models/gameRoom");
+const Player = require("../models/player");
+const clusterService = require("./clusterService");
+
+// Limits for rules chosen by a private room's creator
+const MIN_MATCH_DURATION = 30; // seconds
+const MAX_MATCH_DURATION = 600;
+const MAX_GOAL_LIMIT = 20;
 
 /**
  * @fileoverview Room Manager Service
- * @description Service for managing game rooms, matchmaking, and player coordination
+ * @description Service for managing game rooms, room codes, and player coordination
  * @module services/roomManagerService
  */
 
@@ -14,7 +21,16 @@ class RoomManagerService {
   constructor() {
     this.gameRooms = new Map(); // roomId -> GameRoom
     this.roomCodes = new Map(); // roomCode -> roomId
-    this.waitingPlayers = new Set(); // Set of player IDs waiting for matches
+    this.handlers = {};
+  }
+
+  /**
+   * Register lifecycle callbacks
+   * @param {Object} handlers - Room callbacks
+   * @param {Function} [handlers.onRoomDeleted] - Called with the room after it is removed
+   */
+  setHandlers(handlers = {}) {
+    this.handlers = handlers;
   }
 
   /**
@@ -63,15 +79,173 @@ class RoomManagerService {
     const room = new GameRoom(roomId, roomCode);
 
     // Apply any custom room settings
+    if (roomData.gameMode) room.setGameMode(roomData.gameMode);
     if (roomData.maxPlayers) room.maxPlayers = roomData.maxPlayers;
     if (roomData.settings) Object.assign(room.settings, roomData.settings);
+    if (roomData.rules) {
+      Object.assign(room.settings.rules, roomData.rules);
+      room.gameState.gameTime = room.settings.rules.matchDuration;
+    }
+    if (roomData.tournament) room.tournament = roomData.tournament;
+    if (roomData.reservedFor) room.reservedFor = roomData.reservedFor;
 
     this.gameRooms.set(roomId, room);
     this.roomCodes.set(roomCode, roomId);
+    this.publishRoom(room);
+
+    return room;
+  }
+
+  /**
+   * Claim a new room for this node and make its code resolvable from every
+   * node. Codes are only checked against local rooms when generated, so on
+   * the rare clash with another node's room this one gets a new code.
+   */
+  async publishRoom(room) {
+    try {
+      if (!(await clusterService.claimRoom(room))) return;
+      await this.reserveRoomCode(room);
+    } catch (error) {
+      console.error(`Error publishing room ${room.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Reserve the room's code in the directory, switching to a new code
+   * until one is free
+   */
+  async reserveRoomCode(room) {
+    while (
+      this.gameRooms.has(room.id) &&
+      !(await clusterService.reserveCode(room))
+    ) {
+      this.roomCodes.delete(room.code);
+      room.code = this.generateRoomCode();
+      this.roomCodes.set(room.code, room.id);
+    }
+  }
+
+  /**
+   * Rebuild a room from a snapshot (see RoomSnapshotService) after a
+   * restart. The game is paused with every seat disconnected until its
+   * players come back. Players get a placeholder socket ID until then.
+   * @param {Object} snapshot - RoomSnapshot document
+   * @returns {Promise<GameRoom|null>} The room, or null if another node holds it
+   */
+  async restoreRoom(snapshot) {
+    const room = new GameRoom(snapshot.roomId, snapshot.code);
+
+    room.setGameMode(snapshot.gameMode);
+    if (snapshot.rules) Object.assign(room.settings.rules, snapshot.rules);
+    room.tournament = snapshot.tournament || null;
+    room.reservedFor = snapshot.reservedFor?.length
+      ? snapshot.reservedFor
+      : null;
+    if (snapshot.rematchState) room.rematchState = snapshot.rematchState;
+
+    room.matchId = snapshot.match;
+    room.startedAt = snapshot.startedAt;
+    room.status = "playing";
+    Object.assign(room.gameState, snapshot.gameState, {
+      isActive: true,
+      isPaused: true,
+    });
+
+    snapshot.players.forEach((seat) => {
+      const userId = seat.user.toString();
+      const player = new Player(
+        `restored:${userId}`,
+        seat.walletAddress,
+        seat.user
+      );
+
+      player.currentRoom = room.id;
+      player.position = seat.position;
+      player.slot = seat.slot;
+      player.isReady = true;
+      player.isConnected = false;
+      player.disconnectedAt = new Date();
+      room.players.push(player);
+    });
+
+    // Another node may have picked the room up while this one was down
+    if (!(await clusterService.claimRoom(room))) return null;
+
+    this.gameRooms.set(room.id, room);
+    if (room.code) {
+      if (this.roomCodes.has(room.code)) room.code = this.generateRoomCode();
+      this.roomCodes.set(room.code, room.id);
+      await this.reserveRoomCode(room);
+    }
 
     return room;
   }
 
+  /**
+   * Validate match rules requested for a private room
+   * @param {Object} options - { matchDuration, maxGoals, allowTies, powerups }, all optional
+   * @returns {Object} { success, rules } with only the provided rules, or a reason
+   */
+  validateRules(options = {}) {
+    const rules = {};
+    const { matchDuration, maxGoals, allowTies, powerups } = options;
+
+    if (matchDuration !== undefined) {
+      if (
+        !Number.isInteger(matchDuration) ||
+        matchDuration < MIN_MATCH_DURATION ||
+        matchDuration > MAX_MATCH_DURATION
+      ) {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          reason: `matchDuration must be a whole number of seconds between ${MIN_MATCH_DURATION} and ${MAX_MATCH_DURATION}`,
+        };
+      }
+      rules.matchDuration = matchDuration;
+    }
+
+    if (maxGoals !== undefined) {
+      if (
+        maxGoals !== null &&
+        (!Number.isInteger(maxGoals) ||
+          maxGoals < 1 ||
+          maxGoals > MAX_GOAL_LIMIT)
+      ) {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          reason: `maxGoals must be null or a whole number between 1 and ${MAX_GOAL_LIMIT}`,
+        };
+      }
+      rules.maxGoals = maxGoals;
+    }
+
+    if (allowTies !== undefined) {
+      if (typeof allowTies !== "boolean") {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          reason: "allowTies must be true or false",
+        };
+      }
+      rules.allowTies = allowTies;
+    }
+
+    if (powerups !== undefined) {
+      if (typeof powerups !== "boolean") {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          reason: "powerups must be true or false",
+        };
+      }
+      rules.powerups = powerups;
+    }
+
+    return { success: true, rules };
+  }
+
   /**
    * Get room by ID
    */
@@ -91,19 +265,13 @@ class RoomManagerService {
       this.roomCodes.delete(room.code);
     }
 
-    return this.gameRooms.delete(roomId);
-  }
-
-  /**
-   * Find available room for matchmaking
-   */
-  findAvailableRoom() {
-    for (let room of this.gameRooms.values()) {
-      if (!room.isFull() && room.status === "waiting") {
-        return room;
-      }
+    const deleted = this.gameRooms.delete(roomId);
+    clusterService.releaseRoom(roomId);
+    if (deleted && this.handlers.onRoomDeleted) {
+      this.handlers.onRoomDeleted(room);
     }
-    return null;
+
+    return deleted;
   }
 
   /**
@@ -119,7 +287,11 @@ class RoomManagerService {
   resetRoomToWaiting(roomId) {
     const room = this.getRoom(roomId);
     if (!room) {
-      return { success: false, reason: "Room not found" };
+      return {
+        success: false,
+        code: "ROOM_NOT_FOUND",
+        reason: "Room not found",
+      };
     }
 
     // Only reset if room is in a problematic state
@@ -141,98 +313,88 @@ class RoomManagerService {
 
     return {
       success: false,
+      code: "ROOM_NOT_RESETTABLE",
       reason: `Room ${roomId} is not in a resettable state (${room.status})`,
     };
   }
 
   /**
-   * Matchmaking - find or create room for player
+   * Free a player from a finished or stale room before they look for a new one
    */
-  findMatch(player) {
+  releaseFinishedRoom(player) {
     if (!player) {
-      return { success: false, reason: "Player not found" };
+      return {
+        success: false,
+        code: "PLAYER_NOT_FOUND",
+        reason: "Player not found",
+      };
     }
 
-    // If player is in a room, check if it's finished
-    if (player.currentRoom) {
-      const currentRoom = this.getRoom(player.currentRoom);
-
-      if (currentRoom && currentRoom.status === "finished") {
-        // Automatically remove player from finished room
-        console.log(
-          `Auto-removing player ${player.username} from finished room ${currentRoom.id} to allow new match`
-        );
-        const leaveResult = this.leaveRoom(player);
-
-        if (!leaveResult.success) {
-          console.error(
-            `Failed to auto-remove player from finished room: ${leaveResult.reason}`
-          );
-          return {
-            success: false,
-            reason: `Cannot leave finished room: ${leaveResult.reason}`,
-          };
-        }
-
-        console.log(
-          `Player ${player.username} successfully removed from finished room`
-        );
-      } else if (currentRoom) {
-        // Player is in an active room
-        return { success: false, reason: "Player already in a room" };
-      } else {
-        // Room doesn't exist anymore, clear the reference
-        console.log(
-          `Clearing stale room reference for player ${player.username}`
-        );
-        player.currentRoom = null;
-      }
+    if (!player.currentRoom) {
+      return { success: true };
     }
 
-    // Find existing room or create a new one
-    let room = this.findAvailableRoom();
-    if (!room) {
-      room = this.createRoom();
-    }
+    const currentRoom = this.getRoom(player.currentRoom);
 
-    // Ensure the room is in the correct state for new players
-    if (room.status !== "waiting") {
+    if (currentRoom && currentRoom.status === "finished") {
+      // Automatically remove player from finished room
       console.log(
-        `Found room ${room.id} in status ${room.status}, checking if it needs reset...`
+        `Auto-removing player ${player.username} from finished room ${currentRoom.id}`
       );
+      const leaveResult = this.leaveRoom(player);
 
-      // If room is "playing" but game is not active, it's stuck - reset it
-      if (room.status === "playing" && !room.gameState.isActive) {
-        console.log(`Resetting stuck room ${room.id} to waiting state`);
-        const resetResult = this.resetRoomToWaiting(room.id);
-        if (!resetResult.success) {
-          console.log(
-            `Could not reset room ${room.id}, creating new room instead`
-          );
-          room = this.createRoom();
-        }
-      } else {
-        // Room is in another problematic state, create a new room
-        console.log(
-          `Room ${room.id} is in ${room.status} state, creating new room instead`
+      if (!leaveResult.success) {
+        console.error(
+          `Failed to auto-remove player from finished room: ${leaveResult.reason}`
         );
-        room = this.createRoom();
+        return {
+          success: false,
+          code: "INTERNAL_ERROR",
+          reason: `Cannot leave finished room: ${leaveResult.reason}`,
+        };
       }
-    }
 
-    // Add player to the room
-    const result = room.addPlayer(player);
-    if (!result.success) {
-      return { success: false, reason: result.reason };
+      console.log(
+        `Player ${player.username} successfully removed from finished room`
+      );
+    } else if (currentRoom) {
+      // Player is in an active room
+      return {
+        success: false,
+        code: "ALREADY_IN_ROOM",
+        reason: "Player already in a room",
+      };
+    } else {
+      // Room doesn't exist anymore, clear the reference
+      console.log(
+        `Clearing stale room reference for player ${player.username}`
+      );
+      player.currentRoom = null;
     }
 
-    this.waitingPlayers.delete(player.id);
+    return { success: true };
+  }
 
-    return {
-      success: true,
-      room: room,
-      player: player,
-    };
+  /**
+   * Create a room and seat players paired by matchmaking or a challenge
+   * @param {Array} players - Players to seat
+   * @param {Object} roomData - Options for createRoom (gameMode, rules, ...)
+   * @param {Array} [sides] - Side for each player, to keep teams together
+   */
+  createMatchedRoom(players, roomData = {}, sides = []) {
+    const room = this.createRoom(roomData);
+
+    for (const [index, player] of players.entries()) {
+      const result = room.addPlayer(player, sides[index] || null);
+      if (!result.success) {
+        // Undo partial seating so nobody is stuck in a half-filled room
+        room.players.slice().forEach((seated) => room.removePlayer(seated.id));
+        this.deleteRoom(room.id);
+        return { success: false, code: result.code, reason: result.reason };
+      }
+    }
+
+    return { success: true, room };
   }
 
   /**
@@ -240,21 +402,31 @@ class RoomManagerService {
    */
   leaveRoom(player) {
     if (!player || !player.currentRoom) {
-      return { success: false, reason: "Player not in a room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
     }
 
     const room = this.getRoom(player.currentRoom);
     if (!room) {
-      return { success: false, reason: "Room not found" };
+      return {
+        success: false,
+        code: "ROOM_NOT_FOUND",
+        reason: "Room not found",
+      };
     }
 
     const result = room.removePlayer(player.id);
     if (!result.success) {
-      return { success: false, reason: result.reason };
+      return { success: false, code: result.code, reason: result.reason };
     }
 
-    // If room is empty, delete it
-    if (result.isEmpty) {
+    // If room is empty (or only bots are left), delete it. Tournament rooms
+    // stay open for their players until the bracket match is decided.
+    const onlyBotsLeft = room.players.every((p) => p.isBot);
+    if (onlyBotsLeft && !(room.tournament && room.status === "waiting")) {
       console.log(`Deleting empty room ${room.id} after player left`);
       this.deleteRoom(room.id);
     } else if (room.status === "finished" && !room.rematchState.timeoutActive) {
@@ -275,56 +447,52 @@ class RoomManagerService {
    */
   async joinRoomByCode(player, roomCode) {
     if (!player) {
-      return { success: false, reason: "Player not found" };
+      return {
+        success: false,
+        code: "PLAYER_NOT_FOUND",
+        reason: "Player not found",
+      };
     }
 
-    // If player is in a room, check if it's finished
-    if (player.currentRoom) {
-      const currentRoom = this.getRoom(player.currentRoom);
-
-      if (currentRoom && currentRoom.status === "finished") {
-        // Automatically remove player from finished room
-        console.log(
-          `Auto-removing player ${player.username} from finished room ${currentRoom.id} to join new room`
-        );
-        const leaveResult = this.leaveRoom(player);
-
-        if (!leaveResult.success) {
-          console.error(
-            `Failed to auto-remove player from finished room: ${leaveResult.reason}`
-          );
-          return {
-            success: false,
-            reason: `Cannot leave finished room: ${leaveResult.reason}`,
-          };
-        }
-
-        console.log(
-          `Player ${player.username} successfully removed from finished room`
-        );
-      } else if (currentRoom) {
-        // Player is in an active room
-        return { success: false, reason: "Player already in a room" };
-      } else {
-        // Room doesn't exist anymore, clear the reference
-        console.log(
-          `Clearing stale room reference for player ${player.username}`
-        );
-        player.currentRoom = null;
-      }
+    // If player is in a finished room, free them first
+    const releaseResult = this.releaseFinishedRoom(player);
+    if (!releaseResult.success) {
+      return releaseResult;
     }
 
     const room = this.getRoomByCode(roomCode.toUpperCase());
     if (!room) {
-      return { success: false, reason: "Invalid room code" };
+      const remote = await clusterService.findRemoteRoom({ roomCode });
+      if (remote) return this.roomOnAnotherNode(remote);
+
+      return {
+        success: false,
+        code: "ROOM_CODE_INVALID",
+        reason: "Invalid room code",
+      };
     }
 
     if (room.players.length >= room.maxPlayers) {
-      return { success: false, reason: "Room is full" };
+      return { success: false, code: "ROOM_FULL", reason: "Room is full" };
     }
 
     if (room.status !== "waiting") {
-      return { success: false, reason: "Game already in progress" };
+      return {
+        success: false,
+        code: "GAME_IN_PROGRESS",
+        reason: "Game already in progress",
+      };
+    }
+
+    if (
+      room.reservedFor &&
+      !room.reservedFor.includes(player.userId?.toString())
+    ) {
+      return {
+        success: false,
+        code: "ROOM_RESERVED",
+        reason: "This room is reserved",
+      };
     }
 
     const result = room.addPlayer(player);
@@ -340,17 +508,40 @@ class RoomManagerService {
     };
   }
 
+  /**
+   * Failure for a room run by another node. The client reconnects to that
+   * node (nodeUrl, or the load balancer's routing for nodeId) and retries.
+   * @param {Object} entry - Directory entry from ClusterService
+   */
+  roomOnAnotherNode(entry) {
+    return {
+      success: false,
+      code: "ROOM_ON_ANOTHER_NODE",
+      reason: "This room is hosted on another server",
+      roomId: entry.roomId,
+      node: { nodeId: entry.nodeId, nodeUrl: entry.nodeUrl },
+    };
+  }
+
   /**
    * Toggle player ready status
    */
   togglePlayerReady(player) {
     if (!player || !player.currentRoom) {
-      return { success: false, reason: "Player not in a room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
     }
 
     const room = this.getRoom(player.currentRoom);
     if (!room) {
-      return { success: false, reason: "Room not found" };
+      return {
+        success: false,
+        code: "ROOM_NOT_FOUND",
+        reason: "Room not found",
+      };
     }
 
     // Don't allow ready changes if game is already in progress
@@ -359,6 +550,7 @@ class RoomManagerService {
       console.log(`${message} for player ${player.username}`);
       return {
         success: false,
+        code: "GAME_IN_PROGRESS",
         reason: message,
       };
     }
@@ -382,22 +574,40 @@ class RoomManagerService {
   startGame(roomId) {
     const room = this.getRoom(roomId);
     if (!room) {
-      return { success: false, reason: "Room not found" };
+      return {
+        success: false,
+        code: "ROOM_NOT_FOUND",
+        reason: "Room not found",
+      };
     }
 
-    if (room.players.length < 2) {
-      return { success: false, reason: "Need 2 players to start" };
+    if (room.players.length < room.minPlayers) {
+      return {
+        success: false,
+        code: "NOT_ENOUGH_PLAYERS",
+        reason: `Need ${room.minPlayers} players to start`,
+      };
     }
 
     if (!room.canStart()) {
-      return { success: false, reason: "Cannot start game" };
+      return {
+        success: false,
+        code: "GAME_IN_PROGRESS",
+        reason: "Cannot start game",
+      };
     }
 
     room.status = "playing";
     room.startedAt = new Date();
     room.gameState.isActive = true;
-    room.gameState.score = { player1: 0, player2: 0 };
-    room.gameState.gameTime = 60; // 60 seconds game duration
+    room.gameState.score = room.createScore();
+    room.gameState.gameTime = room.settings.rules.matchDuration;
+    room.gameState.elapsedTime = 0;
+    room.gameState.phase = "regulation";
+    room.gameState.penalties = null;
+    room.gameState.king = null;
+    room.gameState.kingSince = null;
+    room.gameState.scoredAt = {};
 
     console.log(`Game started in room ${roomId}`);
     return {
@@ -413,7 +623,11 @@ class RoomManagerService {
   endGame(roomId, winnerId = null) {
     const room = this.getRoom(roomId);
     if (!room) {
-      return { success: false, reason: "Room not found" };
+      return {
+        success: false,
+        code: "ROOM_NOT_FOUND",
+        reason: "Room not found",
+      };
     }
 
     room.status = "finished";
@@ -433,6 +647,16 @@ class RoomManagerService {
     };
   }
 
+  /**
+   * Rooms with a game in progress that accept spectators
+   */
+  getLiveRooms() {
+    return Array.from(this.gameRooms.values()).filter(
+      (room) =>
+        room.status === "playing" && room.settings.features.allowSpectators
+    );
+  }
+
   /**
    * Get room statistics
    */
@@ -445,7 +669,6 @@ class RoomManagerService {
       activeRooms: Array.from(this.gameRooms.values()).filter(
         (room) => room.status === "playing"
       ).length,
-      waitingPlayers: this.waitingPlayers.size,
     };
   }
 
@@ -454,38 +677,65 @@ class RoomManagerService {
    */
   requestRematch(player, roomId) {
     if (!player || !player.currentRoom) {
-      return { success: false, reason: "Player not in a room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
     }
 
     const room = this.getRoom(roomId);
     if (!room) {
-      return { success: false, reason: "Room not found" };
+      return {
+        success: false,
+        code: "ROOM_NOT_FOUND",
+        reason: "Room not found",
+      };
     }
 
     if (room.status !== "finished") {
-      return { success: false, reason: "Game is not finished" };
+      return {
+        success: false,
+        code: "GAME_NOT_FINISHED",
+        reason: "Game is not finished",
+      };
+    }
+
+    if (room.tournament) {
+      return {
+        success: false,
+        code: "REMATCH_NOT_ALLOWED",
+        reason: "Tournament matches can't be rematched",
+      };
     }
 
     // Determine which player is requesting
     const playerPosition = player.position; // "player1" or "player2"
     if (!playerPosition) {
-      return { success: false, reason: "Player position not found" };
+      return {
+        success: false,
+        code: "PLAYER_NOT_FOUND",
+        reason: "Player position not found",
+      };
     }
 
-    // Set rematch request
+    // Set rematch request; a side has requested once all its players have
+    player.requestedRematch = true;
+    const sideRequested = room
+      .getTeam(playerPosition)
+      .every((teammate) => teammate.requestedRematch);
     if (playerPosition === "player1") {
-      room.rematchState.player1Requested = true;
+      room.rematchState.player1Requested = sideRequested;
     } else if (playerPosition === "player2") {
-      room.rematchState.player2Requested = true;
+      room.rematchState.player2Requested = sideRequested;
     }
 
     console.log(
       `${player.username} (${playerPosition}) requested rematch in room ${roomId}`
     );
 
-    // Check if both players have requested rematch
-    const bothRequested =
-      room.rematchState.player1Requested && room.rematchState.player2Requested;
+    // Every player has to want the rematch (every side, in team modes)
+    const bothRequested = room.players.every((p) => p.requestedRematch);
 
     return {
       success: true,
@@ -501,16 +751,28 @@ class RoomManagerService {
    */
   declineRematch(player, roomId) {
     if (!player || !player.currentRoom) {
-      return { success: false, reason: "Player not in a room" };
+      return {
+        success: false,
+        code: "NOT_IN_ROOM",
+        reason: "Player not in a room",
+      };
     }
 
     const room = this.getRoom(roomId);
     if (!room) {
-      return { success: false, reason: "Room not found" };
+      return {
+        success: false,
+        code: "ROOM_NOT_FOUND",
+        reason: "Room not found",
+      };
     }
 
     if (room.status !== "finished") {
-      return { success: false, reason: "Game is not finished" };
+      return {
+        success: false,
+        code: "GAME_NOT_FINISHED",
+        reason: "Game is not finished",
+      };
     }
 
     console.log(`${player.username} declined rematch in room ${roomId}`);
@@ -529,18 +791,30 @@ class RoomManagerService {
   executeRematch(roomId) {
     const room = this.getRoom(roomId);
     if (!room) {
-      return { success: false, reason: "Room not found" };
+      return {
+        success: false,
+        code: "ROOM_NOT_FOUND",
+        reason: "Room not found",
+      };
     }
 
     if (room.status !== "finished") {
-      return { success: false, reason: "Game is not finished" };
+      return {
+        success: false,
+        code: "GAME_NOT_FINISHED",
+        reason: "Game is not finished",
+      };
     }
 
     if (
       !room.rematchState.player1Requested ||
       !room.rematchState.player2Requested
     ) {
-      return { success: false, reason: "Both players must request rematch" };
+      return {
+        success: false,
+        code: "REMATCH_NOT_READY",
+        reason: "Both players must request rematch",
+      };
     }
 
     // Reset room for rematch
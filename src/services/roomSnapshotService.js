@@ -0,0 +1,173 @@
+const RoomSnapshot = require("../models/roomSnapshot");
+const Match = require("../models/match");
+const roomManagerService = require("./roomManagerService");
+const clusterService = require("./clusterService");
+
+/**
+ * @fileoverview Room Snapshot Service
+ * @description Saves live room state to MongoDB so a restarted server can pick matches up again
+ * @module services/roomSnapshotService
+ */
+
+const SNAPSHOT_INTERVAL_MS =
+  parseInt(process.env.ROOM_SNAPSHOT_INTERVAL_MS, 10) || 5000;
+
+// Snapshots older than this aren't restored; the match is long over for
+// its players (the collection's TTL removes them soon after)
+const MAX_SNAPSHOT_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Room Snapshot Service - Snapshots every room with a ranked match in
+ * progress. Practice rooms (bots) and guests' games have nothing to resume.
+ * @class RoomSnapshotService
+ */
+class RoomSnapshotService {
+  constructor() {
+    this.interval = null;
+    this.snapshotted = new Set(); // roomIds with a snapshot in the database
+  }
+
+  /**
+   * Start the snapshot job (call once the database is connected)
+   */
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(
+      () => this.snapshotRooms(),
+      SNAPSHOT_INTERVAL_MS
+    );
+  }
+
+  /**
+   * Stop the snapshot job
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Whether a room can be rebuilt from a snapshot
+   */
+  isRestorable(room) {
+    return (
+      room.status === "playing" &&
+      !!room.matchId &&
+      room.players.length > 0 &&
+      room.players.every((player) => player.userId && !player.isBot)
+    );
+  }
+
+  /**
+   * Write a snapshot of every restorable room and drop the snapshots of
+   * rooms that no longer are
+   */
+  async snapshotRooms() {
+    const writes = [];
+
+    roomManagerService.gameRooms.forEach((room) => {
+      if (this.isRestorable(room)) writes.push(this.save(room));
+    });
+
+    [...this.snapshotted].forEach((roomId) => {
+      const room = roomManagerService.getRoom(roomId);
+      if (!room || !this.isRestorable(room)) writes.push(this.clear(roomId));
+    });
+
+    await Promise.all(writes);
+  }
+
+  /**
+   * Write one room's snapshot
+   */
+  async save(room) {
+    try {
+      const { gameState } = room;
+
+      await RoomSnapshot.updateOne(
+        { roomId: room.id },
+        {
+          $set: {
+            code: room.code,
+            nodeId: clusterService.nodeId,
+            match: room.matchId,
+            gameMode: room.gameMode,
+            rules: room.settings.rules,
+            tournament: room.tournament,
+            reservedFor: room.reservedFor,
+            players: room.players.map((player) => ({
+              user: player.userId,
+              walletAddress: player.walletAddress,
+              position: player.position,
+              slot: player.slot || 0,
+            })),
+            gameState: {
+              score: gameState.score,
+              gameTime: gameState.gameTime,
+              elapsedTime: gameState.elapsedTime,
+              phase: gameState.phase,
+              penalties: gameState.penalties,
+              scoredAt: gameState.scoredAt,
+              tick: gameState.tick,
+            },
+            rematchState: room.rematchState,
+            startedAt: room.startedAt,
+            snapshotAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+      this.snapshotted.add(room.id);
+    } catch (error) {
+      console.error(`Error saving snapshot of room ${room.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove a room's snapshot
+   */
+  async clear(roomId) {
+    this.snapshotted.delete(roomId);
+
+    try {
+      await RoomSnapshot.deleteOne({ roomId });
+    } catch (error) {
+      console.error(
+        `Error clearing snapshot of room ${roomId}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Snapshots worth restoring: recent, not for a room already running here,
+   * and for a match that is still open. The rest are removed.
+   * @returns {Promise<Array>} Snapshot documents
+   */
+  async loadSnapshots() {
+    const snapshots = await RoomSnapshot.find().lean();
+    const usable = [];
+
+    for (const snapshot of snapshots) {
+      if (roomManagerService.getRoom(snapshot.roomId)) continue;
+
+      const match = await Match.findById(snapshot.match).select("status");
+      const fresh =
+        Date.now() - new Date(snapshot.snapshotAt).getTime() <
+        MAX_SNAPSHOT_AGE_MS;
+
+      if (fresh && ["waiting", "playing"].includes(match?.status)) {
+        usable.push(snapshot);
+      } else {
+        await this.clear(snapshot.roomId);
+      }
+    }
+
+    return usable;
+  }
+}
+
+module.exports = new RoomSnapshotService();
@@ -0,0 +1,313 @@
+const mongoose = require("mongoose");
+const Season = require("../models/season");
+const User = require("../models/user");
+const leaderboardService = require("./leaderboardService");
+
+/**
+ * @fileoverview Season Service
+ * @description Service for ranked seasons, rollover and archived standings
+ * @module services/seasonService
+ */
+
+const SEASON_LENGTH_DAYS = parseInt(process.env.SEASON_LENGTH_DAYS, 10) || 90;
+const ROLLOVER_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Number of players kept in an archived season's final standings
+const ARCHIVED_STANDINGS_LIMIT = 1000;
+
+/**
+ * Season Service - Tracks the active season and rolls it over when it ends
+ * @class SeasonService
+ */
+class SeasonService {
+  constructor() {
+    this.activeSeason = null; // Cached active season document
+    this.rolloverInterval = null;
+  }
+
+  /**
+   * Start the rollover job (call once the database is connected)
+   */
+  start() {
+    if (this.rolloverInterval) return;
+
+    this.rolloverIfDue();
+    this.rolloverInterval = setInterval(
+      () => this.rolloverIfDue(),
+      ROLLOVER_CHECK_INTERVAL_MS
+    );
+  }
+
+  /**
+   * Stop the rollover job
+   */
+  stop() {
+    if (this.rolloverInterval) {
+      clearInterval(this.rolloverInterval);
+      this.rolloverInterval = null;
+    }
+  }
+
+  /**
+   * Get the active season, creating the next one if none is active
+   */
+  async getActiveSeason() {
+    try {
+      if (this.activeSeason && this.activeSeason.endsAt > new Date()) {
+        return { success: true, season: this.activeSeason };
+      }
+
+      let season = await Season.findOne({ status: "active" });
+      if (!season) {
+        season = await this.createNextSeason();
+      }
+
+      this.activeSeason = season;
+      return { success: true, season: season };
+    } catch (error) {
+      console.error("Error getting active season:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Active season ID, or null if it can't be resolved (for match tagging)
+   */
+  async getActiveSeasonId() {
+    const result = await this.getActiveSeason();
+    return result.success ? result.season._id : null;
+  }
+
+  /**
+   * Create the season following the latest one, starting now
+   */
+  async createNextSeason() {
+    const latest = await Season.findOne().sort({ number: -1 });
+    const number = latest ? latest.number + 1 : 1;
+    const startsAt = new Date();
+    const endsAt = new Date(
+      startsAt.getTime() + SEASON_LENGTH_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    try {
+      const season = await Season.create({
+        number,
+        name: `Season ${number}`,
+        startsAt,
+        endsAt,
+      });
+
+      console.log(`${season.name} started, ends ${endsAt.toISOString()}`);
+      return season;
+    } catch (error) {
+      // Another caller created this season first
+      if (error.code === 11000) {
+        return Season.findOne({ number });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Archive the active season once it has ended and start the next one
+   */
+  async rolloverIfDue() {
+    try {
+      const season = await Season.findOne({
+        status: "active",
+        endsAt: { $lte: new Date() },
+      });
+
+      if (!season) {
+        // Make sure there is always an active season
+        if (!(await Season.exists({ status: "active" }))) {
+          await this.getActiveSeason();
+        }
+        return { success: true, rolledOver: false };
+      }
+
+      const standings = await leaderboardService.getSeasonStandings(
+        season._id,
+        ARCHIVED_STANDINGS_LIMIT
+      );
+
+      // Only one caller gets to archive the season
+      const archived = await Season.findOneAndUpdate(
+        { _id: season._id, status: "active" },
+        {
+          $set: {
+            status: "archived",
+            archivedAt: new Date(),
+            standings: standings.map((entry) => ({
+              ...entry,
+              user: entry.userId,
+            })),
+          },
+        },
+        { new: true }
+      );
+
+      if (!archived) {
+        return { success: true, rolledOver: false };
+      }
+
+      this.activeSeason = null;
+      const nextSeason = await this.createNextSeason();
+      this.activeSeason = nextSeason;
+
+      // Reset every user's season counters for the new season
+      await User.updateMany(
+        {},
+        {
+          $set: {
+            seasonStats: {
+              season: nextSeason._id,
+              wins: 0,
+              losses: 0,
+              draws: 0,
+              totalMatches: 0,
+              forfeits: 0,
+            },
+          },
+        }
+      );
+
+      console.log(
+        `${archived.name} archived with ${standings.length} ranked players`
+      );
+
+      return { success: true, rolledOver: true, archived, nextSeason };
+    } catch (error) {
+      console.error("Error rolling over season:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * List seasons, newest first, without standings (for HTTP API)
+   */
+  async listSeasons(limit = 10, page = 1) {
+    try {
+      const skip = (page - 1) * limit;
+
+      const seasons = await Season.find()
+        .select("-standings")
+        .sort({ number: -1 })
+        .limit(limit)
+        .skip(skip);
+
+      const total = await Season.countDocuments();
+
+      return {
+        success: true,
+        seasons: seasons,
+        pagination: {
+          page: page,
+          limit: limit,
+          total: total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error("Error listing seasons:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Get season by ID without standings (for HTTP API)
+   */
+  async getSeasonById(seasonId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(seasonId)) {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          error: "Invalid season ID",
+        };
+      }
+
+      const season = await Season.findById(seasonId).select("-standings");
+      if (!season) {
+        return {
+          success: false,
+          code: "SEASON_NOT_FOUND",
+          error: "Season not found",
+        };
+      }
+
+      return { success: true, season: season };
+    } catch (error) {
+      console.error("Error getting season:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Get a season's leaderboard: final standings once archived,
+   * live rankings while active (for HTTP API)
+   */
+  async getSeasonLeaderboard(seasonId, limit = 20, page = 1) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(seasonId)) {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          error: "Invalid season ID",
+        };
+      }
+
+      const season = await Season.findById(seasonId);
+      if (!season) {
+        return {
+          success: false,
+          code: "SEASON_NOT_FOUND",
+          error: "Season not found",
+        };
+      }
+
+      const { standings, ...summary } = season.toObject();
+
+      if (season.status === "active") {
+        const result = await leaderboardService.getLeaderboard({
+          window: "season",
+          seasonId: season._id,
+          limit,
+          page,
+        });
+        if (!result.success) return result;
+
+        return {
+          success: true,
+          season: summary,
+          final: false,
+          entries: result.entries,
+          pagination: result.pagination,
+        };
+      }
+
+      const skip = (page - 1) * limit;
+      const total = standings.length;
+
+      return {
+        success: true,
+        season: summary,
+        final: true,
+        entries: standings
+          .slice(skip, skip + limit)
+          .map(({ user, ...entry }) => ({ ...entry, userId: user })),
+        pagination: {
+          page: page,
+          limit: limit,
+          total: total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error("Error getting season leaderboard:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+}
+
+module.exports = new SeasonService();
@@ -0,0 +1,135 @@
+const gameService = require("./gameService");
+const gameBroadcaster = require("./gameBroadcaster");
+const matchService = require("./matchService");
+const seasonService = require("./seasonService");
+const tournamentService = require("./tournamentService");
+const clusterService = require("./clusterService");
+const roomSnapshotService = require("./roomSnapshotService");
+const { stateStore } = require("../config/stateStore");
+const { disconnectDatabase } = require("../config/database");
+
+/**
+ * @fileoverview Shutdown Service
+ * @description Drains live matches and closes connections before the process exits
+ * @module services/shutdownService
+ */
+
+// How long live matches get to finish once shutdown starts; whatever is
+// still playing then is handed over to the next start (see
+// RoomSnapshotService) or saved as abandoned
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS, 10) || 30000;
+
+// Longest to wait for match writes after the last game ended
+const FLUSH_TIMEOUT_MS = 10000;
+
+const LIVE_MATCH_POLL_MS = 500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Shutdown Service - Runs the shutdown sequence once, however many signals
+ * arrive
+ * @class ShutdownService
+ */
+class ShutdownService {
+  constructor() {
+    this.running = null; // Promise of the sequence once started
+  }
+
+  /**
+   * Shut down gracefully: stop new games and background jobs, warn clients,
+   * give live matches until the deadline, snapshot or abandon the rest,
+   * flush match writes, then close sockets, the state store and the database
+   * @param {http.Server} server - HTTP server Socket.IO is attached to
+   * @param {string} signal - Signal that started it, for the log
+   * @returns {Promise} Resolves once everything is closed
+   */
+  start(server, signal) {
+    if (!this.running) {
+      this.running = this.run(server, signal);
+    }
+    return this.running;
+  }
+
+  async run(server, signal) {
+    const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+    console.log(
+      `${signal} received, shutting down (live matches have ${SHUTDOWN_GRACE_MS}ms)`
+    );
+
+    gameService.stopAcceptingGames();
+    tournamentService.stop();
+    seasonService.stop();
+
+    gameBroadcaster.broadcastServerShutdown(deadline);
+
+    await this.waitForLiveMatches(deadline);
+
+    await this.closeUnfinishedMatches();
+
+    const pending = await matchService.flush(FLUSH_TIMEOUT_MS);
+    if (pending > 0) {
+      console.warn(`Shutting down with ${pending} match write(s) unfinished`);
+    }
+
+    // Closes every socket and the HTTP server with them
+    await new Promise((resolve) => {
+      if (gameService.io) gameService.io.close(() => resolve());
+      else server.close(() => resolve());
+    });
+
+    await clusterService.stop();
+    await stateStore.close();
+    await disconnectDatabase();
+
+    console.log("Shutdown complete");
+  }
+
+  /**
+   * Snapshot the rooms a restart can bring back, leaving their matches
+   * open, and abandon the others
+   */
+  async closeUnfinishedMatches() {
+    roomSnapshotService.stop();
+
+    const unfinished = gameService.getLiveRooms();
+    if (unfinished.length === 0) return;
+
+    const handover = unfinished.filter((room) =>
+      roomSnapshotService.isRestorable(room)
+    );
+    const abandoned = unfinished.filter((room) => !handover.includes(room));
+    console.log(
+      `Handing over ${handover.length} and abandoning ${abandoned.length} unfinished match(es)`
+    );
+
+    await Promise.allSettled([
+      ...handover.map((room) => {
+        gameService.stopGameLoop(room.id);
+        room.gameState.isPaused = true;
+        return roomSnapshotService.save(room);
+      }),
+      ...abandoned.map((room) => gameService.abandonGame(room)),
+    ]);
+  }
+
+  /**
+   * Wait until no game is playing or the deadline passes
+   */
+  async waitForLiveMatches(deadline) {
+    let lastLogged = null;
+
+    while (Date.now() < deadline) {
+      const live = gameService.getLiveRooms().length;
+      if (live === 0) return;
+
+      if (live !== lastLogged) {
+        console.log(`Waiting for ${live} live match(es) to finish`);
+        lastLogged = live;
+      }
+      await wait(Math.min(LIVE_MATCH_POLL_MS, deadline - Date.now()));
+    }
+  }
+}
+
+module.exports = new ShutdownService();
@@ -0,0 +1,914 @@
+const mongoose = require("mongoose");
+const Tournament = require("../models/tournament");
+const User = require("../models/user");
+const roomManagerService = require("./roomManagerService");
+const clusterService = require("./clusterService");
+const gameBroadcaster = require("./gameBroadcaster");
+
+/**
+ * @fileoverview Tournament Service
+ * @description Registration, seeding, elimination brackets and tournament rooms
+ * @module services/tournamentService
+ */
+
+const TOURNAMENT_SIZES = [8, 16, 32];
+const TOURNAMENT_FORMATS = ["single-elimination", "double-elimination"];
+
+// How long both players have to start a match once its room opens
+const NO_SHOW_TIMEOUT_MS =
+  parseInt(process.env.TOURNAMENT_NO_SHOW_MS, 10) || 5 * 60 * 1000;
+const NO_SHOW_CHECK_INTERVAL_MS = 15 * 1000;
+
+// Tournament games can't end level: overtime, then penalties
+const TOURNAMENT_RULES = { allowTies: false };
+
+/**
+ * Tournament Service - Runs brackets from registration to champion
+ * @class TournamentService
+ */
+class TournamentService {
+  constructor() {
+    this.sizes = TOURNAMENT_SIZES;
+    this.formats = TOURNAMENT_FORMATS;
+    this.noShowInterval = null;
+    this.locks = new Map(); // tournamentId -> promise of the last queued update
+  }
+
+  /**
+   * Start the no-show job (call once the database is connected)
+   */
+  start() {
+    if (this.noShowInterval) return;
+
+    this.checkOpenMatches();
+    this.noShowInterval = setInterval(
+      () => this.checkOpenMatches(),
+      NO_SHOW_CHECK_INTERVAL_MS
+    );
+  }
+
+  /**
+   * Stop the no-show job
+   */
+  stop() {
+    if (this.noShowInterval) {
+      clearInterval(this.noShowInterval);
+      this.noShowInterval = null;
+    }
+  }
+
+  /**
+   * Run updates to one tournament one at a time so results, no-shows and
+   * registrations can't overwrite each other
+   */
+  withLock(tournamentId, task) {
+    const key = tournamentId.toString();
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+
+    this.locks.set(key, tail);
+    tail.then(() => {
+      if (this.locks.get(key) === tail) this.locks.delete(key);
+    });
+
+    return run;
+  }
+
+  /**
+   * Socket.IO channel for a tournament's live bracket
+   */
+  channel(tournamentId) {
+    return `tournament:${tournamentId}`;
+  }
+
+  /**
+   * Create a tournament open for registration
+   */
+  async createTournament(userId, { name, format, size }) {
+    try {
+      const tournament = new Tournament({
+        name,
+        format,
+        size,
+        createdBy: userId,
+      });
+      await tournament.save();
+
+      return { success: true, tournament: tournament };
+    } catch (error) {
+      console.error("Error creating tournament:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * List tournaments, newest first
+   */
+  async listTournaments({ status, limit = 10, page = 1 } = {}) {
+    try {
+      const filter = status ? { status } : {};
+      const skip = (page - 1) * limit;
+
+      const [tournaments, total] = await Promise.all([
+        Tournament.find(filter)
+          .select("-bracket")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Tournament.countDocuments(filter),
+      ]);
+
+      return {
+        success: true,
+        tournaments: tournaments,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error("Error listing tournaments:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Get a tournament with its bracket
+   */
+  async getTournament(tournamentId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(tournamentId)) {
+        return {
+          success: false,
+          code: "VALIDATION_ERROR",
+          error: "Invalid tournament ID",
+        };
+      }
+
+      const tournament = await Tournament.findById(tournamentId).lean();
+      if (!tournament) {
+        return {
+          success: false,
+          code: "TOURNAMENT_NOT_FOUND",
+          error: "Tournament not found",
+        };
+      }
+
+      return { success: true, tournament: tournament };
+    } catch (error) {
+      console.error("Error getting tournament:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Load a tournament document for an update
+   */
+  async loadForUpdate(tournamentId) {
+    if (!mongoose.Types.ObjectId.isValid(tournamentId)) {
+      return { code: "VALIDATION_ERROR", error: "Invalid tournament ID" };
+    }
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return { code: "TOURNAMENT_NOT_FOUND", error: "Tournament not found" };
+    }
+
+    return { tournament };
+  }
+
+  /**
+   * Register a user while registration is open
+   */
+  async register(tournamentId, userId) {
+    return this.withLock(tournamentId, async () => {
+      try {
+        const { tournament, error, code } = await this.loadForUpdate(
+          tournamentId
+        );
+        if (error) return { success: false, code, error };
+
+        if (tournament.status !== "registration") {
+          return {
+            success: false,
+            code: "TOURNAMENT_REGISTRATION_CLOSED",
+            error: "Registration is closed",
+          };
+        }
+
+        if (this.findParticipant(tournament, userId)) {
+          return {
+            success: false,
+            code: "TOURNAMENT_ALREADY_REGISTERED",
+            error: "Already registered",
+          };
+        }
+
+        if (tournament.participants.length >= tournament.size) {
+          return {
+            success: false,
+            code: "TOURNAMENT_FULL",
+            error: "Tournament is full",
+          };
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+          return {
+            success: false,
+            code: "USER_NOT_FOUND",
+            error: "User not found",
+          };
+        }
+
+        tournament.participants.push({
+          user: user._id,
+          walletAddress: user.walletAddress,
+        });
+        await tournament.save();
+
+        this.broadcastUpdate(tournament);
+        return { success: true, tournament: tournament };
+      } catch (error) {
+        console.error("Error registering for tournament:", error);
+        return { success: false, code: "INTERNAL_ERROR", error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Withdraw a user while registration is open
+   */
+  async withdraw(tournamentId, userId) {
+    return this.withLock(tournamentId, async () => {
+      try {
+        const { tournament, error, code } = await this.loadForUpdate(
+          tournamentId
+        );
+        if (error) return { success: false, code, error };
+
+        if (tournament.status !== "registration") {
+          return {
+            success: false,
+            code: "TOURNAMENT_REGISTRATION_CLOSED",
+            error: "Registration is closed",
+          };
+        }
+
+        const participant = this.findParticipant(tournament, userId);
+        if (!participant) {
+          return {
+            success: false,
+            code: "TOURNAMENT_NOT_REGISTERED",
+            error: "Not registered",
+          };
+        }
+
+        tournament.participants = tournament.participants.filter(
+          (registered) => registered !== participant
+        );
+        await tournament.save();
+
+        this.broadcastUpdate(tournament);
+        return { success: true, tournament: tournament };
+      } catch (error) {
+        console.error("Error withdrawing from tournament:", error);
+        return { success: false, code: "INTERNAL_ERROR", error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Close registration, seed the players and open the first round.
+   * Only the creator can start; unfilled seeds become byes.
+   */
+  async startTournament(tournamentId, userId) {
+    return this.withLock(tournamentId, async () => {
+      try {
+        const { tournament, error, code } = await this.loadForUpdate(
+          tournamentId
+        );
+        if (error) return { success: false, code, error };
+
+        if (tournament.createdBy.toString() !== userId.toString()) {
+          return {
+            success: false,
+            code: "TOURNAMENT_NOT_CREATOR",
+            error: "Only the creator can start the tournament",
+          };
+        }
+
+        if (tournament.status !== "registration") {
+          return {
+            success: false,
+            code: "TOURNAMENT_STARTED",
+            error: "Tournament already started",
+          };
+        }
+
+        if (tournament.participants.length < 2) {
+          return {
+            success: false,
+            code: "NOT_ENOUGH_PLAYERS",
+            error: "At least 2 players are needed to start",
+          };
+        }
+
+        await this.seedParticipants(tournament);
+
+        const seeded = [...tournament.participants]
+          .sort((a, b) => a.seed - b.seed)
+          .map((participant) => participant.user);
+
+        tournament.bracket = this.generateBracket(
+          tournament.format,
+          tournament.size,
+          seeded
+        );
+        tournament.status = "in-progress";
+        tournament.startedAt = new Date();
+
+        // First-round matches are already filled; settle byes, open the rest
+        tournament.bracket
+          .filter((bracketMatch) => bracketMatch.pendingSources === 0)
+          .forEach((bracketMatch) =>
+            this.resolveSlots(tournament, bracketMatch)
+          );
+
+        await tournament.save();
+
+        console.log(
+          `Tournament ${tournament._id} started with ${seeded.length} players`
+        );
+
+        this.broadcastUpdate(tournament);
+        return { success: true, tournament: tournament };
+      } catch (error) {
+        console.error("Error starting tournament:", error);
+        return { success: false, code: "INTERNAL_ERROR", error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Seed by lifetime win rate, then rating, then registration order
+   */
+  async seedParticipants(tournament) {
+    const users = await User.find({
+      _id: { $in: tournament.participants.map((p) => p.user) },
+    }).select("gameStats");
+    const statsById = new Map(
+      users.map((user) => [user._id.toString(), user.gameStats || {}])
+    );
+    const ratingOf = (participant) =>
+      statsById.get(participant.user.toString())?.rating || 0;
+
+    tournament.participants.forEach((participant) => {
+      const stats = statsById.get(participant.user.toString()) || {};
+      participant.winRate = stats.totalMatches
+        ? Math.round((stats.wins / stats.totalMatches) * 1000) / 1000
+        : 0;
+    });
+
+    [...tournament.participants]
+      .sort(
+        (a, b) =>
+          b.winRate - a.winRate ||
+          ratingOf(b) - ratingOf(a) ||
+          a.registeredAt - b.registeredAt
+      )
+      .forEach((participant, index) => {
+        participant.seed = index + 1;
+      });
+  }
+
+  /**
+   * Standard bracket order so the top seeds can only meet late,
+   * e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+   */
+  seedOrder(size) {
+    let order = [1, 2];
+    while (order.length < size) {
+      const total = order.length * 2 + 1;
+      order = order.flatMap((seed) => [seed, total - seed]);
+    }
+    return order;
+  }
+
+  /**
+   * Build every bracket match up front with links to where winners and
+   * losers go next
+   * @param {string} format - single-elimination or double-elimination
+   * @param {number} size - Bracket size (8, 16 or 32)
+   * @param {Array} seeded - User IDs, top seed first (may be shorter than size)
+   */
+  generateBracket(format, size, seeded) {
+    const rounds = Math.log2(size);
+    const matches = [];
+    const key = (prefix, round, index) => `${prefix}${round}-${index + 1}`;
+    const slotFor = (index) => (index % 2 === 0 ? "player1" : "player2");
+
+    // Winners bracket (the whole bracket in single elimination)
+    const order = this.seedOrder(size);
+    for (let round = 1; round <= rounds; round++) {
+      const count = size / 2 ** round;
+      for (let index = 0; index < count; index++) {
+        const bracketMatch = {
+          key: key("W", round, index),
+          bracket: "winners",
+          round,
+          index,
+          player1: null,
+          player2: null,
+          pendingSources: round === 1 ? 0 : 2,
+          winnerTo:
+            round < rounds
+              ? {
+                  key: key("W", round + 1, Math.floor(index / 2)),
+                  slot: slotFor(index),
+                }
+              : { key: null, slot: null },
+          loserTo: { key: null, slot: null },
+        };
+
+        if (round === 1) {
+          bracketMatch.player1 = seeded[order[index * 2] - 1] || null;
+          bracketMatch.player2 = seeded[order[index * 2 + 1] - 1] || null;
+        }
+
+        matches.push(bracketMatch);
+      }
+    }
+
+    if (format !== "double-elimination") {
+      return matches;
+    }
+
+    // Losers bracket: odd rounds pair up survivors, even rounds bring in
+    // the losers of the next winners round (in reverse to avoid rematches)
+    const losersRounds = 2 * (rounds - 1);
+    for (let round = 1; round <= losersRounds; round++) {
+      const count = size / 2 ** (Math.ceil(round / 2) + 1);
+      for (let index = 0; index < count; index++) {
+        let winnerTo;
+        if (round === losersRounds) {
+          winnerTo = { key: "GF1", slot: "player2" };
+        } else if (round % 2 === 1) {
+          winnerTo = { key: key("L", round + 1, index), slot: "player1" };
+        } else {
+          winnerTo = {
+            key: key("L", round + 1, Math.floor(index / 2)),
+            slot: slotFor(index),
+          };
+        }
+
+        matches.push({
+          key: key("L", round, index),
+          bracket: "losers",
+          round,
+          index,
+          player1: null,
+          player2: null,
+          pendingSources: 2,
+          winnerTo,
+          loserTo: { key: null, slot: null },
+        });
+      }
+    }
+
+    matches
+      .filter((bracketMatch) => bracketMatch.bracket === "winners")
+      .forEach((bracketMatch) => {
+        const { round, index } = bracketMatch;
+        const count = size / 2 ** round;
+
+        bracketMatch.loserTo =
+          round === 1
+            ? {
+                key: key("L", 1, Math.floor(index / 2)),
+                slot: slotFor(index),
+              }
+            : {
+                key: key("L", 2 * (round - 1), count - 1 - index),
+                slot: "player2",
+              };
+
+        if (round === rounds) {
+          bracketMatch.winnerTo = { key: "GF1", slot: "player1" };
+        }
+      });
+
+    matches.push({
+      key: "GF1",
+      bracket: "grand-final",
+      round: 1,
+      index: 0,
+      player1: null,
+      player2: null,
+      pendingSources: 2,
+      winnerTo: { key: null, slot: null },
+      loserTo: { key: null, slot: null },
+    });
+
+    return matches;
+  }
+
+  findParticipant(tournament, userId) {
+    if (!userId) return null;
+    return tournament.participants.find(
+      (participant) => participant.user.toString() === userId.toString()
+    );
+  }
+
+  findBracketMatch(tournament, key) {
+    return tournament.bracket.find((bracketMatch) => bracketMatch.key === key);
+  }
+
+  /**
+   * A bracket match has all its feeders: open it, or settle it as a bye
+   */
+  resolveSlots(tournament, bracketMatch) {
+    const { player1, player2 } = bracketMatch;
+
+    if (player1 && player2) {
+      this.openMatch(tournament, bracketMatch);
+    } else {
+      // One player (or nobody) arrived - they go through without playing
+      this.completeMatch(tournament, bracketMatch, {
+        winner: player1 || player2 || null,
+        loser: null,
+        decidedBy: "bye",
+      });
+    }
+  }
+
+  /**
+   * Put a player (or an empty slot) into a later bracket match
+   */
+  fillSlot(tournament, target, user) {
+    if (!target.key) return;
+
+    const bracketMatch = this.findBracketMatch(tournament, target.key);
+    bracketMatch[target.slot] = user;
+    bracketMatch.pendingSources--;
+
+    if (bracketMatch.pendingSources === 0) {
+      this.resolveSlots(tournament, bracketMatch);
+    }
+  }
+
+  /**
+   * Create the room for a bracket match and tell both players
+   */
+  openMatch(tournament, bracketMatch) {
+    const room = roomManagerService.createRoom({
+      rules: TOURNAMENT_RULES,
+      tournament: {
+        tournamentId: tournament._id.toString(),
+        matchKey: bracketMatch.key,
+      },
+      reservedFor: [bracketMatch.player1, bracketMatch.player2].map((user) =>
+        user.toString()
+      ),
+    });
+
+    bracketMatch.status = "ready";
+    bracketMatch.roomId = room.id;
+    bracketMatch.roomCode = room.code;
+    bracketMatch.openedAt = new Date();
+    bracketMatch.deadline = new Date(Date.now() + NO_SHOW_TIMEOUT_MS);
+
+    console.log(
+      `Tournament ${tournament._id} match ${bracketMatch.key} opened in room ${room.code}`
+    );
+
+    [bracketMatch.player1, bracketMatch.player2].forEach((user, index) => {
+      const opponent =
+        index === 0 ? bracketMatch.player2 : bracketMatch.player1;
+
+      gameBroadcaster.emitToUser(user, "tournament-match-ready", {
+        tournamentId: tournament._id,
+        tournamentName: tournament.name,
+        matchKey: bracketMatch.key,
+        bracket: bracketMatch.bracket,
+        round: bracketMatch.round,
+        roomId: room.id,
+        roomCode: room.code,
+        opponentWalletAddress:
+          this.findParticipant(tournament, opponent)?.walletAddress || null,
+        deadline: bracketMatch.deadline,
+        timestamp: Date.now(),
+      });
+    });
+  }
+
+  /**
+   * Settle a bracket match and move its players on
+   */
+  completeMatch(tournament, bracketMatch, { winner, loser, decidedBy, score }) {
+    bracketMatch.status = "finished";
+    bracketMatch.winner = winner;
+    bracketMatch.loser = loser;
+    bracketMatch.decidedBy = decidedBy;
+    bracketMatch.finishedAt = new Date();
+    if (score) bracketMatch.score = score;
+
+    this.closeRoom(bracketMatch);
+
+    if (loser) {
+      const participant = this.findParticipant(tournament, loser);
+      participant.losses++;
+      participant.eliminated =
+        participant.losses >=
+        (tournament.format === "double-elimination" ? 2 : 1);
+    }
+
+    if (bracketMatch.key === "GF1" && winner && loser) {
+      // The losers-bracket finalist has to beat the unbeaten player twice
+      if (winner.toString() === bracketMatch.player2?.toString()) {
+        const reset = {
+          key: "GF2",
+          bracket: "grand-final",
+          round: 2,
+          index: 0,
+          player1: bracketMatch.player1,
+          player2: bracketMatch.player2,
+          pendingSources: 0,
+          winnerTo: { key: null, slot: null },
+          loserTo: { key: null, slot: null },
+        };
+        tournament.bracket.push(reset);
+        this.openMatch(tournament, this.findBracketMatch(tournament, "GF2"));
+        return;
+      }
+    }
+
+    if (bracketMatch.winnerTo.key) {
+      this.fillSlot(tournament, bracketMatch.winnerTo, winner);
+      this.fillSlot(tournament, bracketMatch.loserTo, loser);
+      return;
+    }
+
+    // No next match: this was the final
+    this.fillSlot(tournament, bracketMatch.loserTo, loser);
+    tournament.champion = winner;
+    tournament.status = "completed";
+    tournament.endedAt = new Date();
+
+    console.log(`Tournament ${tournament._id} completed`);
+  }
+
+  /**
+   * Remove a bracket match's room once it no longer decides anything
+   */
+  closeRoom(bracketMatch) {
+    if (!bracketMatch.roomId) return;
+
+    const room = roomManagerService.getRoom(bracketMatch.roomId);
+    if (room && room.status !== "finished") {
+      gameBroadcaster.broadcastError(
+        room.id,
+        "TOURNAMENT_MATCH_CLOSED",
+        "This tournament match has been decided"
+      );
+      roomManagerService.deleteRoom(room.id);
+    }
+  }
+
+  /**
+   * Advance the bracket from a saved Match (called by MatchService when a
+   * tournament match is finished, forfeited or abandoned)
+   * @param {Object} match - Match document with players, result and tournament
+   */
+  async recordMatchResult(match) {
+    return this.withLock(match.tournament, async () => {
+      try {
+        const tournament = await Tournament.findById(match.tournament);
+        if (!tournament || tournament.status !== "in-progress") {
+          return {
+            success: false,
+            code: "TOURNAMENT_NOT_IN_PROGRESS",
+            error: "Tournament not in progress",
+          };
+        }
+
+        const bracketMatch = this.findBracketMatch(
+          tournament,
+          match.tournamentMatchKey
+        );
+        if (!bracketMatch || bracketMatch.status === "finished") {
+          return {
+            success: false,
+            code: "TOURNAMENT_MATCH_CLOSED",
+            error: "Bracket match already decided",
+          };
+        }
+
+        const positionUser = (position) =>
+          position === "player1" ? bracketMatch.player1 : bracketMatch.player2;
+        const players = match.players.map((playerData) => ({
+          user: playerData.user._id || playerData.user,
+          position: playerData.position,
+        }));
+
+        // Room positions don't follow bracket slots; map by user
+        const scoreFor = (user) =>
+          match.result.finalScore?.[
+            players.find((p) => p.user.toString() === user.toString())?.position
+          ] ?? null;
+
+        let winner = match.result.winner;
+        let decidedBy =
+          match.result.endReason === "forfeit" ? "forfeit" : "played";
+
+        if (!winner) {
+          // Draw (penalty limit reached) or abandoned: the higher seed goes on
+          const [first, second] = [
+            positionUser("player1"),
+            positionUser("player2"),
+          ].map((user) => this.findParticipant(tournament, user));
+          winner = first.seed < second.seed ? first.user : second.user;
+          decidedBy = "tiebreak";
+        }
+
+        const loser =
+          winner.toString() === bracketMatch.player1.toString()
+            ? bracketMatch.player2
+            : bracketMatch.player1;
+
+        bracketMatch.match = match._id;
+        this.completeMatch(tournament, bracketMatch, {
+          winner: this.findParticipant(tournament, winner).user,
+          loser,
+          decidedBy,
+          score: {
+            player1: scoreFor(bracketMatch.player1),
+            player2: scoreFor(bracketMatch.player2),
+          },
+        });
+        await tournament.save();
+
+        this.notifyResult(tournament, bracketMatch);
+        this.broadcastUpdate(tournament);
+        return { success: true, tournament: tournament };
+      } catch (error) {
+        console.error("Error recording tournament match result:", error);
+        return { success: false, code: "INTERNAL_ERROR", error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Mark a bracket match as being played (called by MatchService on start)
+   */
+  async recordMatchStarted(match) {
+    return this.withLock(match.tournament, async () => {
+      try {
+        const tournament = await Tournament.findById(match.tournament);
+        const bracketMatch =
+          tournament &&
+          this.findBracketMatch(tournament, match.tournamentMatchKey);
+        if (!bracketMatch || bracketMatch.status !== "ready") {
+          return {
+            success: false,
+            code: "TOURNAMENT_MATCH_CLOSED",
+            error: "Bracket match not open",
+          };
+        }
+
+        bracketMatch.status = "playing";
+        bracketMatch.match = match._id;
+        await tournament.save();
+
+        this.broadcastUpdate(tournament);
+        return { success: true, tournament: tournament };
+      } catch (error) {
+        console.error("Error recording tournament match start:", error);
+        return { success: false, code: "INTERNAL_ERROR", error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Settle no-shows and reopen matches whose room was lost (e.g. restart)
+   */
+  async checkOpenMatches() {
+    try {
+      const tournaments = await Tournament.find({
+        status: "in-progress",
+        "bracket.status": { $in: ["ready", "playing"] },
+      }).select("_id");
+
+      for (const { _id } of tournaments) {
+        await this.withLock(_id, () => this.checkTournament(_id));
+      }
+    } catch (error) {
+      console.error("Error checking tournament matches:", error);
+    }
+  }
+
+  async checkTournament(tournamentId) {
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament || tournament.status !== "in-progress") return;
+
+    const now = new Date();
+    const decided = [];
+    let changed = false;
+
+    const open = tournament.bracket.filter((bracketMatch) =>
+      ["ready", "playing"].includes(bracketMatch.status)
+    );
+
+    for (const bracketMatch of open) {
+      const room = roomManagerService.getRoom(bracketMatch.roomId);
+
+      if (!room) {
+        // Every node runs this check; a room another node hosts is its own
+        const entry = await clusterService.findRoom({
+          roomId: bracketMatch.roomId,
+        });
+        if (entry && entry.nodeId !== clusterService.nodeId) continue;
+
+        // The room is gone without a result - give the players a new one
+        this.openMatch(tournament, bracketMatch);
+        changed = true;
+        continue;
+      }
+
+      if (bracketMatch.status !== "ready" || room.status !== "waiting") {
+        continue;
+      }
+      if (bracketMatch.deadline > now) continue;
+
+      // Whoever is waiting in the room wins; if nobody is, the higher seed
+      const present = room.players
+        .map((player) => this.findParticipant(tournament, player.userId))
+        .filter(Boolean);
+      const candidates = present.length
+        ? present
+        : [bracketMatch.player1, bracketMatch.player2].map((user) =>
+            this.findParticipant(tournament, user)
+          );
+      const winner = candidates.sort((a, b) => a.seed - b.seed)[0].user;
+      const loser =
+        winner.toString() === bracketMatch.player1.toString()
+          ? bracketMatch.player2
+          : bracketMatch.player1;
+
+      console.log(
+        `Tournament ${tournament._id} match ${bracketMatch.key}: no-show`
+      );
+
+      this.completeMatch(tournament, bracketMatch, {
+        winner,
+        loser,
+        decidedBy: "no-show",
+      });
+      decided.push(bracketMatch);
+      changed = true;
+    }
+
+    if (!changed) return;
+
+    await tournament.save();
+    decided.forEach((bracketMatch) =>
+      this.notifyResult(tournament, bracketMatch)
+    );
+    this.broadcastUpdate(tournament);
+  }
+
+  /**
+   * Tell both players how their bracket match was decided
+   */
+  notifyResult(tournament, bracketMatch) {
+    [bracketMatch.player1, bracketMatch.player2].forEach((user) => {
+      gameBroadcaster.emitToUser(user, "tournament-match-result", {
+        tournamentId: tournament._id,
+        matchKey: bracketMatch.key,
+        winner: bracketMatch.winner,
+        decidedBy: bracketMatch.decidedBy,
+        score: bracketMatch.score,
+        eliminated: this.findParticipant(tournament, user).eliminated,
+        tournamentStatus: tournament.status,
+        champion: tournament.champion,
+        timestamp: Date.now(),
+      });
+    });
+  }
+
+  /**
+   * Push the current bracket to everyone following the tournament
+   */
+  broadcastUpdate(tournament) {
+    gameBroadcaster.broadcastTournamentUpdate(
+      this.channel(tournament._id),
+      tournament.toObject()
+    );
+  }
+}
+
+module.exports = new TournamentService();
@@ -6,27 +6,44 @@ const User = require("../models/user");
  * @module services/userService
  */
 
+// Wallets given the admin role when they sign in, so the first admin can be
+// set up before any account has the role (comma-separated)
+const BOOTSTRAP_ADMINS = (process.env.ADMIN_WALLETS || "")
+  .split(",")
+  .map((address) => address.trim().toLowerCase())
+  .filter(Boolean);
+
 /**
  * User Service - Handles Web3 user management operations
  * @class UserService
  */
 class UserService {
   /**
-   * Create user from wallet address (wagmi integration)
+   * Create user from wallet address (wagmi integration). Runs on every sign
+   * in, and gives wallets in ADMIN_WALLETS the admin role.
    */
   async createUserFromWallet(walletAddress) {
     try {
+      const isBootstrapAdmin = BOOTSTRAP_ADMINS.includes(
+        walletAddress.toLowerCase()
+      );
+
       // Check if user already exists
       const existingUser = await User.findOne({
         walletAddress: walletAddress.toLowerCase(),
       });
       if (existingUser) {
+        if (isBootstrapAdmin && existingUser.role !== "admin") {
+          existingUser.role = "admin";
+          await existingUser.save();
+        }
         return { success: true, user: existingUser, isNewUser: false };
       }
 
       // Create new user
       const newUser = new User({
         walletAddress: walletAddress.toLowerCase(),
+        role: isBootstrapAdmin ? "admin" : "player",
       });
 
       await newUser.save();
@@ -42,6 +59,7 @@ class UserService {
       if (error.code === 11000 && error.message.includes("email_1")) {
         return {
           success: false,
+          code: "INTERNAL_ERROR",
           error:
             "Database schema conflict detected. Please contact support to clean up old indexes.",
         };
@@ -49,6 +67,7 @@ class UserService {
 
       return {
         success: false,
+        code: "INTERNAL_ERROR",
         error: error.message,
       };
     }
@@ -61,7 +80,11 @@ class UserService {
     try {
       const user = await User.findById(userId);
       if (!user) {
-        return { success: false, error: "User not found" };
+        return {
+          success: false,
+          code: "USER_NOT_FOUND",
+          error: "User not found",
+        };
       }
 
       // Update match counters
@@ -79,12 +102,58 @@ class UserService {
           break;
       }
 
+      if (matchResult.forfeit) {
+        user.gameStats.forfeits += 1;
+      }
+
+      if (matchResult.seasonId) {
+        this.applySeasonStats(user, matchResult);
+      }
+
       await user.save();
 
       return { success: true, user: user };
     } catch (error) {
       console.error("Error updating user match stats:", error);
-      return { success: false, error: error.message };
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Count a match towards the user's season counters, starting fresh
+   * if the stored counters belong to an earlier season
+   */
+  applySeasonStats(user, matchResult) {
+    const seasonStats = user.seasonStats;
+
+    if (
+      !seasonStats.season ||
+      seasonStats.season.toString() !== matchResult.seasonId.toString()
+    ) {
+      seasonStats.season = matchResult.seasonId;
+      seasonStats.wins = 0;
+      seasonStats.losses = 0;
+      seasonStats.draws = 0;
+      seasonStats.totalMatches = 0;
+      seasonStats.forfeits = 0;
+    }
+
+    seasonStats.totalMatches += 1;
+
+    switch (matchResult.outcome) {
+      case "win":
+        seasonStats.wins += 1;
+        break;
+      case "loss":
+        seasonStats.losses += 1;
+        break;
+      case "draw":
+        seasonStats.draws += 1;
+        break;
+    }
+
+    if (matchResult.forfeit) {
+      seasonStats.forfeits += 1;
     }
   }
 
@@ -100,7 +169,7 @@ class UserService {
       return { success: true, user: user };
     } catch (error) {
       console.error("Error finding user by wallet:", error);
-      return { success: false, error: error.message };
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
     }
   }
   /**
@@ -113,7 +182,89 @@ class UserService {
       return { success: true, user: user };
     } catch (error) {
       console.error("Error finding user by wallet:", error);
-      return { success: false, error: error.message };
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Role a user acts with, as stored on their account
+   * @returns {string} "player" or "admin"
+   */
+  getRole(user) {
+    return user.role || "player";
+  }
+
+  /**
+   * Whether a user's ban is in force
+   */
+  isBanned(user) {
+    const { ban } = user;
+    return !!ban && (!ban.expiresAt || ban.expiresAt > new Date());
+  }
+
+  /**
+   * Role and ban of a signed-in user, checked on every authenticated request
+   * @returns {Promise<Object>} { success, user } with user null if it no longer exists
+   */
+  async getAccess(userId) {
+    try {
+      const user = await User.findById(userId)
+        .select("walletAddress role ban")
+        .lean();
+      return { success: true, user };
+    } catch (error) {
+      console.error("Error loading user access:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Ban a wallet, or replace its ban
+   * @param {string} walletAddress - Wallet to ban
+   * @param {Object} ban - { reason, expiresAt, bannedBy }
+   */
+  async banUser(walletAddress, ban) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { walletAddress: walletAddress.toLowerCase() },
+        { $set: { ban: { ...ban, bannedAt: new Date() } } },
+        { new: true }
+      );
+      if (!user) {
+        return {
+          success: false,
+          code: "USER_NOT_FOUND",
+          error: "User not found",
+        };
+      }
+      return { success: true, user };
+    } catch (error) {
+      console.error("Error banning user:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+  }
+
+  /**
+   * Lift a wallet's ban
+   */
+  async unbanUser(walletAddress) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { walletAddress: walletAddress.toLowerCase() },
+        { $set: { ban: null } },
+        { new: true }
+      );
+      if (!user) {
+        return {
+          success: false,
+          code: "USER_NOT_FOUND",
+          error: "User not found",
+        };
+      }
+      return { success: true, user };
+    } catch (error) {
+      console.error("Error lifting ban:", error);
+      return { success: false, code: "INTERNAL_ERROR", error: error.message };
     }
   }
 }
@@ -0,0 +1,92 @@
+const { EventEmitter } = require("events");
+
+/**
+ * @fileoverview Memory Store
+ * @description In-process state store, the default when only one node runs
+ * @module stores/memoryStore
+ */
+
+// How often expired keys nobody reads again are dropped
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Memory Store - Same interface and semantics as RedisStore (JSON values,
+ * TTLs, pub/sub) without leaving the process
+ * @class MemoryStore
+ */
+class MemoryStore {
+  constructor() {
+    this.shared = false; // Other nodes can't see this store
+    this.entries = new Map(); // key -> { value (JSON), expiresAt }
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Live entry for a key, dropping it if it expired
+   */
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  sweep() {
+    for (const key of this.entries.keys()) this.read(key);
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, { ttlMs, onlyIfAbsent = false } = {}) {
+    if (onlyIfAbsent && this.read(key)) return false;
+
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    });
+    return true;
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async expire(key, ttlMs) {
+    const entry = this.read(key);
+    if (!entry) return false;
+
+    entry.expiresAt = Date.now() + ttlMs;
+    return true;
+  }
+
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+    // Delivered asynchronously, as it would be through Redis
+    setImmediate(() => this.channels.emit(channel, JSON.parse(payload)));
+  }
+
+  async subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+    return async () => {
+      this.channels.off(channel, handler);
+    };
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.channels.removeAllListeners();
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,98 @@
+const { RespClient } = require("./respClient");
+
+/**
+ * @fileoverview Redis Store
+ * @description State store shared by every node, on Redis or anything that speaks its protocol
+ * @module stores/redisStore
+ */
+
+/**
+ * Redis Store - Values are JSON, keys and channels are prefixed so several
+ * deployments can share one Redis. Pub/sub runs on its own connection,
+ * since a subscribed connection can't send other commands.
+ * @class RedisStore
+ */
+class RedisStore {
+  /**
+   * @param {string} url - redis://[user:password@]host[:port][/db]
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Prepended to every key and channel
+   */
+  constructor(url, { prefix = "metahead:" } = {}) {
+    this.shared = true;
+    this.prefix = prefix;
+    this.client = new RespClient(url);
+    this.subscriber = new RespClient(url);
+    this.handlers = new Map(); // channel -> Set of handlers
+
+    this.subscriber.on("message", (channel, payload) => {
+      const handlers = this.handlers.get(channel.slice(this.prefix.length));
+      if (!handlers) return;
+
+      let message;
+      try {
+        message = JSON.parse(payload);
+      } catch (error) {
+        console.error(`Ignoring malformed message on ${channel}`);
+        return;
+      }
+      handlers.forEach((handler) => handler(message));
+    });
+  }
+
+  async get(key) {
+    const value = await this.client.command("GET", this.prefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, { ttlMs, onlyIfAbsent = false } = {}) {
+    const args = ["SET", this.prefix + key, JSON.stringify(value)];
+    if (ttlMs) args.push("PX", Math.ceil(ttlMs));
+    if (onlyIfAbsent) args.push("NX");
+
+    return (await this.client.command(...args)) === "OK";
+  }
+
+  async del(key) {
+    await this.client.command("DEL", this.prefix + key);
+  }
+
+  async expire(key, ttlMs) {
+    const result = await this.client.command(
+      "PEXPIRE",
+      this.prefix + key,
+      Math.ceil(ttlMs)
+    );
+    return result === 1;
+  }
+
+  async publish(channel, message) {
+    await this.client.command(
+      "PUBLISH",
+      this.prefix + channel,
+      JSON.stringify(message)
+    );
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+      await this.subscriber.subscribe(this.prefix + channel);
+    }
+    this.handlers.get(channel).add(handler);
+
+    return async () => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers?.delete(handler) || handlers.size > 0) return;
+
+      this.handlers.delete(channel);
+      await this.subscriber.unsubscribe(this.prefix + channel);
+    };
+  }
+
+  async close() {
+    await Promise.all([this.client.quit(), this.subscriber.quit()]);
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,259 @@
+const net = require("net");
+const { EventEmitter } = require("events");
+
+/**
+ * @fileoverview RESP Client
+ * @description Minimal client for the Redis wire protocol (RESP2), enough for the state store
+ * @module stores/respClient
+ */
+
+const DEFAULT_PORT = 6379;
+const RECONNECT_DELAY_MS = 1000;
+
+/**
+ * Error reply sent by the server
+ */
+class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RespError";
+  }
+}
+
+/**
+ * Encode a command as an array of bulk strings
+ */
+const encodeCommand = (args) => {
+  let out = `*${args.length}\r\n`;
+  args.forEach((arg) => {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  });
+  return out;
+};
+
+/**
+ * Parse one reply from a buffer
+ * @returns {Object|null} { value, offset } or null if the reply isn't complete yet
+ */
+const parseReply = (buffer, offset) => {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new RespError(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return {
+        value: buffer.toString("utf8", next, next + length),
+        offset: next + length + 2,
+      };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new RespError(`Unexpected reply type: ${type}`);
+  }
+};
+
+/**
+ * RESP Client - One connection, commands answered in order. Reconnects on
+ * its own and re-subscribes to its channels. Emits "message" (channel,
+ * payload) for pub/sub messages once a channel is subscribed.
+ * @class RespClient
+ */
+class RespClient extends EventEmitter {
+  /**
+   * @param {string} url - redis://[user:password@]host[:port][/db]
+   */
+  constructor(url) {
+    super();
+    const parsed = new URL(url);
+
+    this.host = parsed.hostname || "127.0.0.1";
+    this.port = Number(parsed.port) || DEFAULT_PORT;
+    this.username = decodeURIComponent(parsed.username || "");
+    this.password = decodeURIComponent(parsed.password || "");
+    this.db = Number(parsed.pathname.slice(1)) || 0;
+
+    this.socket = null;
+    this.ready = null; // Promise resolved once connected and set up
+    this.pending = []; // { resolve, reject } per command sent, in order
+    this.buffer = Buffer.alloc(0);
+    this.channels = new Set();
+    this.closing = false;
+  }
+
+  /**
+   * Connect if not connected
+   * @returns {Promise} Resolves once commands can be sent
+   */
+  connect() {
+    if (!this.ready) {
+      this.ready = this.open().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+      this.socket = socket;
+      this.buffer = Buffer.alloc(0);
+
+      socket.setNoDelay(true);
+      socket.on("data", (chunk) => this.onData(chunk));
+      socket.on("error", (error) => {
+        console.error(`Redis connection error: ${error.message}`);
+      });
+      socket.on("close", () => this.onClose(socket, reject));
+      socket.once("connect", () => {
+        this.setup()
+          .then(resolve)
+          .catch((error) => {
+            socket.destroy();
+            reject(error);
+          });
+      });
+    });
+  }
+
+  /**
+   * Authenticate, pick the database and restore subscriptions
+   */
+  async setup() {
+    if (this.password) {
+      await this.send(
+        this.username
+          ? ["AUTH", this.username, this.password]
+          : ["AUTH", this.password]
+      );
+    }
+    if (this.db) await this.send(["SELECT", this.db]);
+
+    for (const channel of this.channels) {
+      await this.send(["SUBSCRIBE", channel]);
+    }
+  }
+
+  onClose(socket, reject) {
+    if (this.socket !== socket) return;
+
+    const error = new RespError("Connection closed");
+    this.pending.splice(0).forEach((request) => request.reject(error));
+    this.socket = null;
+    this.ready = null;
+    reject(error);
+
+    if (this.closing) return;
+
+    // Subscribers have to come back on their own; plain clients reconnect
+    // with the next command
+    if (this.channels.size > 0) {
+      setTimeout(() => {
+        if (this.closing) return;
+        // A failed attempt closes again and schedules the next one
+        this.connect().catch(() => {});
+      }, RECONNECT_DELAY_MS).unref();
+    }
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let offset = 0;
+    let reply;
+    while ((reply = parseReply(this.buffer, offset))) {
+      offset = reply.offset;
+      this.onReply(reply.value);
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  onReply(value) {
+    if (Array.isArray(value) && value[0] === "message") {
+      this.emit("message", value[1], value[2]);
+      return;
+    }
+
+    const request = this.pending.shift();
+    if (!request) return;
+    if (value instanceof RespError) request.reject(value);
+    else request.resolve(value);
+  }
+
+  /**
+   * Write a command on the open connection
+   */
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Send a command, connecting first if needed
+   * @param {...(string|number)} args - Command name and arguments
+   * @returns {Promise<*>} The reply
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  async subscribe(channel) {
+    this.channels.add(channel);
+    await this.command("SUBSCRIBE", channel);
+  }
+
+  async unsubscribe(channel) {
+    this.channels.delete(channel);
+    if (this.socket) await this.command("UNSUBSCRIBE", channel);
+  }
+
+  /**
+   * Close the connection for good
+   */
+  async quit() {
+    this.closing = true;
+    if (!this.socket) return;
+
+    try {
+      await this.send(["QUIT"]);
+    } catch (error) {
+      // Already gone
+    }
+    this.socket?.destroy();
+  }
+}
+
+module.exports = { RespClient, RespError, encodeCommand, parseReply };
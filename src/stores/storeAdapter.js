@@ -0,0 +1,72 @@
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+/**
+ * @fileoverview Store Adapter
+ * @description Socket.IO adapter that relays broadcasts between nodes over the state store's pub/sub
+ * @module stores/storeAdapter
+ */
+
+/**
+ * Store Adapter - Each namespace publishes on one channel that every node
+ * listens to, and answers requests (fetchSockets, acks, serverSideEmit) on
+ * the requesting node's own channel. Payloads go through JSON, so binary
+ * attachments aren't supported across nodes.
+ * @class StoreAdapter
+ */
+class StoreAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, store, opts) {
+    super(nsp, opts);
+    this.store = store;
+    this.channel = `socket.io#${nsp.name}`;
+    this.unsubscribers = [];
+
+    Promise.all([
+      store.subscribe(this.channel, (message) => this.onMessage(message)),
+      store.subscribe(this.responseChannel(this.uid), (response) =>
+        this.onResponse(response)
+      ),
+    ])
+      .then((unsubscribers) => {
+        this.unsubscribers = unsubscribers;
+        // Socket.IO doesn't call init(); announce this node once listening
+        this.init();
+      })
+      .catch((error) => {
+        console.error(
+          `Socket.IO adapter for ${nsp.name} could not subscribe:`,
+          error.message
+        );
+      });
+  }
+
+  responseChannel(uid) {
+    return `${this.channel}#${uid}`;
+  }
+
+  async doPublish(message) {
+    await this.store.publish(this.channel, message);
+    return ""; // Pub/sub has no offsets to resume from
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.store.publish(this.responseChannel(requesterUid), response);
+  }
+
+  close() {
+    super.close();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe().catch(() => {}));
+  }
+}
+
+/**
+ * Adapter option for the Socket.IO server
+ * @param {Object} store - Shared state store (see config/stateStore)
+ * @param {Object} [opts] - heartbeatInterval / heartbeatTimeout in ms
+ * @returns {Function} Adapter constructor, one instance per namespace
+ */
+const createStoreAdapter = (store, opts = {}) =>
+  function (nsp) {
+    return new StoreAdapter(nsp, store, opts);
+  };
+
+module.exports = { StoreAdapter, createStoreAdapter };